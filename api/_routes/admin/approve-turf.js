@@ -0,0 +1,96 @@
+import { moderationErrorStatus } from "../../_utils/moderation.js";
+
+// Kept for existing callers; new clients should use /admin/review-turf.
+export default {
+  method: "POST",
+  path: "/admin/approve-turf",
+  auth: { roles: ["ADMIN"] },
+  body: {
+    turfId: { type: "uuid" },
+    ownerEmail: { type: "string", maxLength: 254 },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { turfId, ownerEmail } = body;
+
+    if (!turfId && !ownerEmail) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [
+          {
+            location: "body",
+            field: "turfId",
+            message: "turfId or ownerEmail is required",
+          },
+        ],
+      });
+    }
+
+    let targetTurfId = turfId;
+
+    if (!targetTurfId) {
+      // Find the owner by email
+      const { data: owner, error: ownerError } = await supabase
+        .from("owners")
+        .select("id")
+        .eq("email", ownerEmail)
+        .maybeSingle();
+
+      if (ownerError) {
+        return res.status(500).json({ error: ownerError.message });
+      }
+      if (!owner) {
+        return res.status(404).json({ error: "Owner not found" });
+      }
+
+      // Only a single pending turf can be resolved by owner email
+      const { data: pending, error: turfsError } = await supabase
+        .from("turfs")
+        .select("id, turf_name")
+        .eq("owner_id", owner.id)
+        .eq("verification_status", "PENDING");
+
+      if (turfsError) {
+        return res.status(500).json({ error: turfsError.message });
+      }
+      if (!pending || pending.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "No pending turfs found for this owner" });
+      }
+      if (pending.length > 1) {
+        return res.status(409).json({
+          error: "Owner has several pending turfs; pass turfId instead",
+          turfs: pending,
+        });
+      }
+
+      targetTurfId = pending[0].id;
+    }
+
+    const { data: updatedTurf, error: updateError } = await supabase.rpc(
+      "moderate_turf",
+      {
+        p_turf_id: targetTurfId,
+        p_action: "APPROVE",
+        p_actor_id: caller.id,
+        p_reason: null,
+      },
+    );
+
+    if (updateError) {
+      return res
+        .status(moderationErrorStatus(updateError))
+        .json({ error: updateError.message });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Turf "${updatedTurf.turf_name}" has been approved!`,
+      turf: {
+        id: updatedTurf.id,
+        name: updatedTurf.turf_name,
+        status: updatedTurf.verification_status,
+      },
+    });
+  },
+};
@@ -0,0 +1,30 @@
+export default {
+  method: "GET",
+  path: "/admin/audit-log",
+  auth: { roles: ["ADMIN"] },
+  query: {
+    targetId: { type: "uuid" },
+    targetType: { type: "enum", values: ["TURF", "OWNER"], uppercase: true },
+    limit: { type: "integer", min: 1, max: 200, default: 50 },
+  },
+  async handler({ supabase, res, query }) {
+    const { targetId, targetType, limit } = query;
+
+    let request = supabase
+      .from("moderation_audit_log")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (targetId) request = request.eq("target_id", targetId);
+    if (targetType) request = request.eq("target_type", targetType);
+
+    const { data, error } = await request;
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ entries: data });
+  },
+};
@@ -0,0 +1,42 @@
+import { moderationErrorStatus } from "../../_utils/moderation.js";
+
+export default {
+  method: "POST",
+  path: "/admin/review-turf",
+  auth: { roles: ["ADMIN"] },
+  body: {
+    turfId: { type: "uuid", required: true },
+    decision: {
+      type: "enum",
+      values: ["APPROVE", "REJECT"],
+      uppercase: true,
+      required: true,
+    },
+    reason: { type: "string", maxLength: 500 },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { turfId, decision, reason } = body;
+
+    if (decision === "REJECT" && !reason) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [
+          { location: "body", field: "reason", message: "is required to reject" },
+        ],
+      });
+    }
+
+    const { data, error } = await supabase.rpc("moderate_turf", {
+      p_turf_id: turfId,
+      p_action: decision,
+      p_actor_id: caller.id,
+      p_reason: reason || null,
+    });
+
+    if (error) {
+      return res.status(moderationErrorStatus(error)).json({ error: error.message });
+    }
+
+    return res.json({ success: true, turf: data });
+  },
+};
@@ -0,0 +1,59 @@
+import { moderationErrorStatus } from "../../_utils/moderation.js";
+
+export default {
+  method: "POST",
+  path: "/admin/suspend",
+  auth: { roles: ["ADMIN"] },
+  body: {
+    targetType: {
+      type: "enum",
+      values: ["TURF", "OWNER"],
+      uppercase: true,
+      required: true,
+    },
+    targetId: { type: "uuid", required: true },
+    action: {
+      type: "enum",
+      values: ["SUSPEND", "REINSTATE"],
+      uppercase: true,
+      required: true,
+    },
+    reason: { type: "string", maxLength: 500 },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { targetType, targetId, action, reason } = body;
+
+    if (action === "SUSPEND" && !reason) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [
+          { location: "body", field: "reason", message: "is required to suspend" },
+        ],
+      });
+    }
+
+    const { data, error } =
+      targetType === "TURF"
+        ? await supabase.rpc("moderate_turf", {
+            p_turf_id: targetId,
+            p_action: action,
+            p_actor_id: caller.id,
+            p_reason: reason || null,
+          })
+        : await supabase.rpc("moderate_owner", {
+            p_owner_id: targetId,
+            p_action: action,
+            p_actor_id: caller.id,
+            p_reason: reason || null,
+          });
+
+    if (error) {
+      return res.status(moderationErrorStatus(error)).json({ error: error.message });
+    }
+
+    return res.json({
+      success: true,
+      [targetType === "TURF" ? "turf" : "owner"]: data,
+    });
+  },
+};
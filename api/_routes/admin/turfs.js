@@ -0,0 +1,36 @@
+import { VERIFICATION_STATUSES } from "../../_utils/moderation.js";
+
+export default {
+  method: "GET",
+  path: "/admin/turfs",
+  auth: { roles: ["ADMIN"] },
+  query: {
+    status: {
+      type: "enum",
+      values: VERIFICATION_STATUSES,
+      uppercase: true,
+      default: "PENDING",
+    },
+    limit: { type: "integer", min: 1, max: 200, default: 50 },
+    offset: { type: "integer", min: 0, default: 0 },
+  },
+  async handler({ supabase, res, query }) {
+    const { status, limit, offset } = query;
+
+    const { data, error, count } = await supabase
+      .from("turfs")
+      .select(
+        "id, turf_name, turf_type, city, address, number_of_nets, images, verification_status, rejection_reason, is_approved, status, created_at, owner:owners(id, name, email, phone, status)",
+        { count: "exact" },
+      )
+      .eq("verification_status", status)
+      .order("created_at", { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ turfs: data, total: count, limit, offset });
+  },
+};
@@ -0,0 +1,40 @@
+import { forbid, signupIdentityError } from "../../_utils/auth.js";
+import { byIp } from "../../_utils/rate-limit.js";
+
+export default {
+  method: "POST",
+  path: "/auth/create-player",
+  auth: { allowUnregistered: true },
+  rateLimit: [{ name: "ip", limit: 10, windowSeconds: 3600, key: byIp }],
+  body: {
+    id: { type: "uuid", required: true },
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "string", required: true, maxLength: 254 },
+    phone: { type: "string", required: true, maxLength: 20 },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { id, name, email, phone } = body;
+    const identityError = signupIdentityError(caller, body);
+    if (identityError) return forbid(res, identityError);
+
+    const { error } = await supabase.from("players").insert({
+      id,
+      name,
+      email: email.trim().toLowerCase(),
+      phone,
+      role: "PLAYER",
+      favorite_turfs: [],
+    });
+
+    if (error) {
+      if (error.code === "23505") {
+        return res
+          .status(409)
+          .json({ error: "Email or phone already registered." });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ ok: true });
+  },
+};
@@ -0,0 +1,61 @@
+import { byIp } from "../../_utils/rate-limit.js";
+
+export default {
+  method: "POST",
+  path: "/auth/owner-exists",
+  auth: false,
+  rateLimit: [
+    { name: "ip", limit: 20, windowSeconds: 600, key: byIp },
+    {
+      name: "identifier",
+      limit: 5,
+      windowSeconds: 600,
+      key: ({ body }) => [body.email, body.phone],
+    },
+  ],
+  body: {
+    email: { type: "string", maxLength: 254 },
+    phone: { type: "string", maxLength: 20 },
+  },
+  async handler({ supabase, res, body }) {
+    const { email, phone } = body;
+    if (!email && !phone) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [
+          { location: "body", field: "email", message: "email or phone is required" },
+        ],
+      });
+    }
+
+    if (email) {
+      const { data, error } = await supabase
+        .from("owners")
+        .select("id")
+        .eq("email", email)
+        .maybeSingle();
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      if (data) return res.json({ exists: true });
+    }
+
+    if (phone) {
+      const { data, error } = await supabase
+        .from("owners")
+        .select("id")
+        .eq("phone", phone)
+        .maybeSingle();
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      if (data) return res.json({ exists: true });
+    }
+
+    return res.json({ exists: false });
+  },
+};
@@ -0,0 +1,48 @@
+import { canManageTurf, forbid } from "../../_utils/auth.js";
+import { blackoutErrorStatus, formatBlackout } from "../../_utils/blackouts.js";
+
+// Reopens every slot the blackout blocked, unless another active blackout
+// still covers it. Cancelled or moved bookings are not restored.
+export default {
+  method: "POST",
+  path: "/blackouts/:id/lift",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, params }) {
+    const { data: blackout, error: loadError } = await supabase
+      .from("blackouts")
+      .select("id, owner_id")
+      .eq("id", params.id)
+      .maybeSingle();
+    if (loadError) {
+      return res.status(500).json({ error: loadError.message });
+    }
+    if (!blackout) {
+      return res.status(404).json({ error: "Blackout not found" });
+    }
+    if (!canManageTurf(caller, blackout.owner_id)) {
+      return forbid(res, "Only the turf owner can lift this blackout.");
+    }
+
+    const { data: released, error } = await supabase.rpc("lift_blackout", {
+      p_blackout_id: blackout.id,
+      p_lifted_by: caller.id,
+    });
+    if (error) {
+      return res.status(blackoutErrorStatus(error)).json({ error: error.message });
+    }
+
+    const { data: lifted, error: reloadError } = await supabase
+      .from("blackouts")
+      .select("*")
+      .eq("id", blackout.id)
+      .single();
+    if (reloadError) {
+      return res.status(500).json({ error: reloadError.message });
+    }
+
+    return res.json({ blackout: formatBlackout(lifted), released });
+  },
+};
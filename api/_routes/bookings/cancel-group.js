@@ -0,0 +1,72 @@
+import { canManageTurf, forbid } from "../../_utils/auth.js";
+import { bookingErrorStatus } from "../../_utils/bookings.js";
+import {
+  CANCELLATION_BOOKING_COLUMNS,
+  evaluateCancellations,
+} from "../../_utils/cancellation.js";
+
+export default {
+  method: "POST",
+  path: "/bookings/cancel-group",
+  auth: true,
+  body: {
+    groupId: { type: "uuid", required: true },
+    cancelledBy: { type: "string", maxLength: 100 },
+    reason: { type: "string", maxLength: 500 },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { groupId, cancelledBy, reason } = body;
+
+    const { data: group, error: groupError } = await supabase
+      .from("booking_groups")
+      .select("id, owner_id, user_id, status")
+      .eq("id", groupId)
+      .maybeSingle();
+
+    if (groupError) {
+      return res.status(500).json({ error: groupError.message });
+    }
+    if (!group) {
+      return res.status(404).json({ error: "Booking group not found" });
+    }
+
+    const isManager = canManageTurf(caller, group.owner_id);
+    const isPlayer = !!group.user_id && group.user_id === caller.id;
+    if (!isPlayer && !isManager) {
+      return forbid(res, "Only the turf owner or the booking's player can cancel.");
+    }
+    if (group.status === "CANCELLED") {
+      return res.status(409).json({ error: "Booking group is already cancelled." });
+    }
+
+    const { data: bookings, error: bookingsError } = await supabase
+      .from("bookings")
+      .select(CANCELLATION_BOOKING_COLUMNS)
+      .eq("group_id", groupId)
+      .eq("booking_status", "CONFIRMED");
+    if (bookingsError) {
+      return res.status(500).json({ error: bookingsError.message });
+    }
+
+    const { blocked, refunds, refundAmount } = evaluateCancellations({
+      bookings,
+      initiator: isManager ? "OWNER" : "PLAYER",
+    });
+    if (blocked) {
+      return res.status(403).json({ error: blocked.reason, cancellation: blocked });
+    }
+
+    const { data, error } = await supabase.rpc("cancel_booking_group", {
+      p_group_id: groupId,
+      p_cancelled_by: cancelledBy || caller.role,
+      p_cancel_reason: reason || null,
+      p_refunds: refunds,
+    });
+
+    if (error) {
+      return res.status(bookingErrorStatus(error)).json({ error: error.message });
+    }
+
+    return res.json({ success: true, releasedSlots: data, refundAmount });
+  },
+};
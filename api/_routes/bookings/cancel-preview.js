@@ -0,0 +1,45 @@
+import { canManageTurf, forbid } from "../../_utils/auth.js";
+import {
+  evaluateCancellation,
+  loadBookingForCancellation,
+} from "../../_utils/cancellation.js";
+
+// Shows what /bookings/cancel would refund without cancelling anything
+export default {
+  method: "GET",
+  path: "/bookings/:id/cancel-preview",
+  auth: true,
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, params }) {
+    const { booking, policy, error } = await loadBookingForCancellation(
+      supabase,
+      params.id,
+    );
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    const isManager = canManageTurf(caller, booking.owner_id);
+    const isPlayer = !!booking.user_id && booking.user_id === caller.id;
+    if (!isPlayer && !isManager) {
+      return forbid(res, "You do not have access to this booking.");
+    }
+    if (booking.booking_status !== "CONFIRMED") {
+      return res.status(409).json({ error: "Booking is already cancelled." });
+    }
+
+    return res.json(
+      evaluateCancellation({
+        policy,
+        booking,
+        initiator: isManager ? "OWNER" : "PLAYER",
+      }),
+    );
+  },
+};
@@ -0,0 +1,71 @@
+import { canManageTurf, forbid } from "../../_utils/auth.js";
+import {
+  evaluateCancellation,
+  loadBookingForCancellation,
+} from "../../_utils/cancellation.js";
+
+export default {
+  method: "POST",
+  path: "/bookings/cancel",
+  auth: true,
+  body: {
+    bookingId: { type: "uuid", required: true },
+    slotId: { type: "uuid", required: true },
+    cancelledBy: { type: "string", maxLength: 100 },
+    reason: { type: "string", maxLength: 500 },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { bookingId, slotId, cancelledBy, reason } = body;
+
+    const { booking, policy, error: bookingError } =
+      await loadBookingForCancellation(supabase, bookingId);
+
+    if (bookingError) {
+      return res.status(500).json({ error: bookingError.message });
+    }
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (booking.slot_id !== slotId) {
+      return res.status(400).json({ error: "Slot does not belong to this booking." });
+    }
+
+    const isManager = canManageTurf(caller, booking.owner_id);
+    const isPlayer = !!booking.user_id && booking.user_id === caller.id;
+    if (!isPlayer && !isManager) {
+      return forbid(res, "Only the turf owner or the booking's player can cancel.");
+    }
+    if (booking.booking_status !== "CONFIRMED") {
+      return res.status(409).json({ error: "Booking is already cancelled." });
+    }
+
+    const cancellation = evaluateCancellation({
+      policy,
+      booking,
+      initiator: isManager ? "OWNER" : "PLAYER",
+    });
+    if (!cancellation.allowed) {
+      return res.status(403).json({ error: cancellation.reason, cancellation });
+    }
+
+    const { data, error } = await supabase.rpc("cancel_booking", {
+      p_booking_id: bookingId,
+      p_slot_id: slotId,
+      p_cancelled_by: cancelledBy || caller.role,
+      p_cancel_reason: reason || null,
+      p_refund_amount: cancellation.refundAmount,
+      p_refund_status: cancellation.refundStatus,
+    });
+
+    if (error) {
+      const status = error.message.includes("already cancelled") ? 409 : 500;
+      return res.status(status).json({ error: error.message });
+    }
+
+    return res.json({
+      success: data === true,
+      refundAmount: cancellation.refundAmount,
+      refundStatus: cancellation.refundStatus,
+    });
+  },
+};
@@ -0,0 +1,105 @@
+import { canManageTurf, forbid, getTurfOwnerId } from "../../_utils/auth.js";
+import {
+  MAX_GROUP_SLOTS,
+  bookingErrorBody,
+  bookingErrorStatus,
+  stringOr,
+} from "../../_utils/bookings.js";
+
+export default {
+  method: "POST",
+  path: "/bookings/create-group",
+  auth: true,
+  body: {
+    slotIds: {
+      type: "array",
+      items: { type: "uuid" },
+      minItems: 1,
+      maxItems: MAX_GROUP_SLOTS,
+      required: true,
+    },
+    booking: { type: "object", required: true },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { slotIds, booking } = body;
+
+    if (new Set(slotIds).size !== slotIds.length) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [
+          { location: "body", field: "slotIds", message: "must not repeat a slot" },
+        ],
+      });
+    }
+
+    const { ownerId, error: ownerError } = await getTurfOwnerId(
+      supabase,
+      booking.turf_id,
+    );
+    if (ownerError) {
+      return res.status(500).json({ error: ownerError.message });
+    }
+    if (!ownerId) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+
+    // Slot details (dates, nets, prices) are read from the slots themselves
+    let bookingData = { ...booking, created_by: caller.role };
+    let userId = null;
+
+    if (!canManageTurf(caller, ownerId)) {
+      if (caller.role !== "PLAYER") {
+        return forbid(res, "Only the turf owner can create bookings for this turf.");
+      }
+
+      const { data: slots, error: slotsError } = await supabase
+        .from("slots")
+        .select("id, status, reserved_by, reserved_until")
+        .in("id", slotIds);
+      if (slotsError) {
+        return res.status(500).json({ error: slotsError.message });
+      }
+      const now = new Date();
+      const heldByCaller = (slot) =>
+        slot.status === "RESERVED" &&
+        slot.reserved_by === caller.id &&
+        !!slot.reserved_until &&
+        new Date(slot.reserved_until) > now;
+      if (slots.length !== slotIds.length || !slots.every(heldByCaller)) {
+        return forbid(res, "Only the user who reserved these slots can book them.");
+      }
+
+      // Player bookings always belong to the caller and start unpaid; the
+      // RPC ignores any advance or payment fields for them as well
+      userId = caller.id;
+      bookingData = {
+        turf_id: booking.turf_id,
+        user_id: caller.id,
+        customer_name: stringOr(booking.customer_name, caller.profile?.name),
+        customer_phone: stringOr(booking.customer_phone, caller.profile?.phone),
+        booking_source: "APP",
+        payment_mode: "OFFLINE",
+        payment_status: "PAY_AT_TURF",
+        advance_amount: 0,
+        created_by: caller.role,
+      };
+    }
+
+    const { data, error } = await supabase.rpc("create_booking_group", {
+      p_slot_ids: slotIds,
+      p_booking_data: bookingData,
+      p_user_id: userId,
+    });
+
+    if (error) {
+      return res.status(bookingErrorStatus(error)).json(bookingErrorBody(error));
+    }
+
+    return res.json({
+      groupId: data.group_id,
+      bookingIds: data.booking_ids,
+      amount: Number(data.amount),
+      advanceAmount: Number(data.advance_amount),
+    });
+  },
+};
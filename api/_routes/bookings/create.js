@@ -0,0 +1,157 @@
+import { canManageTurf, forbid, getTurfOwnerId } from "../../_utils/auth.js";
+import {
+  findPromoCode,
+  loadPromoTarget,
+  promoErrorStatus,
+  quotePromo,
+} from "../../_utils/promos.js";
+import { stringOr } from "../../_utils/bookings.js";
+
+export default {
+  method: "POST",
+  path: "/bookings/create",
+  auth: true,
+  body: {
+    slotId: { type: "uuid", required: true },
+    booking: { type: "object", required: true },
+    promoCode: { type: "string", maxLength: 32 },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { slotId, booking } = body;
+
+    const { data: slot, error: slotError } = await supabase
+      .from("slots")
+      .select(
+        "id, turf_id, date, start_time, end_time, net_number, price, status, reserved_by, reserved_until",
+      )
+      .eq("id", slotId)
+      .maybeSingle();
+
+    if (slotError) {
+      return res.status(500).json({ error: slotError.message });
+    }
+    if (!slot) {
+      return res.status(404).json({ error: "Slot not found" });
+    }
+    if (booking.turf_id !== slot.turf_id) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [
+          {
+            location: "body",
+            field: "booking.turf_id",
+            message: "must match the slot's turf",
+          },
+        ],
+      });
+    }
+
+    const { ownerId, error: ownerError } = await getTurfOwnerId(
+      supabase,
+      slot.turf_id,
+    );
+    if (ownerError) {
+      return res.status(500).json({ error: ownerError.message });
+    }
+
+    let bookingData = { ...booking };
+    // Discount columns are only ever set from a server-side quote
+    delete bookingData.promo_code_id;
+    delete bookingData.original_amount;
+    delete bookingData.discount_amount;
+
+    if (!canManageTurf(caller, ownerId)) {
+      if (caller.role !== "PLAYER") {
+        return forbid(res, "Only the turf owner can create bookings for this turf.");
+      }
+
+      const heldByCaller =
+        slot.status === "RESERVED" &&
+        slot.reserved_by === caller.id &&
+        !!slot.reserved_until &&
+        new Date(slot.reserved_until) > new Date();
+      if (!heldByCaller) {
+        return forbid(res, "Only the user who reserved this slot can book it.");
+      }
+
+      const { data: turf, error: turfError } = await supabase
+        .from("turfs")
+        .select("turf_name")
+        .eq("id", slot.turf_id)
+        .single();
+      if (turfError) {
+        return res.status(500).json({ error: turfError.message });
+      }
+
+      // Player bookings are built here from the slot: the price is the
+      // slot's and nothing counts as paid. Online payments are confirmed by
+      // the payment webhook only.
+      bookingData = {
+        turf_id: slot.turf_id,
+        booking_date: slot.date,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        turf_name: turf.turf_name,
+        net_number: slot.net_number,
+        user_id: caller.id,
+        customer_name: stringOr(booking.customer_name, caller.profile?.name),
+        customer_phone: stringOr(booking.customer_phone, caller.profile?.phone),
+        booking_source: "APP",
+        payment_mode: "OFFLINE",
+        payment_status: "PAY_AT_TURF",
+        amount: Number(slot.price),
+        advance_amount: 0,
+      };
+    }
+
+    if (body.promoCode) {
+      const { slot: target, turf, error: targetError } = await loadPromoTarget(
+        supabase,
+        slotId,
+      );
+      if (targetError) {
+        return res.status(500).json({ error: targetError.message });
+      }
+
+      const { promo, error: promoError } = await findPromoCode(
+        supabase,
+        turf.owner_id,
+        body.promoCode,
+      );
+      if (promoError) {
+        return res.status(500).json({ error: promoError.message });
+      }
+      if (!promo) {
+        return res.status(404).json({ error: "Promo code not found" });
+      }
+
+      const quote = await quotePromo(supabase, {
+        promo,
+        turf,
+        slot: target,
+        playerId: bookingData.user_id || null,
+      });
+      if (!quote.eligible) {
+        return res.status(400).json({ error: quote.reason });
+      }
+
+      bookingData.promo_code_id = promo.id;
+      bookingData.original_amount = quote.originalAmount;
+      bookingData.discount_amount = quote.discountAmount;
+      bookingData.amount = quote.finalAmount;
+    }
+
+    const { data, error } = await supabase.rpc("create_booking_atomic", {
+      p_slot_id: slotId,
+      p_booking_data: bookingData,
+    });
+
+    if (error) {
+      return res
+        .status(promoErrorStatus(error) || 500)
+        .json({ error: error.message });
+    }
+
+    return res.json({ bookingId: data });
+  },
+};
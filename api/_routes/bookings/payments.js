@@ -0,0 +1,125 @@
+import { canManageTurf, forbid } from "../../_utils/auth.js";
+
+export const PAYMENT_MODES = ["CASH", "UPI", "CARD"];
+
+async function loadBooking(supabase, bookingId) {
+  const { data, error } = await supabase
+    .from("bookings")
+    .select("id, owner_id, user_id, amount, advance_amount, payment_status, booking_status")
+    .eq("id", bookingId)
+    .maybeSingle();
+  return { booking: data, error };
+}
+
+function paymentErrorStatus(error) {
+  const message = error?.message || "";
+  if (message.includes("not found")) return 404;
+  if (message.includes("is cancelled")) return 409;
+  if (message.includes("exceeds amount paid")) return 400;
+  return 500;
+}
+
+const listPayments = {
+  method: "GET",
+  path: "/bookings/:id/payments",
+  auth: true,
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, params }) {
+    const { booking, error } = await loadBooking(supabase, params.id);
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    const isPlayer = !!booking.user_id && booking.user_id === caller.id;
+    if (!isPlayer && !canManageTurf(caller, booking.owner_id)) {
+      return forbid(res, "You do not have access to this booking.");
+    }
+
+    const { data, error: paymentsError } = await supabase
+      .from("payments")
+      .select("id, amount, entry_type, mode, reference, note, collected_by_role, created_at")
+      .eq("booking_id", booking.id)
+      .order("created_at", { ascending: true });
+
+    if (paymentsError) {
+      return res.status(500).json({ error: paymentsError.message });
+    }
+
+    const amount = Number(booking.amount);
+    const paid = Number(booking.advance_amount || 0);
+    return res.json({
+      bookingId: booking.id,
+      amount,
+      paidAmount: paid,
+      balance: amount - paid,
+      paymentStatus: booking.payment_status,
+      payments: data,
+    });
+  },
+};
+
+// Negative amounts record refunds
+const recordPayment = {
+  method: "POST",
+  path: "/bookings/:id/payments",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  body: {
+    amount: { type: "number", required: true },
+    mode: { type: "enum", values: PAYMENT_MODES, uppercase: true, required: true },
+    reference: { type: "string", maxLength: 100 },
+    note: { type: "string", maxLength: 500 },
+  },
+  async handler({ supabase, res, caller, params, body }) {
+    if (body.amount === 0) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [{ location: "body", field: "amount", message: "must not be zero" }],
+      });
+    }
+
+    const { booking, error: bookingError } = await loadBooking(supabase, params.id);
+    if (bookingError) {
+      return res.status(500).json({ error: bookingError.message });
+    }
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (!canManageTurf(caller, booking.owner_id)) {
+      return forbid(res, "Only the turf owner can record payments.");
+    }
+
+    const { data, error } = await supabase.rpc("record_booking_payment", {
+      p_booking_id: booking.id,
+      p_amount: body.amount,
+      p_mode: body.mode,
+      p_reference: body.reference || null,
+      p_note: body.note || null,
+      p_collected_by: caller.id,
+      p_collected_by_role: caller.role,
+    });
+
+    if (error) {
+      return res.status(paymentErrorStatus(error)).json({ error: error.message });
+    }
+
+    return res.json({
+      paymentId: data.payment_id,
+      bookingId: data.booking_id,
+      paidAmount: Number(data.paid_amount),
+      balance: Number(data.balance),
+      overpayment: Number(data.overpayment),
+      paymentStatus: data.payment_status,
+      slotStatus: data.slot_status,
+    });
+  },
+};
+
+export default [listPayments, recordPayment];
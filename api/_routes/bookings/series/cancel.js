@@ -0,0 +1,73 @@
+import { canManageTurf, forbid } from "../../../_utils/auth.js";
+import { bookingErrorStatus, getSeries } from "../../../_utils/bookings.js";
+import {
+  CANCELLATION_BOOKING_COLUMNS,
+  evaluateCancellations,
+} from "../../../_utils/cancellation.js";
+
+export default {
+  method: "POST",
+  path: "/bookings/series/:id/cancel",
+  auth: true,
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  body: {
+    // Omit to cancel the whole series
+    fromDate: { type: "date" },
+    cancelledBy: { type: "string", maxLength: 100 },
+    reason: { type: "string", maxLength: 500 },
+  },
+  async handler({ supabase, res, caller, params, body }) {
+    const { series, error: seriesError } = await getSeries(supabase, params.id);
+    if (seriesError) {
+      return res.status(500).json({ error: seriesError.message });
+    }
+    if (!series) {
+      return res.status(404).json({ error: "Booking series not found" });
+    }
+
+    const isManager = canManageTurf(caller, series.owner_id);
+    const isPlayer = !!series.user_id && series.user_id === caller.id;
+    if (!isPlayer && !isManager) {
+      return forbid(res, "Only the turf owner or the series' player can cancel.");
+    }
+    if (series.status === "CANCELLED") {
+      return res.status(409).json({ error: "Booking series is already cancelled." });
+    }
+
+    // The occurrences cancel_booking_series will cancel
+    let query = supabase
+      .from("bookings")
+      .select(CANCELLATION_BOOKING_COLUMNS)
+      .eq("series_id", series.id)
+      .eq("booking_status", "CONFIRMED");
+    if (body.fromDate) query = query.gte("booking_date", body.fromDate);
+    const { data: bookings, error: bookingsError } = await query;
+    if (bookingsError) {
+      return res.status(500).json({ error: bookingsError.message });
+    }
+
+    const { blocked, refunds, refundAmount } = evaluateCancellations({
+      bookings,
+      initiator: isManager ? "OWNER" : "PLAYER",
+    });
+    if (blocked) {
+      return res.status(403).json({ error: blocked.reason, cancellation: blocked });
+    }
+
+    const { data, error } = await supabase.rpc("cancel_booking_series", {
+      p_series_id: series.id,
+      p_from_date: body.fromDate || null,
+      p_cancelled_by: body.cancelledBy || caller.role,
+      p_cancel_reason: body.reason || null,
+      p_refunds: refunds,
+    });
+
+    if (error) {
+      return res.status(bookingErrorStatus(error)).json({ error: error.message });
+    }
+
+    return res.json({ success: true, cancelled: data, refundAmount });
+  },
+};
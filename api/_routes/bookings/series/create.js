@@ -0,0 +1,112 @@
+import { canManageTurf, forbid } from "../../../_utils/auth.js";
+import {
+  MAX_SERIES_DAYS,
+  WEEKDAYS,
+  bookingErrorStatus,
+  formatOccurrences,
+  generateSeriesSlots,
+} from "../../../_utils/bookings.js";
+import { addDays } from "../../../_utils/slots.js";
+
+export default {
+  method: "POST",
+  path: "/bookings/series",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  body: {
+    turfId: { type: "uuid", required: true },
+    netNumber: { type: "integer", min: 1, default: 1 },
+    weekday: { type: "enum", values: WEEKDAYS, uppercase: true, required: true },
+    startTime: { type: "time", required: true },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    customerName: { type: "string", maxLength: 100, required: true },
+    customerPhone: { type: "string", maxLength: 20, required: true },
+    userId: { type: "uuid" },
+    bookingSource: {
+      type: "enum",
+      values: ["PHONE", "WALK_IN", "APP"],
+      uppercase: true,
+      default: "PHONE",
+    },
+    paymentStatus: {
+      type: "enum",
+      values: ["PAY_AT_TURF", "PENDING"],
+      uppercase: true,
+      default: "PAY_AT_TURF",
+    },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { turfId, netNumber, weekday, startTime, startDate, endDate } = body;
+
+    if (endDate < startDate || endDate >= addDays(startDate, MAX_SERIES_DAYS)) {
+      return res.status(400).json({
+        error: `Date range must be between 1 and ${MAX_SERIES_DAYS} days.`,
+      });
+    }
+
+    const { data: turf, error: turfError } = await supabase
+      .from("turfs")
+      .select("id, owner_id, number_of_nets, days_open")
+      .eq("id", turfId)
+      .maybeSingle();
+
+    if (turfError) {
+      return res.status(500).json({ error: turfError.message });
+    }
+    if (!turf) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+    if (!canManageTurf(caller, turf.owner_id)) {
+      return forbid(res, "Only the turf owner can create booking series.");
+    }
+    if (netNumber > (turf.number_of_nets || 1)) {
+      return res.status(400).json({ error: "Turf has no such net." });
+    }
+    if (!(turf.days_open || []).includes(weekday)) {
+      return res.status(400).json({ error: `Turf is closed on ${weekday}.` });
+    }
+
+    // Occurrences can only be booked against real slot rows
+    let generated;
+    try {
+      generated = await generateSeriesSlots(supabase, {
+        turfId,
+        weekday,
+        startDate,
+        endDate,
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+    if (!generated) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+
+    const { data, error } = await supabase.rpc("create_booking_series", {
+      p_series: {
+        turf_id: turfId,
+        net_number: netNumber,
+        weekday,
+        start_time: startTime,
+        start_date: startDate,
+        end_date: endDate,
+        user_id: body.userId || null,
+        customer_name: body.customerName,
+        customer_phone: body.customerPhone,
+        booking_source: body.bookingSource,
+        payment_mode: "OFFLINE",
+        payment_status: body.paymentStatus,
+        created_by: caller.role,
+      },
+    });
+
+    if (error) {
+      return res.status(bookingErrorStatus(error)).json({ error: error.message });
+    }
+
+    return res.json({
+      seriesId: data.series_id,
+      occurrences: formatOccurrences(data.occurrences),
+    });
+  },
+};
@@ -0,0 +1,39 @@
+import { canManageTurf, forbid } from "../../../_utils/auth.js";
+import { getSeries } from "../../../_utils/bookings.js";
+
+export default {
+  method: "GET",
+  path: "/bookings/series/:id",
+  auth: true,
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, params }) {
+    const { series, error } = await getSeries(supabase, params.id);
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!series) {
+      return res.status(404).json({ error: "Booking series not found" });
+    }
+
+    const isPlayer = !!series.user_id && series.user_id === caller.id;
+    if (!isPlayer && !canManageTurf(caller, series.owner_id)) {
+      return forbid(res, "You do not have access to this booking series.");
+    }
+
+    const { data: bookings, error: bookingsError } = await supabase
+      .from("bookings")
+      .select(
+        "id, slot_id, booking_date, start_time, end_time, net_number, amount, advance_amount, payment_status, booking_status",
+      )
+      .eq("series_id", series.id)
+      .order("booking_date", { ascending: true });
+
+    if (bookingsError) {
+      return res.status(500).json({ error: bookingsError.message });
+    }
+
+    return res.json({ series, bookings });
+  },
+};
@@ -0,0 +1,151 @@
+import { canManageTurf, forbid } from "../../../_utils/auth.js";
+import {
+  MAX_SERIES_DAYS,
+  WEEKDAYS,
+  bookingErrorStatus,
+  formatOccurrences,
+  generateSeriesSlots,
+  getSeries,
+} from "../../../_utils/bookings.js";
+import {
+  CANCELLATION_BOOKING_COLUMNS,
+  evaluateCancellations,
+} from "../../../_utils/cancellation.js";
+import { addDays } from "../../../_utils/slots.js";
+import { localDate } from "../../../_utils/time.js";
+
+export default {
+  method: "PATCH",
+  path: "/bookings/series/:id",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  body: {
+    fromDate: { type: "date" },
+    netNumber: { type: "integer", min: 1 },
+    weekday: { type: "enum", values: WEEKDAYS, uppercase: true },
+    startTime: { type: "time" },
+    endDate: { type: "date" },
+    customerName: { type: "string", maxLength: 100 },
+    customerPhone: { type: "string", maxLength: 20 },
+  },
+  async handler({ supabase, res, caller, params, body }) {
+    const { series, error: seriesError } = await getSeries(supabase, params.id);
+    if (seriesError) {
+      return res.status(500).json({ error: seriesError.message });
+    }
+    if (!series) {
+      return res.status(404).json({ error: "Booking series not found" });
+    }
+    if (!canManageTurf(caller, series.owner_id)) {
+      return forbid(res, "Only the turf owner can edit booking series.");
+    }
+
+    const changes = {};
+    if (body.netNumber !== undefined) changes.net_number = body.netNumber;
+    if (body.weekday !== undefined) changes.weekday = body.weekday;
+    if (body.startTime !== undefined) changes.start_time = body.startTime;
+    if (body.endDate !== undefined) changes.end_date = body.endDate;
+    if (body.customerName !== undefined) changes.customer_name = body.customerName;
+    if (body.customerPhone !== undefined) changes.customer_phone = body.customerPhone;
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "Nothing to update." });
+    }
+
+    // Past occurrences are never rewritten
+    const today = localDate();
+    let fromDate = body.fromDate && body.fromDate > today ? body.fromDate : today;
+    if (fromDate < series.start_date) fromDate = series.start_date;
+    const endDate = changes.end_date || series.end_date;
+    if (endDate < series.start_date || endDate >= addDays(series.start_date, MAX_SERIES_DAYS)) {
+      return res.status(400).json({
+        error: `Series may span at most ${MAX_SERIES_DAYS} days.`,
+      });
+    }
+
+    const { data: turf, error: turfError } = await supabase
+      .from("turfs")
+      .select("id, number_of_nets, days_open")
+      .eq("id", series.turf_id)
+      .maybeSingle();
+    if (turfError) {
+      return res.status(500).json({ error: turfError.message });
+    }
+    if (!turf) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+    if (changes.net_number > (turf.number_of_nets || 1)) {
+      return res.status(400).json({ error: "Turf has no such net." });
+    }
+    if (changes.weekday && !(turf.days_open || []).includes(changes.weekday)) {
+      return res.status(400).json({ error: `Turf is closed on ${changes.weekday}.` });
+    }
+
+    // Mirrors v_reschedule in update_booking_series: these changes cancel the
+    // occurrences from fromDate onward and book them again, so what was paid
+    // on them is refunded as on an owner cancellation
+    const reschedule = ["net_number", "weekday", "start_time", "end_date"].some(
+      (key) => key in changes,
+    );
+    let refunds = null;
+    let refundAmount = 0;
+    if (reschedule) {
+      const { data: bookings, error: bookingsError } = await supabase
+        .from("bookings")
+        .select(CANCELLATION_BOOKING_COLUMNS)
+        .eq("series_id", series.id)
+        .eq("booking_status", "CONFIRMED")
+        .gte("booking_date", fromDate);
+      if (bookingsError) {
+        return res.status(500).json({ error: bookingsError.message });
+      }
+
+      const evaluated = evaluateCancellations({ bookings, initiator: "OWNER" });
+      if (evaluated.blocked) {
+        return res
+          .status(403)
+          .json({ error: evaluated.blocked.reason, cancellation: evaluated.blocked });
+      }
+      ({ refunds, refundAmount } = evaluated);
+    }
+
+    if (reschedule && fromDate <= endDate) {
+      let generated;
+      try {
+        generated = await generateSeriesSlots(supabase, {
+          turfId: series.turf_id,
+          weekday: changes.weekday || series.weekday,
+          startDate: fromDate,
+          endDate,
+        });
+      } catch (e) {
+        return res.status(500).json({ error: e.message });
+      }
+      if (!generated) {
+        return res.status(404).json({ error: "Turf not found" });
+      }
+    }
+
+    const { data, error } = await supabase.rpc("update_booking_series", {
+      p_series_id: series.id,
+      p_from_date: fromDate,
+      p_changes: changes,
+      p_updated_by: caller.role,
+      p_refunds: refunds,
+    });
+
+    if (error) {
+      return res.status(bookingErrorStatus(error)).json({ error: error.message });
+    }
+
+    return res.json({
+      seriesId: data.series_id,
+      fromDate,
+      cancelled: data.cancelled,
+      refundAmount,
+      occurrences: formatOccurrences(data.occurrences),
+    });
+  },
+};
@@ -0,0 +1,41 @@
+import {
+  buildPlayerCalendar,
+  buildTurfCalendar,
+  findFeed,
+} from "../../_utils/calendar-feeds.js";
+import { sendCalendar } from "../../_utils/ical.js";
+
+// Calendar apps fetch this without credentials; the token is the secret
+export default {
+  method: "GET",
+  path: "/calendar/:token",
+  auth: false,
+  params: {
+    token: { type: "string", required: true, maxLength: 100 },
+  },
+  async handler({ supabase, res, params }) {
+    const token = params.token.replace(/\.ics$/, "");
+    const { feed, error } = await findFeed(supabase, token);
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!feed) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    const calendar =
+      feed.scope === "TURF"
+        ? await buildTurfCalendar(supabase, feed)
+        : await buildPlayerCalendar(supabase, feed);
+    if (!calendar) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    await supabase
+      .from("calendar_feeds")
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq("id", feed.id);
+
+    return sendCalendar(res, calendar.filename, calendar.body);
+  },
+};
@@ -0,0 +1,83 @@
+import { canManageTurf, forbid, getTurfOwnerId } from "../../_utils/auth.js";
+import {
+  feedUrl,
+  hashFeedToken,
+  newFeedToken,
+} from "../../_utils/calendar-feeds.js";
+
+// Issues the feed URL for a turf (owner) or the caller's own bookings
+// (player). Calling again rotates the token and retires the old URL.
+export default {
+  method: "POST",
+  path: "/calendar/feeds",
+  auth: { roles: ["OWNER", "PLAYER", "ADMIN"] },
+  body: {
+    scope: { type: "enum", values: ["TURF", "PLAYER"], required: true, uppercase: true },
+    turfId: { type: "uuid" },
+    netNumber: { type: "integer", min: 1 },
+  },
+  async handler({ supabase, req, res, caller, body }) {
+    let feed;
+    if (body.scope === "TURF") {
+      if (!body.turfId) {
+        return res.status(400).json({
+          error: "Invalid request.",
+          fields: [{ location: "body", field: "turfId", message: "is required for TURF feeds" }],
+        });
+      }
+      const { ownerId, error } = await getTurfOwnerId(supabase, body.turfId);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      if (!ownerId) {
+        return res.status(404).json({ error: "Turf not found" });
+      }
+      if (!canManageTurf(caller, ownerId)) {
+        return forbid(res, "Only the turf owner can publish its calendar.");
+      }
+      feed = { scope: "TURF", turf_id: body.turfId, net_number: body.netNumber ?? null };
+    } else {
+      if (caller.role !== "PLAYER") {
+        return forbid(res, "Only players have a bookings calendar.");
+      }
+      feed = { scope: "PLAYER", player_id: caller.id };
+    }
+
+    let stale = supabase
+      .from("calendar_feeds")
+      .delete()
+      .eq("scope", feed.scope);
+    if (feed.scope === "TURF") {
+      stale = stale.eq("turf_id", feed.turf_id);
+      stale = feed.net_number
+        ? stale.eq("net_number", feed.net_number)
+        : stale.is("net_number", null);
+    } else {
+      stale = stale.eq("player_id", feed.player_id);
+    }
+    const { error: deleteError } = await stale;
+    if (deleteError) {
+      return res.status(500).json({ error: deleteError.message });
+    }
+
+    const token = newFeedToken();
+    const { error } = await supabase.from("calendar_feeds").insert({
+      ...feed,
+      token_hash: hashFeedToken(token),
+      created_by: caller.id,
+    });
+    if (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ error: "Feed is being rotated; try again." });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({
+      scope: feed.scope,
+      turfId: feed.turf_id ?? null,
+      netNumber: feed.net_number ?? null,
+      url: feedUrl(req, token),
+    });
+  },
+};
@@ -0,0 +1,26 @@
+import { buildVersion, runHealthChecks } from "../_utils/health.js";
+
+// Public liveness and readiness: 200 when the database answers and the image
+// buckets exist, 503 otherwise. Failure detail goes to the log only.
+export default {
+  method: "GET",
+  path: "/health",
+  auth: false,
+  async handler({ supabase, res, log }) {
+    const { ok, checks, details } = await runHealthChecks(supabase);
+    for (const [name, error] of Object.entries(details)) {
+      log.warn("health_check_failed", { check: name, error });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(ok ? 200 : 503).json({
+      ok,
+      status: ok ? "ok" : "degraded",
+      version: buildVersion(),
+      environment: process.env.VERCEL_ENV || process.env.NODE_ENV || "development",
+      time: new Date().toISOString(),
+      uptimeSeconds: Math.round(process.uptime()),
+      checks,
+    });
+  },
+};
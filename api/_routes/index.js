@@ -0,0 +1,106 @@
+// Single route table mounted by server/index.js and the api/* Vercel entries.
+// Paths are relative: Vercel serves them under /api, Express under / and /api.
+
+import health from "./health.js";
+import metrics from "./metrics.js";
+import ownerExists from "./auth/owner-exists.js";
+import createOwner from "./auth/create-owner.js";
+import createPlayer from "./auth/create-player.js";
+import reserveSlot from "./slots/reserve.js";
+import releaseSlot from "./slots/release.js";
+import bookSlot from "./slots/book.js";
+import generateSlots from "./slots/generate.js";
+import createBooking from "./bookings/create.js";
+import cancelBooking from "./bookings/cancel.js";
+import createBookingGroup from "./bookings/create-group.js";
+import cancelBookingGroup from "./bookings/cancel-group.js";
+import cancelPreview from "./bookings/cancel-preview.js";
+import bookingPayments from "./bookings/payments.js";
+import createSeries from "./bookings/series/create.js";
+import getSeries from "./bookings/series/get.js";
+import updateSeries from "./bookings/series/update.js";
+import cancelSeries from "./bookings/series/cancel.js";
+import createPaymentOrder from "./payments/create-order.js";
+import paymentWebhook from "./payments/webhook.js";
+import uploadImage from "./storage/upload-image.js";
+import deleteImage from "./storage/delete-image.js";
+import profileImage from "./storage/profile-image.js";
+import approveTurf from "./admin/approve-turf.js";
+import listTurfs from "./admin/turfs.js";
+import reviewTurf from "./admin/review-turf.js";
+import suspend from "./admin/suspend.js";
+import auditLog from "./admin/audit-log.js";
+import expireReservations from "./jobs/expire-reservations.js";
+import dispatchNotifications from "./jobs/dispatch-notifications.js";
+import ownerReport from "./reports/owner.js";
+import searchTurfs from "./turfs/search.js";
+import turfAvailability from "./turfs/availability.js";
+import cancellationPolicy from "./turfs/cancellation-policy.js";
+import turfWaitlist from "./turfs/waitlist.js";
+import turfBlackouts from "./turfs/blackouts.js";
+import liftBlackout from "./blackouts/lift.js";
+import waitlistEntries from "./waitlist/entries.js";
+import cancelWaitlistEntry from "./waitlist/cancel.js";
+import promoCodes from "./promo-codes/codes.js";
+import updatePromoCode from "./promo-codes/update.js";
+import validatePromoCode from "./promo-codes/validate.js";
+import calendarFeeds from "./calendar/feeds.js";
+import calendarFeed from "./calendar/feed.js";
+import playerProfile from "./players/profile.js";
+import playerBookings from "./players/bookings.js";
+import rebook from "./players/rebook.js";
+import favoriteTurfs from "./players/favorites.js";
+import playerAccount from "./players/account.js";
+
+export const routes = [
+  health,
+  metrics,
+  ownerExists,
+  createOwner,
+  createPlayer,
+  reserveSlot,
+  releaseSlot,
+  bookSlot,
+  generateSlots,
+  createBooking,
+  cancelBooking,
+  createBookingGroup,
+  cancelBookingGroup,
+  cancelPreview,
+  ...bookingPayments,
+  createSeries,
+  getSeries,
+  updateSeries,
+  cancelSeries,
+  createPaymentOrder,
+  paymentWebhook,
+  uploadImage,
+  deleteImage,
+  ...profileImage,
+  approveTurf,
+  listTurfs,
+  reviewTurf,
+  suspend,
+  auditLog,
+  ...expireReservations,
+  ...dispatchNotifications,
+  ownerReport,
+  searchTurfs,
+  turfAvailability,
+  ...cancellationPolicy,
+  turfWaitlist,
+  ...turfBlackouts,
+  liftBlackout,
+  ...waitlistEntries,
+  cancelWaitlistEntry,
+  ...promoCodes,
+  validatePromoCode,
+  updatePromoCode,
+  calendarFeeds,
+  calendarFeed,
+  ...playerProfile,
+  playerBookings,
+  rebook,
+  ...favoriteTurfs,
+  ...playerAccount,
+];
@@ -0,0 +1,16 @@
+import { dispatchNotifications } from "../../_utils/jobs.js";
+
+const route = {
+  path: "/jobs/dispatch-notifications",
+  auth: "cron",
+  async handler({ supabase, res }) {
+    const result = await dispatchNotifications(supabase);
+    return res.json(result);
+  },
+};
+
+// Vercel Cron invokes with GET; manual runs POST
+export default [
+  { ...route, method: "GET" },
+  { ...route, method: "POST" },
+];
@@ -0,0 +1,16 @@
+import { expireReservations } from "../../_utils/jobs.js";
+
+const route = {
+  path: "/jobs/expire-reservations",
+  auth: "cron",
+  async handler({ supabase, res }) {
+    const result = await expireReservations(supabase);
+    return res.json(result);
+  },
+};
+
+// Vercel Cron invokes with GET; manual runs POST
+export default [
+  { ...route, method: "GET" },
+  { ...route, method: "POST" },
+];
@@ -0,0 +1,12 @@
+import { metricsSnapshot } from "../_utils/metrics.js";
+
+// Request counts, error counts and latency per route for this process
+export default {
+  method: "GET",
+  path: "/metrics",
+  auth: "cron",
+  async handler({ res }) {
+    res.setHeader("Cache-Control", "no-store");
+    return res.json(metricsSnapshot());
+  },
+};
@@ -0,0 +1,105 @@
+import { loadPaymentProvider } from "../../_utils/payments.js";
+
+export default {
+  method: "POST",
+  path: "/payments/create-order",
+  auth: true,
+  body: {
+    slotId: { type: "uuid", required: true },
+    customerName: { type: "string", maxLength: 100 },
+    customerPhone: { type: "string", maxLength: 20 },
+  },
+  async handler({ supabase, log, res, caller, body }) {
+    const { slotId, customerName, customerPhone } = body;
+    const { provider, error: providerError } = loadPaymentProvider();
+    if (!provider) {
+      log.error("payments_not_configured", { error: providerError.message });
+      return res.status(503).json({
+        error: "Online payments are not available right now.",
+        code: "PAYMENTS_UNAVAILABLE",
+      });
+    }
+
+    // Retried checkouts reuse the open order instead of double-booking
+    const { data: openOrder, error: openError } = await supabase
+      .from("payment_orders")
+      .select("provider, provider_order_id, booking_id, amount, currency")
+      .eq("slot_id", slotId)
+      .eq("user_id", caller.id)
+      .eq("status", "CREATED")
+      .maybeSingle();
+
+    if (openError) {
+      return res.status(500).json({ error: openError.message });
+    }
+    if (openOrder) {
+      return res.json({
+        provider: openOrder.provider,
+        orderId: openOrder.provider_order_id,
+        bookingId: openOrder.booking_id,
+        amount: Number(openOrder.amount),
+        currency: openOrder.currency,
+      });
+    }
+
+    const { data: slot, error: slotError } = await supabase
+      .from("slots")
+      .select("id, status, reserved_by, reserved_until, price")
+      .eq("id", slotId)
+      .maybeSingle();
+
+    if (slotError) {
+      return res.status(500).json({ error: slotError.message });
+    }
+    if (!slot) {
+      return res.status(404).json({ error: "Slot not found" });
+    }
+
+    const heldByCaller =
+      slot.status === "RESERVED" &&
+      slot.reserved_by === caller.id &&
+      new Date(slot.reserved_until) > new Date();
+    if (!heldByCaller) {
+      return res
+        .status(409)
+        .json({ error: "Reserve the slot before starting payment." });
+    }
+
+    const amount = Number(slot.price);
+    const order = await provider.createOrder({
+      amount,
+      currency: "INR",
+      receipt: slot.id,
+      notes: { slot_id: slot.id, user_id: caller.id },
+    });
+
+    const { data: bookingId, error } = await supabase.rpc(
+      "start_online_payment",
+      {
+        p_slot_id: slot.id,
+        p_user_id: caller.id,
+        p_provider: provider.name,
+        p_provider_order_id: order.orderId,
+        p_booking_data: {
+          customer_name: customerName || caller.profile?.name || "",
+          customer_phone: customerPhone || caller.profile?.phone || "",
+          currency: order.currency,
+        },
+      },
+    );
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({
+      provider: provider.name,
+      orderId: order.orderId,
+      bookingId,
+      amount,
+      currency: order.currency,
+      checkout: order.checkout,
+      expiresAt: slot.reserved_until,
+    });
+  },
+};
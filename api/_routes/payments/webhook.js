@@ -0,0 +1,52 @@
+import { loadPaymentProvider } from "../../_utils/payments.js";
+
+export default {
+  method: "POST",
+  path: "/payments/webhook",
+  auth: false,
+  // Signature is computed over the exact bytes the gateway sent
+  rawBody: true,
+  async handler({ supabase, log, req, res, rawBody, body: payload }) {
+    const { provider, error: providerError } = loadPaymentProvider();
+    if (!provider) {
+      log.error("payments_not_configured", { error: providerError.message });
+      return res.status(503).json({
+        error: "Online payments are not available right now.",
+        code: "PAYMENTS_UNAVAILABLE",
+      });
+    }
+
+    if (!provider.verifySignature(rawBody, req.headers)) {
+      return res.status(401).json({ error: "Invalid signature" });
+    }
+
+    const event = provider.parseEvent(payload);
+    if (!event.type || !event.orderId) {
+      return res.json({ received: true, ignored: true });
+    }
+
+    const { data, error } =
+      event.type === "PAID"
+        ? await supabase.rpc("confirm_online_payment", {
+            p_provider: provider.name,
+            p_provider_order_id: event.orderId,
+            p_transaction_id: event.transactionId,
+            p_amount: event.amount,
+          })
+        : await supabase.rpc("fail_online_payment", {
+            p_provider: provider.name,
+            p_provider_order_id: event.orderId,
+            p_status: event.type,
+            p_reason: event.reason,
+          });
+
+    if (error) {
+      if (error.message?.includes("Payment order not found")) {
+        return res.status(404).json({ error: "Payment order not found" });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ received: true, status: data });
+  },
+};
@@ -0,0 +1,183 @@
+import {
+  IMAGE_BUCKETS,
+  removeImageObjects,
+  storagePathFromUrl,
+} from "../../_utils/images.js";
+import {
+  PLAYER_BOOKING_COLUMNS,
+  PLAYER_PROFILE_COLUMNS,
+  formatPlayerBooking,
+  formatPlayerProfile,
+  playerErrorStatus,
+} from "../../_utils/players.js";
+import { fetchAllRows } from "../../_utils/search.js";
+import { localDate } from "../../_utils/time.js";
+import { formatWaitlistEntry } from "../../_utils/waitlist.js";
+
+// Everything stored against the caller's player account, as one JSON download
+const exportAccount = {
+  method: "GET",
+  path: "/players/me/export",
+  auth: { roles: ["PLAYER"] },
+  async handler({ supabase, res, caller }) {
+    const { data: profile, error } = await supabase
+      .from("players")
+      .select(PLAYER_PROFILE_COLUMNS)
+      .eq("id", caller.id)
+      .single();
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const [bookings, series, waitlist, redemptions, payments, feeds] =
+      await Promise.all([
+        fetchAllRows(() =>
+          supabase
+            .from("bookings")
+            .select(PLAYER_BOOKING_COLUMNS)
+            .eq("user_id", caller.id)
+            .order("id"),
+        ),
+        fetchAllRows(() =>
+          supabase
+            .from("booking_series")
+            .select(
+              "id, turf_id, net_number, weekday, start_time, start_date, end_date, status, created_at",
+            )
+            .eq("user_id", caller.id)
+            .order("id"),
+        ),
+        fetchAllRows(() =>
+          supabase
+            .from("waitlist_entries")
+            .select("*, turf:turfs(turf_name)")
+            .eq("player_id", caller.id)
+            .order("id"),
+        ),
+        fetchAllRows(() =>
+          supabase
+            .from("promo_redemptions")
+            .select("booking_id, discount_amount, created_at")
+            .eq("player_id", caller.id)
+            .order("id"),
+        ),
+        fetchAllRows(() =>
+          supabase
+            .from("payment_orders")
+            .select("id, booking_id, provider, amount, currency, status, created_at")
+            .eq("user_id", caller.id)
+            .order("id"),
+        ),
+        fetchAllRows(() =>
+          supabase
+            .from("calendar_feeds")
+            .select("id, scope, created_at, last_accessed_at")
+            .eq("player_id", caller.id)
+            .order("id"),
+        ),
+      ]);
+
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="player-data-${localDate()}.json"`,
+    );
+    return res.json({
+      exportedAt: new Date().toISOString(),
+      profile: formatPlayerProfile(profile),
+      bookings: bookings.map(formatPlayerBooking),
+      bookingSeries: series.map((s) => ({
+        id: s.id,
+        turfId: s.turf_id,
+        netNumber: s.net_number,
+        weekday: s.weekday,
+        startTime: s.start_time,
+        startDate: s.start_date,
+        endDate: s.end_date,
+        status: s.status,
+        createdAt: s.created_at,
+      })),
+      waitlist: waitlist.map(formatWaitlistEntry),
+      promoRedemptions: redemptions.map((r) => ({
+        bookingId: r.booking_id,
+        discountAmount: Number(r.discount_amount),
+        createdAt: r.created_at,
+      })),
+      paymentOrders: payments.map((p) => ({
+        id: p.id,
+        bookingId: p.booking_id,
+        provider: p.provider,
+        amount: Number(p.amount),
+        currency: p.currency,
+        status: p.status,
+        createdAt: p.created_at,
+      })),
+      calendarFeeds: feeds.map((f) => ({
+        id: f.id,
+        scope: f.scope,
+        createdAt: f.created_at,
+        lastAccessedAt: f.last_accessed_at,
+      })),
+    });
+  },
+};
+
+// Deletes the player profile and sign-in. Owners keep their booking records
+// with the customer name and phone replaced. A caller whose profile is
+// already gone (an earlier attempt failed at the sign-in step) can retry.
+const deleteAccount = {
+  method: "DELETE",
+  path: "/players/me",
+  auth: { allowUnregistered: true },
+  async handler({ supabase, res, caller, log }) {
+    if (caller.role && caller.role !== "PLAYER") {
+      return res.status(403).json({ error: "Not allowed for this account type." });
+    }
+
+    let anonymised = null;
+    if (caller.role === "PLAYER") {
+      const { data, error } = await supabase.rpc("delete_player_account", {
+        p_player_id: caller.id,
+        p_today: localDate(),
+      });
+      if (error) {
+        const status = playerErrorStatus(error);
+        return res.status(status).json({
+          error:
+            status === 409
+              ? "Cancel or finish your upcoming bookings before deleting your account."
+              : error.message,
+        });
+      }
+      anonymised = {
+        bookings: data.anonymised_bookings,
+        series: data.anonymised_series,
+      };
+
+      const picture = caller.profile?.profile_image;
+      const path = picture && storagePathFromUrl(picture, IMAGE_BUCKETS.profile);
+      if (path && path.startsWith(`users/${caller.id}/`)) {
+        const { error: removeError } = await removeImageObjects(
+          supabase,
+          IMAGE_BUCKETS.profile,
+          path,
+        );
+        if (removeError) {
+          log.error("storage_remove_failed", { path, error: removeError });
+        }
+      }
+    }
+
+    const { error: authError } = await supabase.auth.admin.deleteUser(caller.id);
+    if (authError) {
+      log.error("auth_user_delete_failed", { userId: caller.id, error: authError });
+      return res.status(500).json({
+        error: "Your profile was removed but sign-in could not be deleted. Please try again.",
+        code: "ACCOUNT_DELETE_INCOMPLETE",
+      });
+    }
+
+    return res.json({ deleted: true, anonymised });
+  },
+};
+
+export default [exportAccount, deleteAccount];
@@ -0,0 +1,51 @@
+import {
+  BOOKING_STATUSES,
+  PLAYER_BOOKING_COLUMNS,
+  formatPlayerBooking,
+} from "../../_utils/players.js";
+import { localDate } from "../../_utils/time.js";
+
+// Upcoming bookings run soonest first (today included); past ones newest first
+export default {
+  method: "GET",
+  path: "/players/me/bookings",
+  auth: { roles: ["PLAYER"] },
+  query: {
+    scope: { type: "enum", values: ["UPCOMING", "PAST"], uppercase: true, default: "UPCOMING" },
+    status: { type: "enum", values: BOOKING_STATUSES, uppercase: true },
+    limit: { type: "integer", min: 1, max: 100, default: 20 },
+    offset: { type: "integer", min: 0, default: 0 },
+  },
+  async handler({ supabase, res, caller, query }) {
+    const { scope, status, limit, offset } = query;
+    const today = localDate();
+    const upcoming = scope === "UPCOMING";
+
+    let request = supabase
+      .from("bookings")
+      .select(PLAYER_BOOKING_COLUMNS, { count: "exact" })
+      .eq("user_id", caller.id);
+
+    request = upcoming
+      ? request.gte("booking_date", today)
+      : request.lt("booking_date", today);
+    if (status) request = request.eq("booking_status", status);
+
+    const { data, count, error } = await request
+      .order("booking_date", { ascending: upcoming })
+      .order("start_time", { ascending: upcoming })
+      .order("id")
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({
+      bookings: (data || []).map(formatPlayerBooking),
+      total: count ?? 0,
+      limit,
+      offset,
+    });
+  },
+};
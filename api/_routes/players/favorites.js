@@ -0,0 +1,144 @@
+import { TURF_GRID_COLUMNS, buildAvailability } from "../../_utils/availability.js";
+import {
+  MAX_FAVORITE_TURFS,
+  playerErrorStatus,
+  summarizeDay,
+} from "../../_utils/players.js";
+import { coverImage } from "../../_utils/search.js";
+import { localDate, localTime } from "../../_utils/time.js";
+
+// Favourites with a free/total slot summary for `date` (default today).
+// Turfs that were unapproved or closed since being saved stay listed, without
+// availability, so the player can still remove them.
+const listFavorites = {
+  method: "GET",
+  path: "/players/me/favorites",
+  auth: { roles: ["PLAYER"] },
+  query: {
+    date: { type: "date" },
+  },
+  async handler({ supabase, res, caller, query }) {
+    const today = localDate();
+    const date = query.date || today;
+    if (date < today) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [{ location: "query", field: "date", message: "is in the past" }],
+      });
+    }
+
+    const { data: player, error: playerError } = await supabase
+      .from("players")
+      .select("favorite_turfs")
+      .eq("id", caller.id)
+      .single();
+    if (playerError) {
+      return res.status(500).json({ error: playerError.message });
+    }
+
+    const ids = player.favorite_turfs || [];
+    if (ids.length === 0) {
+      return res.json({ date, favorites: [] });
+    }
+
+    const { data: turfs, error } = await supabase
+      .from("turfs")
+      .select(`${TURF_GRID_COLUMNS}, city, address, images`)
+      .in("id", ids);
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const byId = new Map((turfs || []).map((t) => [t.id, t]));
+    const nowTime = date === today ? localTime() : null;
+
+    const favorites = [];
+    for (const id of ids) {
+      const turf = byId.get(id);
+      if (!turf) continue;
+
+      const bookable = turf.is_approved && turf.status === "OPEN";
+      let availability = null;
+      if (bookable) {
+        const [day] = await buildAvailability(supabase, {
+          turf,
+          startDate: date,
+          endDate: date,
+          caller,
+          fullView: false,
+        });
+        availability = summarizeDay(day, nowTime);
+      }
+
+      favorites.push({
+        turfId: turf.id,
+        turfName: turf.turf_name,
+        city: turf.city,
+        address: turf.address,
+        coverImage: coverImage(turf.images),
+        bookable,
+        availability,
+      });
+    }
+
+    return res.json({ date, favorites });
+  },
+};
+
+const addFavorite = {
+  method: "PUT",
+  path: "/players/me/favorites/:turfId",
+  auth: { roles: ["PLAYER"] },
+  params: {
+    turfId: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, params }) {
+    const { data: turf, error: turfError } = await supabase
+      .from("turfs")
+      .select("id, is_approved")
+      .eq("id", params.turfId)
+      .maybeSingle();
+    if (turfError) {
+      return res.status(500).json({ error: turfError.message });
+    }
+    if (!turf || !turf.is_approved) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+
+    const { data, error } = await supabase.rpc("add_favorite_turf", {
+      p_player_id: caller.id,
+      p_turf_id: turf.id,
+      p_max_favorites: MAX_FAVORITE_TURFS,
+    });
+
+    if (error) {
+      return res.status(playerErrorStatus(error)).json({ error: error.message });
+    }
+
+    return res.json({ favoriteTurfs: data || [] });
+  },
+};
+
+// Removing a turf that is not a favourite is a no-op
+const removeFavorite = {
+  method: "DELETE",
+  path: "/players/me/favorites/:turfId",
+  auth: { roles: ["PLAYER"] },
+  params: {
+    turfId: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, params }) {
+    const { data, error } = await supabase.rpc("remove_favorite_turf", {
+      p_player_id: caller.id,
+      p_turf_id: params.turfId,
+    });
+
+    if (error) {
+      return res.status(playerErrorStatus(error)).json({ error: error.message });
+    }
+
+    return res.json({ favoriteTurfs: data || [] });
+  },
+};
+
+export default [listFavorites, addFavorite, removeFavorite];
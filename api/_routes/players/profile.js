@@ -0,0 +1,74 @@
+import {
+  NOTIFICATION_CHANNELS,
+  PLAYER_LANGUAGES,
+  PLAYER_PROFILE_COLUMNS,
+  formatPlayerProfile,
+} from "../../_utils/players.js";
+
+const getProfile = {
+  method: "GET",
+  path: "/players/me",
+  auth: { roles: ["PLAYER"] },
+  async handler({ supabase, res, caller }) {
+    const { data, error } = await supabase
+      .from("players")
+      .select(PLAYER_PROFILE_COLUMNS)
+      .eq("id", caller.id)
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json(formatPlayerProfile(data));
+  },
+};
+
+// Email and phone are tied to the auth user and change through Supabase Auth
+const updateProfile = {
+  method: "PATCH",
+  path: "/players/me",
+  auth: { roles: ["PLAYER"] },
+  body: {
+    name: { type: "string", maxLength: 100 },
+    preferredLanguage: { type: "enum", values: PLAYER_LANGUAGES },
+    notificationChannel: {
+      type: "enum",
+      values: NOTIFICATION_CHANNELS,
+      uppercase: true,
+    },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const changes = {};
+    if (body.name !== undefined) changes.name = body.name.trim();
+    if (body.preferredLanguage) changes.preferred_language = body.preferredLanguage;
+    if (body.notificationChannel) {
+      changes.notification_channel = body.notificationChannel;
+    }
+
+    if (changes.name === "") {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [{ location: "body", field: "name", message: "must not be blank" }],
+      });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "No profile changes given." });
+    }
+
+    const { data, error } = await supabase
+      .from("players")
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq("id", caller.id)
+      .select(PLAYER_PROFILE_COLUMNS)
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json(formatPlayerProfile(data));
+  },
+};
+
+export default [getProfile, updateProfile];
@@ -0,0 +1,164 @@
+import {
+  MAX_GROUP_SLOTS,
+  bookingErrorBody,
+  bookingErrorStatus,
+} from "../../_utils/bookings.js";
+import { generateSlots } from "../../_utils/slots.js";
+import { localDate, localTime } from "../../_utils/time.js";
+
+// Long enough to cover the group insert that follows
+const REBOOK_HOLD_MINUTES = 5;
+
+function invalid(res, field, message) {
+  return res.status(400).json({
+    error: "Invalid request.",
+    fields: [{ location: "body", field, message }],
+  });
+}
+
+// Books the turf, net and start time of one of the caller's past bookings on
+// each of `dates`, as a single group: every date is booked or none is.
+// Rebooked slots are paid at the turf, like other app bookings without an
+// online payment.
+export default {
+  method: "POST",
+  path: "/players/me/rebook",
+  auth: { roles: ["PLAYER"] },
+  body: {
+    bookingId: { type: "uuid", required: true },
+    dates: {
+      type: "array",
+      items: { type: "date" },
+      minItems: 1,
+      maxItems: MAX_GROUP_SLOTS,
+      required: true,
+    },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const dates = [...body.dates].sort();
+    if (new Set(dates).size !== dates.length) {
+      return invalid(res, "dates", "must not repeat a date");
+    }
+
+    const { data: source, error: sourceError } = await supabase
+      .from("bookings")
+      .select("id, turf_id, net_number, start_time")
+      .eq("id", body.bookingId)
+      .eq("user_id", caller.id)
+      .maybeSingle();
+    if (sourceError) {
+      return res.status(500).json({ error: sourceError.message });
+    }
+    if (!source) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    const today = localDate();
+    if (dates[0] < today || (dates[0] === today && source.start_time <= localTime())) {
+      return invalid(res, "dates", `${dates[0]} is in the past`);
+    }
+
+    const { data: turf, error: turfError } = await supabase
+      .from("turfs")
+      .select("id, is_approved, status")
+      .eq("id", source.turf_id)
+      .maybeSingle();
+    if (turfError) {
+      return res.status(500).json({ error: turfError.message });
+    }
+    if (!turf || !turf.is_approved || turf.status !== "OPEN") {
+      return res.status(409).json({ error: "This turf is not taking bookings." });
+    }
+
+    const slots = [];
+    for (const date of dates) {
+      const generated = await generateSlots(supabase, {
+        turfId: turf.id,
+        startDate: date,
+        endDate: date,
+      });
+      if (generated.closedDates.includes(date)) {
+        return res.status(409).json({ error: "The turf is closed on this date.", date });
+      }
+
+      const { data: slot, error } = await supabase
+        .from("slots")
+        .select("id, date, status, reserved_by, reserved_until")
+        .eq("turf_id", turf.id)
+        .eq("date", date)
+        .eq("net_number", source.net_number)
+        .eq("start_time", source.start_time)
+        .maybeSingle();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      if (!slot) {
+        return res
+          .status(409)
+          .json({ error: "The turf no longer offers this slot on this date.", date });
+      }
+      slots.push(slot);
+    }
+
+    // Every slot is held for the caller before the group is booked, as the app
+    // holds a slot before a single booking. Holds taken here are released if
+    // the rebook does not go through.
+    const held = [];
+    const releaseHeld = () =>
+      Promise.all(held.map((id) => supabase.rpc("release_slot", { p_slot_id: id })));
+    const now = new Date();
+    for (const slot of slots) {
+      const heldByCaller =
+        slot.status === "RESERVED" &&
+        slot.reserved_by === caller.id &&
+        !!slot.reserved_until &&
+        new Date(slot.reserved_until) > now;
+      if (heldByCaller) continue;
+
+      const { data: reserved, error } = await supabase.rpc("reserve_slot", {
+        p_slot_id: slot.id,
+        p_reserved_by: caller.id,
+        p_reservation_minutes: REBOOK_HOLD_MINUTES,
+      });
+      if (error) {
+        await releaseHeld();
+        return res.status(500).json({ error: error.message });
+      }
+      if (!reserved) {
+        await releaseHeld();
+        return res
+          .status(409)
+          .json({ error: "This slot is no longer available.", date: slot.date });
+      }
+      held.push(slot.id);
+    }
+
+    const { data, error } = await supabase.rpc("create_booking_group", {
+      p_slot_ids: slots.map((slot) => slot.id),
+      p_booking_data: {
+        turf_id: turf.id,
+        user_id: caller.id,
+        customer_name: caller.profile.name,
+        customer_phone: caller.profile.phone,
+        booking_source: "APP",
+        payment_mode: "OFFLINE",
+        payment_status: "PAY_AT_TURF",
+        advance_amount: 0,
+        created_by: caller.role,
+      },
+      p_user_id: caller.id,
+    });
+
+    if (error) {
+      await releaseHeld();
+      return res.status(bookingErrorStatus(error)).json(bookingErrorBody(error));
+    }
+
+    return res.json({
+      groupId: data.group_id,
+      bookingIds: data.booking_ids,
+      amount: Number(data.amount),
+      advanceAmount: Number(data.advance_amount),
+    });
+  },
+};
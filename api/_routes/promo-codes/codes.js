@@ -0,0 +1,157 @@
+import {
+  DISCOUNT_TYPES,
+  PROMO_DAY_TYPES,
+  PROMO_TIME_SLOTS,
+  formatPromoCode,
+  isValidPromoCode,
+  normalizePromoCode,
+} from "../../_utils/promos.js";
+
+// Shared by create and update; update treats every field as optional
+export const PROMO_FIELDS = {
+  code: { type: "string", maxLength: 32 },
+  description: { type: "string", maxLength: 200 },
+  discountType: { type: "enum", values: DISCOUNT_TYPES, uppercase: true },
+  discountValue: { type: "number", min: 0.01 },
+  maxDiscount: { type: "number", min: 0 },
+  minAmount: { type: "number", min: 0 },
+  validFrom: { type: "date" },
+  validUntil: { type: "date" },
+  turfIds: { type: "array", items: { type: "uuid" }, maxItems: 50 },
+  dayTypes: { type: "array", items: { type: "enum", values: PROMO_DAY_TYPES } },
+  timeSlots: { type: "array", items: { type: "enum", values: PROMO_TIME_SLOTS } },
+  firstBookingOnly: { type: "boolean" },
+  maxRedemptions: { type: "integer", min: 1 },
+  perPlayerLimit: { type: "integer", min: 1 },
+  isActive: { type: "boolean" },
+};
+
+const COLUMNS = {
+  code: "code",
+  description: "description",
+  discountType: "discount_type",
+  discountValue: "discount_value",
+  maxDiscount: "max_discount",
+  minAmount: "min_amount",
+  validFrom: "valid_from",
+  validUntil: "valid_until",
+  turfIds: "turf_ids",
+  dayTypes: "day_types",
+  timeSlots: "time_slots",
+  firstBookingOnly: "first_booking_only",
+  maxRedemptions: "max_redemptions",
+  perPlayerLimit: "per_player_limit",
+  isActive: "is_active",
+};
+
+export function promoRow(body) {
+  const row = {};
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    if (body[field] !== undefined) row[column] = body[field];
+  }
+  if (row.code !== undefined) row.code = normalizePromoCode(row.code);
+  return row;
+}
+
+// Returns a field error for rules that span fields, checked against the
+// merged row so partial updates are validated too
+export async function checkPromoRow(supabase, ownerId, row) {
+  if (row.code !== undefined && !isValidPromoCode(row.code)) {
+    return { field: "code", message: "must be 3-32 letters, digits, - or _" };
+  }
+  if (row.discount_type === "PERCENT" && Number(row.discount_value) > 100) {
+    return { field: "discountValue", message: "must be at most 100 for PERCENT" };
+  }
+  if (row.valid_from && row.valid_until && row.valid_from > row.valid_until) {
+    return { field: "validUntil", message: "must not be before validFrom" };
+  }
+  if (row.turf_ids?.length) {
+    const { data, error } = await supabase
+      .from("turfs")
+      .select("id")
+      .eq("owner_id", ownerId)
+      .in("id", row.turf_ids);
+    if (error) throw error;
+    if ((data || []).length !== new Set(row.turf_ids).size) {
+      return { field: "turfIds", message: "must all be turfs of the code's owner" };
+    }
+  }
+  return null;
+}
+
+export function fieldError(res, { field, message }) {
+  return res.status(400).json({
+    error: "Invalid request.",
+    fields: [{ location: "body", field, message }],
+  });
+}
+
+const listCodes = {
+  method: "GET",
+  path: "/promo-codes",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  query: {
+    ownerId: { type: "uuid" },
+  },
+  async handler({ supabase, res, caller, query }) {
+    let request = supabase.from("promo_codes").select("*");
+    if (caller.role === "OWNER") {
+      request = request.eq("owner_id", caller.id);
+    } else if (query.ownerId) {
+      request = request.eq("owner_id", query.ownerId);
+    }
+
+    const { data, error } = await request.order("created_at", {
+      ascending: false,
+    });
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ promoCodes: (data || []).map(formatPromoCode) });
+  },
+};
+
+const createCode = {
+  method: "POST",
+  path: "/promo-codes",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  body: {
+    ...PROMO_FIELDS,
+    code: { ...PROMO_FIELDS.code, required: true },
+    discountType: { ...PROMO_FIELDS.discountType, required: true },
+    discountValue: { ...PROMO_FIELDS.discountValue, required: true },
+    // Admins create codes on an owner's behalf
+    ownerId: { type: "uuid" },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const ownerId = caller.role === "ADMIN" ? body.ownerId : caller.id;
+    if (!ownerId) {
+      return fieldError(res, { field: "ownerId", message: "is required for admins" });
+    }
+
+    const row = { ...promoRow(body), owner_id: ownerId };
+    const problem = await checkPromoRow(supabase, ownerId, row);
+    if (problem) return fieldError(res, problem);
+
+    const { data, error } = await supabase
+      .from("promo_codes")
+      .insert(row)
+      .select("*")
+      .single();
+
+    if (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ error: "You already have a promo code with this name." });
+      }
+      if (error.code === "23503") {
+        return fieldError(res, { field: "ownerId", message: "must be an existing owner" });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json(formatPromoCode(data));
+  },
+};
+
+export default [listCodes, createCode];
@@ -0,0 +1,58 @@
+import { canManageTurf, forbid } from "../../_utils/auth.js";
+import { formatPromoCode } from "../../_utils/promos.js";
+import { PROMO_FIELDS, checkPromoRow, fieldError, promoRow } from "./codes.js";
+
+// Codes that have been redeemed keep their history; deactivate instead of
+// deleting them
+export default {
+  method: "PATCH",
+  path: "/promo-codes/:id",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  body: PROMO_FIELDS,
+  async handler({ supabase, res, caller, params, body }) {
+    const { data: existing, error: loadError } = await supabase
+      .from("promo_codes")
+      .select("*")
+      .eq("id", params.id)
+      .maybeSingle();
+    if (loadError) {
+      return res.status(500).json({ error: loadError.message });
+    }
+    if (!existing) {
+      return res.status(404).json({ error: "Promo code not found" });
+    }
+    if (!canManageTurf(caller, existing.owner_id)) {
+      return forbid(res, "Only the code's owner can change it.");
+    }
+
+    const changes = promoRow(body);
+    if (Object.keys(changes).length === 0) {
+      return res.json(formatPromoCode(existing));
+    }
+
+    const problem = await checkPromoRow(supabase, existing.owner_id, {
+      ...existing,
+      ...changes,
+    });
+    if (problem) return fieldError(res, problem);
+
+    const { data, error } = await supabase
+      .from("promo_codes")
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq("id", existing.id)
+      .select("*")
+      .single();
+
+    if (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ error: "You already have a promo code with this name." });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json(formatPromoCode(data));
+  },
+};
@@ -0,0 +1,49 @@
+import {
+  findPromoCode,
+  loadPromoTarget,
+  quotePromo,
+} from "../../_utils/promos.js";
+
+// Quotes a code for one slot without redeeming it
+export default {
+  method: "POST",
+  path: "/promo-codes/validate",
+  auth: true,
+  rateLimit: [
+    { name: "caller", limit: 30, windowSeconds: 600, key: ({ caller }) => caller.id },
+  ],
+  body: {
+    code: { type: "string", required: true, maxLength: 32 },
+    slotId: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { slot, turf, error } = await loadPromoTarget(supabase, body.slotId);
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!slot || !turf) {
+      return res.status(404).json({ error: "Slot not found" });
+    }
+
+    const { promo, error: promoError } = await findPromoCode(
+      supabase,
+      turf.owner_id,
+      body.code,
+    );
+    if (promoError) {
+      return res.status(500).json({ error: promoError.message });
+    }
+    if (!promo) {
+      return res.status(404).json({ error: "Promo code not found" });
+    }
+
+    const quote = await quotePromo(supabase, {
+      promo,
+      turf,
+      slot,
+      playerId: caller.role === "PLAYER" ? caller.id : null,
+    });
+
+    return res.json({ code: promo.code, slotId: slot.id, ...quote });
+  },
+};
@@ -0,0 +1,73 @@
+import { forbid } from "../../_utils/auth.js";
+import { sendCsv, toCsv } from "../../_utils/csv.js";
+import {
+  MAX_REPORT_DAYS,
+  REPORT_CSV_VIEWS,
+  buildOwnerReport,
+} from "../../_utils/reports.js";
+import { addDays } from "../../_utils/slots.js";
+
+export default {
+  method: "GET",
+  path: "/reports/owner",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  query: {
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    turfId: { type: "uuid" },
+    // Admins report on a given owner; owners always get their own figures
+    ownerId: { type: "uuid" },
+    format: { type: "enum", values: ["json", "csv"], default: "json" },
+    view: {
+      type: "enum",
+      values: Object.keys(REPORT_CSV_VIEWS),
+      default: "nets",
+    },
+  },
+  async handler({ supabase, res, caller, query }) {
+    const { startDate, endDate, turfId, format, view } = query;
+
+    if (endDate < startDate || endDate >= addDays(startDate, MAX_REPORT_DAYS)) {
+      return res.status(400).json({
+        error: `Date range must be between 1 and ${MAX_REPORT_DAYS} days.`,
+      });
+    }
+
+    let ownerId = caller.id;
+    if (caller.role === "ADMIN") {
+      if (!query.ownerId) {
+        return res.status(400).json({
+          error: "Invalid request.",
+          fields: [{ location: "query", field: "ownerId", message: "is required" }],
+        });
+      }
+      ownerId = query.ownerId;
+    } else if (query.ownerId && query.ownerId !== caller.id) {
+      return forbid(res, "Owners can only report on their own turfs.");
+    }
+
+    const { data, error } = await supabase.rpc("owner_report", {
+      p_owner_id: ownerId,
+      p_start_date: startDate,
+      p_end_date: endDate,
+      p_turf_id: turfId || null,
+    });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const report = buildOwnerReport(data);
+
+    if (format === "csv") {
+      const layout = REPORT_CSV_VIEWS[view];
+      return sendCsv(
+        res,
+        `turf-report-${view}-${startDate}-to-${endDate}.csv`,
+        toCsv(layout.columns, layout.rows(report)),
+      );
+    }
+
+    return res.json({ startDate, endDate, ownerId, ...report });
+  },
+};
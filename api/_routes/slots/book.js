@@ -0,0 +1,42 @@
+import { forbid } from "../../_utils/auth.js";
+
+export default {
+  method: "POST",
+  path: "/slots/book",
+  auth: true,
+  body: {
+    slotId: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { slotId } = body;
+
+    const { data: slot, error: slotError } = await supabase
+      .from("slots")
+      .select("id, status, reserved_by")
+      .eq("id", slotId)
+      .maybeSingle();
+
+    if (slotError) {
+      return res.status(500).json({ error: slotError.message });
+    }
+    if (!slot) {
+      return res.status(404).json({ error: "Slot not found" });
+    }
+
+    if (caller.role !== "ADMIN") {
+      if (slot.status !== "RESERVED" || slot.reserved_by !== caller.id) {
+        return forbid(res, "Only the user who reserved this slot can book it.");
+      }
+    }
+
+    const { error } = await supabase.rpc("book_slot", {
+      p_slot_id: slotId,
+    });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ success: true });
+  },
+};
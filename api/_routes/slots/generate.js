@@ -0,0 +1,43 @@
+import { canManageTurf, forbid, getTurfOwnerId } from "../../_utils/auth.js";
+import {
+  MAX_GENERATE_DAYS,
+  addDays,
+  generateSlots,
+} from "../../_utils/slots.js";
+
+export default {
+  method: "POST",
+  path: "/slots/generate",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  body: {
+    turfId: { type: "uuid", required: true },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { turfId, startDate, endDate } = body;
+
+    if (endDate < startDate || endDate >= addDays(startDate, MAX_GENERATE_DAYS)) {
+      return res.status(400).json({
+        error: `Date range must be between 1 and ${MAX_GENERATE_DAYS} days.`,
+      });
+    }
+
+    const { ownerId, error: ownerError } = await getTurfOwnerId(supabase, turfId);
+    if (ownerError) {
+      return res.status(500).json({ error: ownerError.message });
+    }
+    if (!ownerId) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+    if (!canManageTurf(caller, ownerId)) {
+      return forbid(res, "Only the turf owner can generate slots.");
+    }
+
+    const result = await generateSlots(supabase, { turfId, startDate, endDate });
+    if (!result) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+    return res.json(result);
+  },
+};
@@ -0,0 +1,49 @@
+import { canManageTurf, forbid, getTurfOwnerId } from "../../_utils/auth.js";
+
+export default {
+  method: "POST",
+  path: "/slots/release",
+  auth: true,
+  body: {
+    slotId: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { slotId } = body;
+
+    const { data: slot, error: slotError } = await supabase
+      .from("slots")
+      .select("id, turf_id, reserved_by")
+      .eq("id", slotId)
+      .maybeSingle();
+
+    if (slotError) {
+      return res.status(500).json({ error: slotError.message });
+    }
+    if (!slot) {
+      return res.status(404).json({ error: "Slot not found" });
+    }
+
+    if (slot.reserved_by !== caller.id) {
+      const { ownerId, error: ownerError } = await getTurfOwnerId(
+        supabase,
+        slot.turf_id,
+      );
+      if (ownerError) {
+        return res.status(500).json({ error: ownerError.message });
+      }
+      if (!canManageTurf(caller, ownerId)) {
+        return forbid(res, "Only the reserver or the turf owner can release this slot.");
+      }
+    }
+
+    const { error } = await supabase.rpc("release_slot", {
+      p_slot_id: slotId,
+    });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ success: true });
+  },
+};
@@ -0,0 +1,32 @@
+import { forbid } from "../../_utils/auth.js";
+
+export default {
+  method: "POST",
+  path: "/slots/reserve",
+  auth: true,
+  body: {
+    slotId: { type: "uuid", required: true },
+    userId: { type: "uuid" },
+    reservationMinutes: { type: "integer", required: true, min: 1, max: 60 },
+  },
+  async handler({ supabase, res, caller, body }) {
+    const { slotId, userId, reservationMinutes } = body;
+
+    // Slots are always reserved in the caller's own name
+    if (userId && userId !== caller.id && caller.role !== "ADMIN") {
+      return forbid(res, "Cannot reserve a slot for another user.");
+    }
+
+    const { data, error } = await supabase.rpc("reserve_slot", {
+      p_slot_id: slotId,
+      p_reserved_by: userId || caller.id,
+      p_reservation_minutes: reservationMinutes,
+    });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ success: data === true });
+  },
+};
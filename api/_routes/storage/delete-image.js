@@ -0,0 +1,68 @@
+import { canManageTurf, forbid, getTurfOwnerId } from "../../_utils/auth.js";
+import {
+  IMAGE_BUCKETS,
+  removeImageObjects,
+  storagePathFromUrl,
+} from "../../_utils/images.js";
+
+export default {
+  method: "POST",
+  path: "/storage/delete-image",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  body: {
+    turfId: { type: "uuid", required: true },
+    // Either the storage path or the public URL returned by the upload
+    path: { type: "string", maxLength: 300 },
+    url: { type: "string", maxLength: 1000 },
+  },
+  async handler({ supabase, res, caller, body, log }) {
+    const { turfId, url } = body;
+    const bucket = IMAGE_BUCKETS.turf;
+    const path = body.path || (url ? storagePathFromUrl(url, bucket) : null);
+
+    if (!path && !url) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: [{ location: "body", field: "path", message: "or url is required" }],
+      });
+    }
+
+    const { ownerId, error: ownerError } = await getTurfOwnerId(supabase, turfId);
+    if (ownerError) {
+      return res.status(500).json({ error: ownerError.message });
+    }
+    if (!ownerId) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+    if (!canManageTurf(caller, ownerId)) {
+      return forbid(res, "Only the turf owner can delete images for this turf.");
+    }
+
+    const { data: removed, error } = await supabase.rpc("remove_turf_image", {
+      p_turf_id: turfId,
+      p_path: path,
+      p_url: url || null,
+    });
+
+    if (error) {
+      const status = error.message.includes("not found") ? 404 : 500;
+      return res.status(status).json({ error: error.message });
+    }
+
+    // Only objects inside this turf's folder are ever removed
+    const objectPath =
+      removed.path || storagePathFromUrl(removed.url, bucket) || path;
+    if (objectPath && objectPath.startsWith(`turfs/${turfId}/`)) {
+      const { error: removeError } = await removeImageObjects(
+        supabase,
+        bucket,
+        objectPath,
+      );
+      if (removeError) {
+        log.error("storage_remove_failed", { path: objectPath, error: removeError });
+      }
+    }
+
+    return res.json({ success: true, removed });
+  },
+};
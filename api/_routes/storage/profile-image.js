@@ -0,0 +1,91 @@
+import {
+  IMAGE_BUCKETS,
+  MAX_IMAGE_DATA_LENGTH,
+  decodeImageData,
+  processImage,
+  removeImageObjects,
+  storagePathFromUrl,
+  storeImage,
+} from "../../_utils/images.js";
+
+const PROFILE_TABLES = { OWNER: "owners", PLAYER: "players" };
+
+// Removes the caller's previous picture if it lives in their own folder
+async function removePrevious(supabase, caller, log) {
+  const previous = caller.profile?.profile_image;
+  const path = previous && storagePathFromUrl(previous, IMAGE_BUCKETS.profile);
+  if (path && path.startsWith(`users/${caller.id}/`)) {
+    const { error } = await removeImageObjects(supabase, IMAGE_BUCKETS.profile, path);
+    if (error) log.error("storage_remove_failed", { path, error });
+  }
+}
+
+const uploadProfileImage = {
+  method: "POST",
+  path: "/storage/upload-profile-image",
+  auth: { roles: ["OWNER", "PLAYER"] },
+  body: {
+    imageData: { type: "string", required: true, maxLength: MAX_IMAGE_DATA_LENGTH },
+  },
+  async handler({ supabase, res, caller, body, log }) {
+    const { buffer, error: decodeError } = decodeImageData(body.imageData);
+    if (decodeError) {
+      return res.status(400).json({ error: decodeError });
+    }
+
+    const image = await processImage(buffer);
+    if (image.error) {
+      return res.status(415).json({ error: image.error });
+    }
+
+    const stored = await storeImage(supabase, {
+      bucket: IMAGE_BUCKETS.profile,
+      dir: `users/${caller.id}`,
+      image,
+    });
+    if (stored.error) {
+      log.error("storage_upload_failed", { error: stored.error });
+      return res.status(500).json({ error: stored.error.message });
+    }
+
+    const { error } = await supabase
+      .from(PROFILE_TABLES[caller.role])
+      .update({ profile_image: stored.url, updated_at: new Date().toISOString() })
+      .eq("id", caller.id);
+
+    if (error) {
+      await removeImageObjects(supabase, IMAGE_BUCKETS.profile, stored.path);
+      return res.status(500).json({ error: error.message });
+    }
+
+    await removePrevious(supabase, caller, log);
+
+    return res.json({
+      success: true,
+      url: stored.url,
+      thumbnailUrl: stored.thumbnailUrl,
+      path: stored.path,
+    });
+  },
+};
+
+const deleteProfileImage = {
+  method: "POST",
+  path: "/storage/delete-profile-image",
+  auth: { roles: ["OWNER", "PLAYER"] },
+  async handler({ supabase, res, caller, log }) {
+    const { error } = await supabase
+      .from(PROFILE_TABLES[caller.role])
+      .update({ profile_image: null, updated_at: new Date().toISOString() })
+      .eq("id", caller.id);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await removePrevious(supabase, caller, log);
+    return res.json({ success: true });
+  },
+};
+
+export default [uploadProfileImage, deleteProfileImage];
@@ -0,0 +1,99 @@
+import { canManageTurf, forbid, getTurfOwnerId } from "../../_utils/auth.js";
+import {
+  IMAGE_BUCKETS,
+  MAX_IMAGE_DATA_LENGTH,
+  MAX_TURF_IMAGES,
+  decodeImageData,
+  processImage,
+  removeImageObjects,
+  storeImage,
+} from "../../_utils/images.js";
+
+export default {
+  method: "POST",
+  path: "/storage/upload-image",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  // fileName and contentType from older clients are ignored: the name is
+  // generated here and the type is read from the bytes
+  body: {
+    imageData: { type: "string", required: true, maxLength: MAX_IMAGE_DATA_LENGTH },
+    turfId: { type: "uuid", required: true },
+    imageType: {
+      type: "enum",
+      values: ["GROUND", "NIGHT_LIGHTS", "FACILITY", "OTHER"],
+      uppercase: true,
+      default: "OTHER",
+    },
+  },
+  async handler({ supabase, res, caller, body, log }) {
+    const { imageData, turfId, imageType } = body;
+
+    const { ownerId, error: ownerError } = await getTurfOwnerId(
+      supabase,
+      turfId,
+    );
+    if (ownerError) {
+      return res.status(500).json({ error: ownerError.message });
+    }
+    if (!ownerId) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+    if (!canManageTurf(caller, ownerId)) {
+      return forbid(res, "Only the turf owner can upload images for this turf.");
+    }
+
+    const { buffer, error: decodeError } = decodeImageData(imageData);
+    if (decodeError) {
+      return res.status(400).json({ error: decodeError });
+    }
+
+    const image = await processImage(buffer);
+    if (image.error) {
+      return res.status(415).json({ error: image.error });
+    }
+
+    const bucket = IMAGE_BUCKETS.turf;
+    const stored = await storeImage(supabase, {
+      bucket,
+      dir: `turfs/${turfId}/images`,
+      image,
+    });
+    if (stored.error) {
+      log.error("storage_upload_failed", { error: stored.error });
+      return res.status(500).json({ error: stored.error.message });
+    }
+
+    const { data: images, error } = await supabase.rpc("append_turf_image", {
+      p_turf_id: turfId,
+      p_image: {
+        url: stored.url,
+        thumbnailUrl: stored.thumbnailUrl,
+        path: stored.path,
+        type: imageType,
+        isPrimary: false,
+        width: image.width,
+        height: image.height,
+      },
+      p_max_images: MAX_TURF_IMAGES,
+    });
+
+    if (error) {
+      // The turf never references the objects, so don't leave them behind
+      await removeImageObjects(supabase, bucket, stored.path);
+      const limited = error.message.includes("Image limit");
+      return res.status(limited ? 409 : 500).json({
+        error: limited
+          ? `A turf can have at most ${MAX_TURF_IMAGES} images.`
+          : error.message,
+      });
+    }
+
+    return res.json({
+      success: true,
+      url: stored.url,
+      thumbnailUrl: stored.thumbnailUrl,
+      path: stored.path,
+      images,
+    });
+  },
+};
@@ -0,0 +1,55 @@
+import { canManageTurf } from "../../_utils/auth.js";
+import {
+  MAX_AVAILABILITY_DAYS,
+  TURF_GRID_COLUMNS,
+  buildAvailability,
+} from "../../_utils/availability.js";
+import { addDays } from "../../_utils/slots.js";
+
+export default {
+  method: "GET",
+  path: "/turfs/:id/availability",
+  auth: true,
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  query: {
+    date: { type: "date", required: true },
+    days: { type: "integer", min: 1, max: MAX_AVAILABILITY_DAYS, default: 1 },
+  },
+  async handler({ supabase, res, caller, params, query }) {
+    const { data: turf, error } = await supabase
+      .from("turfs")
+      .select(TURF_GRID_COLUMNS)
+      .eq("id", params.id)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const fullView = !!turf && canManageTurf(caller, turf.owner_id);
+    // Unapproved turfs stay hidden from everyone but their owner and admins
+    if (!turf || (!turf.is_approved && !fullView)) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+
+    const startDate = query.date;
+    const endDate = addDays(startDate, query.days - 1);
+    const days = await buildAvailability(supabase, {
+      turf,
+      startDate,
+      endDate,
+      caller,
+      fullView,
+    });
+
+    return res.json({
+      turfId: turf.id,
+      turfName: turf.turf_name,
+      status: turf.status,
+      numberOfNets: turf.number_of_nets,
+      days,
+    });
+  },
+};
@@ -0,0 +1,222 @@
+import { canManageTurf, forbid } from "../../_utils/auth.js";
+import {
+  BLACKOUT_CONFLICT_MODES,
+  MAX_BLACKOUT_DAYS,
+  MAX_BLACKOUT_MOVES,
+  blackoutErrorBody,
+  blackoutErrorStatus,
+  formatBlackout,
+  formatConflict,
+  formatMove,
+} from "../../_utils/blackouts.js";
+import { generateSlots, listDates } from "../../_utils/slots.js";
+import { localDate } from "../../_utils/time.js";
+import { validate } from "../../_utils/validation.js";
+
+const MOVE_SCHEMA = {
+  bookingId: { type: "uuid", required: true },
+  slotId: { type: "uuid", required: true },
+};
+
+function invalid(res, field, message) {
+  return res.status(400).json({
+    error: "Invalid request.",
+    fields: [{ location: "body", field, message }],
+  });
+}
+
+async function loadTurf(supabase, res, caller, turfId) {
+  const { data: turf, error } = await supabase
+    .from("turfs")
+    .select("id, owner_id, number_of_nets")
+    .eq("id", turfId)
+    .maybeSingle();
+  if (error) {
+    res.status(500).json({ error: error.message });
+    return null;
+  }
+  if (!turf) {
+    res.status(404).json({ error: "Turf not found" });
+    return null;
+  }
+  if (!canManageTurf(caller, turf.owner_id)) {
+    forbid(res, "Only the turf owner can manage its blackouts.");
+    return null;
+  }
+  return turf;
+}
+
+const listBlackouts = {
+  method: "GET",
+  path: "/turfs/:id/blackouts",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  query: {
+    status: { type: "enum", values: ["ACTIVE", "LIFTED"], uppercase: true },
+  },
+  async handler({ supabase, res, caller, params, query }) {
+    const turf = await loadTurf(supabase, res, caller, params.id);
+    if (!turf) return;
+
+    let request = supabase.from("blackouts").select("*").eq("turf_id", turf.id);
+    if (query.status) request = request.eq("status", query.status);
+
+    const { data, error } = await request
+      .order("start_date", { ascending: false })
+      .limit(100);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ blackouts: (data || []).map(formatBlackout) });
+  },
+};
+
+// Blocks every slot on `netNumbers` (default all) from startDate to endDate,
+// optionally only between startTime and endTime. Confirmed bookings on those
+// slots are handled per `onConflict`; REPORT answers 409 with the list and
+// blocks nothing. `moves` relocates chosen bookings before blocking.
+const createBlackout = {
+  method: "POST",
+  path: "/turfs/:id/blackouts",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  body: {
+    netNumbers: { type: "array", items: { type: "integer", min: 1 }, minItems: 1 },
+    startDate: { type: "date", required: true },
+    endDate: { type: "date", required: true },
+    startTime: { type: "time" },
+    endTime: { type: "time" },
+    reason: { type: "string", required: true, maxLength: 200 },
+    onConflict: {
+      type: "enum",
+      values: BLACKOUT_CONFLICT_MODES,
+      uppercase: true,
+      default: "REPORT",
+    },
+    moves: {
+      type: "array",
+      items: { type: "object" },
+      maxItems: MAX_BLACKOUT_MOVES,
+    },
+  },
+  async handler({ supabase, res, caller, params, body }) {
+    const reason = body.reason.trim();
+    if (!reason) return invalid(res, "reason", "must not be blank");
+
+    if (body.endDate < body.startDate) {
+      return invalid(res, "endDate", "must not be before startDate");
+    }
+    if (body.startDate < localDate()) {
+      return invalid(res, "startDate", "is in the past");
+    }
+    if (listDates(body.startDate, body.endDate).length > MAX_BLACKOUT_DAYS) {
+      return invalid(
+        res,
+        "endDate",
+        `must be within ${MAX_BLACKOUT_DAYS} days of startDate`,
+      );
+    }
+    if (!body.startTime !== !body.endTime) {
+      return invalid(
+        res,
+        body.startTime ? "endTime" : "startTime",
+        "must be sent together with the other window time",
+      );
+    }
+    if (body.startTime && body.endTime !== "00:00" && body.endTime <= body.startTime) {
+      return invalid(res, "endTime", "must be after startTime");
+    }
+
+    const moves = [];
+    for (const [i, move] of (body.moves || []).entries()) {
+      const { value, errors } = validate(MOVE_SCHEMA, move);
+      if (errors.length > 0) {
+        return invalid(res, `moves[${i}].${errors[0].field}`, errors[0].message);
+      }
+      moves.push({ booking_id: value.bookingId, slot_id: value.slotId });
+    }
+    if (new Set(moves.map((m) => m.booking_id)).size !== moves.length) {
+      return invalid(res, "moves", "must not move a booking twice");
+    }
+
+    const turf = await loadTurf(supabase, res, caller, params.id);
+    if (!turf) return;
+
+    const nets = body.netNumbers
+      ? [...new Set(body.netNumbers)].sort((a, b) => a - b)
+      : null;
+    const netCount = turf.number_of_nets || 1;
+    if (nets && nets[nets.length - 1] > netCount) {
+      return invalid(res, "netNumbers", `must be at most ${netCount}`);
+    }
+
+    // The blackout can only block slot rows that exist, so a failed run must
+    // not go on to a blackout that silently misses dates
+    let generated;
+    try {
+      generated = await generateSlots(supabase, {
+        turfId: turf.id,
+        startDate: body.startDate,
+        endDate: body.endDate,
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+    if (!generated) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+
+    const { data, error } = await supabase.rpc("create_blackout", {
+      p_blackout: {
+        turf_id: turf.id,
+        net_numbers: nets,
+        start_date: body.startDate,
+        end_date: body.endDate,
+        start_time: body.startTime || null,
+        end_time: body.endTime || null,
+        reason,
+        created_by: caller.id,
+        updated_by: caller.role,
+      },
+      p_on_conflict: body.onConflict,
+      p_moves: moves,
+    });
+
+    if (error) {
+      return res.status(blackoutErrorStatus(error)).json(blackoutErrorBody(error));
+    }
+
+    const conflicts = (data.conflicts || []).map(formatConflict);
+    if (!data.blackout) {
+      return res.status(409).json({
+        error: "Bookings conflict with this blackout.",
+        conflicts,
+      });
+    }
+
+    return res.json({
+      blackout: formatBlackout(data.blackout),
+      blocked: data.blocked,
+      alreadyBlocked: data.already_blocked,
+      conflicts,
+      moved: (data.moved || []).map(formatMove),
+      cancelled: (data.cancelled || []).map((c) => ({
+        bookingId: c.booking_id,
+        slotId: c.slot_id,
+        refundAmount: Number(c.refund_amount),
+      })),
+      skipped: (data.skipped || []).map((s) => ({
+        bookingId: s.booking_id,
+        slotId: s.slot_id,
+      })),
+    });
+  },
+};
+
+export default [listBlackouts, createBlackout];
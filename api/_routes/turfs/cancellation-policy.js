@@ -0,0 +1,76 @@
+import { canManageTurf, forbid, getTurfOwnerId } from "../../_utils/auth.js";
+import { resolvePolicy, validatePolicy } from "../../_utils/cancellation.js";
+
+const getPolicy = {
+  method: "GET",
+  path: "/turfs/:id/cancellation-policy",
+  auth: false,
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, params }) {
+    const { data, error } = await supabase
+      .from("turfs")
+      .select("id, cancellation_policy")
+      .eq("id", params.id)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+
+    return res.json({
+      policy: resolvePolicy(data.cancellation_policy),
+      isDefault: !data.cancellation_policy,
+    });
+  },
+};
+
+const putPolicy = {
+  method: "PUT",
+  path: "/turfs/:id/cancellation-policy",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  body: {
+    player: { type: "object" },
+    owner: { type: "object" },
+  },
+  async handler({ supabase, res, caller, params, body }) {
+    const { ownerId, error: ownerError } = await getTurfOwnerId(supabase, params.id);
+    if (ownerError) {
+      return res.status(500).json({ error: ownerError.message });
+    }
+    if (!ownerId) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+    if (!canManageTurf(caller, ownerId)) {
+      return forbid(res, "Only the turf owner can change the cancellation policy.");
+    }
+
+    const { value, errors } = validatePolicy(body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid request.",
+        fields: errors.map((e) => ({ location: "body", ...e })),
+      });
+    }
+
+    const { error } = await supabase
+      .from("turfs")
+      .update({ cancellation_policy: value, updated_at: new Date().toISOString() })
+      .eq("id", params.id);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ policy: value });
+  },
+};
+
+export default [getPolicy, putPolicy];
@@ -0,0 +1,44 @@
+import { searchTurfs } from "../../_utils/search.js";
+
+const DAYS = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+
+// Public discovery endpoint: only approved, open turfs are returned
+export default {
+  method: "GET",
+  path: "/turfs/search",
+  auth: false,
+  query: {
+    city: { type: "string", maxLength: 100 },
+    turfType: { type: "string", maxLength: 50 },
+    day: { type: "enum", values: DAYS, uppercase: true },
+    date: { type: "date" },
+    from: { type: "time" },
+    to: { type: "time" },
+    minPrice: { type: "number", min: 0 },
+    maxPrice: { type: "number", min: 0 },
+    lat: { type: "number", min: -90, max: 90 },
+    lng: { type: "number", min: -180, max: 180 },
+    radiusKm: { type: "number", min: 0 },
+    cursor: { type: "string", maxLength: 500 },
+    limit: { type: "integer", min: 1, max: 50, default: 20 },
+  },
+  async handler({ supabase, res, query }) {
+    if ((query.from || query.to) && !query.date) {
+      return res
+        .status(400)
+        .json({ error: "date is required when filtering by from/to." });
+    }
+    if (query.from && query.to && query.from >= query.to) {
+      return res.status(400).json({ error: "from must be before to." });
+    }
+    if ((query.lat == null) !== (query.lng == null)) {
+      return res.status(400).json({ error: "lat and lng must be sent together." });
+    }
+    if (query.radiusKm != null && query.lat == null) {
+      return res.status(400).json({ error: "radiusKm requires lat and lng." });
+    }
+
+    const { results, nextCursor } = await searchTurfs(supabase, query);
+    return res.json({ turfs: results, nextCursor });
+  },
+};
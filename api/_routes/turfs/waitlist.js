@@ -0,0 +1,92 @@
+import { canManageTurf, forbid, getTurfOwnerId } from "../../_utils/auth.js";
+import { MAX_AVAILABILITY_DAYS } from "../../_utils/availability.js";
+import { addDays, effectiveStatus } from "../../_utils/slots.js";
+import {
+  ACTIVE_WAITLIST_STATUSES,
+  entryMatchesSlot,
+} from "../../_utils/waitlist.js";
+
+// Waitlist depth per slot for the owner's grid. Window entries count towards
+// every slot they would accept.
+export default {
+  method: "GET",
+  path: "/turfs/:id/waitlist",
+  auth: { roles: ["OWNER", "ADMIN"] },
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  query: {
+    date: { type: "date", required: true },
+    days: { type: "integer", min: 1, max: MAX_AVAILABILITY_DAYS, default: 1 },
+  },
+  async handler({ supabase, res, caller, params, query }) {
+    const { ownerId, error: ownerError } = await getTurfOwnerId(
+      supabase,
+      params.id,
+    );
+    if (ownerError) {
+      return res.status(500).json({ error: ownerError.message });
+    }
+    if (!ownerId) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+    if (!canManageTurf(caller, ownerId)) {
+      return forbid(res, "Only the turf owner can view its waitlist.");
+    }
+
+    const startDate = query.date;
+    const endDate = addDays(startDate, query.days - 1);
+
+    const { data: entries, error: entriesError } = await supabase
+      .from("waitlist_entries")
+      .select("id, turf_id, slot_id, date, start_time, end_time, net_number, status, offered_slot_id, offer_expires_at")
+      .eq("turf_id", params.id)
+      .gte("date", startDate)
+      .lte("date", endDate)
+      .in("status", ACTIVE_WAITLIST_STATUSES);
+    if (entriesError) {
+      return res.status(500).json({ error: entriesError.message });
+    }
+
+    const { data: slots, error: slotsError } = await supabase
+      .from("slots")
+      .select("id, turf_id, date, start_time, end_time, net_number, status, reserved_until")
+      .eq("turf_id", params.id)
+      .gte("date", startDate)
+      .lte("date", endDate)
+      .order("date", { ascending: true })
+      .order("start_time", { ascending: true })
+      .order("net_number", { ascending: true });
+    if (slotsError) {
+      return res.status(500).json({ error: slotsError.message });
+    }
+
+    const waiting = (entries || []).filter((e) => e.status === "WAITING");
+    const result = [];
+    for (const slot of slots || []) {
+      const depth = waiting.filter((e) => entryMatchesSlot(e, slot)).length;
+      const offer = (entries || []).find(
+        (e) => e.status === "OFFERED" && e.offered_slot_id === slot.id,
+      );
+      if (depth === 0 && !offer) continue;
+      result.push({
+        slotId: slot.id,
+        date: slot.date,
+        startTime: slot.start_time,
+        endTime: slot.end_time,
+        netNumber: slot.net_number,
+        status: effectiveStatus(slot),
+        waiting: depth,
+        offerExpiresAt: offer?.offer_expires_at ?? null,
+      });
+    }
+
+    return res.json({
+      turfId: params.id,
+      startDate,
+      endDate,
+      totalWaiting: waiting.length,
+      slots: result,
+    });
+  },
+};
@@ -0,0 +1,25 @@
+import { waitlistErrorStatus } from "../../_utils/waitlist.js";
+
+export default {
+  method: "POST",
+  path: "/waitlist/:id/cancel",
+  auth: { roles: ["PLAYER"] },
+  params: {
+    id: { type: "uuid", required: true },
+  },
+  async handler({ supabase, res, caller, params }) {
+    const { data, error } = await supabase.rpc("leave_waitlist", {
+      p_entry_id: params.id,
+      p_player_id: caller.id,
+    });
+
+    if (error) {
+      return res
+        .status(waitlistErrorStatus(error))
+        .json({ error: error.message });
+    }
+
+    // A held slot goes straight to the next player in line
+    return res.json({ ok: true, releasedHold: data === "OFFERED" });
+  },
+};
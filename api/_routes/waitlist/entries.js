@@ -0,0 +1,187 @@
+import { effectiveStatus } from "../../_utils/slots.js";
+import { localDate } from "../../_utils/time.js";
+import {
+  ACTIVE_WAITLIST_STATUSES,
+  MAX_ACTIVE_WAITLIST_ENTRIES,
+  WAITLIST_HOLD_MINUTES,
+  entryMatchesSlot,
+  formatWaitlistEntry,
+} from "../../_utils/waitlist.js";
+
+const ENTRY_COLUMNS = "*, turf:turfs(turf_name)";
+
+function invalid(res, field, message) {
+  return res.status(400).json({
+    error: "Invalid request.",
+    fields: [{ location: "body", field, message }],
+  });
+}
+
+const listEntries = {
+  method: "GET",
+  path: "/waitlist",
+  auth: { roles: ["PLAYER"] },
+  query: {
+    status: {
+      type: "enum",
+      values: ["WAITING", "OFFERED", "FULFILLED", "EXPIRED", "CANCELLED"],
+      uppercase: true,
+    },
+  },
+  async handler({ supabase, res, caller, query }) {
+    let request = supabase
+      .from("waitlist_entries")
+      .select(ENTRY_COLUMNS)
+      .eq("player_id", caller.id);
+    if (query.status) request = request.eq("status", query.status);
+
+    const { data, error } = await request
+      .order("created_at", { ascending: false })
+      .limit(100);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ entries: (data || []).map(formatWaitlistEntry) });
+  },
+};
+
+// Join with a slotId, or with turfId + date + time window (+ optional net)
+const joinWaitlist = {
+  method: "POST",
+  path: "/waitlist",
+  auth: { roles: ["PLAYER"] },
+  body: {
+    slotId: { type: "uuid" },
+    turfId: { type: "uuid" },
+    date: { type: "date" },
+    startTime: { type: "time" },
+    endTime: { type: "time" },
+    netNumber: { type: "integer", min: 1 },
+  },
+  async handler({ supabase, res, caller, body }) {
+    let entry;
+    let slot = null;
+
+    if (body.slotId) {
+      const { data, error } = await supabase
+        .from("slots")
+        .select("id, turf_id, date, start_time, end_time, net_number, status, reserved_until")
+        .eq("id", body.slotId)
+        .maybeSingle();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      if (!data) {
+        return res.status(404).json({ error: "Slot not found" });
+      }
+      slot = data;
+      entry = {
+        turf_id: slot.turf_id,
+        slot_id: slot.id,
+        date: slot.date,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        net_number: slot.net_number,
+      };
+    } else {
+      for (const field of ["turfId", "date", "startTime", "endTime"]) {
+        if (!body[field]) {
+          return invalid(res, field, "is required when slotId is not given");
+        }
+      }
+      if (body.startTime >= body.endTime) {
+        return invalid(res, "endTime", "must be after startTime");
+      }
+      entry = {
+        turf_id: body.turfId,
+        slot_id: null,
+        date: body.date,
+        start_time: body.startTime,
+        end_time: body.endTime,
+        net_number: body.netNumber ?? null,
+      };
+    }
+
+    if (entry.date < localDate()) {
+      return invalid(res, body.slotId ? "slotId" : "date", "is in the past");
+    }
+
+    const { data: turf, error: turfError } = await supabase
+      .from("turfs")
+      .select("id, is_approved, number_of_nets")
+      .eq("id", entry.turf_id)
+      .maybeSingle();
+    if (turfError) {
+      return res.status(500).json({ error: turfError.message });
+    }
+    if (!turf || !turf.is_approved) {
+      return res.status(404).json({ error: "Turf not found" });
+    }
+    if (entry.net_number && entry.net_number > (turf.number_of_nets || 1)) {
+      return invalid(res, "netNumber", `must be at most ${turf.number_of_nets || 1}`);
+    }
+
+    // Only full slots can be waited for; free ones should just be booked
+    let candidates = slot ? [slot] : null;
+    if (!candidates) {
+      const { data, error } = await supabase
+        .from("slots")
+        .select("id, turf_id, date, start_time, end_time, net_number, status, reserved_until")
+        .eq("turf_id", entry.turf_id)
+        .eq("date", entry.date)
+        .gte("start_time", entry.start_time)
+        .lte("end_time", entry.end_time);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      candidates = (data || []).filter((s) => entryMatchesSlot(entry, s));
+    }
+    if (
+      candidates.length === 0 ||
+      candidates.some((s) => effectiveStatus(s) === "AVAILABLE")
+    ) {
+      return res.status(409).json({
+        error: slot
+          ? "Slot is available to book."
+          : "Slots in this window are available to book.",
+      });
+    }
+
+    const { count, error: countError } = await supabase
+      .from("waitlist_entries")
+      .select("id", { count: "exact", head: true })
+      .eq("player_id", caller.id)
+      .in("status", ACTIVE_WAITLIST_STATUSES);
+    if (countError) {
+      return res.status(500).json({ error: countError.message });
+    }
+    if (count >= MAX_ACTIVE_WAITLIST_ENTRIES) {
+      return res.status(409).json({
+        error: `You can wait for at most ${MAX_ACTIVE_WAITLIST_ENTRIES} slots at a time.`,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("waitlist_entries")
+      .insert({
+        ...entry,
+        player_id: caller.id,
+        hold_minutes: WAITLIST_HOLD_MINUTES,
+      })
+      .select(ENTRY_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ error: "You are already on this waitlist." });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json(formatWaitlistEntry(data));
+  },
+};
+
+export default [listEntries, joinWaitlist];
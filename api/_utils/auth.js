@@ -0,0 +1,158 @@
+// Resolves the Supabase access token on a request to the calling user.
+// Helpers take the service-role client as an argument so the Express server
+// can share them with its own client.
+
+export function getBearerToken(req) {
+  const header = req.headers?.authorization || req.headers?.Authorization;
+  if (!header || typeof header !== "string") return null;
+  const [scheme, token] = header.split(" ");
+  if (!scheme || scheme.toLowerCase() !== "bearer" || !token) return null;
+  return token.trim();
+}
+
+export async function resolveCaller(supabase, token) {
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) return null;
+
+  const user = data.user;
+  const caller = {
+    id: user.id,
+    email: user.email || null,
+    phone: user.phone || null,
+    role: null,
+    profile: null,
+  };
+
+  // Admins are flagged in app_metadata, which only the service role can set
+  const appRole = String(user.app_metadata?.role || "").toUpperCase();
+  if (appRole === "ADMIN") {
+    caller.role = "ADMIN";
+    return caller;
+  }
+
+  const { data: owner, error: ownerError } = await supabase
+    .from("owners")
+    .select("id, name, email, phone, status, profile_image")
+    .eq("id", user.id)
+    .maybeSingle();
+  if (ownerError) throw ownerError;
+
+  if (owner) {
+    caller.role = "OWNER";
+    caller.profile = owner;
+    return caller;
+  }
+
+  const { data: player, error: playerError } = await supabase
+    .from("players")
+    .select("id, name, email, phone, status, profile_image")
+    .eq("id", user.id)
+    .maybeSingle();
+  if (playerError) throw playerError;
+
+  if (player) {
+    caller.role = "PLAYER";
+    caller.profile = player;
+  }
+
+  return caller;
+}
+
+// Sends the 401/403 itself and returns null when the caller is rejected.
+// `roles` limits the route to OWNER/PLAYER/ADMIN callers; pass
+// `allowUnregistered` for signup routes where no profile exists yet.
+export async function requireAuth(
+  supabase,
+  req,
+  res,
+  { roles, allowUnregistered = false } = {},
+) {
+  const token = getBearerToken(req);
+  if (!token) {
+    res.status(401).json({ error: "Missing access token." });
+    return null;
+  }
+
+  let caller;
+  try {
+    caller = await resolveCaller(supabase, token);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to verify caller." });
+    return null;
+  }
+
+  if (!caller) {
+    res.status(401).json({ error: "Invalid or expired access token." });
+    return null;
+  }
+
+  if (!caller.role && !allowUnregistered) {
+    res.status(403).json({ error: "No owner or player profile for this user." });
+    return null;
+  }
+
+  if (caller.profile?.status === "SUSPENDED") {
+    res.status(403).json({ error: "This account has been suspended." });
+    return null;
+  }
+
+  if (roles && !roles.includes(caller.role)) {
+    res.status(403).json({ error: "Not allowed for this account type." });
+    return null;
+  }
+
+  return caller;
+}
+
+export function forbid(res, message = "You do not have access to this resource.") {
+  return res.status(403).json({ error: message });
+}
+
+function phoneDigits(phone) {
+  return String(phone || "").replace(/\D/g, "");
+}
+
+// Signup profiles must describe the signed-in auth user. Email signups have
+// no phone on the auth user yet and phone (OTP) signups no email, so each is
+// only checked when present; the auth user must have one of them.
+export function signupIdentityError(caller, { id, email, phone }) {
+  if (id !== caller.id) {
+    return "Profile id must match the signed-in user.";
+  }
+  if (!caller.email && !caller.phone) {
+    return "Sign in with an email or phone before creating a profile.";
+  }
+  if (
+    caller.email &&
+    String(email).trim().toLowerCase() !== caller.email.toLowerCase()
+  ) {
+    return "Email must match the signed-in user.";
+  }
+  if (caller.phone && phoneDigits(phone) !== phoneDigits(caller.phone)) {
+    return "Phone must match the signed-in user.";
+  }
+  return null;
+}
+
+export async function getTurfOwnerId(supabase, turfId) {
+  const { data, error } = await supabase
+    .from("turfs")
+    .select("owner_id")
+    .eq("id", turfId)
+    .maybeSingle();
+  return { ownerId: data?.owner_id ?? null, error };
+}
+
+export function canManageTurf(caller, ownerId) {
+  return caller.role === "ADMIN" || (!!ownerId && caller.id === ownerId);
+}
+
+// Scheduled jobs accept the CRON_SECRET bearer that Vercel Cron sends, or an
+// admin token for manual runs.
+export async function requireCronOrAdmin(supabase, req, res) {
+  const secret = process.env.CRON_SECRET;
+  if (secret && getBearerToken(req) === secret) {
+    return { id: null, role: "CRON" };
+  }
+  return requireAuth(supabase, req, res, { roles: ["ADMIN"] });
+}
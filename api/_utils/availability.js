@@ -0,0 +1,128 @@
+import { getDayType, parsePricingRules, weekdayName } from "./pricing.js";
+import { buildSlotsForDate, effectiveStatus, listDates } from "./slots.js";
+import { fetchAllRows } from "./search.js";
+
+export const MAX_AVAILABILITY_DAYS = 7;
+
+export const TURF_GRID_COLUMNS =
+  "id, owner_id, turf_name, is_approved, status, number_of_nets, open_time, close_time, slot_duration_minutes, days_open, pricing_rules, public_holidays";
+
+function bookingSummary(booking, caller, fullView) {
+  if (!booking) return null;
+  if (fullView) {
+    return {
+      id: booking.id,
+      customerName: booking.customer_name,
+      customerPhone: booking.customer_phone,
+      bookingSource: booking.booking_source,
+      paymentMode: booking.payment_mode,
+      paymentStatus: booking.payment_status,
+      amount: booking.amount,
+      advanceAmount: booking.advance_amount,
+    };
+  }
+  // Players only learn whether the booking is theirs
+  const mine = !!caller.id && booking.user_id === caller.id;
+  return mine ? { id: booking.id, mine } : { mine };
+}
+
+// One grid cell as `caller` may see it; also used by the Express slot stream
+export function toSlotCell(slot, booking, caller, fullView, now = new Date()) {
+  const status = effectiveStatus(slot, now);
+  const cell = {
+    slotId: slot.id ?? null,
+    startTime: slot.start_time,
+    endTime: slot.end_time,
+    status,
+    price: Number(slot.price),
+    priceType: slot.price_type,
+    booking: bookingSummary(booking, caller, fullView),
+  };
+  if (status === "RESERVED") {
+    cell.reservedUntil = slot.reserved_until;
+    cell.reservedByMe = !!caller.id && slot.reserved_by === caller.id;
+  }
+  if (status === "BLOCKED" && fullView) {
+    cell.blockReason = slot.block_reason;
+  }
+  return cell;
+}
+
+// Builds a net x time grid for each date. Dates without generated slots are
+// filled from the turf schedule (slotId null) so the calendar never has gaps.
+export async function buildAvailability(
+  supabase,
+  { turf, startDate, endDate, caller, fullView },
+) {
+  const [slots, bookings] = await Promise.all([
+    fetchAllRows(() =>
+      supabase
+        .from("slots")
+        .select(
+          "id, date, start_time, end_time, net_number, status, reserved_until, reserved_by, price, price_type, block_reason",
+        )
+        .eq("turf_id", turf.id)
+        .gte("date", startDate)
+        .lte("date", endDate)
+        .order("id"),
+    ),
+    fetchAllRows(() =>
+      supabase
+        .from("bookings")
+        .select(
+          "id, slot_id, user_id, customer_name, customer_phone, booking_source, payment_mode, payment_status, amount, advance_amount",
+        )
+        .eq("turf_id", turf.id)
+        .eq("booking_status", "CONFIRMED")
+        .gte("booking_date", startDate)
+        .lte("booking_date", endDate)
+        .order("id"),
+    ),
+  ]);
+
+  const slotsByDate = new Map();
+  for (const slot of slots) {
+    if (!slotsByDate.has(slot.date)) slotsByDate.set(slot.date, []);
+    slotsByDate.get(slot.date).push(slot);
+  }
+  const bookingBySlot = new Map(bookings.map((b) => [b.slot_id, b]));
+
+  const pricingRules = parsePricingRules(turf.pricing_rules || {});
+  const now = new Date();
+
+  return listDates(startDate, endDate).map((date) => {
+    const isOpen = (turf.days_open || []).includes(weekdayName(date));
+    const existing = slotsByDate.get(date) || [];
+    const generated = existing.length > 0;
+    const rows = generated
+      ? existing
+      : isOpen
+        ? buildSlotsForDate(turf, date, pricingRules)
+        : [];
+
+    const nets = new Map();
+    const times = new Set();
+    for (let n = 1; n <= (turf.number_of_nets || 1); n++) nets.set(n, []);
+    for (const slot of rows) {
+      if (!nets.has(slot.net_number)) nets.set(slot.net_number, []);
+      nets
+        .get(slot.net_number)
+        .push(toSlotCell(slot, bookingBySlot.get(slot.id), caller, fullView, now));
+      times.add(slot.start_time);
+    }
+
+    return {
+      date,
+      dayType: getDayType(date, turf.public_holidays || []),
+      isOpen,
+      generated,
+      times: [...times].sort(),
+      nets: [...nets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([netNumber, cells]) => ({
+          netNumber,
+          cells: cells.sort((a, b) => (a.startTime < b.startTime ? -1 : 1)),
+        })),
+    };
+  });
+}
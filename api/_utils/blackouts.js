@@ -0,0 +1,75 @@
+// Blackouts block a turf's slots across a date range and optional time
+// window as one unit (create_blackout / lift_blackout). Slots are generated
+// for the range first so days nobody has opened yet are covered too.
+
+export const MAX_BLACKOUT_DAYS = 92;
+export const MAX_BLACKOUT_MOVES = 100;
+export const BLACKOUT_CONFLICT_MODES = ["REPORT", "SKIP", "CANCEL"];
+
+export function formatBlackout(row) {
+  return {
+    id: row.id,
+    turfId: row.turf_id,
+    netNumbers: row.net_numbers,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    reason: row.reason,
+    status: row.status,
+    createdAt: row.created_at,
+    liftedAt: row.lifted_at,
+  };
+}
+
+export function formatConflict(conflict) {
+  return {
+    bookingId: conflict.booking_id,
+    slotId: conflict.slot_id,
+    date: conflict.date,
+    startTime: conflict.start_time,
+    endTime: conflict.end_time,
+    netNumber: conflict.net_number,
+    userId: conflict.user_id,
+    customerName: conflict.customer_name,
+    customerPhone: conflict.customer_phone,
+    amount: Number(conflict.amount),
+    advanceAmount: Number(conflict.advance_amount || 0),
+  };
+}
+
+export function formatMove(move) {
+  return {
+    bookingId: move.booking_id,
+    fromSlotId: move.from_slot_id,
+    slotId: move.slot_id,
+    date: move.date,
+    startTime: move.start_time,
+    endTime: move.end_time,
+    netNumber: move.net_number,
+  };
+}
+
+// Maps the exceptions raised by the blackout RPCs to HTTP statuses
+export function blackoutErrorStatus(error) {
+  const message = error?.message || "";
+  if (message.includes("not found")) return 404;
+  if (message.includes("another turf") || message.includes("not affected")) return 400;
+  if (
+    message.includes("not available") ||
+    message.includes("inside the blackout") ||
+    message.includes("already lifted")
+  ) {
+    return 409;
+  }
+  return 500;
+}
+
+// Names the booking or slot a failed move was about
+export function blackoutErrorBody(error) {
+  const body = { error: error.message };
+  if (error.details && /^[0-9a-f-]{36}$/i.test(error.details)) {
+    body.id = error.details;
+  }
+  return body;
+}
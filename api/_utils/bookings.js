@@ -0,0 +1,73 @@
+import { weekdayName } from "./pricing.js";
+import { generateSlots, listDates } from "./slots.js";
+
+export const MAX_GROUP_SLOTS = 12;
+export const MAX_SERIES_DAYS = 182;
+export const WEEKDAYS = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+
+// Maps the exceptions raised by the booking RPCs to HTTP statuses
+export function bookingErrorStatus(error) {
+  const message = error?.message || "";
+  if (message.includes("not found")) return 404;
+  if (message.includes("not available") || message.includes("is cancelled")) {
+    return 409;
+  }
+  if (message.includes("another turf") || message.includes("No slots")) return 400;
+  return 500;
+}
+
+// Error body for a failed booking RPC; names the offending slot when known
+export function bookingErrorBody(error) {
+  const body = { error: error.message };
+  if (error.details && /^[0-9a-f-]{36}$/i.test(error.details)) {
+    body.slotId = error.details;
+  }
+  return body;
+}
+
+// A customer name or phone from the request body, else the caller's own
+export function stringOr(value, fallback) {
+  if (typeof value === "string" && value.trim()) return value.trim().slice(0, 100);
+  return fallback || "";
+}
+
+// Per-date report returned by book_series_occurrences
+export function formatOccurrences(occurrences = []) {
+  return occurrences.map((o) => ({
+    date: o.date,
+    status: o.status,
+    reason: o.reason,
+    bookingId: o.booking_id,
+    slotId: o.slot_id,
+    blockReason: o.block_reason,
+  }));
+}
+
+export async function getSeries(supabase, seriesId) {
+  const { data, error } = await supabase
+    .from("booking_series")
+    .select("*")
+    .eq("id", seriesId)
+    .maybeSingle();
+  return { series: data, error };
+}
+
+// Creates the slot rows a series needs one occurrence at a time, so a long
+// series never generates the days it skips and each call stays small.
+// Returns the occurrence dates, or null when the turf does not exist; database
+// errors are thrown as generateSlots throws them.
+export async function generateSeriesSlots(
+  supabase,
+  { turfId, weekday, startDate, endDate },
+) {
+  const dates = listDates(startDate, endDate).filter((d) => weekdayName(d) === weekday);
+  for (const date of dates) {
+    const generated = await generateSlots(supabase, {
+      turfId,
+      startDate: date,
+      endDate: date,
+    });
+    if (!generated) return null;
+  }
+  return dates;
+}
@@ -0,0 +1,156 @@
+import crypto from "node:crypto";
+import { buildCalendar, icalUid, slotInstants } from "./ical.js";
+import { addDays } from "./slots.js";
+import { localDate, turfTimeZone } from "./time.js";
+
+// Calendar feed tokens are bearer secrets in the URL, so only their hash is
+// stored. Issuing a feed for a scope that already has one rotates its token.
+
+export const FEED_PAST_DAYS = 30;
+export const FEED_FUTURE_DAYS = 180;
+
+// Reason buildSlotsForDate gives slots past closing time; not worth an event
+const CLOSED_REASON = "Closed";
+
+export function newFeedToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+export function hashFeedToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export function feedUrl(req, token) {
+  const base =
+    process.env.PUBLIC_BASE_URL ||
+    `${req.headers?.["x-forwarded-proto"] || "https"}://${req.headers?.host}`;
+  return `${base.replace(/\/$/, "")}/api/calendar/${token}.ics`;
+}
+
+export async function findFeed(supabase, token) {
+  const { data, error } = await supabase
+    .from("calendar_feeds")
+    .select("*")
+    .eq("token_hash", hashFeedToken(token))
+    .maybeSingle();
+  return { feed: data, error };
+}
+
+// Confirmed bookings and owner blocks for one turf, optionally one net
+export async function buildTurfCalendar(supabase, feed, now = new Date()) {
+  const { data: turf, error: turfError } = await supabase
+    .from("turfs")
+    .select("id, turf_name, address, city")
+    .eq("id", feed.turf_id)
+    .maybeSingle();
+  if (turfError) throw turfError;
+  if (!turf) return null;
+
+  const timeZone = turfTimeZone(turf);
+  const today = localDate(now, timeZone);
+  const from = addDays(today, -FEED_PAST_DAYS);
+  const to = addDays(today, FEED_FUTURE_DAYS);
+  const location = [turf.address, turf.city].filter(Boolean).join(", ");
+
+  let bookingsQuery = supabase
+    .from("bookings")
+    .select("id, booking_date, start_time, end_time, net_number, customer_name, customer_phone, payment_status, amount, advance_amount, created_at, updated_at")
+    .eq("turf_id", turf.id)
+    .eq("booking_status", "CONFIRMED")
+    .gte("booking_date", from)
+    .lte("booking_date", to);
+  let slotsQuery = supabase
+    .from("slots")
+    .select("id, date, start_time, end_time, net_number, block_reason, created_at, updated_at")
+    .eq("turf_id", turf.id)
+    .eq("status", "BLOCKED")
+    .gte("date", from)
+    .lte("date", to);
+  if (feed.net_number) {
+    bookingsQuery = bookingsQuery.eq("net_number", feed.net_number);
+    slotsQuery = slotsQuery.eq("net_number", feed.net_number);
+  }
+
+  const [{ data: bookings, error: bookingsError }, { data: blocked, error: slotsError }] =
+    await Promise.all([bookingsQuery, slotsQuery]);
+  if (bookingsError) throw bookingsError;
+  if (slotsError) throw slotsError;
+
+  const events = [];
+  for (const b of bookings || []) {
+    const balance = Number(b.amount) - Number(b.advance_amount || 0);
+    events.push({
+      uid: icalUid("booking", b.id),
+      ...slotInstants(b.booking_date, b.start_time, b.end_time, timeZone),
+      stamp: b.updated_at || b.created_at,
+      summary: `Net ${b.net_number}: ${b.customer_name}`,
+      description: [
+        `Phone: ${b.customer_phone}`,
+        `Payment: ${b.payment_status}`,
+        `Amount: Rs ${b.amount}`,
+        balance > 0 ? `Balance due: Rs ${balance}` : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      location,
+    });
+  }
+  for (const s of blocked || []) {
+    if (s.block_reason === CLOSED_REASON) continue;
+    events.push({
+      uid: icalUid("block", s.id),
+      ...slotInstants(s.date, s.start_time, s.end_time, timeZone),
+      stamp: s.updated_at || s.created_at,
+      summary: `Net ${s.net_number}: Blocked${s.block_reason ? ` (${s.block_reason})` : ""}`,
+      location,
+    });
+  }
+  events.sort((a, b) => a.start - b.start);
+
+  return {
+    filename: `turf-${turf.id}${feed.net_number ? `-net-${feed.net_number}` : ""}.ics`,
+    body: buildCalendar({
+      name: feed.net_number
+        ? `${turf.turf_name} - Net ${feed.net_number}`
+        : turf.turf_name,
+      events,
+      timeZone,
+    }),
+  };
+}
+
+// The player's confirmed bookings from today on, each in its turf's zone
+export async function buildPlayerCalendar(supabase, feed, now = new Date()) {
+  // A day early: "today" depends on the turf, which the filter below applies
+  const { data: bookings, error } = await supabase
+    .from("bookings")
+    .select("id, turf_name, booking_date, start_time, end_time, net_number, amount, advance_amount, created_at, updated_at, turf:turfs(address, city)")
+    .eq("user_id", feed.player_id)
+    .eq("booking_status", "CONFIRMED")
+    .gte("booking_date", addDays(localDate(now), -1))
+    .order("booking_date", { ascending: true })
+    .order("start_time", { ascending: true });
+  if (error) throw error;
+
+  const upcoming = (bookings || [])
+    .map((b) => ({ booking: b, timeZone: turfTimeZone(b.turf) }))
+    .filter(({ booking, timeZone }) => booking.booking_date >= localDate(now, timeZone));
+
+  const events = upcoming.map(({ booking: b, timeZone }) => {
+    const balance = Number(b.amount) - Number(b.advance_amount || 0);
+    return {
+      uid: icalUid("booking", b.id),
+      ...slotInstants(b.booking_date, b.start_time, b.end_time, timeZone),
+      stamp: b.updated_at || b.created_at,
+      summary: `${b.turf_name} (Net ${b.net_number})`,
+      description: balance > 0 ? `Pay at turf: Rs ${balance}` : "Paid",
+      location: [b.turf?.address, b.turf?.city].filter(Boolean).join(", "),
+    };
+  });
+  events.sort((a, b) => a.start - b.start);
+
+  return {
+    filename: "my-bookings.ics",
+    body: buildCalendar({ name: "My turf bookings", events }),
+  };
+}
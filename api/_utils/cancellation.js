@@ -0,0 +1,168 @@
+import { validate } from "./validation.js";
+import { DEFAULT_TIME_ZONE, zonedDateTime } from "./time.js";
+
+// Stored on turfs.cancellation_policy:
+//   {
+//     player: { noCancelWithinHours: 2,
+//               tiers: [{ minHoursBefore: 24, refundPercent: 100 },
+//                       { minHoursBefore: 6, refundPercent: 50 }] },
+//     owner:  { noCancelWithinHours: 0,
+//               tiers: [{ minHoursBefore: 0, refundPercent: 100 }] }
+//   }
+// The first tier (highest minHoursBefore first) the cancellation clears sets
+// the refund; below every tier nothing is refunded. Refunds are a share of
+// what has been paid so far (advance_amount).
+
+export const DEFAULT_CANCELLATION_POLICY = {
+  player: {
+    noCancelWithinHours: 0,
+    tiers: [{ minHoursBefore: 0, refundPercent: 100 }],
+  },
+  owner: {
+    noCancelWithinHours: 0,
+    tiers: [{ minHoursBefore: 0, refundPercent: 100 }],
+  },
+};
+
+const RULES_SCHEMA = {
+  noCancelWithinHours: { type: "number", min: 0, max: 720, default: 0 },
+  tiers: { type: "array", items: { type: "object" }, maxItems: 10, default: [] },
+};
+
+const TIER_SCHEMA = {
+  minHoursBefore: { type: "number", min: 0, max: 720, required: true },
+  refundPercent: { type: "number", min: 0, max: 100, required: true },
+};
+
+// Returns { value, errors } in the same shape as validate()
+export function validatePolicy(input) {
+  const value = {};
+  const errors = [];
+
+  for (const side of ["player", "owner"]) {
+    const rules = input?.[side] ?? DEFAULT_CANCELLATION_POLICY[side];
+    const checked = validate(RULES_SCHEMA, rules);
+    for (const e of checked.errors) {
+      errors.push({ field: `${side}.${e.field}`, message: e.message });
+    }
+
+    const tiers = [];
+    (checked.value.tiers || []).forEach((tier, i) => {
+      const t = validate(TIER_SCHEMA, tier);
+      for (const e of t.errors) {
+        errors.push({ field: `${side}.tiers.${i}.${e.field}`, message: e.message });
+      }
+      tiers.push(t.value);
+    });
+
+    value[side] = {
+      noCancelWithinHours: checked.value.noCancelWithinHours ?? 0,
+      tiers: tiers.sort((a, b) => b.minHoursBefore - a.minHoursBefore),
+    };
+  }
+
+  return { value, errors };
+}
+
+export function resolvePolicy(stored) {
+  if (!stored) return DEFAULT_CANCELLATION_POLICY;
+  const { value, errors } = validatePolicy(stored);
+  return errors.length ? DEFAULT_CANCELLATION_POLICY : value;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// initiator is "OWNER" (turf owner or admin) or "PLAYER"
+export function evaluateCancellation({
+  policy,
+  booking,
+  initiator,
+  now = new Date(),
+  timeZone = DEFAULT_TIME_ZONE,
+}) {
+  const rules = resolvePolicy(policy)[initiator === "OWNER" ? "owner" : "player"];
+  const startsAt = zonedDateTime(booking.booking_date, booking.start_time, timeZone);
+  const hoursBefore = (startsAt.getTime() - now.getTime()) / 3600000;
+  const paidAmount = Number(booking.advance_amount || 0);
+
+  const result = {
+    initiator,
+    startsAt: startsAt.toISOString(),
+    hoursBefore: round2(hoursBefore),
+    paidAmount,
+    allowed: true,
+    reason: null,
+    refundPercent: 0,
+    refundAmount: 0,
+    refundStatus: "NONE",
+  };
+
+  if (initiator === "PLAYER" && hoursBefore <= 0) {
+    return { ...result, allowed: false, reason: "Booking has already started." };
+  }
+  if (rules.noCancelWithinHours > 0 && hoursBefore < rules.noCancelWithinHours) {
+    return {
+      ...result,
+      allowed: false,
+      reason: `Bookings cannot be cancelled within ${rules.noCancelWithinHours} hours of the start time.`,
+    };
+  }
+
+  // Owners may cancel after the start; that counts as zero hours' notice
+  const notice = Math.max(hoursBefore, 0);
+  const tier = rules.tiers.find((t) => notice >= t.minHoursBefore);
+  const refundPercent = tier ? tier.refundPercent : 0;
+  const refundAmount = round2((paidAmount * refundPercent) / 100);
+
+  return {
+    ...result,
+    refundPercent,
+    refundAmount,
+    refundStatus: refundAmount > 0 ? "PENDING" : "NONE",
+  };
+}
+
+// Booking columns evaluateCancellations reads
+export const CANCELLATION_BOOKING_COLUMNS =
+  "id, booking_date, start_time, advance_amount, turf:turfs(cancellation_policy)";
+
+// Group and series cancellations: every confirmed booking is judged on its
+// own start time. One the policy will not let go blocks the whole request;
+// otherwise `refunds` is the p_refunds map the cancel RPCs take.
+export function evaluateCancellations({ bookings, initiator, now = new Date() }) {
+  const refunds = {};
+  let refundAmount = 0;
+  for (const booking of bookings) {
+    const cancellation = evaluateCancellation({
+      policy: booking.turf?.cancellation_policy ?? null,
+      booking,
+      initiator,
+      now,
+    });
+    if (!cancellation.allowed) {
+      return {
+        blocked: { bookingId: booking.id, ...cancellation },
+        refunds: null,
+        refundAmount: 0,
+      };
+    }
+    refunds[booking.id] = {
+      refund_amount: cancellation.refundAmount,
+      refund_status: cancellation.refundStatus,
+    };
+    refundAmount += cancellation.refundAmount;
+  }
+  return { blocked: null, refunds, refundAmount: round2(refundAmount) };
+}
+
+// Loads what evaluateCancellation needs for one booking
+export async function loadBookingForCancellation(supabase, bookingId) {
+  const { data, error } = await supabase
+    .from("bookings")
+    .select(
+      "id, slot_id, owner_id, user_id, turf_id, booking_date, start_time, advance_amount, booking_status, turf:turfs(cancellation_policy)",
+    )
+    .eq("id", bookingId)
+    .maybeSingle();
+  return { booking: data, policy: data?.turf?.cancellation_policy ?? null, error };
+}
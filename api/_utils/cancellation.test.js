@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DEFAULT_CANCELLATION_POLICY,
+  evaluateCancellation,
+  evaluateCancellations,
+  resolvePolicy,
+  validatePolicy,
+} from "./cancellation.js";
+
+const NOW = new Date("2026-10-20T10:00:00Z");
+
+const POLICY = {
+  player: {
+    noCancelWithinHours: 2,
+    tiers: [
+      { minHoursBefore: 6, refundPercent: 50 },
+      { minHoursBefore: 24, refundPercent: 100 },
+    ],
+  },
+  owner: { noCancelWithinHours: 0, tiers: [{ minHoursBefore: 0, refundPercent: 100 }] },
+};
+
+function booking(date, time, advance = 400) {
+  return { id: `${date}-${time}`, booking_date: date, start_time: time, advance_amount: advance };
+}
+
+function evaluate(b, initiator = "PLAYER", policy = POLICY) {
+  return evaluateCancellation({ policy, booking: b, initiator, now: NOW, timeZone: "UTC" });
+}
+
+describe("validatePolicy", () => {
+  it("sorts tiers from the longest notice down", () => {
+    const { value, errors } = validatePolicy(POLICY);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      value.player.tiers.map((t) => t.minHoursBefore),
+      [24, 6],
+    );
+  });
+
+  it("names the side and tier of a bad rule", () => {
+    const { errors } = validatePolicy({
+      player: { tiers: [{ minHoursBefore: 1, refundPercent: 150 }] },
+    });
+    assert.deepEqual(errors, [
+      { field: "player.tiers.0.refundPercent", message: "must be at most 100" },
+    ]);
+  });
+
+  it("falls back to the default for a missing or invalid stored policy", () => {
+    assert.equal(resolvePolicy(null), DEFAULT_CANCELLATION_POLICY);
+    assert.equal(
+      resolvePolicy({ owner: { noCancelWithinHours: -1 } }),
+      DEFAULT_CANCELLATION_POLICY,
+    );
+  });
+});
+
+describe("evaluateCancellation", () => {
+  it("refunds from the first tier the notice clears", () => {
+    const early = evaluate(booking("2026-10-22", "10:00"));
+    assert.equal(early.refundPercent, 100);
+    assert.equal(early.refundAmount, 400);
+    assert.equal(early.refundStatus, "PENDING");
+
+    const late = evaluate(booking("2026-10-20", "20:00", 333));
+    assert.equal(late.hoursBefore, 10);
+    assert.equal(late.refundPercent, 50);
+    assert.equal(late.refundAmount, 166.5);
+  });
+
+  it("refunds nothing below every tier", () => {
+    const result = evaluate(booking("2026-10-20", "13:00"));
+    assert.equal(result.allowed, true);
+    assert.equal(result.refundAmount, 0);
+    assert.equal(result.refundStatus, "NONE");
+  });
+
+  it("blocks cancellations inside the no-cancel window", () => {
+    const result = evaluate(booking("2026-10-20", "11:30"));
+    assert.equal(result.allowed, false);
+    assert.match(result.reason, /within 2 hours/);
+  });
+
+  it("stops players once the booking has started but not owners", () => {
+    const started = booking("2026-10-20", "09:00");
+    assert.equal(evaluate(started, "PLAYER").allowed, false);
+
+    const byOwner = evaluate(started, "OWNER");
+    assert.equal(byOwner.allowed, true);
+    assert.equal(byOwner.refundAmount, 400);
+  });
+
+  it("reads the start time in the turf's zone", () => {
+    const result = evaluateCancellation({
+      policy: null,
+      booking: booking("2026-10-20", "20:00"),
+      initiator: "PLAYER",
+      now: NOW,
+      timeZone: "Asia/Kolkata",
+    });
+    assert.equal(result.startsAt, "2026-10-20T14:30:00.000Z");
+    assert.equal(result.hoursBefore, 4.5);
+  });
+});
+
+describe("evaluateCancellations", () => {
+  it("builds the refunds map and total", () => {
+    const bookings = [
+      { ...booking("2026-11-01", "10:00", 200), turf: { cancellation_policy: POLICY } },
+      { ...booking("2026-11-08", "10:00", 0), turf: { cancellation_policy: POLICY } },
+    ];
+    const { blocked, refunds, refundAmount } = evaluateCancellations({
+      bookings,
+      initiator: "PLAYER",
+      now: NOW,
+    });
+    assert.equal(blocked, null);
+    assert.deepEqual(refunds, {
+      "2026-11-01-10:00": { refund_amount: 200, refund_status: "PENDING" },
+      "2026-11-08-10:00": { refund_amount: 0, refund_status: "NONE" },
+    });
+    assert.equal(refundAmount, 200);
+  });
+
+  it("lets one booking the policy holds block the whole request", () => {
+    const held = { ...booking("2026-10-01", "10:00"), turf: { cancellation_policy: POLICY } };
+    const { blocked, refunds } = evaluateCancellations({
+      bookings: [held],
+      initiator: "PLAYER",
+      now: NOW,
+    });
+    assert.equal(blocked.bookingId, held.id);
+    assert.equal(blocked.allowed, false);
+    assert.equal(refunds, null);
+  });
+});
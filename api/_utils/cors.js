@@ -1,7 +1,11 @@
 export function applyCors(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, Idempotency-Key, X-Request-Id",
+  );
+  res.setHeader("Access-Control-Expose-Headers", "Idempotent-Replayed, X-Request-Id");
 
   if (req.method === "OPTIONS") {
     res.status(204).end();
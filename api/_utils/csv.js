@@ -0,0 +1,21 @@
+// RFC 4180 CSV. columns is [{ key, header }]; values are read by key.
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map((c) => escapeCell(c.header ?? c.key)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCell(row[c.key])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+export function sendCsv(res, filename, csv) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(csv);
+}
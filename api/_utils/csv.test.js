@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { sendCsv, toCsv } from "./csv.js";
+
+describe("toCsv", () => {
+  it("writes a header row and CRLF-terminated lines", () => {
+    const csv = toCsv(
+      [{ key: "date", header: "Date" }, { key: "amount" }],
+      [
+        { date: "2026-10-20", amount: 800 },
+        { date: "2026-10-21", amount: 0 },
+      ],
+    );
+    assert.equal(csv, "Date,amount\r\n2026-10-20,800\r\n2026-10-21,0\r\n");
+  });
+
+  it("quotes cells holding commas, quotes or line breaks", () => {
+    const csv = toCsv(
+      [{ key: "name" }, { key: "note" }, { key: "address" }],
+      [{ name: 'Ravi "RK" Kumar', note: "paid, cash", address: "Line 1\nLine 2" }],
+    );
+    assert.equal(
+      csv.split("\r\n")[1],
+      '"Ravi ""RK"" Kumar","paid, cash","Line 1\nLine 2"',
+    );
+  });
+
+  it("leaves missing values empty", () => {
+    const csv = toCsv([{ key: "a" }, { key: "b" }, { key: "c" }], [{ a: null, c: false }]);
+    assert.equal(csv, "a,b,c\r\n,,false\r\n");
+  });
+});
+
+describe("sendCsv", () => {
+  it("sends the body as an attachment", () => {
+    const headers = {};
+    let sent;
+    const res = {
+      setHeader: (k, v) => {
+        headers[k] = v;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      send(body) {
+        sent = body;
+        return this;
+      },
+    };
+
+    sendCsv(res, "bookings.csv", "a\r\n");
+    assert.equal(res.statusCode, 200);
+    assert.equal(sent, "a\r\n");
+    assert.equal(headers["Content-Type"], "text/csv; charset=utf-8");
+    assert.equal(headers["Content-Disposition"], 'attachment; filename="bookings.csv"');
+  });
+});
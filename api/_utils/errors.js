@@ -0,0 +1,125 @@
+import { log as rootLog } from "./log.js";
+
+// Stable error codes for API responses. Every error body carries
+//   { error: "Human readable message", code: "SLOT_NOT_AVAILABLE" }
+// Clients branch on `code`; the wording of `error` may change.
+//
+// Handlers keep answering with res.status(n).json({ error }) as before;
+// interceptErrorResponses fills in `code` from the RPC exception text or the
+// status, corrects a 500 that is really a known RPC exception (a raced slot
+// is a 409, not a server fault), and replaces unexplained 5xx messages --
+// usually raw Postgres text -- with a generic one plus the request id.
+
+// RPC exceptions raised in supabase/schema.sql. First match wins, so the
+// narrower messages come before the ones they start with.
+const RPC_ERRORS = [
+  ["Slot not found", "SLOT_NOT_FOUND", 404],
+  ["Slot not available", "SLOT_NOT_AVAILABLE", 409],
+  ["Slot not reserved by user", "SLOT_NOT_RESERVED", 409],
+  ["Slot belongs to another turf", "SLOT_WRONG_TURF", 400],
+  ["Slot is inside the blackout", "SLOT_BLACKED_OUT", 409],
+  ["No slots given", "INVALID_REQUEST", 400],
+  ["Turf not found", "TURF_NOT_FOUND", 404],
+  ["Owner not found", "OWNER_NOT_FOUND", 404],
+  ["Player not found", "PLAYER_NOT_FOUND", 404],
+  ["Player has upcoming bookings", "PLAYER_HAS_UPCOMING_BOOKINGS", 409],
+  ["Booking not found or already cancelled", "BOOKING_ALREADY_CANCELLED", 409],
+  ["Booking not found", "BOOKING_NOT_FOUND", 404],
+  ["Booking group not found", "BOOKING_NOT_FOUND", 404],
+  ["Booking is cancelled", "BOOKING_CANCELLED", 409],
+  ["Booking is not affected by this blackout", "BOOKING_NOT_AFFECTED", 400],
+  ["Booking series not found", "SERIES_NOT_FOUND", 404],
+  ["Booking series is cancelled", "SERIES_CANCELLED", 409],
+  ["Blackout not found", "BLACKOUT_NOT_FOUND", 404],
+  ["Blackout is already lifted", "BLACKOUT_ALREADY_LIFTED", 409],
+  ["Waitlist entry not found", "WAITLIST_ENTRY_NOT_FOUND", 404],
+  ["Waitlist entry is already closed", "WAITLIST_ENTRY_CLOSED", 409],
+  ["Payment order not found", "PAYMENT_ORDER_NOT_FOUND", 404],
+  ["Payment amount mismatch", "PAYMENT_AMOUNT_MISMATCH", 400],
+  ["Refund exceeds amount paid", "REFUND_EXCEEDS_PAID", 400],
+  ["Promo code is not active", "PROMO_NOT_ACTIVE", 409],
+  ["Promo code usage limit reached", "PROMO_LIMIT_REACHED", 409],
+  ["Promo code per-player limit reached", "PROMO_LIMIT_REACHED", 409],
+  ["Promo code is only for a first booking", "PROMO_FIRST_BOOKING_ONLY", 409],
+  ["Image not found", "IMAGE_NOT_FOUND", 404],
+  ["Image limit reached", "IMAGE_LIMIT_REACHED", 409],
+  ["Favourite limit reached", "FAVORITE_LIMIT_REACHED", 409],
+  ["Invalid transition", "INVALID_TRANSITION", 409],
+  ["Reason is required", "INVALID_REQUEST", 400],
+  ["Unknown action", "INVALID_REQUEST", 400],
+  ["Email or phone already registered", "ALREADY_REGISTERED", 409],
+  ["This account has been suspended", "ACCOUNT_SUSPENDED", 403],
+  ["duplicate key value", "CONFLICT", 409],
+];
+
+// Fallback when the message is not a known exception
+const STATUS_CODES = {
+  400: "INVALID_REQUEST",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  405: "METHOD_NOT_ALLOWED",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE",
+  429: "RATE_LIMITED",
+  500: "INTERNAL",
+  502: "UPSTREAM_FAILED",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+export const INTERNAL_ERROR_MESSAGE = "Something went wrong. Please try again.";
+
+// { code, status } for a known RPC exception message, otherwise null
+export function classifyError(message) {
+  if (typeof message !== "string") return null;
+  for (const [prefix, code, status] of RPC_ERRORS) {
+    if (message.startsWith(prefix)) return { code, status };
+  }
+  return null;
+}
+
+export function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? "INTERNAL" : "INVALID_REQUEST");
+}
+
+// Normalises one error response. A handler that sets `code` itself vouches
+// for its message, so a deliberate 5xx explanation is passed through.
+export function toErrorResponse(status, body, requestId) {
+  if (status < 400 || !body || typeof body.error !== "string") {
+    return { status, body, hidden: null };
+  }
+  if (body.code) return { status, body, hidden: null };
+
+  const known = classifyError(body.error);
+  if (known) {
+    return {
+      status: status >= 500 ? known.status : status,
+      body: { ...body, code: known.code },
+      hidden: null,
+    };
+  }
+  if (status < 500) {
+    return { status, body: { ...body, code: codeForStatus(status) }, hidden: null };
+  }
+  return {
+    status,
+    body: { error: INTERNAL_ERROR_MESSAGE, code: codeForStatus(status), requestId },
+    hidden: body.error,
+  };
+}
+
+// Routes every res.json through toErrorResponse; the original text of a
+// hidden 5xx goes to the log instead of the client.
+export function interceptErrorResponses(res, { requestId, log = rootLog } = {}) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const out = toErrorResponse(res.statusCode, body, requestId);
+    if (out.hidden !== null) {
+      log.error("error_response_hidden", { status: out.status, message: out.hidden });
+    }
+    if (out.status !== res.statusCode) res.status(out.status);
+    return json(out.body);
+  };
+  return res;
+}
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  INTERNAL_ERROR_MESSAGE,
+  classifyError,
+  codeForStatus,
+  interceptErrorResponses,
+  toErrorResponse,
+} from "./errors.js";
+
+describe("classifyError", () => {
+  it("maps RPC exception text to a code and status", () => {
+    assert.deepEqual(classifyError("Slot not available"), {
+      code: "SLOT_NOT_AVAILABLE",
+      status: 409,
+    });
+    assert.deepEqual(classifyError('duplicate key value violates unique constraint "x"'), {
+      code: "CONFLICT",
+      status: 409,
+    });
+  });
+
+  it("prefers the narrower message", () => {
+    assert.equal(
+      classifyError("Booking not found or already cancelled").code,
+      "BOOKING_ALREADY_CANCELLED",
+    );
+    assert.equal(classifyError("Booking not found").code, "BOOKING_NOT_FOUND");
+  });
+
+  it("returns null for anything else", () => {
+    assert.equal(classifyError("connection terminated"), null);
+    assert.equal(classifyError(undefined), null);
+  });
+});
+
+describe("codeForStatus", () => {
+  it("falls back by status class", () => {
+    assert.equal(codeForStatus(429), "RATE_LIMITED");
+    assert.equal(codeForStatus(418), "INVALID_REQUEST");
+    assert.equal(codeForStatus(504), "INTERNAL");
+  });
+});
+
+describe("toErrorResponse", () => {
+  it("leaves successes and handler-coded errors alone", () => {
+    assert.deepEqual(toErrorResponse(200, { ok: true }, "r1"), {
+      status: 200,
+      body: { ok: true },
+      hidden: null,
+    });
+    const coded = {
+      error: "Online payments are not available right now.",
+      code: "PAYMENTS_UNAVAILABLE",
+    };
+    assert.deepEqual(toErrorResponse(503, coded, "r1"), {
+      status: 503,
+      body: coded,
+      hidden: null,
+    });
+  });
+
+  it("corrects a 500 that is a known RPC exception", () => {
+    assert.deepEqual(toErrorResponse(500, { error: "Slot not available" }, "r1"), {
+      status: 409,
+      body: { error: "Slot not available", code: "SLOT_NOT_AVAILABLE" },
+      hidden: null,
+    });
+  });
+
+  it("keeps a handler's own 4xx status for known messages", () => {
+    assert.equal(toErrorResponse(400, { error: "Turf not found" }, "r1").status, 400);
+  });
+
+  it("codes unknown 4xx errors from their status", () => {
+    const out = toErrorResponse(403, { error: "Not yours", fields: [] }, "r1");
+    assert.deepEqual(out.body, { error: "Not yours", fields: [], code: "FORBIDDEN" });
+  });
+
+  it("hides unexplained 5xx messages behind the request id", () => {
+    const out = toErrorResponse(500, { error: 'relation "slots" does not exist' }, "r1");
+    assert.deepEqual(out, {
+      status: 500,
+      body: { error: INTERNAL_ERROR_MESSAGE, code: "INTERNAL", requestId: "r1" },
+      hidden: 'relation "slots" does not exist',
+    });
+  });
+});
+
+describe("interceptErrorResponses", () => {
+  function fakeRes() {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json(body) {
+        res.body = body;
+        return res;
+      },
+    };
+    return res;
+  }
+
+  it("rewrites the response and logs what it hid", () => {
+    const logged = [];
+    const log = { error: (event, fields) => logged.push([event, fields]) };
+    const res = interceptErrorResponses(fakeRes(), { requestId: "r2", log });
+
+    res.status(500).json({ error: "timeout exceeded" });
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, {
+      error: INTERNAL_ERROR_MESSAGE,
+      code: "INTERNAL",
+      requestId: "r2",
+    });
+    assert.deepEqual(logged, [
+      ["error_response_hidden", { status: 500, message: "timeout exceeded" }],
+    ]);
+
+    res.status(500).json({ error: "Slot not reserved by user" });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, "SLOT_NOT_RESERVED");
+    assert.equal(logged.length, 1);
+  });
+});
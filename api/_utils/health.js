@@ -0,0 +1,87 @@
+import { IMAGE_BUCKETS } from "./images.js";
+
+// Dependency checks behind GET /health. Each check resolves to
+// { ok, latencyMs, ... } and never throws; the failure detail is returned
+// separately so the route can log it without showing it to the public.
+
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 3000);
+
+// The deployed commit on Vercel, or whatever the host sets in BUILD_VERSION
+export function buildVersion() {
+  const version =
+    process.env.BUILD_VERSION ||
+    process.env.VERCEL_GIT_COMMIT_SHA ||
+    process.env.GIT_COMMIT ||
+    "dev";
+  return /^[0-9a-f]{40}$/i.test(version) ? version.slice(0, 12) : version;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function timed(run) {
+  const started = performance.now();
+  let result;
+  try {
+    result = await withTimeout(run(), CHECK_TIMEOUT_MS);
+  } catch (e) {
+    const timedOut = e.message?.startsWith("Timed out");
+    result = { ok: false, problem: timedOut ? "timed out" : "failed", detail: e };
+  }
+  const { detail, ...check } = result;
+  return {
+    check: { ...check, latencyMs: Math.round(performance.now() - started) },
+    detail: detail || null,
+  };
+}
+
+function checkDatabase(supabase) {
+  return timed(async () => {
+    const { error } = await supabase.from("turfs").select("id").limit(1);
+    if (error) return { ok: false, problem: "query failed", detail: error };
+    return { ok: true };
+  });
+}
+
+function checkStorage(supabase) {
+  return timed(async () => {
+    const names = Object.values(IMAGE_BUCKETS);
+    const results = await Promise.all(
+      names.map((name) => supabase.storage.getBucket(name)),
+    );
+    const buckets = {};
+    const missing = [];
+    let detail = null;
+    results.forEach(({ data, error }, i) => {
+      buckets[names[i]] = !error && !!data;
+      if (!buckets[names[i]]) missing.push(names[i]);
+      if (error) detail ||= error;
+    });
+    if (missing.length > 0) {
+      return { ok: false, buckets, problem: `missing ${missing.join(", ")}`, detail };
+    }
+    return { ok: true, buckets };
+  });
+}
+
+// { ok, checks, details }: `details` maps failed checks to their raw errors
+export async function runHealthChecks(supabase) {
+  const [database, storage] = await Promise.all([
+    checkDatabase(supabase),
+    checkStorage(supabase),
+  ]);
+  const checks = { database: database.check, storage: storage.check };
+  const details = {};
+  if (database.detail) details.database = database.detail;
+  if (storage.detail) details.storage = storage.detail;
+  return {
+    ok: Object.values(checks).every((c) => c.ok),
+    checks,
+    details,
+  };
+}
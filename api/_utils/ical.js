@@ -0,0 +1,93 @@
+import { addDays } from "./slots.js";
+import { DEFAULT_TIME_ZONE, zonedDateTime } from "./time.js";
+
+// Minimal RFC 5545 writer for read-only subscription feeds. Event times are
+// converted from the turf's wall clock to UTC, so no VTIMEZONE is needed.
+
+const PRODUCT_ID = "-//Turf App//Schedule Feed//EN";
+const UID_DOMAIN = "turf-app";
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+export function formatIcalUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Slot start/end as UTC instants; an end at or before the start is past midnight
+export function slotInstants(date, startTime, endTime, timeZone = DEFAULT_TIME_ZONE) {
+  const start = zonedDateTime(date, startTime, timeZone);
+  const endDate = endTime <= startTime ? addDays(date, 1) : date;
+  return { start, end: zonedDateTime(endDate, endTime, timeZone) };
+}
+
+export function icalUid(kind, id) {
+  return `${kind}-${id}@${UID_DOMAIN}`;
+}
+
+// events: [{ uid, start, end, stamp, summary, description, location, status }]
+export function buildCalendar({ name, events, timeZone = DEFAULT_TIME_ZONE }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT15M",
+    "X-PUBLISHED-TTL:PT15M",
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatIcalUtc(event.stamp || new Date())}`,
+      `DTSTART:${formatIcalUtc(event.start)}`,
+      `DTEND:${formatIcalUtc(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    lines.push(`STATUS:${event.status || "CONFIRMED"}`, "TRANSP:OPAQUE", "END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+export function sendCalendar(res, filename, body) {
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  res.setHeader("Cache-Control", "private, max-age=300");
+  return res.status(200).send(body);
+}
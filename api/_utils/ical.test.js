@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildCalendar, formatIcalUtc, icalUid, slotInstants } from "./ical.js";
+
+function unfold(body) {
+  return body.replace(/\r\n /g, "");
+}
+
+describe("slotInstants", () => {
+  it("converts the turf's wall clock to UTC", () => {
+    const { start, end } = slotInstants("2026-10-20", "18:00", "19:00", "Asia/Kolkata");
+    assert.equal(start.toISOString(), "2026-10-20T12:30:00.000Z");
+    assert.equal(end.toISOString(), "2026-10-20T13:30:00.000Z");
+  });
+
+  it("ends slots that run to midnight on the next day", () => {
+    const { end } = slotInstants("2026-10-20", "23:00", "00:00", "Asia/Kolkata");
+    assert.equal(end.toISOString(), "2026-10-20T18:30:00.000Z");
+  });
+
+  it("follows daylight saving in zones that have it", () => {
+    const summer = slotInstants("2026-07-01", "18:00", "19:00", "Europe/London");
+    const winter = slotInstants("2026-12-01", "18:00", "19:00", "Europe/London");
+    assert.equal(summer.start.toISOString(), "2026-07-01T17:00:00.000Z");
+    assert.equal(winter.start.toISOString(), "2026-12-01T18:00:00.000Z");
+  });
+});
+
+describe("formatIcalUtc", () => {
+  it("writes basic-format UTC date-times", () => {
+    assert.equal(formatIcalUtc("2026-10-20T12:30:45.123Z"), "20261020T123045Z");
+  });
+});
+
+describe("buildCalendar", () => {
+  const event = {
+    uid: icalUid("booking", "b1"),
+    ...slotInstants("2026-10-20", "18:00", "19:00", "Asia/Kolkata"),
+    stamp: "2026-10-01T00:00:00Z",
+    summary: "Net 1: Ravi; Team A, B",
+    description: "Phone: 98765\nBalance due: Rs 400",
+    location: "MG Road\\Gate 2",
+  };
+
+  it("writes CRLF lines and one VEVENT per event", () => {
+    const body = buildCalendar({ name: "Green Turf", events: [event], timeZone: "Asia/Kolkata" });
+    assert.ok(body.startsWith("BEGIN:VCALENDAR\r\n"));
+    assert.ok(body.endsWith("END:VCALENDAR\r\n"));
+    assert.equal(body.split("\r\n").filter((l) => l === "BEGIN:VEVENT").length, 1);
+
+    const lines = unfold(body).split("\r\n");
+    assert.ok(lines.includes("X-WR-TIMEZONE:Asia/Kolkata"));
+    assert.ok(lines.includes("UID:booking-b1@turf-app"));
+    assert.ok(lines.includes("DTSTAMP:20261001T000000Z"));
+    assert.ok(lines.includes("DTSTART:20261020T123000Z"));
+    assert.ok(lines.includes("DTEND:20261020T133000Z"));
+    assert.ok(lines.includes("STATUS:CONFIRMED"));
+  });
+
+  it("escapes text values", () => {
+    const lines = unfold(buildCalendar({ name: "Turf, North", events: [event] })).split("\r\n");
+    assert.ok(lines.includes("X-WR-CALNAME:Turf\\, North"));
+    assert.ok(lines.includes("SUMMARY:Net 1: Ravi\\; Team A\\, B"));
+    assert.ok(lines.includes("DESCRIPTION:Phone: 98765\\nBalance due: Rs 400"));
+    assert.ok(lines.includes("LOCATION:MG Road\\\\Gate 2"));
+  });
+
+  it("folds lines at 75 octets without splitting characters", () => {
+    const summary = "मैदान ".repeat(20);
+    const body = buildCalendar({ name: "Turf", events: [{ ...event, summary }] });
+
+    for (const line of body.split("\r\n")) {
+      assert.ok(Buffer.byteLength(line, "utf8") <= 75, line);
+      assert.ok(!line.includes("�"));
+    }
+    const lines = unfold(body).split("\r\n");
+    assert.ok(lines.includes(`SUMMARY:${summary}`));
+  });
+});
@@ -0,0 +1,101 @@
+import crypto from "node:crypto";
+
+// Idempotency-Key support for mutating routes. The first request with a key
+// runs normally and its response is stored; retries with the same key and
+// the same request replay that response instead of running the handler again.
+
+export const IDEMPOTENCY_HEADER = "idempotency-key";
+export const IDEMPOTENCY_TTL_SECONDS =
+  Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 3600;
+// How long a running request holds its key. A retry after this takes the
+// key over, so it must outlast the slowest handler.
+export const IDEMPOTENCY_LEASE_SECONDS = Number(
+  process.env.IDEMPOTENCY_LEASE_SECONDS || 60,
+);
+
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+const MAX_KEY_LENGTH = 255;
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function requestHash(parts) {
+  return crypto.createHash("sha256").update(stableStringify(parts)).digest("hex");
+}
+
+// Webhooks and cron jobs have their own replay handling
+export function supportsIdempotency(route, caller) {
+  return (
+    route.idempotent !== false &&
+    MUTATING_METHODS.has(route.method) &&
+    !route.rawBody &&
+    route.auth !== "cron" &&
+    !!caller?.id
+  );
+}
+
+export function readIdempotencyKey(req) {
+  const value = req.headers?.[IDEMPOTENCY_HEADER];
+  const key = Array.isArray(value) ? value[0] : value;
+  if (key === undefined) return { key: null };
+  if (typeof key !== "string" || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return { error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters.` };
+  }
+  return { key };
+}
+
+export async function beginIdempotentRequest(supabase, { key, callerId, route, hash }) {
+  const { data, error } = await supabase.rpc("begin_idempotent_request", {
+    p_key: key,
+    p_caller_id: callerId,
+    p_route: route,
+    p_request_hash: hash,
+    p_ttl_seconds: IDEMPOTENCY_TTL_SECONDS,
+    p_lease_seconds: IDEMPOTENCY_LEASE_SECONDS,
+  });
+  if (error) throw error;
+  return data;
+}
+
+// `entry` is what beginIdempotentRequest returned. Both writes are scoped to
+// its lease, so a request whose key was taken over changes nothing.
+export async function completeIdempotentRequest(supabase, entry, { status, body }) {
+  const { error } = await supabase
+    .from("idempotency_keys")
+    .update({
+      status: "COMPLETED",
+      response_status: status,
+      response_body: body ?? null,
+      locked_until: null,
+    })
+    .eq("id", entry.id)
+    .eq("lease_id", entry.lease_id);
+  if (error) throw error;
+}
+
+// Server errors are not stored, so the client can retry with the same key
+export async function releaseIdempotentRequest(supabase, entry) {
+  const { error } = await supabase
+    .from("idempotency_keys")
+    .delete()
+    .eq("id", entry.id)
+    .eq("lease_id", entry.lease_id);
+  if (error) throw error;
+}
+
+// Seconds until an in-progress key can be taken over, for Retry-After
+export function leaseRetryAfter(entry, now = new Date()) {
+  if (!entry.locked_until) return 1;
+  const ms = new Date(entry.locked_until).getTime() - now.getTime();
+  return Math.max(1, Math.ceil(ms / 1000));
+}
@@ -0,0 +1,156 @@
+import crypto from "node:crypto";
+import sharp from "sharp";
+
+export const IMAGE_BUCKETS = {
+  turf: "turf-images",
+  profile: "profile-images",
+};
+
+export const MAX_IMAGE_BYTES = 7 * 1024 * 1024;
+// Base64 inflates by 4/3; the slack covers a data: URL prefix
+export const MAX_IMAGE_DATA_LENGTH = Math.ceil((MAX_IMAGE_BYTES * 4) / 3) + 100;
+export const MAX_TURF_IMAGES = Number(process.env.TURF_IMAGE_LIMIT || 10);
+
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 400;
+// Rejects decompression bombs before any pixels are decoded
+const MAX_INPUT_PIXELS = 40_000_000;
+
+const FORMATS = {
+  jpeg: { mime: "image/jpeg", ext: "jpg" },
+  png: { mime: "image/png", ext: "png" },
+  webp: { mime: "image/webp", ext: "webp" },
+};
+
+// Identifies JPEG, PNG and WebP by their magic bytes; anything else is null
+export function sniffImageFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpeg";
+  }
+  if (
+    buffer.length >= 8 &&
+    buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "png";
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  return null;
+}
+
+function encode(pipeline, format) {
+  if (format === "jpeg") return pipeline.jpeg({ quality: 85 });
+  if (format === "png") return pipeline.png({ compressionLevel: 9 });
+  return pipeline.webp({ quality: 85 });
+}
+
+// Re-encodes the upload. sharp drops EXIF/GPS and other metadata unless
+// asked to keep it; rotate() first bakes the EXIF orientation into pixels.
+export async function processImage(buffer) {
+  const format = sniffImageFormat(buffer);
+  if (!format) {
+    return { error: "Only JPEG, PNG and WebP images are allowed." };
+  }
+
+  const source = () =>
+    sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  try {
+    const original = await encode(
+      source().resize({
+        width: MAX_DIMENSION,
+        height: MAX_DIMENSION,
+        fit: "inside",
+        withoutEnlargement: true,
+      }),
+      format,
+    ).toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await encode(
+      source().resize({
+        width: THUMBNAIL_SIZE,
+        height: THUMBNAIL_SIZE,
+        fit: "inside",
+        withoutEnlargement: true,
+      }),
+      format,
+    ).toBuffer();
+
+    return {
+      ...FORMATS[format],
+      original: original.data,
+      width: original.info.width,
+      height: original.info.height,
+      thumbnail,
+    };
+  } catch (e) {
+    return { error: `Could not read image: ${e.message}` };
+  }
+}
+
+// Uploads the processed original and thumbnail under a server-chosen name
+export async function storeImage(supabase, { bucket, dir, image }) {
+  const id = crypto.randomUUID();
+  const path = `${dir}/${id}.${image.ext}`;
+  const thumbnailPath = `${dir}/${id}_thumb.${image.ext}`;
+  const storage = supabase.storage.from(bucket);
+
+  const { error } = await storage.upload(path, image.original, {
+    contentType: image.mime,
+    upsert: false,
+  });
+  if (error) return { error };
+
+  const { error: thumbError } = await storage.upload(thumbnailPath, image.thumbnail, {
+    contentType: image.mime,
+    upsert: false,
+  });
+  if (thumbError) {
+    await storage.remove([path]);
+    return { error: thumbError };
+  }
+
+  return {
+    path,
+    thumbnailPath,
+    url: storage.getPublicUrl(path).data.publicUrl,
+    thumbnailUrl: storage.getPublicUrl(thumbnailPath).data.publicUrl,
+  };
+}
+
+export function thumbnailPathFor(path) {
+  return path.replace(/(\.[a-z]+)$/i, "_thumb$1");
+}
+
+// Public URL -> object path inside the bucket, or null if it is elsewhere
+export function storagePathFromUrl(url, bucket) {
+  try {
+    const segments = new URL(url).pathname.split("/");
+    const index = segments.indexOf(bucket);
+    return index === -1 ? null : segments.slice(index + 1).map(decodeURIComponent).join("/");
+  } catch {
+    return null;
+  }
+}
+
+export async function removeImageObjects(supabase, bucket, path) {
+  return supabase.storage.from(bucket).remove([path, thumbnailPathFor(path)]);
+}
+
+// Base64 (optionally a data: URL) -> Buffer, enforcing MAX_IMAGE_BYTES
+export function decodeImageData(imageData) {
+  const base64 = imageData.replace(/^data:[^;,]*;base64,/, "");
+  const buffer = Buffer.from(base64, "base64");
+  if (buffer.length === 0) {
+    return { error: "Image is empty or not valid base64." };
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    return { error: `Image must be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB.` };
+  }
+  return { buffer };
+}
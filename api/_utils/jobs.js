@@ -0,0 +1,127 @@
+// Background jobs shared by the Vercel cron routes and the Express timers.
+
+import { log } from "./log.js";
+import { renderNotification } from "./notification-templates.js";
+import { getNotificationProvider, retryDelayMs } from "./notifications.js";
+import { DEFAULT_TIME_ZONE, localDate } from "./time.js";
+
+// slotIds limits the sweep to those slots (a release by hand); the past
+// waitlist entries are then left to the next full sweep
+export async function expireReservations(supabase, { limit = 500, slotIds = null } = {}) {
+  const { data, error } = await supabase.rpc("expire_stale_reservations", {
+    p_limit: limit,
+    p_slot_ids: slotIds,
+  });
+  if (error) throw error;
+
+  const released = (data || []).map((row) => ({
+    slotId: row.slot_id,
+    turfId: row.turf_id,
+    date: row.slot_date,
+    startTime: row.start_time,
+    netNumber: row.net_number,
+    reservedBy: row.reserved_by,
+    reservedUntil: row.reserved_until,
+  }));
+
+  // Group by holder so each user can be told which holds lapsed
+  const byUser = {};
+  for (const slot of released) {
+    if (!slot.reservedBy) continue;
+    (byUser[slot.reservedBy] ||= []).push(slot.slotId);
+  }
+
+  for (const [userId, slotIds] of Object.entries(byUser)) {
+    log.info("hold_lapsed", { job: "expire-reservations", userId, slotIds });
+  }
+
+  // Released slots are offered to waitlisted players by the slots trigger;
+  // entries for days already gone are closed here
+  let waitlistExpired = 0;
+  if (!slotIds) {
+    const { data, error: waitlistError } = await supabase.rpc(
+      "expire_past_waitlist_entries",
+      { p_today: localDate() },
+    );
+    if (waitlistError) throw waitlistError;
+    waitlistExpired = data || 0;
+  }
+
+  return {
+    released,
+    count: released.length,
+    users: Object.keys(byUser),
+    waitlistExpired,
+  };
+}
+
+const MAX_NOTIFICATION_ATTEMPTS = Number(
+  process.env.NOTIFICATION_MAX_ATTEMPTS || 5,
+);
+
+// Queues start-time reminders, then delivers whatever is due in the outbox
+export async function dispatchNotifications(supabase, { limit = 50 } = {}) {
+  const { data: reminders, error: reminderError } = await supabase.rpc(
+    "enqueue_booking_reminders",
+    { p_time_zone: DEFAULT_TIME_ZONE, p_lead_minutes: 60 },
+  );
+  if (reminderError) throw reminderError;
+
+  const { data: claimed, error } = await supabase.rpc("claim_notifications", {
+    p_limit: limit,
+  });
+  if (error) throw error;
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const row of claimed || []) {
+    let update;
+    try {
+      const message = renderNotification(row);
+      if (!message) {
+        throw new Error(`No template for ${row.event_type}`);
+      }
+      const provider = getNotificationProvider(row.channel);
+      const { messageId } = await provider.send({
+        channel: row.channel,
+        recipient: row.recipient,
+        ...message,
+      });
+      update = {
+        status: "SENT",
+        sent_at: new Date().toISOString(),
+        provider: provider.name,
+        provider_message_id: messageId || null,
+        last_error: null,
+        locked_until: null,
+      };
+      sent++;
+    } catch (e) {
+      const giveUp = row.attempts >= MAX_NOTIFICATION_ATTEMPTS;
+      update = {
+        status: giveUp ? "FAILED" : "PENDING",
+        next_attempt_at: new Date(
+          Date.now() + retryDelayMs(row.attempts),
+        ).toISOString(),
+        last_error: e.message,
+        locked_until: null,
+      };
+      failed++;
+      log.warn(giveUp ? "notification_failed" : "notification_retry", {
+        job: "dispatch-notifications",
+        notificationId: row.id,
+        attempts: row.attempts,
+        error: e.message,
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from("notification_outbox")
+      .update(update)
+      .eq("id", row.id);
+    if (updateError) throw updateError;
+  }
+
+  return { reminders: reminders || 0, claimed: (claimed || []).length, sent, failed };
+}
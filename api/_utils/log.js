@@ -0,0 +1,70 @@
+import crypto from "node:crypto";
+
+// Structured logs: one JSON object per line, `event` naming what happened
+// and the rest as flat fields, so Vercel and the Express host can both feed
+// a log search without parsing free text. Errors and warnings go to stderr.
+//   log.info("request", { requestId, route, status, durationMs })
+// LOG_LEVEL (debug, info, warn, error) drops anything quieter; default info.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REQUEST_ID_HEADER = "x-request-id";
+// Incoming ids are echoed into logs and headers, so keep them short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function threshold() {
+  return LEVELS[String(process.env.LOG_LEVEL || "").toLowerCase()] ?? LEVELS.info;
+}
+
+// Errors do not survive JSON.stringify; keep what helps find the cause
+export function serializeError(error) {
+  if (!error || typeof error !== "object") return error;
+  const out = { name: error.name, message: error.message };
+  if (error.code) out.code = error.code;
+  if (error.details) out.details = error.details;
+  if (error.hint) out.hint = error.hint;
+  if (error.stack) out.stack = error.stack;
+  return out;
+}
+
+function write(level, event, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const entry = { time: new Date().toISOString(), level, event };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    entry[key] = value instanceof Error || key === "error" ? serializeError(value) : value;
+  }
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+// `bound` fields (a request id, a job name) are added to every line
+export function createLogger(bound = {}) {
+  const emit = (level) => (event, fields = {}) =>
+    write(level, event, { ...bound, ...fields });
+  return {
+    debug: emit("debug"),
+    info: emit("info"),
+    warn: emit("warn"),
+    error: emit("error"),
+    child(fields) {
+      return createLogger({ ...bound, ...fields });
+    },
+  };
+}
+
+export const log = createLogger();
+
+// Honours a well-formed X-Request-Id from the client or proxy, otherwise
+// mints one. Cached on the request so every layer sees the same id.
+export function requestIdFor(req) {
+  if (!req.requestId) {
+    const incoming = req.headers?.[REQUEST_ID_HEADER];
+    req.requestId =
+      typeof incoming === "string" && REQUEST_ID_PATTERN.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+  }
+  return req.requestId;
+}
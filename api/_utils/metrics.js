@@ -0,0 +1,74 @@
+// Per-route request counters and latency, kept in process memory. The
+// Express server holds one set for its lifetime; each Vercel instance holds
+// its own, so there the request log lines (durationMs, status) are the
+// source of truth and GET /metrics only describes the instance answering.
+
+// Upper bounds in milliseconds; anything slower lands in the last bucket
+const LATENCY_BUCKETS_MS = [25, 50, 100, 250, 500, 1000, 2500, 5000, Infinity];
+
+const startedAt = new Date();
+const byRoute = new Map();
+
+function emptyEntry() {
+  return {
+    requests: 0,
+    clientErrors: 0,
+    serverErrors: 0,
+    statuses: {},
+    totalMs: 0,
+    maxMs: 0,
+    buckets: LATENCY_BUCKETS_MS.map(() => 0),
+  };
+}
+
+// `route` is the route pattern ("GET /turfs/:id/slots"), never the raw URL,
+// so ids do not turn into one entry each
+export function recordRequest(route, status, durationMs) {
+  let entry = byRoute.get(route);
+  if (!entry) {
+    entry = emptyEntry();
+    byRoute.set(route, entry);
+  }
+  entry.requests += 1;
+  if (status >= 500) entry.serverErrors += 1;
+  else if (status >= 400) entry.clientErrors += 1;
+  entry.statuses[status] = (entry.statuses[status] || 0) + 1;
+  entry.totalMs += durationMs;
+  entry.maxMs = Math.max(entry.maxMs, durationMs);
+  entry.buckets[LATENCY_BUCKETS_MS.findIndex((limit) => durationMs <= limit)] += 1;
+}
+
+// Upper bound of the bucket holding the given fraction of requests, capped
+// at the slowest request seen
+function percentile(entry, fraction) {
+  const target = Math.ceil(entry.requests * fraction);
+  let seen = 0;
+  for (const [i, count] of entry.buckets.entries()) {
+    seen += count;
+    if (seen >= target) return Math.round(Math.min(LATENCY_BUCKETS_MS[i], entry.maxMs));
+  }
+  return Math.round(entry.maxMs);
+}
+
+export function metricsSnapshot() {
+  const routes = [...byRoute.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([route, entry]) => ({
+      route,
+      requests: entry.requests,
+      clientErrors: entry.clientErrors,
+      serverErrors: entry.serverErrors,
+      statuses: { ...entry.statuses },
+      latencyMs: {
+        avg: Math.round(entry.totalMs / entry.requests),
+        p50: percentile(entry, 0.5),
+        p95: percentile(entry, 0.95),
+        max: Math.round(entry.maxMs),
+      },
+    }));
+  return {
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    routes,
+  };
+}
@@ -0,0 +1,17 @@
+export const VERIFICATION_STATUSES = [
+  "PENDING",
+  "APPROVED",
+  "REJECTED",
+  "SUSPENDED",
+];
+
+// Maps the exceptions raised by moderate_turf/moderate_owner to HTTP statuses
+export function moderationErrorStatus(error) {
+  const message = error?.message || "";
+  if (message.includes("not found")) return 404;
+  if (message.includes("Invalid transition")) return 409;
+  if (message.includes("Reason is required") || message.includes("Unknown action")) {
+    return 400;
+  }
+  return 500;
+}
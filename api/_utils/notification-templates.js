@@ -0,0 +1,85 @@
+// Message templates per event and language. {{name}} is replaced from the
+// outbox payload; unknown languages fall back to English.
+
+export const DEFAULT_LANGUAGE = "en";
+
+const TEMPLATES = {
+  BOOKING_CREATED: {
+    en: {
+      subject: "Booking confirmed at {{turf_name}}",
+      body: "Hi {{customer_name}}, your booking at {{turf_name}} (net {{net_number}}) on {{booking_date}} from {{start_time}} to {{end_time}} is confirmed. Amount: Rs {{amount}}, paid: Rs {{advance_amount}}.",
+    },
+    hi: {
+      subject: "{{turf_name}} पर बुकिंग कन्फर्म",
+      body: "नमस्ते {{customer_name}}, {{turf_name}} (नेट {{net_number}}) पर {{booking_date}} को {{start_time}} से {{end_time}} तक आपकी बुकिंग कन्फर्म है। राशि: Rs {{amount}}, भुगतान: Rs {{advance_amount}}।",
+    },
+  },
+  BOOKING_CANCELLED: {
+    en: {
+      subject: "Booking cancelled at {{turf_name}}",
+      body: "Hi {{customer_name}}, your booking at {{turf_name}} on {{booking_date}} from {{start_time}} has been cancelled. Refund: Rs {{refund_amount}}.",
+    },
+    hi: {
+      subject: "{{turf_name}} पर बुकिंग रद्द",
+      body: "नमस्ते {{customer_name}}, {{turf_name}} पर {{booking_date}} को {{start_time}} की आपकी बुकिंग रद्द कर दी गई है। रिफंड: Rs {{refund_amount}}।",
+    },
+  },
+  BOOKING_MOVED: {
+    en: {
+      subject: "Booking moved at {{turf_name}}",
+      body: "Hi {{customer_name}}, {{turf_name}} has moved your booking to net {{net_number}} on {{booking_date}} from {{start_time}} to {{end_time}}. Amount and payments are unchanged.",
+    },
+    hi: {
+      subject: "{{turf_name}} पर बुकिंग का समय बदला",
+      body: "नमस्ते {{customer_name}}, {{turf_name}} ने आपकी बुकिंग नेट {{net_number}} पर {{booking_date}} को {{start_time}} से {{end_time}} तक कर दी है। राशि और भुगतान वही हैं।",
+    },
+  },
+  BOOKING_REMINDER: {
+    en: {
+      subject: "Reminder: {{turf_name}} at {{start_time}}",
+      body: "Hi {{customer_name}}, reminder that your booking at {{turf_name}} (net {{net_number}}) starts at {{start_time}} today.",
+    },
+    hi: {
+      subject: "याद दिलाना: {{turf_name}} {{start_time}} बजे",
+      body: "नमस्ते {{customer_name}}, याद रहे कि {{turf_name}} (नेट {{net_number}}) पर आपकी बुकिंग आज {{start_time}} बजे शुरू होगी।",
+    },
+  },
+  TURF_APPROVED: {
+    en: {
+      subject: "{{turf_name}} is live",
+      body: "Hi {{owner_name}}, {{turf_name}} has been approved and is now visible to players.",
+    },
+    hi: {
+      subject: "{{turf_name}} अब लाइव है",
+      body: "नमस्ते {{owner_name}}, {{turf_name}} को मंज़ूरी मिल गई है और अब यह खिलाड़ियों को दिख रहा है।",
+    },
+  },
+  WAITLIST_OFFER: {
+    en: {
+      subject: "A slot opened up at {{turf_name}}",
+      body: "Hi {{player_name}}, the slot you were waiting for at {{turf_name}} (net {{net_number}}) on {{date}} from {{start_time}} to {{end_time}} is now held for you. Book it within {{hold_minutes}} minutes or it passes to the next player.",
+    },
+    hi: {
+      subject: "{{turf_name}} पर स्लॉट खाली हुआ",
+      body: "नमस्ते {{player_name}}, {{turf_name}} (नेट {{net_number}}) पर {{date}} को {{start_time}} से {{end_time}} तक का स्लॉट, जिसका आप इंतज़ार कर रहे थे, आपके लिए रोका गया है। इसे {{hold_minutes}} मिनट के अंदर बुक करें, वरना यह अगले खिलाड़ी को मिल जाएगा।",
+    },
+  },
+};
+
+function fill(template, payload) {
+  return template.replace(/\{\{(\w+)\}\}/g, (_, key) => {
+    const value = payload?.[key];
+    return value === null || value === undefined ? "" : String(value);
+  });
+}
+
+// Returns { subject, body } or null when the event has no template
+export function renderNotification({ event_type, language, payload }) {
+  const byLanguage = TEMPLATES[event_type];
+  if (!byLanguage) return null;
+  const template = byLanguage[language] || byLanguage[DEFAULT_LANGUAGE];
+  return {
+    subject: fill(template.subject, payload),
+    body: fill(template.body, payload),
+  };
+}
@@ -0,0 +1,146 @@
+import { appendFile } from "node:fs/promises";
+import { log } from "./log.js";
+
+// Notification provider adapters. Each provider exposes:
+//   send({ channel, recipient, subject, body }) -> { messageId }
+// and throws on failure so the dispatcher can retry with backoff.
+// Channels are SMS, WHATSAPP and EMAIL.
+
+export function createConsoleProvider() {
+  return {
+    name: "console",
+    async send(message) {
+      const messageId = `console_${Date.now()}`;
+      log.info("notification_sent", { provider: "console", messageId, notification: message });
+      return { messageId };
+    },
+  };
+}
+
+// Appends one JSON line per message, for local inspection and tests
+export function createFileProvider({
+  path = process.env.NOTIFICATION_LOG_FILE || "notifications.log",
+} = {}) {
+  return {
+    name: "file",
+    async send(message) {
+      const messageId = `file_${Date.now()}`;
+      await appendFile(
+        path,
+        `${JSON.stringify({ ...message, messageId, at: new Date().toISOString() })}\n`,
+      );
+      return { messageId };
+    },
+  };
+}
+
+// SMS and WhatsApp through Twilio's Messages API
+export function createTwilioProvider({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  smsFrom = process.env.TWILIO_SMS_FROM,
+  whatsappFrom = process.env.TWILIO_WHATSAPP_FROM,
+} = {}) {
+  if (!accountSid || !authToken) {
+    throw new Error("Missing TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN");
+  }
+
+  return {
+    name: "twilio",
+    async send({ channel, recipient, body }) {
+      const whatsapp = channel === "WHATSAPP";
+      const from = whatsapp ? whatsappFrom : smsFrom;
+      if (!from) {
+        throw new Error(`Missing Twilio sender for ${channel}`);
+      }
+
+      const response = await fetch(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+            Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`,
+          },
+          body: new URLSearchParams({
+            From: whatsapp ? `whatsapp:${from}` : from,
+            To: whatsapp ? `whatsapp:${recipient}` : recipient,
+            Body: body,
+          }),
+        },
+      );
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data?.message || "Failed to send message");
+      }
+      return { messageId: data.sid };
+    },
+  };
+}
+
+export function createSendgridProvider({
+  apiKey = process.env.SENDGRID_API_KEY,
+  from = process.env.NOTIFICATION_EMAIL_FROM,
+} = {}) {
+  if (!apiKey || !from) {
+    throw new Error("Missing SENDGRID_API_KEY or NOTIFICATION_EMAIL_FROM");
+  }
+
+  return {
+    name: "sendgrid",
+    async send({ recipient, subject, body }) {
+      const response = await fetch("https://api.sendgrid.com/v3/mail/send", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({
+          personalizations: [{ to: [{ email: recipient }] }],
+          from: { email: from },
+          subject,
+          content: [{ type: "text/plain", value: body }],
+        }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        throw new Error(data?.errors?.[0]?.message || "Failed to send email");
+      }
+      return { messageId: response.headers.get("x-message-id") };
+    },
+  };
+}
+
+const providers = {
+  console: createConsoleProvider,
+  file: createFileProvider,
+  twilio: createTwilioProvider,
+  sendgrid: createSendgridProvider,
+};
+
+const cachedProviders = {};
+
+// NOTIFICATION_<CHANNEL>_PROVIDER overrides NOTIFICATION_PROVIDER per channel
+export function getNotificationProvider(channel) {
+  if (cachedProviders[channel]) return cachedProviders[channel];
+  const name = (
+    process.env[`NOTIFICATION_${channel}_PROVIDER`] ||
+    process.env.NOTIFICATION_PROVIDER ||
+    "console"
+  ).toLowerCase();
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown notification provider "${name}" for ${channel}`);
+  }
+  cachedProviders[channel] = factory();
+  return cachedProviders[channel];
+}
+
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+
+export function retryDelayMs(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_MS);
+}
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  createFileProvider,
+  createSendgridProvider,
+  createTwilioProvider,
+  getNotificationProvider,
+  retryDelayMs,
+} from "./notifications.js";
+
+describe("createFileProvider", () => {
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "notifications-"));
+  });
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("appends one JSON line per message", async () => {
+    const path = join(dir, "notifications.log");
+    const provider = createFileProvider({ path });
+
+    const first = await provider.send({ channel: "SMS", recipient: "+911", body: "Booked" });
+    await provider.send({
+      channel: "EMAIL",
+      recipient: "a@example.com",
+      subject: "Cancelled",
+      body: "Line 1\nLine 2",
+    });
+
+    const lines = (await readFile(path, "utf8")).trimEnd().split("\n");
+    assert.equal(lines.length, 2);
+    const [sms, email] = lines.map((l) => JSON.parse(l));
+    assert.equal(sms.messageId, first.messageId);
+    assert.match(sms.messageId, /^file_\d+$/);
+    assert.equal(sms.recipient, "+911");
+    assert.ok(!Number.isNaN(Date.parse(sms.at)));
+    assert.equal(email.subject, "Cancelled");
+    assert.equal(email.body, "Line 1\nLine 2");
+  });
+});
+
+describe("provider configuration", () => {
+  it("refuses to build providers without credentials", () => {
+    assert.throws(() => createTwilioProvider({ accountSid: "", authToken: "" }), /TWILIO/);
+    assert.throws(() => createSendgridProvider({ apiKey: "key", from: "" }), /SENDGRID/);
+  });
+
+  it("fails a send when the channel has no sender", async () => {
+    const provider = createTwilioProvider({ accountSid: "AC1", authToken: "t", smsFrom: "+1" });
+    await assert.rejects(
+      provider.send({ channel: "WHATSAPP", recipient: "+911", body: "hi" }),
+      /Missing Twilio sender for WHATSAPP/,
+    );
+  });
+
+  it("picks the per-channel provider before the default and caches it", () => {
+    process.env.NOTIFICATION_PROVIDER = "console";
+    process.env.NOTIFICATION_EMAIL_PROVIDER = "File";
+    try {
+      const email = getNotificationProvider("EMAIL");
+      assert.equal(email.name, "file");
+      assert.equal(getNotificationProvider("EMAIL"), email);
+      assert.equal(getNotificationProvider("SMS").name, "console");
+    } finally {
+      delete process.env.NOTIFICATION_PROVIDER;
+      delete process.env.NOTIFICATION_EMAIL_PROVIDER;
+    }
+  });
+
+  it("rejects unknown provider names", () => {
+    process.env.NOTIFICATION_WHATSAPP_PROVIDER = "pigeon";
+    try {
+      assert.throws(
+        () => getNotificationProvider("WHATSAPP"),
+        /Unknown notification provider "pigeon" for WHATSAPP/,
+      );
+    } finally {
+      delete process.env.NOTIFICATION_WHATSAPP_PROVIDER;
+    }
+  });
+});
+
+describe("retryDelayMs", () => {
+  it("doubles from 30 seconds and caps at an hour", () => {
+    assert.equal(retryDelayMs(1), 30 * 1000);
+    assert.equal(retryDelayMs(2), 60 * 1000);
+    assert.equal(retryDelayMs(4), 240 * 1000);
+    assert.equal(retryDelayMs(20), 60 * 60 * 1000);
+  });
+});
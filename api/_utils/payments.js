@@ -0,0 +1,187 @@
+import crypto from "node:crypto";
+
+// Payment provider adapters. Each provider exposes:
+//   createOrder({ amount, currency, receipt, notes }) -> { orderId, amount, currency, checkout }
+//   verifySignature(rawBody, headers) -> boolean
+//   parseEvent(payload) -> { type: "PAID" | "FAILED" | "EXPIRED" | null, orderId, transactionId, amount, reason }
+// Amounts are always rupees at this boundary; adapters convert as needed.
+
+function hmacHex(secret, rawBody) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function headerValue(headers, name) {
+  const value = headers?.[name] ?? headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// The fake provider lets anyone holding the webhook secret mark bookings
+// paid, so it only runs in development or with an explicit opt-in
+function fakeProviderAllowed() {
+  const env = process.env.VERCEL_ENV || process.env.NODE_ENV;
+  return (
+    env === "development" ||
+    env === "test" ||
+    process.env.PAYMENT_ALLOW_FAKE_PROVIDER === "true"
+  );
+}
+
+// Offline provider for local development. Orders never leave the process;
+// use scripts/simulate-payment.mjs to post a signed webhook for an order.
+export function createFakeProvider({
+  webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET,
+} = {}) {
+  if (!webhookSecret) {
+    throw new Error("Missing PAYMENT_WEBHOOK_SECRET");
+  }
+
+  return {
+    name: "fake",
+    signatureHeader: "x-fake-signature",
+
+    async createOrder({ amount, currency = "INR" }) {
+      const orderId = `fake_order_${crypto.randomUUID()}`;
+      return { orderId, amount, currency, checkout: { provider: "fake", orderId } };
+    },
+
+    sign(rawBody) {
+      return hmacHex(webhookSecret, rawBody);
+    },
+
+    verifySignature(rawBody, headers) {
+      return safeEqual(
+        headerValue(headers, this.signatureHeader),
+        hmacHex(webhookSecret, rawBody),
+      );
+    },
+
+    parseEvent(payload) {
+      const types = {
+        "payment.paid": "PAID",
+        "payment.failed": "FAILED",
+        "payment.expired": "EXPIRED",
+      };
+      return {
+        type: types[payload?.event] || null,
+        orderId: payload?.order_id,
+        transactionId: payload?.payment_id || null,
+        amount: payload?.amount != null ? Number(payload.amount) : null,
+        reason: payload?.reason || null,
+      };
+    },
+  };
+}
+
+export function createRazorpayProvider({
+  keyId = process.env.RAZORPAY_KEY_ID,
+  keySecret = process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET,
+} = {}) {
+  if (!keyId || !keySecret || !webhookSecret) {
+    throw new Error(
+      "Missing RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET or PAYMENT_WEBHOOK_SECRET",
+    );
+  }
+
+  return {
+    name: "razorpay",
+    signatureHeader: "x-razorpay-signature",
+
+    async createOrder({ amount, currency = "INR", receipt, notes }) {
+      const response = await fetch("https://api.razorpay.com/v1/orders", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`,
+        },
+        body: JSON.stringify({
+          amount: Math.round(amount * 100),
+          currency,
+          receipt,
+          notes,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data?.error?.description || "Failed to create order");
+      }
+
+      return {
+        orderId: data.id,
+        amount,
+        currency,
+        checkout: { provider: "razorpay", keyId, orderId: data.id },
+      };
+    },
+
+    verifySignature(rawBody, headers) {
+      return safeEqual(
+        headerValue(headers, this.signatureHeader),
+        hmacHex(webhookSecret, rawBody),
+      );
+    },
+
+    parseEvent(payload) {
+      const payment = payload?.payload?.payment?.entity || {};
+      const types = {
+        "payment.captured": "PAID",
+        "order.paid": "PAID",
+        "payment.failed": "FAILED",
+      };
+      return {
+        type: types[payload?.event] || null,
+        orderId: payment.order_id,
+        transactionId: payment.id || null,
+        amount: payment.amount != null ? payment.amount / 100 : null,
+        reason: payment.error_description || null,
+      };
+    },
+  };
+}
+
+const providers = {
+  fake: createFakeProvider,
+  razorpay: createRazorpayProvider,
+};
+
+let cachedProvider = null;
+
+// Throws when payments are not configured. Only the payment routes need a
+// provider, so a deploy without one still serves everything else; see
+// loadPaymentProvider.
+export function getPaymentProvider() {
+  if (cachedProvider) return cachedProvider;
+  const name = (process.env.PAYMENT_PROVIDER || "").toLowerCase();
+  if (!name) {
+    throw new Error("Missing PAYMENT_PROVIDER");
+  }
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+  }
+  if (name === "fake" && !fakeProviderAllowed()) {
+    throw new Error(
+      "PAYMENT_PROVIDER=fake is only allowed in development; set PAYMENT_ALLOW_FAKE_PROVIDER=true to override",
+    );
+  }
+  cachedProvider = factory();
+  return cachedProvider;
+}
+
+// { provider } or { error } with the configuration problem, for routes that
+// answer 503 instead of failing the request
+export function loadPaymentProvider() {
+  try {
+    return { provider: getPaymentProvider(), error: null };
+  } catch (e) {
+    return { provider: null, error: e };
+  }
+}
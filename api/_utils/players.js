@@ -0,0 +1,102 @@
+// Player-facing account helpers. Every query here is scoped to one player by
+// the caller id; routes never take a player id from the request.
+
+export const PLAYER_LANGUAGES = ["en", "hi"];
+export const NOTIFICATION_CHANNELS = ["SMS", "WHATSAPP", "EMAIL"];
+export const BOOKING_STATUSES = ["CONFIRMED", "CANCELLED"];
+export const MAX_FAVORITE_TURFS = 20;
+
+export const PLAYER_PROFILE_COLUMNS =
+  "id, name, email, phone, profile_image, favorite_turfs, preferred_language, notification_channel, status, created_at, updated_at";
+
+export const PLAYER_BOOKING_COLUMNS =
+  "id, turf_id, turf_name, slot_id, group_id, series_id, booking_date, start_time, end_time, net_number, booking_source, payment_mode, payment_status, amount, advance_amount, original_amount, discount_amount, promo_code, refund_amount, booking_status, cancelled_at, cancelled_by, cancellation_reason, created_at";
+
+export function formatPlayerProfile(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    email: player.email,
+    phone: player.phone,
+    profileImage: player.profile_image,
+    favoriteTurfs: player.favorite_turfs || [],
+    preferredLanguage: player.preferred_language,
+    notificationChannel: player.notification_channel,
+    status: player.status,
+    createdAt: player.created_at,
+    updatedAt: player.updated_at,
+  };
+}
+
+export function formatPlayerBooking(booking) {
+  return {
+    id: booking.id,
+    turfId: booking.turf_id,
+    turfName: booking.turf_name,
+    slotId: booking.slot_id,
+    groupId: booking.group_id,
+    seriesId: booking.series_id,
+    date: booking.booking_date,
+    startTime: booking.start_time,
+    endTime: booking.end_time,
+    netNumber: booking.net_number,
+    status: booking.booking_status,
+    bookingSource: booking.booking_source,
+    paymentMode: booking.payment_mode,
+    paymentStatus: booking.payment_status,
+    amount: Number(booking.amount),
+    advanceAmount: Number(booking.advance_amount || 0),
+    originalAmount:
+      booking.original_amount == null ? null : Number(booking.original_amount),
+    discountAmount: Number(booking.discount_amount || 0),
+    promoCode: booking.promo_code,
+    refundAmount:
+      booking.refund_amount == null ? null : Number(booking.refund_amount),
+    cancelledAt: booking.cancelled_at,
+    cancelledBy: booking.cancelled_by,
+    cancellationReason: booking.cancellation_reason,
+    createdAt: booking.created_at,
+  };
+}
+
+// Free and total cells for one availability day; slots that have already
+// started today are left out
+export function summarizeDay(day, nowTime = null) {
+  let totalSlots = 0;
+  let availableSlots = 0;
+  let nextAvailable = null;
+
+  for (const net of day.nets) {
+    for (const cell of net.cells) {
+      if (nowTime && cell.startTime <= nowTime) continue;
+      totalSlots += 1;
+      if (cell.status !== "AVAILABLE") continue;
+      availableSlots += 1;
+      if (!nextAvailable || cell.startTime < nextAvailable.startTime) {
+        nextAvailable = {
+          startTime: cell.startTime,
+          endTime: cell.endTime,
+          netNumber: net.netNumber,
+          price: cell.price,
+        };
+      }
+    }
+  }
+
+  return {
+    date: day.date,
+    isOpen: day.isOpen,
+    totalSlots,
+    availableSlots,
+    nextAvailable,
+  };
+}
+
+export function playerErrorStatus(error) {
+  const message = error?.message || "";
+  if (message.includes("not found")) return 404;
+  if (message.includes("limit reached") || message.includes("upcoming bookings")) {
+    return 409;
+  }
+  return 500;
+}
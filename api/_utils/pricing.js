@@ -0,0 +1,117 @@
+// Server-side port of lib/core/utils/price_calculator.dart.
+// Keep the day-type and time-band rules in sync with the Dart client.
+
+const WEEKDAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+function toPrice(value) {
+  const price = Number(value ?? 0);
+  return Number.isFinite(price) ? price : 0;
+}
+
+function parseDayTypePricing(map = {}) {
+  // Legacy day/night format
+  if (map.day !== undefined && map.night !== undefined) {
+    const dayPrice = toPrice(map.day?.price ?? 1000);
+    const nightPrice = toPrice(map.night?.price ?? 1200);
+    return {
+      morning: dayPrice,
+      afternoon: dayPrice,
+      evening: nightPrice,
+      night: nightPrice,
+    };
+  }
+
+  return {
+    morning: toPrice(map.morning?.price),
+    afternoon: toPrice(map.afternoon?.price),
+    evening: toPrice(map.evening?.price),
+    night: toPrice(map.night?.price),
+  };
+}
+
+function parseNetPricing(map = {}) {
+  return {
+    netNumber: map.net_number ?? map.netNumber ?? 1,
+    weekday: parseDayTypePricing(map.weekday),
+    weekend: parseDayTypePricing(map.weekend),
+    holiday: parseDayTypePricing(map.holiday),
+  };
+}
+
+export function parsePricingRules(rules = {}) {
+  if (rules.nets !== undefined || rules.netPricing !== undefined) {
+    const nets = rules.nets ?? rules.netPricing ?? [];
+    return nets.map(parseNetPricing);
+  }
+
+  // Legacy single-net format
+  return [
+    parseNetPricing({
+      net_number: 1,
+      weekday: rules.weekday,
+      weekend: rules.saturday ?? rules.weekend,
+      holiday: rules.holiday,
+    }),
+  ];
+}
+
+export function weekdayName(date) {
+  return WEEKDAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+export function getDayType(date, publicHolidays = []) {
+  if (publicHolidays.includes(date)) return "HOLIDAY";
+  const day = weekdayName(date);
+  return day === "SAT" || day === "SUN" ? "WEEKEND" : "WEEKDAY";
+}
+
+export function getTimeSlot(startTime) {
+  const hour = parseInt(startTime.split(":")[0], 10);
+  if (hour >= 6 && hour < 12) return "MORNING";
+  if (hour >= 12 && hour < 18) return "AFTERNOON";
+  if (hour >= 18) return "EVENING";
+  return "NIGHT";
+}
+
+export function calculateSlotPrice({
+  pricingRules,
+  date,
+  startTime,
+  publicHolidays = [],
+  netNumber = 1,
+}) {
+  const nets = Array.isArray(pricingRules)
+    ? pricingRules
+    : parsePricingRules(pricingRules);
+  const netPricing = nets.find((n) => n.netNumber === netNumber) ?? nets[0];
+
+  const dayType = getDayType(date, publicHolidays);
+  const timeSlot = getTimeSlot(startTime);
+  const price = netPricing
+    ? netPricing[dayType.toLowerCase()][timeSlot.toLowerCase()]
+    : 0;
+
+  return {
+    price,
+    priceType: `${dayType}_${timeSlot}`,
+    dayType,
+    timeSlot,
+    netNumber,
+  };
+}
+
+// Every band price across nets, optionally limited to one day type
+export function listPrices(pricingRules, dayType = null) {
+  const nets = Array.isArray(pricingRules)
+    ? pricingRules
+    : parsePricingRules(pricingRules);
+  const dayTypes = dayType ? [dayType] : ["WEEKDAY", "WEEKEND", "HOLIDAY"];
+  const prices = [];
+  for (const net of nets) {
+    for (const type of dayTypes) {
+      const bands = net[type.toLowerCase()];
+      prices.push(bands.morning, bands.afternoon, bands.evening, bands.night);
+    }
+  }
+  return prices;
+}
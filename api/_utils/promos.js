@@ -0,0 +1,185 @@
+import { getDayType, getTimeSlot } from "./pricing.js";
+
+// Owner-scoped promo codes. quotePromo decides eligibility for one slot and
+// prices the discount; create_booking_atomic re-checks the usage caps under a
+// lock when the booking is written.
+
+export const DISCOUNT_TYPES = ["PERCENT", "FLAT"];
+export const PROMO_DAY_TYPES = ["WEEKDAY", "WEEKEND", "HOLIDAY"];
+export const PROMO_TIME_SLOTS = ["MORNING", "AFTERNOON", "EVENING", "NIGHT"];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export function normalizePromoCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+export function isValidPromoCode(code) {
+  return CODE_PATTERN.test(code);
+}
+
+export async function findPromoCode(supabase, ownerId, code) {
+  const { data, error } = await supabase
+    .from("promo_codes")
+    .select("*")
+    .eq("owner_id", ownerId)
+    .eq("code", normalizePromoCode(code))
+    .maybeSingle();
+  return { promo: data, error };
+}
+
+export function discountFor(promo, amount) {
+  let discount =
+    promo.discount_type === "PERCENT"
+      ? (amount * Number(promo.discount_value)) / 100
+      : Number(promo.discount_value);
+  if (promo.max_discount != null) {
+    discount = Math.min(discount, Number(promo.max_discount));
+  }
+  return round2(Math.min(discount, amount));
+}
+
+function ineligible(reason, amount) {
+  return {
+    eligible: false,
+    reason,
+    originalAmount: amount,
+    discountAmount: 0,
+    finalAmount: amount,
+  };
+}
+
+// Validity dates, day types and time slots refer to the slot being booked.
+// Per-player and first-booking rules need a player; walk-ins never qualify.
+export async function quotePromo(supabase, { promo, turf, slot, playerId }) {
+  const amount = Number(slot.price);
+
+  if (!promo.is_active || promo.owner_id !== turf.owner_id) {
+    return ineligible("This promo code is not active.", amount);
+  }
+  if (promo.valid_from && slot.date < promo.valid_from) {
+    return ineligible(`This promo code is valid from ${promo.valid_from}.`, amount);
+  }
+  if (promo.valid_until && slot.date > promo.valid_until) {
+    return ineligible("This promo code has expired.", amount);
+  }
+  if (promo.turf_ids?.length && !promo.turf_ids.includes(turf.id)) {
+    return ineligible("This promo code does not apply to this turf.", amount);
+  }
+  const dayType = getDayType(slot.date, turf.public_holidays || []);
+  if (promo.day_types?.length && !promo.day_types.includes(dayType)) {
+    return ineligible("This promo code does not apply on this day.", amount);
+  }
+  const timeSlot = getTimeSlot(slot.start_time);
+  if (promo.time_slots?.length && !promo.time_slots.includes(timeSlot)) {
+    return ineligible("This promo code does not apply at this time.", amount);
+  }
+  if (promo.min_amount != null && amount < Number(promo.min_amount)) {
+    return ineligible(
+      `This promo code needs a booking of at least Rs ${promo.min_amount}.`,
+      amount,
+    );
+  }
+  if (
+    promo.max_redemptions != null &&
+    promo.redemption_count >= promo.max_redemptions
+  ) {
+    return ineligible("This promo code has been fully redeemed.", amount);
+  }
+
+  if (promo.per_player_limit != null || promo.first_booking_only) {
+    if (!playerId) {
+      return ineligible("This promo code is only for app players.", amount);
+    }
+  }
+
+  if (promo.per_player_limit != null) {
+    const { count, error } = await supabase
+      .from("promo_redemptions")
+      .select("id", { count: "exact", head: true })
+      .eq("promo_code_id", promo.id)
+      .eq("player_id", playerId);
+    if (error) throw error;
+    if (count >= promo.per_player_limit) {
+      return ineligible("You have already used this promo code.", amount);
+    }
+  }
+
+  if (promo.first_booking_only) {
+    const { count, error } = await supabase
+      .from("bookings")
+      .select("id", { count: "exact", head: true })
+      .eq("owner_id", promo.owner_id)
+      .eq("user_id", playerId)
+      .eq("booking_status", "CONFIRMED");
+    if (error) throw error;
+    if (count > 0) {
+      return ineligible("This promo code is only for your first booking.", amount);
+    }
+  }
+
+  const discountAmount = discountFor(promo, amount);
+  return {
+    eligible: true,
+    reason: null,
+    originalAmount: amount,
+    discountAmount,
+    finalAmount: round2(amount - discountAmount),
+  };
+}
+
+// Loads the slot and turf a code is quoted against
+export async function loadPromoTarget(supabase, slotId) {
+  const { data: slot, error } = await supabase
+    .from("slots")
+    .select("id, turf_id, date, start_time, price")
+    .eq("id", slotId)
+    .maybeSingle();
+  if (error || !slot) return { slot, turf: null, error };
+
+  const { data: turf, error: turfError } = await supabase
+    .from("turfs")
+    .select("id, owner_id, public_holidays")
+    .eq("id", slot.turf_id)
+    .maybeSingle();
+  return { slot, turf, error: turfError };
+}
+
+// Maps create_booking_atomic's promo exceptions to HTTP statuses
+export function promoErrorStatus(error) {
+  const message = error?.message || "";
+  if (
+    message.includes("limit reached") ||
+    message.includes("not active") ||
+    message.includes("first booking")
+  ) {
+    return 409;
+  }
+  return null;
+}
+
+export function formatPromoCode(promo) {
+  return {
+    id: promo.id,
+    ownerId: promo.owner_id,
+    code: promo.code,
+    description: promo.description,
+    discountType: promo.discount_type,
+    discountValue: Number(promo.discount_value),
+    maxDiscount: promo.max_discount != null ? Number(promo.max_discount) : null,
+    minAmount: promo.min_amount != null ? Number(promo.min_amount) : null,
+    validFrom: promo.valid_from,
+    validUntil: promo.valid_until,
+    turfIds: promo.turf_ids,
+    dayTypes: promo.day_types,
+    timeSlots: promo.time_slots,
+    firstBookingOnly: promo.first_booking_only,
+    maxRedemptions: promo.max_redemptions,
+    perPlayerLimit: promo.per_player_limit,
+    redemptionCount: promo.redemption_count,
+    isActive: promo.is_active,
+    createdAt: promo.created_at,
+  };
+}
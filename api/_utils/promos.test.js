@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  discountFor,
+  isValidPromoCode,
+  normalizePromoCode,
+  promoErrorStatus,
+  quotePromo,
+} from "./promos.js";
+
+const TURF = { id: "turf-1", owner_id: "owner-1", public_holidays: ["2026-10-20"] };
+
+// 2026-10-21 is a Wednesday
+const SLOT = { id: "slot-1", date: "2026-10-21", start_time: "19:00", price: "1200" };
+
+function promo(overrides = {}) {
+  return {
+    id: "promo-1",
+    owner_id: "owner-1",
+    is_active: true,
+    discount_type: "PERCENT",
+    discount_value: 10,
+    max_discount: null,
+    redemption_count: 0,
+    ...overrides,
+  };
+}
+
+// Answers the count queries quotePromo makes for player-limited codes
+function countingSupabase(counts) {
+  return {
+    from(table) {
+      const query = {
+        select: () => query,
+        eq: () => query,
+        then: (resolve) => resolve({ count: counts[table], error: null }),
+      };
+      return query;
+    },
+  };
+}
+
+describe("discountFor", () => {
+  it("takes a percentage of the amount", () => {
+    assert.equal(discountFor(promo({ discount_value: 15 }), 999), 149.85);
+  });
+
+  it("caps percentage discounts at max_discount", () => {
+    assert.equal(discountFor(promo({ discount_value: 50, max_discount: "200" }), 1200), 200);
+  });
+
+  it("never discounts more than the amount", () => {
+    const flat = promo({ discount_type: "FLAT", discount_value: "500" });
+    assert.equal(discountFor(flat, 1200), 500);
+    assert.equal(discountFor(flat, 300), 300);
+  });
+});
+
+describe("quotePromo", () => {
+  it("prices an eligible code", async () => {
+    const quote = await quotePromo(null, { promo: promo(), turf: TURF, slot: SLOT });
+    assert.deepEqual(quote, {
+      eligible: true,
+      reason: null,
+      originalAmount: 1200,
+      discountAmount: 120,
+      finalAmount: 1080,
+    });
+  });
+
+  it("rejects codes that do not cover the slot", async () => {
+    const cases = [
+      [{ is_active: false }, "This promo code is not active."],
+      [{ owner_id: "owner-2" }, "This promo code is not active."],
+      [{ valid_until: "2026-10-20" }, "This promo code has expired."],
+      [{ valid_from: "2026-10-22" }, "This promo code is valid from 2026-10-22."],
+      [{ turf_ids: ["turf-2"] }, "This promo code does not apply to this turf."],
+      [{ day_types: ["WEEKEND"] }, "This promo code does not apply on this day."],
+      [{ time_slots: ["MORNING"] }, "This promo code does not apply at this time."],
+      [{ min_amount: "1500" }, "This promo code needs a booking of at least Rs 1500."],
+      [{ max_redemptions: 5, redemption_count: 5 }, "This promo code has been fully redeemed."],
+    ];
+    for (const [overrides, reason] of cases) {
+      const quote = await quotePromo(null, {
+        promo: promo(overrides),
+        turf: TURF,
+        slot: SLOT,
+      });
+      assert.equal(quote.eligible, false, reason);
+      assert.equal(quote.reason, reason);
+      assert.equal(quote.discountAmount, 0);
+      assert.equal(quote.finalAmount, 1200);
+    }
+  });
+
+  it("treats the turf's public holidays as holidays", async () => {
+    const quote = await quotePromo(null, {
+      promo: promo({ day_types: ["HOLIDAY"] }),
+      turf: TURF,
+      slot: { ...SLOT, date: "2026-10-20" },
+    });
+    assert.equal(quote.eligible, true);
+  });
+
+  it("keeps player-limited codes away from walk-ins", async () => {
+    const quote = await quotePromo(null, {
+      promo: promo({ first_booking_only: true }),
+      turf: TURF,
+      slot: SLOT,
+      playerId: null,
+    });
+    assert.equal(quote.reason, "This promo code is only for app players.");
+  });
+
+  it("checks per-player use and earlier bookings", async () => {
+    const used = await quotePromo(countingSupabase({ promo_redemptions: 1 }), {
+      promo: promo({ per_player_limit: 1 }),
+      turf: TURF,
+      slot: SLOT,
+      playerId: "player-1",
+    });
+    assert.equal(used.reason, "You have already used this promo code.");
+
+    const returning = await quotePromo(countingSupabase({ bookings: 2 }), {
+      promo: promo({ first_booking_only: true }),
+      turf: TURF,
+      slot: SLOT,
+      playerId: "player-1",
+    });
+    assert.equal(returning.reason, "This promo code is only for your first booking.");
+
+    const first = await quotePromo(countingSupabase({ bookings: 0 }), {
+      promo: promo({ first_booking_only: true }),
+      turf: TURF,
+      slot: SLOT,
+      playerId: "player-1",
+    });
+    assert.equal(first.eligible, true);
+  });
+});
+
+describe("promo codes", () => {
+  it("normalizes and validates codes", () => {
+    assert.equal(normalizePromoCode("  diwali-25 "), "DIWALI-25");
+    assert.equal(isValidPromoCode("DIWALI-25"), true);
+    assert.equal(isValidPromoCode("AB"), false);
+    assert.equal(isValidPromoCode("NO SPACES"), false);
+  });
+
+  it("maps booking RPC promo errors to 409", () => {
+    assert.equal(promoErrorStatus({ message: "Promo code usage limit reached" }), 409);
+    assert.equal(promoErrorStatus({ message: "Promo code is only for a first booking" }), 409);
+    assert.equal(promoErrorStatus({ message: "Slot not available" }), null);
+  });
+});
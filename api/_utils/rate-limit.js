@@ -0,0 +1,104 @@
+import crypto from "node:crypto";
+import { log } from "./log.js";
+
+// Fixed-window rate limiting for routes that declare a `rateLimit` list:
+//   rateLimit: [{ name, limit, windowSeconds, key: (ctx) => string | string[] }]
+// Keys are hashed before they reach the store so identifiers such as email
+// addresses are not kept in plain text. The Express server swaps in the
+// memory store; serverless functions share counters through Postgres.
+
+export function createMemoryStore() {
+  const windows = new Map();
+  return {
+    name: "memory",
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+
+      if (windows.size > 10000) {
+        for (const [k, v] of windows) {
+          if (v.resetAt <= now) windows.delete(k);
+        }
+      }
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+}
+
+export function createPostgresStore(supabase) {
+  return {
+    name: "postgres",
+    async hit(key, windowSeconds) {
+      const { data, error } = await supabase.rpc("rate_limit_hit", {
+        p_key: key,
+        p_window_seconds: windowSeconds,
+      });
+      if (error) throw error;
+      return { count: data.count, resetAt: Date.parse(data.reset_at) };
+    },
+  };
+}
+
+let configuredStore = null;
+
+export function setRateLimitStore(store) {
+  configuredStore = store;
+}
+
+function storeFor(supabase) {
+  return configuredStore ?? createPostgresStore(supabase);
+}
+
+// Express resolves req.ip according to its "trust proxy" setting; Vercel
+// functions sit behind the platform proxy, which sets X-Forwarded-For.
+export function clientIp(req) {
+  if (req.ip) return req.ip;
+  const forwarded = req.headers?.["x-forwarded-for"];
+  const first = (Array.isArray(forwarded) ? forwarded[0] : forwarded)
+    ?.split(",")[0]
+    ?.trim();
+  return (
+    first ||
+    req.headers?.["x-real-ip"] ||
+    req.socket?.remoteAddress ||
+    "unknown"
+  );
+}
+
+function hashKey(parts) {
+  return crypto.createHash("sha256").update(parts.join("\n")).digest("hex");
+}
+
+// Returns the seconds to wait when any limit is exceeded, otherwise null.
+// Store failures let the request through rather than locking users out.
+export async function checkRateLimits(supabase, route, ctx) {
+  const store = storeFor(supabase);
+  let retryAfter = null;
+
+  for (const rule of route.rateLimit) {
+    const values = [rule.key(ctx)].flat().filter(Boolean);
+    for (const value of values) {
+      const key = hashKey([route.path, rule.name, String(value).toLowerCase()]);
+      let result;
+      try {
+        result = await store.hit(key, rule.windowSeconds);
+      } catch (e) {
+        log.warn("rate_limit_store_failed", { store: store.name, error: e });
+        return null;
+      }
+      if (result.count > rule.limit) {
+        const wait = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+        retryAfter = Math.max(retryAfter ?? 0, wait);
+      }
+    }
+  }
+
+  return retryAfter;
+}
+
+export const byIp = ({ req }) => clientIp(req);
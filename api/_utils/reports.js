@@ -0,0 +1,135 @@
+export const MAX_REPORT_DAYS = 366;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function money(row) {
+  const gross = Number(row.gross_amount || 0);
+  const advance = Number(row.advance_collected || 0);
+  return {
+    grossAmount: round2(gross),
+    advanceCollected: round2(advance),
+    outstandingBalance: round2(gross - advance),
+    // Promo discounts already taken off grossAmount
+    discountAmount: round2(Number(row.discount_amount || 0)),
+  };
+}
+
+function occupancy(booked, generated, blocked) {
+  const bookable = generated - blocked;
+  return bookable > 0 ? Math.round((booked / bookable) * 1000) / 10 : null;
+}
+
+function formatNet(row) {
+  const generated = Number(row.generated_slots);
+  const blocked = Number(row.blocked_slots);
+  const booked = Number(row.confirmed_bookings);
+  return {
+    turfId: row.turf_id,
+    turfName: row.turf_name,
+    netNumber: row.net_number,
+    generatedSlots: generated,
+    blockedSlots: blocked,
+    confirmedBookings: booked,
+    occupancyPercent: occupancy(booked, generated, blocked),
+    ...money(row),
+    cancelledBookings: Number(row.cancelled_bookings),
+    cancelledAmount: round2(Number(row.cancelled_amount)),
+    refundAmount: round2(Number(row.refund_amount)),
+  };
+}
+
+function sumNets(nets) {
+  const keys = [
+    "generatedSlots",
+    "blockedSlots",
+    "confirmedBookings",
+    "grossAmount",
+    "advanceCollected",
+    "outstandingBalance",
+    "discountAmount",
+    "cancelledBookings",
+    "cancelledAmount",
+    "refundAmount",
+  ];
+  const total = Object.fromEntries(keys.map((k) => [k, 0]));
+  for (const net of nets) {
+    for (const k of keys) total[k] = round2(total[k] + net[k]);
+  }
+  total.occupancyPercent = occupancy(
+    total.confirmedBookings,
+    total.generatedSlots,
+    total.blockedSlots,
+  );
+  return total;
+}
+
+function formatBreakdown(rows, key, name) {
+  return rows.map((row) => ({
+    [name]: row[key],
+    confirmedBookings: Number(row.confirmed_bookings),
+    ...money(row),
+  }));
+}
+
+// Shapes the owner_report RPC result into per-turf, per-net figures
+export function buildOwnerReport(data) {
+  const nets = (data?.nets || []).map(formatNet);
+
+  const turfs = [];
+  for (const net of nets) {
+    let turf = turfs.find((t) => t.turfId === net.turfId);
+    if (!turf) {
+      turf = { turfId: net.turfId, turfName: net.turfName, nets: [] };
+      turfs.push(turf);
+    }
+    turf.nets.push(net);
+  }
+  for (const turf of turfs) {
+    Object.assign(turf, sumNets(turf.nets));
+  }
+
+  return {
+    totals: sumNets(nets),
+    turfs,
+    byPriceType: formatBreakdown(data?.by_price_type || [], "price_type", "priceType"),
+    byBookingSource: formatBreakdown(
+      data?.by_booking_source || [],
+      "booking_source",
+      "bookingSource",
+    ),
+  };
+}
+
+const MONEY_COLUMNS = [
+  { key: "confirmedBookings", header: "Confirmed bookings" },
+  { key: "grossAmount", header: "Gross amount" },
+  { key: "advanceCollected", header: "Advance collected" },
+  { key: "outstandingBalance", header: "Outstanding balance" },
+  { key: "discountAmount", header: "Promo discounts" },
+];
+
+// CSV layouts for each report view
+export const REPORT_CSV_VIEWS = {
+  nets: {
+    columns: [
+      { key: "turfName", header: "Turf" },
+      { key: "netNumber", header: "Net" },
+      { key: "generatedSlots", header: "Generated slots" },
+      { key: "blockedSlots", header: "Blocked slots" },
+      { key: "occupancyPercent", header: "Occupancy %" },
+      ...MONEY_COLUMNS,
+      { key: "cancelledBookings", header: "Cancelled bookings" },
+      { key: "cancelledAmount", header: "Cancelled amount" },
+      { key: "refundAmount", header: "Refunds due" },
+    ],
+    rows: (report) => report.turfs.flatMap((t) => t.nets),
+  },
+  price_type: {
+    columns: [{ key: "priceType", header: "Price type" }, ...MONEY_COLUMNS],
+    rows: (report) => report.byPriceType,
+  },
+  booking_source: {
+    columns: [{ key: "bookingSource", header: "Booking source" }, ...MONEY_COLUMNS],
+    rows: (report) => report.byBookingSource,
+  },
+};
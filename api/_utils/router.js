@@ -0,0 +1,244 @@
+import { applyCors } from "./cors.js";
+import { requireAuth, requireCronOrAdmin } from "./auth.js";
+import { validate } from "./validation.js";
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  leaseRetryAfter,
+  readIdempotencyKey,
+  releaseIdempotentRequest,
+  requestHash,
+  supportsIdempotency,
+} from "./idempotency.js";
+import { checkRateLimits } from "./rate-limit.js";
+import { INTERNAL_ERROR_MESSAGE, interceptErrorResponses } from "./errors.js";
+import { log as rootLog, requestIdFor } from "./log.js";
+import { recordRequest } from "./metrics.js";
+
+// Route modules (api/_routes) are plain objects:
+//   {
+//     method: "POST",
+//     path: "/slots/reserve",            // Express-style, ":name" for params
+//     auth: true | false | "cron" | { roles, allowUnregistered },
+//     rawBody: false,                    // read and hand over the raw bytes
+//     idempotent: true,                  // false opts a mutating route out of Idempotency-Key
+//     rateLimit: [{ name, limit, windowSeconds, key }],  // see rate-limit.js
+//     params: { ... }, query: { ... }, body: { ... },   // validation schemas
+//     async handler({ supabase, req, res, caller, params, query, body, rawBody, log }) {}
+//   }
+// The same table is mounted by server/index.js and by the Vercel entry files.
+// dispatch() tags every response with X-Request-Id, adds error codes (see
+// errors.js), logs one "request" line and counts it in metrics.js; `log` is
+// a logger bound to the request id.
+
+export async function readRawBody(req) {
+  if (req.rawBody) return req.rawBody;
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Runs the handler once per Idempotency-Key and caller; retries replay the
+// stored response. Mutating routes only (see supportsIdempotency).
+async function runIdempotent(supabase, route, ctx, key) {
+  const { res, caller } = ctx;
+  const name = `${route.method} ${route.path}`;
+  const hash = requestHash({
+    route: name,
+    params: ctx.params,
+    query: ctx.query,
+    body: ctx.body,
+  });
+  const entry = await beginIdempotentRequest(supabase, {
+    key,
+    callerId: caller.id,
+    route: name,
+    hash,
+  });
+
+  if (!entry.claimed) {
+    if (entry.request_hash !== hash) {
+      return res.status(422).json({
+        error: "Idempotency-Key was already used with a different request.",
+      });
+    }
+    if (entry.status !== "COMPLETED") {
+      res.setHeader("Retry-After", String(leaseRetryAfter(entry)));
+      return res.status(409).json({
+        error: "A request with this Idempotency-Key is still in progress.",
+      });
+    }
+    res.setHeader("Idempotent-Replayed", "true");
+    return res.status(entry.response_status).json(entry.response_body);
+  }
+
+  // Captured after the error interceptor has settled the final status
+  let captured = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const result = json(body);
+    captured = { status: res.statusCode, body };
+    return result;
+  };
+
+  try {
+    await route.handler(ctx);
+  } catch (e) {
+    await releaseIdempotentRequest(supabase, entry).catch(() => {});
+    throw e;
+  }
+
+  if (captured && captured.status < 500) {
+    await completeIdempotentRequest(supabase, entry, captured);
+  } else {
+    await releaseIdempotentRequest(supabase, entry);
+  }
+}
+
+async function authenticate(supabase, route, req, res) {
+  if (!route.auth) return { caller: null, ok: true };
+  const caller =
+    route.auth === "cron"
+      ? await requireCronOrAdmin(supabase, req, res)
+      : await requireAuth(
+          supabase,
+          req,
+          res,
+          route.auth === true ? {} : route.auth,
+        );
+  return { caller, ok: !!caller };
+}
+
+export async function dispatch(supabase, routes, req, res, params = {}) {
+  const started = performance.now();
+  const route = routes.find((r) => r.method === req.method);
+  // Metrics key; unsupported methods share one entry per path
+  const name = `${route ? route.method : "OTHER"} ${routes[0]?.path}`;
+  const requestId = requestIdFor(req);
+  const log = rootLog.child({ requestId, route: name });
+  res.setHeader("X-Request-Id", requestId);
+  interceptErrorResponses(res, { requestId, log });
+
+  if (applyCors(req, res)) return;
+
+  let caller = null;
+
+  try {
+    if (!route) {
+      res.setHeader("Allow", routes.map((r) => r.method).join(", "));
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    let rawBody = null;
+    let rawInput = req.body;
+    if (route.rawBody) {
+      rawBody = await readRawBody(req);
+      try {
+        rawInput = rawBody.length ? JSON.parse(rawBody.toString("utf8")) : {};
+      } catch {
+        return res.status(400).json({ error: "Invalid JSON body." });
+      }
+    }
+
+    const auth = await authenticate(supabase, route, req, res);
+    if (!auth.ok) return;
+    caller = auth.caller;
+
+    const fields = [];
+    const check = (schema, input, location, coerceStrings) => {
+      if (!schema) return input || {};
+      const { value, errors } = validate(schema, input, { coerceStrings });
+      for (const e of errors) fields.push({ location, ...e });
+      return value;
+    };
+
+    const ctx = {
+      supabase,
+      req,
+      res,
+      caller,
+      rawBody,
+      log,
+      params: check(route.params, params, "params", true),
+      query: check(route.query, req.query, "query", true),
+      body: check(route.body, rawInput, "body", false),
+    };
+
+    if (fields.length > 0) {
+      return res.status(400).json({ error: "Invalid request.", fields });
+    }
+
+    if (route.rateLimit) {
+      const retryAfter = await checkRateLimits(supabase, route, ctx);
+      if (retryAfter !== null) {
+        res.setHeader("Retry-After", String(retryAfter));
+        return res
+          .status(429)
+          .json({ error: "Too many requests. Please try again later." });
+      }
+    }
+
+    if (supportsIdempotency(route, caller)) {
+      const { key, error } = readIdempotencyKey(req);
+      if (error) return res.status(400).json({ error });
+      if (key) return await runIdempotent(supabase, route, ctx, key);
+    }
+
+    return await route.handler(ctx);
+  } catch (e) {
+    log.error("unhandled_error", { error: e });
+    if (!res.headersSent) {
+      return res
+        .status(500)
+        .json({ error: INTERNAL_ERROR_MESSAGE, code: "INTERNAL", requestId });
+    }
+  } finally {
+    const durationMs = Math.round((performance.now() - started) * 10) / 10;
+    recordRequest(name, res.statusCode, durationMs);
+    log[res.statusCode >= 500 ? "error" : "info"]("request", {
+      method: req.method,
+      status: res.statusCode,
+      durationMs,
+      callerId: caller?.id,
+      role: caller?.role || undefined,
+    });
+  }
+}
+
+function groupByPath(routes) {
+  const groups = new Map();
+  for (const route of routes) {
+    if (!groups.has(route.path)) groups.set(route.path, []);
+    groups.get(route.path).push(route);
+  }
+  return groups;
+}
+
+export function mountRoutes(router, supabase, routes) {
+  for (const [path, group] of groupByPath(routes)) {
+    router.all(path, (req, res) =>
+      dispatch(supabase, group, req, res, req.params),
+    );
+  }
+  return router;
+}
+
+// Vercel rewrites path params into the query string (see vercel.json)
+export function createVercelHandler(supabase, routes, path) {
+  const group = routes.filter((r) => r.path === path);
+  if (group.length === 0) {
+    throw new Error(`No route registered for ${path}`);
+  }
+  const paramNames = path
+    .split("/")
+    .filter((segment) => segment.startsWith(":"))
+    .map((segment) => segment.slice(1));
+
+  return (req, res) => {
+    const params = {};
+    for (const name of paramNames) params[name] = req.query?.[name];
+    return dispatch(supabase, group, req, res, params);
+  };
+}
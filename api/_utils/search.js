@@ -0,0 +1,193 @@
+import { getDayType, listPrices, parsePricingRules, weekdayName } from "./pricing.js";
+import { buildSlotsForDate, effectiveStatus, toMinutes } from "./slots.js";
+
+const PAGE_SIZE = 1000;
+
+// Runs a PostgREST query page by page; `build` must return a fresh query
+export async function fetchAllRows(build) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+export function coverImage(images) {
+  const list = Array.isArray(images) ? images.filter((i) => i?.url) : [];
+  const primary = list.find((i) => i.isPrimary === true || i.is_primary === true);
+  return (primary || list[0])?.url ?? null;
+}
+
+// Slots that close the day end at 00:00; so does a `to` of 00:00
+function endMinutes(time) {
+  return time === "00:00" ? 24 * 60 : toMinutes(time);
+}
+
+function inWindow(slot, from, to) {
+  if (from && slot.start_time < from) return false;
+  if (to && endMinutes(slot.end_time) > endMinutes(to)) return false;
+  return true;
+}
+
+export function encodeCursor(key, id) {
+  return Buffer.from(JSON.stringify([key, id])).toString("base64url");
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function decodeCursor(cursor) {
+  try {
+    const [key, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return typeof id === "string" && UUID_PATTERN.test(id) ? { key, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+// search_turfs pages scanned per request. Rows it returns can still be
+// dropped here (no free slot in the window, or only band prices match), so
+// a page may need more than one batch; past this the caller gets a short
+// page and a cursor to carry on from.
+const MAX_SEARCH_BATCHES = 5;
+
+// Free slots on `date` for the given turfs, grouped by turf id
+async function loadSlotsByTurf(supabase, turfIds, date, from) {
+  const slots = await fetchAllRows(() => {
+    let query = supabase
+      .from("slots")
+      .select("turf_id, start_time, end_time, status, reserved_until, price")
+      .in("turf_id", turfIds)
+      .eq("date", date)
+      .order("id");
+    if (from) query = query.gte("start_time", from);
+    return query;
+  });
+  const byTurf = new Map();
+  for (const slot of slots) {
+    if (!byTurf.has(slot.turf_id)) byTurf.set(slot.turf_id, []);
+    byTurf.get(slot.turf_id).push(slot);
+  }
+  return byTurf;
+}
+
+// One search_turfs row as a result, or null when the date, window or price
+// filters rule it out
+function toResult(turf, slotsByTurf, { date, from, to, minPrice, maxPrice }, now) {
+  const nets = parsePricingRules(turf.pricing_rules || {});
+  const dayType = date ? getDayType(date, turf.public_holidays || []) : null;
+  const prices = listPrices(nets, dayType).filter((p) => p > 0);
+
+  let freeSlots = null;
+  let datePrices = prices;
+
+  if (date) {
+    const existing = slotsByTurf.get(turf.id);
+    // Dates nobody has generated yet are judged from the schedule
+    const candidates = existing?.length
+      ? existing.filter((s) => effectiveStatus(s, now) === "AVAILABLE")
+      : buildSlotsForDate(turf, date, nets).filter(
+          (s) => s.status === "AVAILABLE",
+        );
+    const free = candidates.filter((s) => inWindow(s, from, to));
+    if ((from || to) && free.length === 0) return null;
+    freeSlots = free.length;
+    const slotPrices = free.map((s) => Number(s.price)).filter((p) => p > 0);
+    if (slotPrices.length > 0) datePrices = slotPrices;
+  }
+
+  // The database matched on band prices; the free slots may not
+  if (minPrice != null || maxPrice != null) {
+    const matches = datePrices.some(
+      (p) =>
+        (minPrice == null || p >= minPrice) &&
+        (maxPrice == null || p <= maxPrice),
+    );
+    if (!matches) return null;
+  }
+
+  return {
+    id: turf.id,
+    turfName: turf.turf_name,
+    turfType: turf.turf_type,
+    city: turf.city,
+    address: turf.address,
+    location: turf.location,
+    numberOfNets: turf.number_of_nets,
+    openTime: turf.open_time,
+    closeTime: turf.close_time,
+    coverImage: coverImage(turf.images),
+    lowestPrice: datePrices.length ? Math.min(...datePrices) : null,
+    priceRange: prices.length
+      ? { min: Math.min(...prices), max: Math.max(...prices) }
+      : null,
+    distanceKm: turf.distance_km == null ? null : Number(turf.distance_km),
+    freeSlots,
+  };
+}
+
+// City, type, open day, price band, distance and the cursor are applied by
+// search_turfs (supabase/schema.sql); slots are read only for the turfs of
+// each batch.
+export async function searchTurfs(supabase, filters) {
+  const {
+    city,
+    turfType,
+    day,
+    date,
+    from,
+    minPrice,
+    maxPrice,
+    lat,
+    lng,
+    radiusKm,
+    limit = 20,
+    cursor,
+  } = filters;
+
+  const openDay = day || (date ? weekdayName(date) : null);
+  const now = new Date();
+  const results = [];
+  let after = cursor ? decodeCursor(cursor) : null;
+  let exhausted = false;
+
+  for (let batch = 0; batch < MAX_SEARCH_BATCHES && results.length < limit; batch++) {
+    const { data: rows, error } = await supabase.rpc("search_turfs", {
+      p_city: city ?? null,
+      p_turf_type: turfType ?? null,
+      p_open_day: openDay,
+      p_date: date ?? null,
+      p_min_price: minPrice ?? null,
+      p_max_price: maxPrice ?? null,
+      p_lat: lat ?? null,
+      p_lng: lng ?? null,
+      p_radius_km: radiusKm ?? null,
+      p_after_key: after?.key == null ? null : String(after.key),
+      p_after_id: after?.id ?? null,
+      p_limit: limit,
+    });
+    if (error) throw error;
+
+    const slotsByTurf =
+      date && rows.length > 0
+        ? await loadSlotsByTurf(supabase, rows.map((r) => r.id), date, from)
+        : new Map();
+
+    for (const row of rows) {
+      after = { key: row.sort_key, id: row.id };
+      const result = toResult(row, slotsByTurf, filters, now);
+      if (result) results.push(result);
+      if (results.length === limit) break;
+    }
+    if (rows.length < limit) {
+      exhausted = results.length < limit || after.id === rows[rows.length - 1]?.id;
+      break;
+    }
+  }
+
+  return {
+    results,
+    nextCursor: !exhausted && after ? encodeCursor(after.key, after.id) : null,
+  };
+}
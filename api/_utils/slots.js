@@ -0,0 +1,201 @@
+import { calculateSlotPrice, parsePricingRules, weekdayName } from "./pricing.js";
+
+export const MAX_GENERATE_DAYS = 62;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isValidDate(value) {
+  return (
+    typeof value === "string" &&
+    DATE_PATTERN.test(value) &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+  );
+}
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+}
+
+export function listDates(startDate, endDate) {
+  const dates = [];
+  for (let d = startDate; d <= endDate; d = addDays(d, 1)) {
+    dates.push(d);
+  }
+  return dates;
+}
+
+export function toMinutes(time) {
+  const [h, m] = time.split(":").map((v) => parseInt(v, 10));
+  return h * 60 + (m || 0);
+}
+
+export function formatTime(minutes) {
+  const h = Math.floor(minutes / 60) % 24;
+  const m = minutes % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+// A RESERVED slot whose hold has lapsed is bookable even before the sweeper
+// gets to it, so clients should see it as AVAILABLE.
+export function effectiveStatus(slot, now = new Date()) {
+  if (
+    slot.status === "RESERVED" &&
+    slot.reserved_until &&
+    new Date(slot.reserved_until) < now
+  ) {
+    return "AVAILABLE";
+  }
+  return slot.status;
+}
+
+// Mirrors SlotProvider.generateSlots: slots run from opening time until one
+// slot past closing, never past midnight. Slots ending after closing time are
+// created BLOCKED with the "Closed" reason so owners can still override them.
+export function buildSlotsForDate(turf, date, pricingRules) {
+  const openMinutes = toMinutes(turf.open_time);
+  const closeRaw = toMinutes(turf.close_time);
+  const closeMinutes = closeRaw === 0 ? 1440 : closeRaw;
+  const duration = turf.slot_duration_minutes;
+  const nets = turf.number_of_nets || 1;
+  const holidays = turf.public_holidays || [];
+
+  const slots = [];
+  if (!duration || duration <= 0) return slots;
+
+  for (let netNumber = 1; netNumber <= nets; netNumber++) {
+    for (
+      let start = openMinutes;
+      start < closeMinutes + duration;
+      start += duration
+    ) {
+      const end = start + duration;
+      if (end > 1440) break;
+
+      const startTime = formatTime(start);
+      const isAvailable = end <= closeMinutes;
+      const { price, priceType } = calculateSlotPrice({
+        pricingRules,
+        date,
+        startTime,
+        publicHolidays: holidays,
+        netNumber,
+      });
+
+      slots.push({
+        turf_id: turf.id,
+        date,
+        start_time: startTime,
+        end_time: formatTime(end),
+        net_number: netNumber,
+        status: isAvailable ? "AVAILABLE" : "BLOCKED",
+        price,
+        price_type: priceType,
+        blocked_by: isAvailable ? null : turf.owner_id,
+        block_reason: isAvailable ? null : "Closed",
+      });
+    }
+  }
+
+  return slots;
+}
+
+const slotKey = (slot) => `${slot.net_number}|${slot.start_time}`;
+
+// Creates missing slots and reprices unbooked ones for every open day in the
+// range. Safe to call repeatedly: inserts are keyed on slots_unique_time.
+// createMissing: false only reprices; with dryRun nothing is written and the
+// counts say what would change.
+export async function generateSlots(
+  supabase,
+  { turfId, startDate, endDate, createMissing = true, dryRun = false },
+) {
+  const { data: turf, error: turfError } = await supabase
+    .from("turfs")
+    .select(
+      "id, owner_id, open_time, close_time, slot_duration_minutes, days_open, number_of_nets, pricing_rules, public_holidays",
+    )
+    .eq("id", turfId)
+    .maybeSingle();
+
+  if (turfError) throw turfError;
+  if (!turf) return null;
+
+  const pricingRules = parsePricingRules(turf.pricing_rules || {});
+  const daysOpen = turf.days_open || [];
+  const result = { created: 0, skipped: 0, repriced: 0, closedDates: [] };
+
+  for (const date of listDates(startDate, endDate)) {
+    if (!daysOpen.includes(weekdayName(date))) {
+      result.closedDates.push(date);
+      continue;
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from("slots")
+      .select("id, start_time, net_number, status, price, price_type")
+      .eq("turf_id", turf.id)
+      .eq("date", date);
+
+    if (existingError) throw existingError;
+
+    const existingByKey = new Map(existing.map((s) => [slotKey(s), s]));
+    const toCreate = [];
+
+    for (const slot of buildSlotsForDate(turf, date, pricingRules)) {
+      const current = existingByKey.get(slotKey(slot));
+      if (!current) {
+        if (createMissing) toCreate.push(slot);
+        continue;
+      }
+
+      // Don't change pricing for booked/reserved slots
+      const repriceable =
+        current.status === "AVAILABLE" || current.status === "BLOCKED";
+      const changed =
+        Number(current.price) !== slot.price ||
+        current.price_type !== slot.price_type;
+
+      if (!repriceable || !changed) {
+        result.skipped++;
+        continue;
+      }
+      if (dryRun) {
+        result.repriced++;
+        continue;
+      }
+
+      const { error: updateError } = await supabase
+        .from("slots")
+        .update({
+          price: slot.price,
+          price_type: slot.price_type,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", current.id)
+        .in("status", ["AVAILABLE", "BLOCKED"]);
+
+      if (updateError) throw updateError;
+      result.repriced++;
+    }
+
+    if (dryRun) {
+      result.created += toCreate.length;
+    } else if (toCreate.length > 0) {
+      const { data: inserted, error: insertError } = await supabase
+        .from("slots")
+        .upsert(toCreate, {
+          onConflict: "turf_id,date,start_time,net_number",
+          ignoreDuplicates: true,
+        })
+        .select("id");
+
+      if (insertError) throw insertError;
+      result.created += inserted.length;
+      result.skipped += toCreate.length - inserted.length;
+    }
+  }
+
+  return result;
+}
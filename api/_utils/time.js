@@ -0,0 +1,97 @@
+// Slot dates and times are wall-clock values in the turf's local time zone.
+// Turfs operate in TURF_TIME_ZONE unless their city is listed in
+// TURF_CITY_TIME_ZONES, a JSON map such as {"dubai": "Asia/Dubai"}.
+
+export const DEFAULT_TIME_ZONE = process.env.TURF_TIME_ZONE || "Asia/Kolkata";
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Unknown zones are dropped so one bad entry cannot break every date lookup
+export function parseCityTimeZones(raw) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw || "{}");
+  } catch {
+    return {};
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+
+  const zones = {};
+  for (const [city, zone] of Object.entries(parsed)) {
+    if (typeof zone === "string" && isTimeZone(zone)) {
+      zones[city.trim().toLowerCase()] = zone;
+    }
+  }
+  return zones;
+}
+
+const CITY_TIME_ZONES = parseCityTimeZones(process.env.TURF_CITY_TIME_ZONES);
+
+// Zone a turf's slot times are in, from turfs.city
+export function turfTimeZone(turf, cityZones = CITY_TIME_ZONES) {
+  const city = String(turf?.city || "").trim().toLowerCase();
+  return cityZones[city] || DEFAULT_TIME_ZONE;
+}
+
+function zoneOffsetMs(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(timestamp))
+      .map((p) => [p.type, p.value]),
+  );
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second),
+  );
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Converts a local date (YYYY-MM-DD) and time (HH:MM) to a UTC Date
+export function zonedDateTime(date, time, timeZone = DEFAULT_TIME_ZONE) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [h, min] = time.split(":").map(Number);
+  const guess = Date.UTC(y, m - 1, d, h, min);
+  const offset = zoneOffsetMs(guess, timeZone);
+  // Second pass settles times next to a DST change
+  return new Date(guess - zoneOffsetMs(guess - offset, timeZone));
+}
+
+// Local calendar date (YYYY-MM-DD) of an instant
+export function localDate(now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(now);
+}
+
+// Local wall-clock time (HH:MM) of an instant
+export function localTime(now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hourCycle: "h23",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(now);
+}
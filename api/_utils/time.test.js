@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DEFAULT_TIME_ZONE,
+  localDate,
+  localTime,
+  parseCityTimeZones,
+  turfTimeZone,
+} from "./time.js";
+
+describe("turfTimeZone", () => {
+  const zones = parseCityTimeZones('{" Dubai ": "Asia/Dubai", "Nowhere": "Mars/Base"}');
+
+  it("keeps valid zones keyed by lower-case city", () => {
+    assert.deepEqual(zones, { dubai: "Asia/Dubai" });
+  });
+
+  it("resolves a turf's zone from its city", () => {
+    assert.equal(turfTimeZone({ city: "DUBAI" }, zones), "Asia/Dubai");
+    assert.equal(turfTimeZone({ city: "Pune" }, zones), DEFAULT_TIME_ZONE);
+    assert.equal(turfTimeZone(null, zones), DEFAULT_TIME_ZONE);
+  });
+
+  it("ignores a malformed map", () => {
+    assert.deepEqual(parseCityTimeZones("not json"), {});
+    assert.deepEqual(parseCityTimeZones('["Asia/Dubai"]'), {});
+    assert.deepEqual(parseCityTimeZones(undefined), {});
+  });
+});
+
+describe("local dates and times", () => {
+  it("reads the wall clock in the given zone", () => {
+    const now = new Date("2026-10-19T20:00:00Z");
+    assert.equal(localDate(now, "Asia/Kolkata"), "2026-10-20");
+    assert.equal(localTime(now, "Asia/Kolkata"), "01:30");
+    assert.equal(localDate(now, "Asia/Dubai"), "2026-10-20");
+    assert.equal(localTime(now, "America/New_York"), "16:00");
+  });
+});
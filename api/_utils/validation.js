@@ -0,0 +1,135 @@
+// Declarative request schemas used by the route table.
+//
+// A schema maps field names to rules:
+//   { slotId: { type: "uuid", required: true },
+//     minutes: { type: "integer", min: 1, max: 60 },
+//     decision: { type: "enum", values: ["APPROVE", "REJECT"], uppercase: true } }
+//
+// Supported types: string, uuid, integer, number, boolean, date (YYYY-MM-DD),
+// time (HH:MM), enum, object, array. Query and path values arrive as strings
+// and are coerced before checking.
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function coerce(rule, value) {
+  if (typeof value !== "string") return value;
+  if (rule.type === "integer" || rule.type === "number") {
+    const n = Number(value);
+    return Number.isNaN(n) ? value : n;
+  }
+  if (rule.type === "boolean") {
+    if (value === "true") return true;
+    if (value === "false") return false;
+  }
+  if (rule.type === "array") {
+    return value.split(",").filter((v) => v !== "");
+  }
+  return value;
+}
+
+function checkType(rule, value) {
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return `must be at most ${rule.maxLength} characters`;
+      }
+      return null;
+    case "uuid":
+      return typeof value === "string" && UUID_PATTERN.test(value)
+        ? null
+        : "must be a valid uuid";
+    case "integer":
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return `must be a${rule.type === "integer" ? "n integer" : " number"}`;
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        return "must be an integer";
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min}`;
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return `must be at most ${rule.max}`;
+      }
+      return null;
+    }
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "date":
+      return typeof value === "string" &&
+        DATE_PATTERN.test(value) &&
+        !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+        ? null
+        : "must be a date (YYYY-MM-DD)";
+    case "time":
+      return typeof value === "string" && TIME_PATTERN.test(value)
+        ? null
+        : "must be a time (HH:MM)";
+    case "enum":
+      return rule.values.includes(value)
+        ? null
+        : `must be one of ${rule.values.join(", ")}`;
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? null
+        : "must be an object";
+    case "array": {
+      if (!Array.isArray(value)) return "must be an array";
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return `must contain at least ${rule.minItems} item(s)`;
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return `must contain at most ${rule.maxItems} item(s)`;
+      }
+      if (rule.items) {
+        for (let i = 0; i < value.length; i++) {
+          const message = checkType(rule.items, coerce(rule.items, value[i]));
+          if (message) return `item ${i} ${message}`;
+        }
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Returns { value, errors } where value holds only the declared fields.
+export function validate(schema, input, { coerceStrings = false } = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    let raw = source[field];
+    if (isBlank(raw)) {
+      if (rule.required) {
+        errors.push({ field, message: "is required" });
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      continue;
+    }
+
+    if (coerceStrings) raw = coerce(rule, raw);
+    if (rule.uppercase && typeof raw === "string") raw = raw.toUpperCase();
+
+    const message = checkType(rule, raw);
+    if (message) {
+      errors.push({ field, message });
+      continue;
+    }
+    value[field] = raw;
+  }
+
+  return { value, errors };
+}
@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { validate } from "./validation.js";
+
+describe("validate", () => {
+  it("keeps only declared fields", () => {
+    const { value, errors } = validate(
+      { name: { type: "string" } },
+      { name: "Green Turf", extra: "dropped" },
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { name: "Green Turf" });
+  });
+
+  it("reports missing required fields and fills defaults", () => {
+    const { value, errors } = validate(
+      {
+        slotId: { type: "uuid", required: true },
+        limit: { type: "integer", default: 20 },
+      },
+      { slotId: "" },
+    );
+    assert.deepEqual(errors, [{ field: "slotId", message: "is required" }]);
+    assert.deepEqual(value, { limit: 20 });
+  });
+
+  it("coerces query strings only when asked", () => {
+    const schema = {
+      limit: { type: "integer", min: 1, max: 50 },
+      active: { type: "boolean" },
+      tags: { type: "array" },
+    };
+    const input = { limit: "10", active: "false", tags: "a,b," };
+
+    assert.deepEqual(validate(schema, input, { coerceStrings: true }), {
+      value: { limit: 10, active: false, tags: ["a", "b"] },
+      errors: [],
+    });
+    assert.deepEqual(
+      validate(schema, input).errors.map((e) => e.field),
+      ["limit", "active", "tags"],
+    );
+  });
+
+  it("checks bounds, lengths and formats", () => {
+    const { errors } = validate(
+      {
+        minutes: { type: "integer", min: 1, max: 60 },
+        price: { type: "number", min: 0 },
+        note: { type: "string", maxLength: 3 },
+        date: { type: "date" },
+        time: { type: "time" },
+        id: { type: "uuid" },
+      },
+      {
+        minutes: 1.5,
+        price: -1,
+        note: "long",
+        date: "2026-13-40",
+        time: "24:00",
+        id: "not-a-uuid",
+      },
+    );
+    assert.deepEqual(errors, [
+      { field: "minutes", message: "must be an integer" },
+      { field: "price", message: "must be at least 0" },
+      { field: "note", message: "must be at most 3 characters" },
+      { field: "date", message: "must be a date (YYYY-MM-DD)" },
+      { field: "time", message: "must be a time (HH:MM)" },
+      { field: "id", message: "must be a valid uuid" },
+    ]);
+  });
+
+  it("uppercases enums before checking them", () => {
+    const schema = {
+      decision: { type: "enum", values: ["APPROVE", "REJECT"], uppercase: true },
+    };
+    assert.deepEqual(validate(schema, { decision: "approve" }).value, {
+      decision: "APPROVE",
+    });
+    assert.deepEqual(validate(schema, { decision: "maybe" }).errors, [
+      { field: "decision", message: "must be one of APPROVE, REJECT" },
+    ]);
+  });
+
+  it("checks array sizes and names the bad item", () => {
+    const schema = {
+      slotIds: { type: "array", items: { type: "uuid" }, minItems: 1, maxItems: 2 },
+    };
+    assert.equal(
+      validate(schema, { slotIds: [] }).errors[0].message,
+      "must contain at least 1 item(s)",
+    );
+    assert.equal(
+      validate(schema, { slotIds: ["a", "b", "c"] }).errors[0].message,
+      "must contain at most 2 item(s)",
+    );
+    assert.equal(
+      validate(schema, { slotIds: ["11111111-1111-4111-8111-111111111111", "x"] })
+        .errors[0].message,
+      "item 1 must be a valid uuid",
+    );
+  });
+
+  it("rejects arrays where an object is expected", () => {
+    assert.deepEqual(validate({ booking: { type: "object" } }, { booking: [] }).errors, [
+      { field: "booking", message: "must be an object" },
+    ]);
+  });
+});
@@ -0,0 +1,44 @@
+// Waitlist entries queue a player for one slot, or for any slot inside a time
+// window on a date. Offers are made in SQL (offer_waitlisted_slot) whenever a
+// slot returns to AVAILABLE; entryMatchesSlot mirrors its matching rule.
+
+export const WAITLIST_HOLD_MINUTES = Number(
+  process.env.WAITLIST_HOLD_MINUTES || 15,
+);
+export const MAX_ACTIVE_WAITLIST_ENTRIES = 10;
+export const ACTIVE_WAITLIST_STATUSES = ["WAITING", "OFFERED"];
+
+export function entryMatchesSlot(entry, slot) {
+  if (entry.turf_id !== slot.turf_id || entry.date !== slot.date) return false;
+  if (entry.slot_id) return entry.slot_id === slot.id;
+  return (
+    slot.start_time >= entry.start_time &&
+    slot.end_time <= entry.end_time &&
+    (entry.net_number == null || entry.net_number === slot.net_number)
+  );
+}
+
+export function formatWaitlistEntry(entry) {
+  return {
+    id: entry.id,
+    turfId: entry.turf_id,
+    turfName: entry.turf?.turf_name ?? null,
+    slotId: entry.slot_id,
+    date: entry.date,
+    startTime: entry.start_time,
+    endTime: entry.end_time,
+    netNumber: entry.net_number,
+    status: entry.status,
+    offeredSlotId: entry.offered_slot_id,
+    offerExpiresAt: entry.offer_expires_at,
+    bookingId: entry.booking_id,
+    createdAt: entry.created_at,
+  };
+}
+
+export function waitlistErrorStatus(error) {
+  const message = error?.message || "";
+  if (message.includes("not found")) return 404;
+  if (message.includes("already closed")) return 409;
+  return 500;
+}
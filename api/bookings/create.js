@@ -1,25 +1,5 @@
 import { supabase } from "../_utils/supabase.js";
-import { applyCors } from "../_utils/cors.js";
+import { createVercelHandler } from "../_utils/router.js";
+import { routes } from "../_routes/index.js";
 
-export default async function handler(req, res) {
-  if (applyCors(req, res)) return;
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
-
-  const { slotId, booking } = req.body || {};
-  if (!slotId || !booking) {
-    return res.status(400).json({ error: "Invalid request." });
-  }
-
-  const { data, error } = await supabase.rpc("create_booking_atomic", {
-    slot_id: slotId,
-    booking_data: booking,
-  });
-
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
-
-  return res.json({ bookingId: data });
-}
+export default createVercelHandler(supabase, routes, "/bookings/create");
@@ -1,6 +1,5 @@
-import { applyCors } from "./_utils/cors.js";
+import { supabase } from "./_utils/supabase.js";
+import { createVercelHandler } from "./_utils/router.js";
+import { routes } from "./_routes/index.js";
 
-export default async function handler(req, res) {
-  if (applyCors(req, res)) return;
-  res.status(200).json({ ok: true, time: new Date().toISOString() });
-}
+export default createVercelHandler(supabase, routes, "/health");
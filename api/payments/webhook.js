@@ -0,0 +1,12 @@
+import { supabase } from "../_utils/supabase.js";
+import { createVercelHandler } from "../_utils/router.js";
+import { routes } from "../_routes/index.js";
+
+// Signature is computed over the exact bytes the gateway sent
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default createVercelHandler(supabase, routes, "/payments/webhook");
@@ -0,0 +1,5 @@
+import { supabase } from "./_utils/supabase.js";
+import { createVercelHandler } from "./_utils/router.js";
+import { routes } from "./_routes/index.js";
+
+export default createVercelHandler(supabase, routes, "/promo-codes");
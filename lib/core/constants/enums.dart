@@ -95,6 +95,7 @@ enum VerificationStatus {
   pending,
   approved,
   rejected,
+  suspended,
 }
 
 extension VerificationStatusExtension on VerificationStatus {
@@ -106,6 +107,8 @@ extension VerificationStatusExtension on VerificationStatus {
         return 'Approved';
       case VerificationStatus.rejected:
         return 'Rejected';
+      case VerificationStatus.suspended:
+        return 'Suspended';
     }
   }
   
@@ -117,6 +120,8 @@ extension VerificationStatusExtension on VerificationStatus {
         return 'APPROVED';
       case VerificationStatus.rejected:
         return 'REJECTED';
+      case VerificationStatus.suspended:
+        return 'SUSPENDED';
     }
   }
   
@@ -126,6 +131,8 @@ extension VerificationStatusExtension on VerificationStatus {
         return VerificationStatus.approved;
       case 'REJECTED':
         return VerificationStatus.rejected;
+      case 'SUSPENDED':
+        return VerificationStatus.suspended;
       default:
         return VerificationStatus.pending;
     }
@@ -1,52 +1,71 @@
+import 'dart:convert';
+import 'package:http/http.dart' as http;
 import 'package:supabase_flutter/supabase_flutter.dart';
 
+/// Error response from the backend API
+class ApiException implements Exception {
+  final int statusCode;
+  final String message;
+
+  const ApiException(this.statusCode, this.message);
+
+  @override
+  String toString() => message;
+}
+
 /// Database Service
-/// Handles all Supabase database operations using RPC functions
+/// Reads from Supabase directly; profile, slot hold and booking writes go
+/// through the backend API, which checks the caller before calling the RPCs
 class DatabaseService {
   SupabaseClient get _client => Supabase.instance.client;
 
-  // =====================================================
-  // OWNER OPERATIONS
-  // =====================================================
+  // Backend API base URL (same deployment as StorageService)
+  static const String _apiBaseUrl = 'https://turf-app-lyart.vercel.app/api';
 
-  /// Check if owner exists by email or phone (using RPC)
-  Future<bool> ownerExists({String? email, String? phone}) async {
+  /// POST to the backend API as the signed-in user.
+  /// Throws [ApiException] on a non-2xx response.
+  Future<Map<String, dynamic>> _postApi(
+    String path,
+    Map<String, dynamic> body,
+  ) async {
+    final response = await http.post(
+      Uri.parse('$_apiBaseUrl$path'),
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': 'Bearer ${_client.auth.currentSession?.accessToken ?? ''}',
+      },
+      body: jsonEncode(body),
+    ).timeout(const Duration(seconds: 30));
+
+    Map<String, dynamic> data = {};
     try {
-      final result = await _client.rpc('check_owner_exists', params: {
-        'check_email': email?.trim().toLowerCase(),
-        'check_phone': phone?.trim(),
-      });
-      return result == true;
-    } catch (e) {
-      // If RPC doesn't exist, fall back to direct query
-      return await _ownerExistsFallback(email: email, phone: phone);
+      final decoded = jsonDecode(response.body);
+      if (decoded is Map<String, dynamic>) data = decoded;
+    } catch (_) {}
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw ApiException(
+        response.statusCode,
+        data['error'] ?? 'HTTP ${response.statusCode}',
+      );
     }
+    return data;
   }
 
-  /// Fallback method for checking owner exists
-  Future<bool> _ownerExistsFallback({String? email, String? phone}) async {
-    if (email != null && email.isNotEmpty) {
-      final result = await _client
-          .from('owners')
-          .select('id')
-          .eq('email', email.toLowerCase().trim())
-          .maybeSingle();
-      if (result != null) return true;
-    }
-
-    if (phone != null && phone.isNotEmpty) {
-      final result = await _client
-          .from('owners')
-          .select('id')
-          .eq('phone', phone.trim())
-          .maybeSingle();
-      if (result != null) return true;
-    }
+  // =====================================================
+  // OWNER OPERATIONS
+  // =====================================================
 
-    return false;
+  /// Check if owner exists by email or phone (via API, rate limited)
+  Future<bool> ownerExists({String? email, String? phone}) async {
+    final result = await _postApi('/auth/owner-exists', {
+      if (email != null && email.isNotEmpty) 'email': email.trim().toLowerCase(),
+      if (phone != null && phone.isNotEmpty) 'phone': phone.trim(),
+    });
+    return result['exists'] == true;
   }
 
-  /// Create owner profile (using RPC - bypasses RLS)
+  /// Create owner profile (via API, for the signed-in user)
   Future<void> createOwnerProfile({
     required String id,
     required String name,
@@ -54,14 +73,14 @@ class DatabaseService {
     required String phone,
   }) async {
     try {
-      await _client.rpc('create_owner_profile', params: {
-        'user_id': id,
-        'user_name': name.trim(),
-        'user_email': email.trim().toLowerCase(),
-        'user_phone': phone.trim(),
+      await _postApi('/auth/create-owner', {
+        'id': id,
+        'name': name.trim(),
+        'email': email.trim().toLowerCase(),
+        'phone': phone.trim(),
       });
-    } on PostgrestException catch (e) {
-      if (e.message.contains('unique') || e.message.contains('duplicate')) {
+    } on ApiException catch (e) {
+      if (e.statusCode == 409) {
         throw 'Email or phone already registered.';
       }
       throw 'Failed to create profile: ${e.message}';
@@ -96,7 +115,7 @@ class DatabaseService {
   // PLAYER OPERATIONS
   // =====================================================
 
-  /// Create player profile (using RPC - bypasses RLS)
+  /// Create player profile (via API, for the signed-in user)
   Future<void> createPlayerProfile({
     required String id,
     required String name,
@@ -104,14 +123,14 @@ class DatabaseService {
     required String phone,
   }) async {
     try {
-      await _client.rpc('create_player_profile', params: {
-        'user_id': id,
-        'user_name': name.trim(),
-        'user_email': email.trim().toLowerCase(),
-        'user_phone': phone.trim(),
+      await _postApi('/auth/create-player', {
+        'id': id,
+        'name': name.trim(),
+        'email': email.trim().toLowerCase(),
+        'phone': phone.trim(),
       });
-    } on PostgrestException catch (e) {
-      if (e.message.contains('unique') || e.message.contains('duplicate')) {
+    } on ApiException catch (e) {
+      if (e.statusCode == 409) {
         throw 'Email or phone already registered.';
       }
       throw 'Failed to create profile: ${e.message}';
@@ -504,64 +523,63 @@ class DatabaseService {
     throw lastError ?? Exception('Failed to unblock slot after $retryCount attempts');
   }
 
-  /// Reserve slot (using RPC)
+  /// Reserve slot (via API, held in the caller's name)
   Future<bool> reserveSlot({
     required String slotId,
     required String userId,
     required int reservationMinutes,
   }) async {
-    final result = await _client.rpc('reserve_slot', params: {
-      'p_slot_id': slotId,
-      'p_reserved_by': userId,
-      'p_reservation_minutes': reservationMinutes,
+    final result = await _postApi('/slots/reserve', {
+      'slotId': slotId,
+      'userId': userId,
+      'reservationMinutes': reservationMinutes,
     });
-    return result == true;
+    return result['success'] == true;
   }
 
-  /// Release slot (using RPC)
+  /// Release slot (via API, reserver or turf owner only)
   Future<void> releaseSlot(String slotId) async {
-    await _client.rpc('release_slot', params: {
-      'p_slot_id': slotId,
-    });
+    await _postApi('/slots/release', {'slotId': slotId});
   }
 
-  /// Book slot (using RPC)
+  /// Book slot (via API, reserver only)
   Future<void> bookSlot(String slotId) async {
-    await _client.rpc('book_slot', params: {
-      'p_slot_id': slotId,
-    });
+    await _postApi('/slots/book', {'slotId': slotId});
   }
 
   // =====================================================
   // BOOKING OPERATIONS
   // =====================================================
 
-  /// Create booking atomically (using RPC)
+  /// Create booking atomically (via API, which checks the caller's hold
+  /// and prices any promo code)
   Future<String> createBookingAtomic({
     required String slotId,
     required Map<String, dynamic> bookingData,
+    String? promoCode,
   }) async {
-    final result = await _client.rpc('create_booking_atomic', params: {
-      'p_slot_id': slotId,
-      'p_booking_data': bookingData,
+    final result = await _postApi('/bookings/create', {
+      'slotId': slotId,
+      'booking': bookingData,
+      if (promoCode != null && promoCode.isNotEmpty) 'promoCode': promoCode,
     });
-    return result as String;
+    return result['bookingId'] as String;
   }
 
-  /// Cancel booking (using RPC)
+  /// Cancel booking (via API, which applies the turf's cancellation policy)
   Future<bool> cancelBooking({
     required String bookingId,
     required String slotId,
     required String cancelledBy,
     String? reason,
   }) async {
-    final result = await _client.rpc('cancel_booking', params: {
-      'p_booking_id': bookingId,
-      'p_slot_id': slotId,
-      'p_cancelled_by': cancelledBy,
-      'p_cancel_reason': reason,
+    final result = await _postApi('/bookings/cancel', {
+      'bookingId': bookingId,
+      'slotId': slotId,
+      'cancelledBy': cancelledBy,
+      if (reason != null) 'reason': reason,
     });
-    return result == true;
+    return result['success'] == true;
   }
 
   /// Stream owner bookings
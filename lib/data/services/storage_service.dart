@@ -12,7 +12,6 @@ class StorageService {
   final Uuid _uuid = const Uuid();
 
   static const String _turfBucket = 'turf-images';
-  static const String _profileBucket = 'profile-images';
   
   // API base URL for server-side uploads (bypasses CORS)
   static const String _apiBaseUrl = 'https://turf-app-lyart.vercel.app/api';
@@ -77,6 +76,7 @@ class StorageService {
           Uri.parse('$_apiBaseUrl/storage/upload-image'),
           headers: {
             'Content-Type': 'application/json',
+            'Authorization': 'Bearer ${_client.auth.currentSession?.accessToken ?? ''}',
           },
           body: jsonEncode({
             'imageData': base64Image,
@@ -300,23 +300,28 @@ class StorageService {
     return result.urls;
   }
 
-  /// Upload owner profile image using bytes
+  /// Upload profile image using bytes
+  /// The API validates and re-encodes the image, stores it under
+  /// users/{userId}/ in the profile bucket and updates the profile row.
   Future<String> uploadProfileImageBytes({
     required Uint8List imageBytes,
     required String userId,
   }) async {
     try {
-      final String fileName = 'profile_${_uuid.v4()}.jpg';
-      final String path = 'users/$userId/$fileName';
-      
-      await _client.storage.from(_profileBucket).uploadBinary(
-            path,
-            imageBytes,
-            fileOptions: const FileOptions(
-              contentType: 'image/jpeg',
-            ),
-          );
-      return _client.storage.from(_profileBucket).getPublicUrl(path);
+      final response = await http.post(
+        Uri.parse('$_apiBaseUrl/storage/upload-profile-image'),
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': 'Bearer ${_client.auth.currentSession?.accessToken ?? ''}',
+        },
+        body: jsonEncode({'imageData': base64Encode(imageBytes)}),
+      ).timeout(const Duration(seconds: 90));
+
+      final data = jsonDecode(response.body);
+      if (response.statusCode == 200 && data['url'] != null) {
+        return data['url'] as String;
+      }
+      throw Exception(data['error'] ?? 'HTTP ${response.statusCode}');
     } catch (e) {
       throw 'Failed to upload profile image: ${e.toString()}';
     }
@@ -352,7 +352,9 @@ class _MyTurfsScreenState extends State<MyTurfsScreen>
                           child: Text(
                             turf.verificationStatus == VerificationStatus.pending
                                 ? 'Awaiting admin verification'
-                                : 'Turf rejected: ${turf.rejectionReason ?? "Contact support"}',
+                                : turf.verificationStatus == VerificationStatus.suspended
+                                    ? 'Turf suspended by admin. Contact support'
+                                    : 'Turf rejected: ${turf.rejectionReason ?? "Contact support"}',
                             style: const TextStyle(
                               fontSize: 12,
                               color: AppColors.warning,
@@ -576,6 +578,10 @@ class _MyTurfsScreenState extends State<MyTurfsScreen>
         color = AppColors.error;
         text = 'Rejected';
         break;
+      case VerificationStatus.suspended:
+        color = AppColors.error;
+        text = 'Suspended';
+        break;
     }
 
     return Container(
@@ -0,0 +1,49 @@
+// Run this script with: node scripts/simulate-payment.mjs <order_id> [paid|failed|expired]
+// Posts a signed fake-provider webhook so the payment flow can be tested offline.
+// The server must run with PAYMENT_PROVIDER=fake and the same PAYMENT_WEBHOOK_SECRET.
+
+import { createFakeProvider } from "../api/_utils/payments.js";
+
+const webhookUrl =
+  process.env.PAYMENT_WEBHOOK_URL || "http://localhost:8080/payments/webhook";
+
+async function simulatePayment(orderId, outcome, amount) {
+  const provider = createFakeProvider();
+  const payload = {
+    event: `payment.${outcome}`,
+    order_id: orderId,
+    payment_id: `fake_pay_${Date.now()}`,
+    amount,
+    reason: outcome === "paid" ? undefined : `Simulated ${outcome} payment`,
+  };
+  const rawBody = JSON.stringify(payload);
+
+  console.log(`\n📨 Sending ${payload.event} for order ${orderId}`);
+  console.log(`   → ${webhookUrl}`);
+
+  const response = await fetch(webhookUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      [provider.signatureHeader]: provider.sign(rawBody),
+    },
+    body: rawBody,
+  });
+
+  const body = await response.text();
+  const marker = response.ok ? "✅" : "❌";
+  console.log(`\n${marker} ${response.status} ${body}`);
+}
+
+const orderId = process.argv[2];
+const outcome = (process.argv[3] || "paid").toLowerCase();
+const amount = process.argv[4] ? Number(process.argv[4]) : undefined;
+
+if (!orderId || !["paid", "failed", "expired"].includes(outcome)) {
+  console.error(
+    "❌ Usage: node scripts/simulate-payment.mjs <order_id> [paid|failed|expired] [amount]",
+  );
+  process.exit(1);
+}
+
+simulatePayment(orderId, outcome, amount).catch(console.error);
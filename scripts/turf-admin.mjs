@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// Operations CLI for the turf app's Supabase project.
+//
+//   node scripts/turf-admin.mjs <group> <command> [args] [options]
+//   node scripts/turf-admin.mjs help
+//
+// Runs with the service role, so every write goes through the same RPCs the
+// API uses and lands in the same audit trail. See scripts/turf-admin/config.mjs
+// for profiles.
+
+import { parseArgs } from "node:util";
+import { createClient } from "@supabase/supabase-js";
+import bookings from "./turf-admin/bookings.mjs";
+import { ConfigError, configPath, loadConfig } from "./turf-admin/config.mjs";
+import { UsageError } from "./turf-admin/lookup.mjs";
+import { printResult } from "./turf-admin/output.mjs";
+import owners from "./turf-admin/owners.mjs";
+import slots from "./turf-admin/slots.mjs";
+import turfs from "./turf-admin/turfs.mjs";
+
+const COMMANDS = [...owners, ...turfs, ...slots, ...bookings];
+
+const GLOBAL_OPTIONS = {
+  profile: { type: "string" },
+  json: { type: "boolean" },
+  output: { type: "string" },
+  "dry-run": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const COMMAND_OPTIONS = {
+  city: { type: "string" },
+  format: { type: "string" },
+  from: { type: "string" },
+  limit: { type: "string" },
+  out: { type: "string" },
+  owner: { type: "string" },
+  reason: { type: "string" },
+  refund: { type: "string" },
+  search: { type: "string" },
+  slot: { type: "string" },
+  status: { type: "string" },
+  to: { type: "string" },
+  turf: { type: "string" },
+};
+
+function usage() {
+  const width = Math.max(...COMMANDS.map((c) => c.name.length));
+  return [
+    "Usage: turf-admin <command> [args] [options]",
+    "",
+    "Commands:",
+    ...COMMANDS.map((c) => `  ${c.name.padEnd(width)}  ${c.summary}`),
+    "",
+    "Options:",
+    "  --profile NAME   use a profile from " + configPath(),
+    "  --output table|json, --json   output format (default table)",
+    "  --dry-run        show what a write would do without changing anything",
+    "  -h, --help       show help for a command",
+    "",
+    "Without a profile, SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are used.",
+  ].join("\n");
+}
+
+function commandHelp(command) {
+  return `Usage: turf-admin ${command.usage}\n\n${command.summary}.`;
+}
+
+async function main(argv) {
+  const { values: opts, positionals } = parseArgs({
+    args: argv,
+    options: { ...GLOBAL_OPTIONS, ...COMMAND_OPTIONS },
+    allowPositionals: true,
+  });
+
+  if (positionals.length === 0 || positionals[0] === "help") {
+    const name = positionals.slice(1, 3).join(" ");
+    const command = COMMANDS.find((c) => c.name === name);
+    console.log(command ? commandHelp(command) : usage());
+    return 0;
+  }
+
+  const name = positionals.slice(0, 2).join(" ");
+  const command = COMMANDS.find((c) => c.name === name);
+  if (!command) {
+    throw new UsageError(`Unknown command "${name}". Run "turf-admin help" for the list.`);
+  }
+  if (opts.help) {
+    console.log(commandHelp(command));
+    return 0;
+  }
+
+  const allowed = new Set([...Object.keys(GLOBAL_OPTIONS), ...(command.options || [])]);
+  const unexpected = Object.keys(opts).filter((key) => !allowed.has(key));
+  if (unexpected.length > 0) {
+    throw new UsageError(`${name} does not take --${unexpected.join(", --")}.`);
+  }
+  const dryRun = !!opts["dry-run"];
+  if (dryRun && !command.writes) {
+    throw new UsageError(`${name} does not change anything; --dry-run does not apply.`);
+  }
+
+  const output = opts.json ? "json" : (opts.output || "table").toLowerCase();
+  if (!["table", "json"].includes(output)) {
+    throw new UsageError("--output must be table or json.");
+  }
+
+  const config = loadConfig({ profile: opts.profile });
+  const supabase = createClient(config.supabaseUrl, config.serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+
+  const result = await command.run({
+    supabase,
+    config,
+    args: positionals.slice(2),
+    opts,
+    dryRun,
+  });
+  printResult(result, { json: output === "json", dryRun });
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((e) => {
+    if (
+      e instanceof UsageError ||
+      e instanceof ConfigError ||
+      e.code?.startsWith("ERR_PARSE_ARGS_")
+    ) {
+      console.error(`turf-admin: ${e.message}`);
+      process.exitCode = 2;
+      return;
+    }
+    console.error(`turf-admin: ${e.message || e}`);
+    process.exitCode = 1;
+  });
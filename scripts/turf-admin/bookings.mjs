@@ -0,0 +1,138 @@
+import { writeFileSync } from "node:fs";
+import { toCsv } from "../../api/_utils/csv.js";
+import { fetchAllRows } from "../../api/_utils/search.js";
+import {
+  UsageError,
+  check,
+  findOwner,
+  requireDate,
+  requireReason,
+  requireUuid,
+} from "./lookup.mjs";
+
+const EXPORT_COLUMNS = [
+  { key: "id", header: "Booking ID" },
+  { key: "turf_name", header: "Turf" },
+  { key: "booking_date", header: "Date" },
+  { key: "start_time", header: "Start" },
+  { key: "end_time", header: "End" },
+  { key: "net_number", header: "Net" },
+  { key: "customer_name", header: "Customer" },
+  { key: "customer_phone", header: "Phone" },
+  { key: "booking_source", header: "Source" },
+  { key: "payment_mode", header: "Payment mode" },
+  { key: "payment_status", header: "Payment status" },
+  { key: "amount", header: "Amount" },
+  { key: "advance_amount", header: "Advance" },
+  { key: "discount_amount", header: "Discount" },
+  { key: "promo_code", header: "Promo code" },
+  { key: "booking_status", header: "Status" },
+  { key: "cancelled_at", header: "Cancelled at" },
+  { key: "cancellation_reason", header: "Cancellation reason" },
+  { key: "refund_amount", header: "Refund" },
+  { key: "created_at", header: "Created at" },
+];
+
+const EXPORT_SELECT = EXPORT_COLUMNS.map((c) => c.key)
+  .concat("turf_id", "owner_id", "user_id")
+  .join(", ");
+
+export default [
+  {
+    name: "bookings cancel",
+    usage: "bookings cancel <booking id> --reason TEXT [--refund AMOUNT]",
+    summary: "Force-cancel a booking regardless of the cancellation policy",
+    options: ["reason", "refund"],
+    writes: true,
+    async run({ supabase, args, opts, dryRun }) {
+      const reason = requireReason(opts);
+      const bookingId = requireUuid(args[0], "booking id");
+      const booking = check(
+        await supabase
+          .from("bookings")
+          .select(
+            "id, slot_id, turf_name, booking_date, start_time, customer_name, amount, advance_amount, booking_status",
+          )
+          .eq("id", bookingId)
+          .maybeSingle(),
+      );
+      if (!booking) throw new Error(`Booking not found: ${bookingId}`);
+      if (booking.booking_status !== "CONFIRMED") {
+        throw new Error(`Booking ${booking.id} is already ${booking.booking_status}.`);
+      }
+
+      // Defaults to refunding everything paid so far
+      const paid = Number(booking.advance_amount || 0);
+      const refund = opts.refund === undefined ? paid : Number(opts.refund);
+      if (!Number.isFinite(refund) || refund < 0 || refund > paid) {
+        throw new UsageError(`--refund must be between 0 and the ${paid} paid.`);
+      }
+
+      const record = {
+        id: booking.id,
+        turf: booking.turf_name,
+        when: `${booking.booking_date} ${booking.start_time}`,
+        customer: booking.customer_name,
+        paid,
+        refund,
+      };
+      if (dryRun) {
+        return { record, message: `Would cancel booking ${booking.id}.` };
+      }
+
+      check(
+        await supabase.rpc("cancel_booking", {
+          p_booking_id: booking.id,
+          p_slot_id: booking.slot_id,
+          p_cancelled_by: "ADMIN",
+          p_cancel_reason: reason,
+          p_refund_amount: refund,
+          p_refund_status: refund > 0 ? "PENDING" : "NONE",
+        }),
+      );
+      return { record, message: `Cancelled booking ${booking.id}.` };
+    },
+  },
+  {
+    name: "bookings export",
+    usage:
+      "bookings export [--turf ID] [--owner ID|EMAIL|PHONE] [--from DATE] [--to DATE] " +
+      "[--status CONFIRMED|CANCELLED] [--format csv|json] [--out FILE]",
+    summary: "Export bookings as CSV or JSON to stdout or a file",
+    options: ["turf", "owner", "from", "to", "status", "format", "out"],
+    async run({ supabase, opts }) {
+      const format = (opts.format || "csv").toLowerCase();
+      if (!["csv", "json"].includes(format)) {
+        throw new UsageError("--format must be csv or json.");
+      }
+      const turfId = opts.turf ? requireUuid(opts.turf, "--turf") : null;
+      const from = opts.from ? requireDate(opts.from, "from") : null;
+      const to = opts.to ? requireDate(opts.to, "to") : null;
+      const ownerId = opts.owner ? (await findOwner(supabase, opts.owner)).id : null;
+      const status = opts.status?.toUpperCase();
+      if (status && !["CONFIRMED", "CANCELLED"].includes(status)) {
+        throw new UsageError("--status must be CONFIRMED or CANCELLED.");
+      }
+
+      const rows = await fetchAllRows(() => {
+        let query = supabase.from("bookings").select(EXPORT_SELECT);
+        if (turfId) query = query.eq("turf_id", turfId);
+        if (ownerId) query = query.eq("owner_id", ownerId);
+        if (from) query = query.gte("booking_date", from);
+        if (to) query = query.lte("booking_date", to);
+        if (status) query = query.eq("booking_status", status);
+        return query.order("booking_date").order("start_time").order("id");
+      });
+
+      const body =
+        format === "csv" ? toCsv(EXPORT_COLUMNS, rows) : `${JSON.stringify(rows, null, 2)}\n`;
+      if (!opts.out) return { raw: body };
+
+      writeFileSync(opts.out, body);
+      return {
+        data: { file: opts.out, format, bookings: rows.length },
+        message: `Wrote ${rows.length} booking(s) to ${opts.out}.`,
+      };
+    },
+  },
+];
@@ -0,0 +1,91 @@
+import { readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+// Connection settings come from a named profile or from the environment.
+// Profiles live in ~/.config/turf-admin.json (or TURF_ADMIN_CONFIG):
+//
+//   {
+//     "defaultProfile": "staging",
+//     "profiles": {
+//       "staging": {
+//         "supabaseUrl": "https://<project>.supabase.co",
+//         "serviceRoleKeyEnv": "STAGING_SERVICE_ROLE_KEY",
+//         "actorId": "<admin auth user id for the audit log>"
+//       }
+//     }
+//   }
+//
+// serviceRoleKeyEnv names the variable holding the key so the file itself
+// can stay secret-free; serviceRoleKey is accepted too.
+
+export class ConfigError extends Error {}
+
+export function configPath(env = process.env) {
+  return env.TURF_ADMIN_CONFIG || join(homedir(), ".config", "turf-admin.json");
+}
+
+function readProfiles(path) {
+  let text;
+  try {
+    text = readFileSync(path, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw new ConfigError(`Cannot read ${path}: ${e.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new ConfigError(`${path} is not valid JSON: ${e.message}`);
+  }
+}
+
+function fromProfile(file, name, path, env) {
+  const profile = file?.profiles?.[name];
+  if (!profile) {
+    throw new ConfigError(`Profile "${name}" is not defined in ${path}.`);
+  }
+  const serviceRoleKey = profile.serviceRoleKeyEnv
+    ? env[profile.serviceRoleKeyEnv]
+    : profile.serviceRoleKey;
+  if (!profile.supabaseUrl || !serviceRoleKey) {
+    throw new ConfigError(
+      profile.serviceRoleKeyEnv && !serviceRoleKey
+        ? `Profile "${name}" reads its key from ${profile.serviceRoleKeyEnv}, which is not set.`
+        : `Profile "${name}" needs supabaseUrl and serviceRoleKey (or serviceRoleKeyEnv).`,
+    );
+  }
+  return {
+    profile: name,
+    supabaseUrl: profile.supabaseUrl,
+    serviceRoleKey,
+    actorId: profile.actorId || env.TURF_ADMIN_ACTOR_ID || null,
+  };
+}
+
+// An explicit profile (--profile or TURF_ADMIN_PROFILE) wins, then
+// SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY, then the file's defaultProfile
+export function loadConfig({ profile } = {}, env = process.env) {
+  const path = configPath(env);
+  const name = profile || env.TURF_ADMIN_PROFILE;
+
+  if (name) return fromProfile(readProfiles(path), name, path, env);
+
+  if (env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY) {
+    return {
+      profile: null,
+      supabaseUrl: env.SUPABASE_URL,
+      serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY,
+      actorId: env.TURF_ADMIN_ACTOR_ID || null,
+    };
+  }
+
+  const file = readProfiles(path);
+  if (file?.defaultProfile) {
+    return fromProfile(file, file.defaultProfile, path, env);
+  }
+
+  throw new ConfigError(
+    `No Supabase project configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, or add a profile to ${path}.`,
+  );
+}
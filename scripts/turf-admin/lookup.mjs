@@ -0,0 +1,69 @@
+// Shared argument checks and lookups for the turf-admin commands
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bad invocations exit with status 2 and the command's usage line
+export class UsageError extends Error {}
+
+export function isUuid(value) {
+  return typeof value === "string" && UUID_PATTERN.test(value);
+}
+
+export function requireArg(value, name) {
+  if (!value) throw new UsageError(`Missing ${name}.`);
+  return value;
+}
+
+export function requireUuid(value, name) {
+  requireArg(value, name);
+  if (!isUuid(value)) throw new UsageError(`${name} must be a uuid.`);
+  return value;
+}
+
+export function requireDate(value, name) {
+  requireArg(value, `--${name}`);
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new UsageError(`--${name} must be a date (YYYY-MM-DD).`);
+  }
+  return value;
+}
+
+export function requireReason(opts) {
+  const reason = (opts.reason || "").trim();
+  if (!reason) throw new UsageError("--reason is required.");
+  return reason;
+}
+
+// Throws the Supabase error so the CLI reports it and exits non-zero
+export function check({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+// Owners are addressed by id, email or phone
+export async function findOwner(supabase, ref) {
+  requireArg(ref, "owner (id, email or phone)");
+  let query = supabase.from("owners").select("*");
+  if (isUuid(ref)) {
+    query = query.eq("id", ref);
+  } else if (ref.includes("@")) {
+    query = query.ilike("email", ref.trim().replace(/[%_\\]/g, "\\$&"));
+  } else {
+    query = query.eq("phone", ref.trim());
+  }
+  const rows = check(await query.limit(2));
+  if (rows.length === 0) throw new Error(`Owner not found: ${ref}`);
+  if (rows.length > 1) throw new Error(`More than one owner matches ${ref}; use the id.`);
+  return rows[0];
+}
+
+export async function findTurf(supabase, id) {
+  requireUuid(id, "turf id");
+  const turf = check(
+    await supabase.from("turfs").select("*").eq("id", id).maybeSingle(),
+  );
+  if (!turf) throw new Error(`Turf not found: ${id}`);
+  return turf;
+}
@@ -0,0 +1,55 @@
+// Commands return { rows, columns } for lists, { record } for one item,
+// { raw } for exports, and an optional message. Table mode prints them for people; JSON mode prints
+// the data alone so it can be piped into jq.
+
+function cell(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(",");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+export function formatTable(columns, rows) {
+  const headers = columns.map((c) => c.header ?? c.key);
+  const body = rows.map((row) => columns.map((c) => cell(row[c.key])));
+  const widths = headers.map((h, i) =>
+    Math.max(h.length, ...body.map((line) => line[i].length)),
+  );
+  const line = (values) =>
+    values.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(headers), line(widths.map((w) => "-".repeat(w))), ...body.map(line)].join("\n");
+}
+
+function formatRecord(record) {
+  const width = Math.max(...Object.keys(record).map((k) => k.length));
+  return Object.entries(record)
+    .map(([key, value]) => `${key.padEnd(width)}  ${cell(value)}`)
+    .join("\n");
+}
+
+export function printResult(result, { json, dryRun, stdout = process.stdout }) {
+  if (!result) return;
+  const write = (text) => stdout.write(`${text}\n`);
+
+  // Exports already carry their own format
+  if (result.raw !== undefined) {
+    stdout.write(result.raw);
+    return;
+  }
+
+  if (json) {
+    const data = result.data ?? result.rows ?? result.record ?? {};
+    write(JSON.stringify(dryRun ? { dryRun: true, result: data } : data, null, 2));
+    return;
+  }
+
+  if (result.record) write(formatRecord(result.record));
+  if (result.rows) {
+    if (result.rows.length === 0) {
+      write("No results.");
+    } else {
+      write(formatTable(result.columns, result.rows));
+    }
+  }
+  if (result.message) write(`${dryRun ? "[dry run] " : ""}${result.message}`);
+}
@@ -0,0 +1,120 @@
+import { check, findOwner, requireReason } from "./lookup.mjs";
+
+const OWNER_COLUMNS = [
+  { key: "id", header: "ID" },
+  { key: "name", header: "Name" },
+  { key: "email", header: "Email" },
+  { key: "phone", header: "Phone" },
+  { key: "status", header: "Status" },
+  { key: "turfs", header: "Turfs" },
+  { key: "created_at", header: "Created" },
+];
+
+async function moderate(supabase, config, owner, action, reason) {
+  return check(
+    await supabase.rpc("moderate_owner", {
+      p_owner_id: owner.id,
+      p_action: action,
+      p_actor_id: config.actorId,
+      p_reason: reason,
+    }),
+  );
+}
+
+export default [
+  {
+    name: "owners list",
+    usage: "owners list [--status ACTIVE|SUSPENDED] [--search TEXT] [--limit N]",
+    summary: "List owners with their turf counts",
+    options: ["status", "search", "limit"],
+    async run({ supabase, opts }) {
+      let query = supabase
+        .from("owners")
+        .select("id, name, email, phone, status, created_at, turfs(count)")
+        .order("created_at", { ascending: false })
+        .limit(Number(opts.limit || 50));
+      if (opts.status) query = query.eq("status", opts.status.toUpperCase());
+      if (opts.search) {
+        const term = opts.search.replace(/[%_,()\\]/g, "");
+        query = query.or(`name.ilike.%${term}%,email.ilike.%${term}%,phone.ilike.%${term}%`);
+      }
+      const rows = check(await query).map(({ turfs, ...owner }) => ({
+        ...owner,
+        turfs: turfs?.[0]?.count ?? 0,
+      }));
+      return { rows, columns: OWNER_COLUMNS };
+    },
+  },
+  {
+    name: "owners show",
+    usage: "owners show <owner id|email|phone>",
+    summary: "Show one owner and their turfs",
+    async run({ supabase, args }) {
+      const owner = await findOwner(supabase, args[0]);
+      const turfs = check(
+        await supabase
+          .from("turfs")
+          .select("id, turf_name, city, number_of_nets, verification_status, is_approved, status")
+          .eq("owner_id", owner.id)
+          .order("created_at"),
+      );
+      return {
+        record: owner,
+        rows: turfs,
+        columns: [
+          { key: "id", header: "Turf ID" },
+          { key: "turf_name", header: "Name" },
+          { key: "city", header: "City" },
+          { key: "number_of_nets", header: "Nets" },
+          { key: "verification_status", header: "Verification" },
+          { key: "is_approved", header: "Public" },
+          { key: "status", header: "Status" },
+        ],
+        data: { ...owner, turfs },
+      };
+    },
+  },
+  {
+    name: "owners suspend",
+    usage: "owners suspend <owner id|email|phone> --reason TEXT",
+    summary: "Suspend an owner and hide all their turfs",
+    options: ["reason"],
+    writes: true,
+    async run({ supabase, config, args, opts, dryRun }) {
+      const reason = requireReason(opts);
+      const owner = await findOwner(supabase, args[0]);
+      if (dryRun) {
+        return {
+          record: { id: owner.id, name: owner.name, status: owner.status },
+          message: `Would suspend ${owner.name} (${owner.status} -> SUSPENDED).`,
+        };
+      }
+      const result = await moderate(supabase, config, owner, "SUSPEND", reason);
+      return { record: result, message: `Suspended ${owner.name}.` };
+    },
+  },
+  {
+    name: "owners reinstate",
+    usage: "owners reinstate <owner id|email|phone> [--reason TEXT]",
+    summary: "Lift an owner's suspension",
+    options: ["reason"],
+    writes: true,
+    async run({ supabase, config, args, opts, dryRun }) {
+      const owner = await findOwner(supabase, args[0]);
+      if (dryRun) {
+        return {
+          record: { id: owner.id, name: owner.name, status: owner.status },
+          message: `Would reinstate ${owner.name} (${owner.status} -> ACTIVE).`,
+        };
+      }
+      const result = await moderate(
+        supabase,
+        config,
+        owner,
+        "REINSTATE",
+        opts.reason?.trim() || null,
+      );
+      return { record: result, message: `Reinstated ${owner.name}.` };
+    },
+  },
+];
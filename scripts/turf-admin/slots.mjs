@@ -0,0 +1,186 @@
+import { expireReservations } from "../../api/_utils/jobs.js";
+import { generateSlots, listDates } from "../../api/_utils/slots.js";
+import {
+  UsageError,
+  check,
+  findTurf,
+  requireDate,
+  requireUuid,
+} from "./lookup.mjs";
+
+const MAX_RANGE_DAYS = 366;
+
+function dateRange(opts) {
+  const from = requireDate(opts.from, "from");
+  const to = requireDate(opts.to || opts.from, "to");
+  if (to < from) throw new UsageError("--to must not be before --from.");
+  if (listDates(from, to).length > MAX_RANGE_DAYS) {
+    throw new UsageError(`The range must be at most ${MAX_RANGE_DAYS} days.`);
+  }
+  return { from, to };
+}
+
+function slotCommand(name, { createMissing, summary }) {
+  return {
+    name: `slots ${name}`,
+    usage: `slots ${name} <turf id> --from YYYY-MM-DD [--to YYYY-MM-DD]`,
+    summary,
+    options: ["from", "to"],
+    writes: true,
+    async run({ supabase, args, opts, dryRun }) {
+      const { from, to } = dateRange(opts);
+      const turf = await findTurf(supabase, args[0]);
+      const result = await generateSlots(supabase, {
+        turfId: turf.id,
+        startDate: from,
+        endDate: to,
+        createMissing,
+        dryRun,
+      });
+      const counts = dryRun
+        ? `Would create ${result.created} and reprice ${result.repriced}`
+        : `Created ${result.created} and repriced ${result.repriced}`;
+      return {
+        record: { turf: turf.turf_name, from, to, ...result },
+        message: `${counts} slot(s) for ${turf.turf_name}; ${result.skipped} unchanged.`,
+      };
+    },
+  };
+}
+
+// Holds past their expiry, plus RESERVED slots with no expiry and no
+// booking behind them, which the sweeper never picks up
+async function findStuckHolds(supabase, turfId) {
+  let query = supabase
+    .from("slots")
+    .select("id, turf_id, date, start_time, net_number, reserved_by, reserved_until")
+    .eq("status", "RESERVED")
+    .or(`reserved_until.is.null,reserved_until.lt.${new Date().toISOString()}`)
+    .order("date")
+    .limit(1000);
+  if (turfId) query = query.eq("turf_id", turfId);
+  const slots = check(await query);
+  if (slots.length === 0) return [];
+
+  const booked = check(
+    await supabase
+      .from("bookings")
+      .select("slot_id")
+      .in("slot_id", slots.map((s) => s.id))
+      .eq("booking_status", "CONFIRMED"),
+  );
+  const bookedIds = new Set(booked.map((b) => b.slot_id));
+  return slots.filter((s) => !bookedIds.has(s.id));
+}
+
+const HOLD_COLUMNS = [
+  { key: "id", header: "Slot ID" },
+  { key: "turf_id", header: "Turf ID" },
+  { key: "date", header: "Date" },
+  { key: "start_time", header: "Start" },
+  { key: "net_number", header: "Net" },
+  { key: "reserved_by", header: "Held by" },
+  { key: "reserved_until", header: "Held until" },
+];
+
+export default [
+  slotCommand("generate", {
+    createMissing: true,
+    summary: "Create missing slots and reprice unbooked ones for a date range",
+  }),
+  slotCommand("reprice", {
+    createMissing: false,
+    summary: "Reprice existing unbooked slots from the turf's current pricing rules",
+  }),
+  {
+    name: "reservations release",
+    usage: "reservations release [--turf ID] [--slot ID]",
+    summary: "Release expired or orphaned slot holds (one slot with --slot)",
+    options: ["turf", "slot"],
+    writes: true,
+    async run({ supabase, opts, dryRun }) {
+      let holds;
+      if (opts.slot) {
+        requireUuid(opts.slot, "--slot");
+        holds = (await findStuckHolds(supabase, null)).filter((s) => s.id === opts.slot);
+        if (holds.length === 0) {
+          // A live hold can still be released by hand if it has no booking
+          const slot = check(
+            await supabase
+              .from("slots")
+              .select("id, turf_id, date, start_time, net_number, status, reserved_by, reserved_until")
+              .eq("id", opts.slot)
+              .maybeSingle(),
+          );
+          if (!slot) throw new Error(`Slot not found: ${opts.slot}`);
+          const booking = check(
+            await supabase
+              .from("bookings")
+              .select("id")
+              .eq("slot_id", slot.id)
+              .eq("booking_status", "CONFIRMED")
+              .maybeSingle(),
+          );
+          if (slot.status !== "RESERVED" || booking) {
+            throw new Error(
+              booking
+                ? `Slot ${slot.id} belongs to booking ${booking.id}; cancel the booking instead.`
+                : `Slot ${slot.id} is ${slot.status}, not held.`,
+            );
+          }
+          holds = [slot];
+        }
+      } else {
+        const turfId = opts.turf ? requireUuid(opts.turf, "--turf") : null;
+        holds = await findStuckHolds(supabase, turfId);
+      }
+
+      if (dryRun || holds.length === 0) {
+        return {
+          rows: holds,
+          columns: HOLD_COLUMNS,
+          message: dryRun
+            ? `Would release ${holds.length} hold(s).`
+            : "No stuck holds to release.",
+        };
+      }
+
+      // Expired holds go through the reservation sweeper, limited to the
+      // listed slots, so lapsed online payments are failed too; the rest are
+      // released here
+      const now = new Date();
+      const isExpired = (s) => !!s.reserved_until && new Date(s.reserved_until) < now;
+      const expiredIds = holds.filter(isExpired).map((s) => s.id);
+      let released = 0;
+      if (expiredIds.length > 0) {
+        const expired = await expireReservations(supabase, {
+          slotIds: expiredIds,
+          limit: expiredIds.length,
+        });
+        released += expired.count;
+      }
+      for (const slot of holds) {
+        if (isExpired(slot)) continue;
+        const freed = check(
+          await supabase
+            .from("slots")
+            .update({
+              status: "AVAILABLE",
+              reserved_until: null,
+              reserved_by: null,
+              updated_at: new Date().toISOString(),
+            })
+            .eq("id", slot.id)
+            .eq("status", "RESERVED")
+            .select("id"),
+        );
+        released += freed.length;
+      }
+      return {
+        rows: holds,
+        columns: HOLD_COLUMNS,
+        message: `Released ${released} hold(s).`,
+      };
+    },
+  },
+];
@@ -0,0 +1,204 @@
+import { VERIFICATION_STATUSES } from "../../api/_utils/moderation.js";
+import { localDate } from "../../api/_utils/time.js";
+import { UsageError, check, findOwner, findTurf, requireReason } from "./lookup.mjs";
+
+const TURF_COLUMNS = [
+  { key: "id", header: "ID" },
+  { key: "turf_name", header: "Name" },
+  { key: "city", header: "City" },
+  { key: "owner", header: "Owner" },
+  { key: "number_of_nets", header: "Nets" },
+  { key: "verification_status", header: "Verification" },
+  { key: "is_approved", header: "Public" },
+  { key: "created_at", header: "Created" },
+];
+
+// What moderate_turf would move the turf to; mirrors its transition rules
+function nextStatus(turf, action) {
+  switch (action) {
+    case "APPROVE":
+      return "APPROVED";
+    case "REJECT":
+      return "REJECTED";
+    case "SUSPEND":
+      if (turf.verification_status !== "APPROVED") {
+        throw new Error("Invalid transition: only approved turfs can be suspended");
+      }
+      return "SUSPENDED";
+    case "REINSTATE":
+      if (turf.verification_status !== "SUSPENDED") {
+        throw new Error("Invalid transition: turf is not suspended");
+      }
+      return "APPROVED";
+    default:
+      throw new Error(`Unknown action ${action}`);
+  }
+}
+
+function moderationCommand(action, { verb, summary, needsReason }) {
+  return {
+    name: `turfs ${action.toLowerCase()}`,
+    usage: `turfs ${action.toLowerCase()} <turf id> ${
+      needsReason ? "--reason TEXT" : "[--reason TEXT]"
+    }`,
+    summary,
+    options: ["reason"],
+    writes: true,
+    async run({ supabase, config, args, opts, dryRun }) {
+      const reason = needsReason ? requireReason(opts) : opts.reason?.trim() || null;
+      const turf = await findTurf(supabase, args[0]);
+      const status = nextStatus(turf, action);
+
+      if (dryRun) {
+        return {
+          record: {
+            id: turf.id,
+            turf_name: turf.turf_name,
+            verification_status: turf.verification_status,
+          },
+          message:
+            `Would ${action.toLowerCase()} ${turf.turf_name} ` +
+            `(${turf.verification_status} -> ${status}).`,
+        };
+      }
+
+      const result = check(
+        await supabase.rpc("moderate_turf", {
+          p_turf_id: turf.id,
+          p_action: action,
+          p_actor_id: config.actorId,
+          p_reason: reason,
+        }),
+      );
+      return { record: result, message: `${verb} ${turf.turf_name}.` };
+    },
+  };
+}
+
+export default [
+  {
+    name: "turfs list",
+    usage: `turfs list [--owner ID|EMAIL|PHONE] [--status ${VERIFICATION_STATUSES.join("|")}] [--city CITY] [--limit N]`,
+    summary: "List turfs, newest first",
+    options: ["owner", "status", "city", "limit"],
+    async run({ supabase, opts }) {
+      let query = supabase
+        .from("turfs")
+        .select(
+          "id, turf_name, city, number_of_nets, verification_status, is_approved, created_at, owner:owners(email)",
+        )
+        .order("created_at", { ascending: false })
+        .limit(Number(opts.limit || 50));
+      if (opts.owner) {
+        const owner = await findOwner(supabase, opts.owner);
+        query = query.eq("owner_id", owner.id);
+      }
+      if (opts.status) {
+        const status = opts.status.toUpperCase();
+        if (!VERIFICATION_STATUSES.includes(status)) {
+          throw new UsageError(`--status must be one of ${VERIFICATION_STATUSES.join(", ")}.`);
+        }
+        query = query.eq("verification_status", status);
+      }
+      if (opts.city) query = query.ilike("city", opts.city);
+
+      const rows = check(await query).map(({ owner, ...turf }) => ({
+        ...turf,
+        owner: owner?.email ?? null,
+      }));
+      return { rows, columns: TURF_COLUMNS };
+    },
+  },
+  {
+    name: "turfs show",
+    usage: "turfs show <turf id>",
+    summary: "Show a turf with its owner, moderation history and upcoming load",
+    async run({ supabase, args }) {
+      const turf = await findTurf(supabase, args[0]);
+      const today = localDate();
+
+      const [owner, upcoming, blackouts, audit] = await Promise.all([
+        supabase
+          .from("owners")
+          .select("id, name, email, phone, status")
+          .eq("id", turf.owner_id)
+          .maybeSingle(),
+        supabase
+          .from("bookings")
+          .select("id", { count: "exact", head: true })
+          .eq("turf_id", turf.id)
+          .eq("booking_status", "CONFIRMED")
+          .gte("booking_date", today),
+        supabase
+          .from("blackouts")
+          .select("id", { count: "exact", head: true })
+          .eq("turf_id", turf.id)
+          .eq("status", "ACTIVE"),
+        supabase
+          .from("moderation_audit_log")
+          .select("created_at, action, reason, actor_id")
+          .eq("target_type", "TURF")
+          .eq("target_id", turf.id)
+          .order("created_at", { ascending: false })
+          .limit(10),
+      ]);
+      for (const result of [owner, upcoming, blackouts, audit]) check(result);
+
+      const record = {
+        id: turf.id,
+        turf_name: turf.turf_name,
+        turf_type: turf.turf_type,
+        city: turf.city,
+        address: turf.address,
+        owner: owner.data
+          ? `${owner.data.name} <${owner.data.email}> (${owner.data.status})`
+          : null,
+        number_of_nets: turf.number_of_nets,
+        hours: `${turf.open_time}-${turf.close_time}, ${turf.slot_duration_minutes} min slots`,
+        days_open: turf.days_open,
+        verification_status: turf.verification_status,
+        is_approved: turf.is_approved,
+        rejection_reason: turf.rejection_reason,
+        status: turf.status,
+        upcoming_bookings: upcoming.count ?? 0,
+        active_blackouts: blackouts.count ?? 0,
+        created_at: turf.created_at,
+      };
+      return {
+        record,
+        rows: audit.data,
+        columns: [
+          { key: "created_at", header: "When" },
+          { key: "action", header: "Action" },
+          { key: "reason", header: "Reason" },
+          { key: "actor_id", header: "Actor" },
+        ],
+        data: {
+          ...turf,
+          owner: owner.data,
+          upcomingBookings: upcoming.count ?? 0,
+          activeBlackouts: blackouts.count ?? 0,
+          moderation: audit.data,
+        },
+      };
+    },
+  },
+  moderationCommand("APPROVE", {
+    verb: "Approved",
+    summary: "Approve a turf so players can find it",
+  }),
+  moderationCommand("REJECT", {
+    verb: "Rejected",
+    summary: "Reject a turf with a reason",
+    needsReason: true,
+  }),
+  moderationCommand("SUSPEND", {
+    verb: "Suspended",
+    summary: "Suspend an approved turf with a reason",
+    needsReason: true,
+  }),
+  moderationCommand("REINSTATE", {
+    verb: "Reinstated",
+    summary: "Reinstate a suspended turf",
+  }),
+];
@@ -2,123 +2,114 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import { createClient } from "@supabase/supabase-js";
+import { routes } from "../api/_routes/index.js";
+import { mountRoutes } from "../api/_utils/router.js";
+import { buildVersion } from "../api/_utils/health.js";
+import { log, requestIdFor } from "../api/_utils/log.js";
+import { dispatchNotifications, expireReservations } from "../api/_utils/jobs.js";
+import { loadPaymentProvider } from "../api/_utils/payments.js";
+import { createMemoryStore, setRateLimitStore } from "../api/_utils/rate-limit.js";
+import { createSlotStream } from "./slot-stream.js";
 
 dotenv.config();
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS));
+}
+app.use(cors({ exposedHeaders: ["X-Request-Id", "Idempotent-Replayed"] }));
+// Routes outside the shared table (the slot stream) get an id here too;
+// dispatch() reuses it
+app.use((req, res, next) => {
+  res.setHeader("X-Request-Id", requestIdFor(req));
+  next();
+});
+app.use(
+  express.json({
+    limit: "10mb",
+    // Payment webhooks are signed over the raw request bytes
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
 if (!supabaseUrl || !supabaseServiceKey) {
-  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+  log.error("config_missing", { vars: ["SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY"] });
   process.exit(1);
 }
 
+// Payments are optional for the rest of the API: without a provider the
+// payment routes answer 503 and everything else keeps working
+const payments = loadPaymentProvider();
+if (payments.error) {
+  log.warn("payments_not_configured", { error: payments.error.message });
+}
+
 const supabase = createClient(supabaseUrl, supabaseServiceKey, {
   auth: {
     persistSession: false,
   },
 });
 
-app.get("/health", (_req, res) => {
-  res.json({ ok: true });
-});
-
-app.post("/slots/reserve", async (req, res) => {
-  const { slotId, userId, reservationMinutes } = req.body;
-  if (!slotId || !userId || !reservationMinutes) {
-    return res.status(400).json({ error: "Invalid request." });
+// A single process can keep rate limit counters in memory
+setRateLimitStore(createMemoryStore());
+
+// Long-lived streams only run here; Vercel functions cannot hold them open
+const slotStream = createSlotStream(supabase);
+app.get(["/api/turfs/:id/slots/stream", "/turfs/:id/slots/stream"], slotStream.handle);
+
+// Same paths as the Vercel functions, with or without the /api prefix
+const router = mountRoutes(express.Router(), supabase, routes);
+app.use("/api", router);
+app.use(router);
+
+const sweepIntervalMs = Number(process.env.RESERVATION_SWEEP_INTERVAL_MS || 60000);
+let sweepRunning = false;
+
+async function sweepReservations() {
+  if (sweepRunning) return;
+  sweepRunning = true;
+  try {
+    const { count } = await expireReservations(supabase);
+    if (count > 0) {
+      log.info("reservations_expired", { job: "expire-reservations", count });
+    }
+  } catch (e) {
+    log.error("job_failed", { job: "expire-reservations", error: e });
+  } finally {
+    sweepRunning = false;
   }
+}
 
-  const { data, error } = await supabase.rpc("reserve_slot", {
-    slot_id: slotId,
-    reserved_by: userId,
-    reservation_minutes: reservationMinutes,
-  });
-
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
-
-  return res.json({ success: data === true });
-});
-
-app.post("/slots/release", async (req, res) => {
-  const { slotId } = req.body;
-  if (!slotId) {
-    return res.status(400).json({ error: "Invalid request." });
-  }
-
-  const { error } = await supabase.rpc("release_slot", {
-    slot_id: slotId,
-  });
-
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
-
-  return res.json({ success: true });
-});
-
-app.post("/slots/book", async (req, res) => {
-  const { slotId } = req.body;
-  if (!slotId) {
-    return res.status(400).json({ error: "Invalid request." });
-  }
-
-  const { error } = await supabase.rpc("book_slot", {
-    slot_id: slotId,
-  });
-
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
-
-  return res.json({ success: true });
-});
-
-app.post("/bookings/create", async (req, res) => {
-  const { slotId, booking } = req.body;
-  if (!slotId || !booking) {
-    return res.status(400).json({ error: "Invalid request." });
-  }
-
-  const { data, error } = await supabase.rpc("create_booking_atomic", {
-    slot_id: slotId,
-    booking_data: booking,
-  });
-
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
-
-  return res.json({ bookingId: data });
-});
-
-app.post("/bookings/cancel", async (req, res) => {
-  const { bookingId, slotId, cancelledBy, reason } = req.body;
-  if (!bookingId || !slotId || !cancelledBy) {
-    return res.status(400).json({ error: "Invalid request." });
-  }
-
-  const { data, error } = await supabase.rpc("cancel_booking", {
-    booking_id: bookingId,
-    slot_id: slotId,
-    cancelled_by: cancelledBy,
-    cancel_reason: reason || null,
-  });
-
-  if (error) {
-    return res.status(500).json({ error: error.message });
+const notifyIntervalMs = Number(process.env.NOTIFICATION_DISPATCH_INTERVAL_MS || 15000);
+let notifyRunning = false;
+
+async function deliverNotifications() {
+  if (notifyRunning) return;
+  notifyRunning = true;
+  try {
+    const { sent, failed } = await dispatchNotifications(supabase);
+    if (sent + failed > 0) {
+      log.info("notifications_delivered", { job: "dispatch-notifications", sent, failed });
+    }
+  } catch (e) {
+    log.error("job_failed", { job: "dispatch-notifications", error: e });
+  } finally {
+    notifyRunning = false;
   }
-
-  return res.json({ success: data === true });
-});
+}
 
 const port = process.env.PORT || 8080;
 app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
+  log.info("server_started", { port: Number(port), version: buildVersion() });
+  if (sweepIntervalMs > 0) {
+    setInterval(sweepReservations, sweepIntervalMs).unref();
+  }
+  if (notifyIntervalMs > 0) {
+    setInterval(deliverNotifications, notifyIntervalMs).unref();
+  }
 });
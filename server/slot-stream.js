@@ -0,0 +1,334 @@
+import { requireAuth, canManageTurf } from "../api/_utils/auth.js";
+import {
+  TURF_GRID_COLUMNS,
+  buildAvailability,
+  toSlotCell,
+} from "../api/_utils/availability.js";
+import { INTERNAL_ERROR_MESSAGE, interceptErrorResponses } from "../api/_utils/errors.js";
+import { log, requestIdFor } from "../api/_utils/log.js";
+import { effectiveStatus } from "../api/_utils/slots.js";
+import { validate } from "../api/_utils/validation.js";
+
+// Server-Sent Events for GET /turfs/:id/slots/stream?date=YYYY-MM-DD.
+//
+// Connections watching the same turf and date share one feed. A feed keeps
+// the latest slot and booking rows and diffs a fresh read against them
+// whenever Supabase Realtime reports a change on the turf (or on a timer
+// when Realtime is unavailable). Changes are kept in a short buffer so a
+// reconnecting client can resume from Last-Event-ID; anything older gets a
+// fresh snapshot. Rows are formatted per connection, so players never see
+// customer details.
+
+const SLOT_COLUMNS =
+  "id, date, start_time, end_time, net_number, status, reserved_until, reserved_by, price, price_type, block_reason";
+const BOOKING_COLUMNS =
+  "id, slot_id, user_id, customer_name, customer_phone, booking_source, payment_mode, payment_status, amount, advance_amount";
+
+const BUFFER_SIZE = 200;
+const REFRESH_DEBOUNCE_MS = 250;
+
+const PARAMS = { id: { type: "uuid", required: true } };
+const QUERY = {
+  date: { type: "date", required: true },
+  lastEventId: { type: "string", maxLength: 64 },
+  access_token: { type: "string", maxLength: 4096 },
+};
+
+function writeEvent(res, { id, event, data }) {
+  let frame = "";
+  if (id) frame += `id: ${id}\n`;
+  if (event) frame += `event: ${event}\n`;
+  frame += `data: ${JSON.stringify(data)}\n\n`;
+  res.write(frame);
+}
+
+function rowState(slot, booking, now) {
+  return JSON.stringify([slot, effectiveStatus(slot, now), booking ?? null]);
+}
+
+function createFeed(supabase, { turfId, date, source, pollMs }) {
+  const epoch = Date.now().toString(36);
+  const clients = new Set();
+  const events = [];
+  let seq = 0;
+  let rows = new Map();
+  let channel = null;
+  let timer = null;
+  let pending = null;
+  let refreshing = null;
+  let stopped = false;
+
+  async function read() {
+    const [{ data: slots, error }, { data: bookings, error: bookingError }] =
+      await Promise.all([
+        supabase
+          .from("slots")
+          .select(SLOT_COLUMNS)
+          .eq("turf_id", turfId)
+          .eq("date", date),
+        supabase
+          .from("bookings")
+          .select(BOOKING_COLUMNS)
+          .eq("turf_id", turfId)
+          .eq("booking_date", date)
+          .eq("booking_status", "CONFIRMED"),
+      ]);
+    if (error) throw error;
+    if (bookingError) throw bookingError;
+
+    const bookingBySlot = new Map((bookings || []).map((b) => [b.slot_id, b]));
+    const now = new Date();
+    return new Map(
+      (slots || []).map((slot) => {
+        const booking = bookingBySlot.get(slot.id) ?? null;
+        return [slot.id, { slot, booking, state: rowState(slot, booking, now) }];
+      }),
+    );
+  }
+
+  function publish(change) {
+    const event = { id: `${epoch}.${++seq}`, seq, ...change };
+    events.push(event);
+    if (events.length > BUFFER_SIZE) events.shift();
+    for (const client of clients) client.send(event);
+  }
+
+  async function refresh() {
+    if (refreshing) return refreshing;
+    refreshing = (async () => {
+      try {
+        const next = await read();
+        for (const [slotId, row] of next) {
+          if (rows.get(slotId)?.state !== row.state) {
+            publish({ slot: row.slot, booking: row.booking });
+          }
+        }
+        for (const [slotId, row] of rows) {
+          if (!next.has(slotId)) publish({ slot: row.slot, removed: true });
+        }
+        rows = next;
+      } catch (e) {
+        log.error("slot_stream_refresh_failed", { turfId, date, error: e });
+      } finally {
+        refreshing = null;
+      }
+    })();
+    return refreshing;
+  }
+
+  // Realtime reports bursts of row changes per transaction; read once
+  function scheduleRefresh() {
+    if (pending) return;
+    pending = setTimeout(() => {
+      pending = null;
+      refresh();
+    }, REFRESH_DEBOUNCE_MS);
+  }
+
+  function startPolling(intervalMs) {
+    if (timer) clearInterval(timer);
+    timer = setInterval(refresh, intervalMs);
+    timer.unref?.();
+  }
+
+  return {
+    clients,
+    get currentId() {
+      return `${epoch}.${seq}`;
+    },
+
+    async start() {
+      rows = await read();
+      if (stopped) return;
+      // Lapsing holds change a slot's effective status without a write, so
+      // even Realtime feeds re-read now and then
+      startPolling(source === "realtime" ? Math.max(pollMs, 30000) : pollMs);
+      if (source !== "realtime") return;
+
+      const filter = `turf_id=eq.${turfId}`;
+      channel = supabase
+        .channel(`slot-stream:${turfId}:${date}`)
+        .on("postgres_changes", { event: "*", schema: "public", table: "slots", filter }, scheduleRefresh)
+        .on("postgres_changes", { event: "*", schema: "public", table: "bookings", filter }, scheduleRefresh)
+        .subscribe((status) => {
+          if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+            log.warn("slot_stream_realtime_failed", { turfId, status, fallback: "polling" });
+            startPolling(pollMs);
+          }
+        });
+    },
+
+    // Buffered events after `lastId`, or null when a snapshot is needed
+    since(lastId) {
+      if (!lastId) return null;
+      const [lastEpoch, lastSeq] = String(lastId).split(".");
+      const n = Number(lastSeq);
+      if (lastEpoch !== epoch || !Number.isInteger(n) || n > seq) return null;
+      if (n < seq && (events.length === 0 || events[0].seq > n + 1)) return null;
+      return events.filter((e) => e.seq > n);
+    },
+
+    stop() {
+      stopped = true;
+      if (timer) clearInterval(timer);
+      if (pending) clearTimeout(pending);
+      if (channel) supabase.removeChannel(channel);
+    },
+  };
+}
+
+export function createSlotStream(
+  supabase,
+  {
+    source = process.env.SLOT_STREAM_SOURCE || "realtime",
+    pollMs = Number(process.env.SLOT_STREAM_POLL_MS || 5000),
+    heartbeatMs = Number(process.env.SLOT_STREAM_HEARTBEAT_MS || 15000),
+  } = {},
+) {
+  const feeds = new Map();
+
+  // Feeds are reference counted from the moment a connection asks for one,
+  // so a feed is never stopped while another connection is still starting
+  function acquireFeed(turfId, date) {
+    const key = `${turfId}:${date}`;
+    let entry = feeds.get(key);
+    if (!entry) {
+      const feed = createFeed(supabase, { turfId, date, source, pollMs });
+      const ready = feed.start().then(() => feed);
+      entry = { feed, ready, refs: 0 };
+      feeds.set(key, entry);
+      ready.catch(() => {
+        feed.stop();
+        if (feeds.get(key) === entry) feeds.delete(key);
+      });
+    }
+    entry.refs += 1;
+    return entry;
+  }
+
+  function releaseFeed(turfId, date, entry, client) {
+    entry.feed.clients.delete(client);
+    entry.refs -= 1;
+    if (entry.refs === 0) {
+      entry.feed.stop();
+      const key = `${turfId}:${date}`;
+      if (feeds.get(key) === entry) feeds.delete(key);
+    }
+  }
+
+  async function handle(req, res) {
+    const requestId = requestIdFor(req);
+    const requestLog = log.child({ requestId });
+    interceptErrorResponses(res, { requestId, log: requestLog });
+
+    // EventSource cannot set headers, so browsers pass the token in the query
+    if (!req.headers.authorization && req.query?.access_token) {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+
+    try {
+      const caller = await requireAuth(supabase, req, res);
+      if (!caller) return;
+
+      const fields = [];
+      const params = validate(PARAMS, req.params, { coerceStrings: true });
+      const query = validate(QUERY, req.query, { coerceStrings: true });
+      for (const e of params.errors) fields.push({ location: "params", ...e });
+      for (const e of query.errors) fields.push({ location: "query", ...e });
+      if (fields.length > 0) {
+        return res.status(400).json({ error: "Invalid request.", fields });
+      }
+      const turfId = params.value.id;
+      const { date } = query.value;
+
+      const { data: turf, error } = await supabase
+        .from("turfs")
+        .select(TURF_GRID_COLUMNS)
+        .eq("id", turfId)
+        .maybeSingle();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      const fullView = !!turf && canManageTurf(caller, turf.owner_id);
+      if (!turf || (!turf.is_approved && !fullView)) {
+        return res.status(404).json({ error: "Turf not found" });
+      }
+
+      const client = {
+        send(event) {
+          if (event.removed) {
+            writeEvent(res, {
+              id: event.id,
+              event: "slot-removed",
+              data: { slotId: event.slot.id, date, netNumber: event.slot.net_number },
+            });
+            return;
+          }
+          writeEvent(res, {
+            id: event.id,
+            event: "slot",
+            data: {
+              date,
+              netNumber: event.slot.net_number,
+              ...toSlotCell(event.slot, event.booking, caller, fullView),
+            },
+          });
+        },
+      };
+
+      let closed = false;
+      let heartbeat = null;
+      const entry = acquireFeed(turfId, date);
+      req.on("close", () => {
+        closed = true;
+        clearInterval(heartbeat);
+        releaseFeed(turfId, date, entry, client);
+      });
+      const feed = await entry.ready;
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.write(`retry: 5000\n\n`);
+
+      const lastEventId = req.headers["last-event-id"] || query.value.lastEventId;
+      const missed = feed.since(lastEventId);
+      if (missed) {
+        for (const event of missed) client.send(event);
+      } else {
+        const snapshotId = feed.currentId;
+        const [day] = await buildAvailability(supabase, {
+          turf,
+          startDate: date,
+          endDate: date,
+          caller,
+          fullView,
+        });
+        writeEvent(res, { id: snapshotId, event: "snapshot", data: day });
+        // Changes published while the snapshot was being read
+        for (const event of feed.since(snapshotId) || []) client.send(event);
+      }
+      if (closed) return;
+      feed.clients.add(client);
+      heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+    } catch (e) {
+      requestLog.error("unhandled_error", { route: "GET /turfs/:id/slots/stream", error: e });
+      if (!res.headersSent) {
+        res.status(500).json({ error: INTERNAL_ERROR_MESSAGE, code: "INTERNAL", requestId });
+      } else {
+        res.end();
+      }
+    }
+  }
+
+  return {
+    handle,
+    close() {
+      for (const { feed } of feeds.values()) feed.stop();
+      feeds.clear();
+    },
+  };
+}
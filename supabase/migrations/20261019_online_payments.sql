@@ -0,0 +1,230 @@
+-- Migration: Online payment orders
+-- Tracks gateway orders for RESERVED slots and confirms/releases them from webhooks
+
+CREATE TABLE IF NOT EXISTS payment_orders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider text NOT NULL,
+  provider_order_id text NOT NULL,
+  booking_id uuid NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  slot_id uuid NOT NULL REFERENCES slots(id) ON DELETE RESTRICT,
+  user_id uuid NOT NULL,
+  amount numeric NOT NULL,
+  currency text NOT NULL DEFAULT 'INR',
+  status text NOT NULL DEFAULT 'CREATED',
+  transaction_id text,
+  failure_reason text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS payment_orders_provider_order_idx
+  ON payment_orders (provider, provider_order_id);
+CREATE INDEX IF NOT EXISTS payment_orders_slot_idx
+  ON payment_orders (slot_id, status);
+
+ALTER TABLE payment_orders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "payment_orders_select_own" ON payment_orders;
+CREATE POLICY "payment_orders_select_own" ON payment_orders
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Create a PENDING online booking for a slot the user currently holds
+CREATE OR REPLACE FUNCTION start_online_payment(
+  p_slot_id uuid,
+  p_user_id uuid,
+  p_provider text,
+  p_provider_order_id text,
+  p_booking_data jsonb
+) RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  slot_record slots%rowtype;
+  v_booking_id uuid;
+BEGIN
+  SELECT * INTO slot_record FROM slots WHERE id = p_slot_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Slot not found';
+  END IF;
+
+  IF slot_record.status <> 'RESERVED'
+     OR slot_record.reserved_by IS DISTINCT FROM p_user_id
+     OR slot_record.reserved_until < now() THEN
+    RAISE EXCEPTION 'Slot not reserved by user';
+  END IF;
+
+  -- Slot stays RESERVED until the gateway confirms payment
+  INSERT INTO bookings (
+    owner_id, turf_id, slot_id, booking_date, start_time, end_time,
+    turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+    payment_mode, payment_status, amount, advance_amount, booking_status, created_at
+  ) VALUES (
+    (SELECT owner_id FROM turfs WHERE id = slot_record.turf_id),
+    slot_record.turf_id,
+    p_slot_id,
+    slot_record.date,
+    slot_record.start_time,
+    slot_record.end_time,
+    (SELECT turf_name FROM turfs WHERE id = slot_record.turf_id),
+    slot_record.net_number,
+    p_user_id,
+    p_booking_data->>'customer_name',
+    p_booking_data->>'customer_phone',
+    'APP',
+    'ONLINE',
+    'PENDING',
+    slot_record.price,
+    0,
+    'CONFIRMED',
+    now()
+  ) RETURNING id INTO v_booking_id;
+
+  INSERT INTO payment_orders (
+    provider, provider_order_id, booking_id, slot_id, user_id, amount, currency
+  ) VALUES (
+    p_provider,
+    p_provider_order_id,
+    v_booking_id,
+    p_slot_id,
+    p_user_id,
+    slot_record.price,
+    COALESCE(p_booking_data->>'currency', 'INR')
+  );
+
+  RETURN v_booking_id;
+END;
+$$;
+
+-- Mark booking PAID and flip the slot to BOOKED. Safe to replay.
+CREATE OR REPLACE FUNCTION confirm_online_payment(
+  p_provider text,
+  p_provider_order_id text,
+  p_transaction_id text,
+  p_amount numeric DEFAULT NULL
+) RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_order payment_orders%rowtype;
+  v_booking_status text;
+BEGIN
+  SELECT * INTO v_order FROM payment_orders
+    WHERE provider = p_provider AND provider_order_id = p_provider_order_id
+    FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment order not found';
+  END IF;
+
+  IF v_order.status IN ('PAID', 'REFUND_PENDING') THEN
+    RETURN v_order.status;
+  END IF;
+
+  IF p_amount IS NOT NULL AND p_amount < v_order.amount THEN
+    RAISE EXCEPTION 'Payment amount mismatch';
+  END IF;
+
+  PERFORM 1 FROM slots WHERE id = v_order.slot_id FOR UPDATE;
+
+  SELECT booking_status INTO v_booking_status
+    FROM bookings WHERE id = v_order.booking_id FOR UPDATE;
+
+  -- Money arrived after the hold lapsed and the booking was released
+  IF v_booking_status IS DISTINCT FROM 'CONFIRMED' THEN
+    UPDATE payment_orders
+      SET status = 'REFUND_PENDING',
+          transaction_id = p_transaction_id,
+          failure_reason = 'Booking no longer active',
+          updated_at = now()
+      WHERE id = v_order.id;
+    RETURN 'REFUND_PENDING';
+  END IF;
+
+  UPDATE bookings
+    SET payment_status = 'PAID',
+        advance_amount = amount,
+        transaction_id = p_transaction_id,
+        updated_at = now()
+    WHERE id = v_order.booking_id;
+
+  UPDATE slots
+    SET status = 'BOOKED',
+        reserved_until = NULL,
+        reserved_by = NULL,
+        updated_at = now()
+    WHERE id = v_order.slot_id;
+
+  UPDATE payment_orders
+    SET status = 'PAID',
+        transaction_id = p_transaction_id,
+        updated_at = now()
+    WHERE id = v_order.id;
+
+  RETURN 'PAID';
+END;
+$$;
+
+-- Record a failed/expired payment, cancel its booking and release the slot
+CREATE OR REPLACE FUNCTION fail_online_payment(
+  p_provider text,
+  p_provider_order_id text,
+  p_status text,
+  p_reason text DEFAULT NULL
+) RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_order payment_orders%rowtype;
+  slot_record slots%rowtype;
+BEGIN
+  SELECT * INTO v_order FROM payment_orders
+    WHERE provider = p_provider AND provider_order_id = p_provider_order_id
+    FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment order not found';
+  END IF;
+
+  IF v_order.status <> 'CREATED' THEN
+    RETURN v_order.status;
+  END IF;
+
+  UPDATE payment_orders
+    SET status = p_status,
+        failure_reason = p_reason,
+        updated_at = now()
+    WHERE id = v_order.id;
+
+  UPDATE bookings
+    SET booking_status = 'CANCELLED',
+        payment_status = 'FAILED',
+        cancelled_at = now(),
+        cancelled_by = 'SYSTEM',
+        cancellation_reason = COALESCE(p_reason, 'Payment ' || lower(p_status)),
+        updated_at = now()
+    WHERE id = v_order.booking_id
+      AND booking_status = 'CONFIRMED'
+      AND payment_status = 'PENDING';
+
+  SELECT * INTO slot_record FROM slots WHERE id = v_order.slot_id FOR UPDATE;
+  IF slot_record.status = 'RESERVED'
+     AND (slot_record.reserved_by IS NULL OR slot_record.reserved_by = v_order.user_id) THEN
+    PERFORM release_slot(v_order.slot_id);
+  END IF;
+
+  RETURN p_status;
+END;
+$$;
+
+-- Only the API (service role) may drive payments: the webhook route checks
+-- the provider signature before confirming or failing an order
+REVOKE EXECUTE ON FUNCTION start_online_payment(uuid, uuid, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION start_online_payment(uuid, uuid, text, text, jsonb) TO service_role;
+REVOKE EXECUTE ON FUNCTION confirm_online_payment(text, text, text, numeric) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION confirm_online_payment(text, text, text, numeric) TO service_role;
+REVOKE EXECUTE ON FUNCTION fail_online_payment(text, text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fail_online_payment(text, text, text, text) TO service_role;
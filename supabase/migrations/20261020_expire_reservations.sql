@@ -0,0 +1,79 @@
+-- Migration: Bulk release of expired slot reservations
+-- Called by the /api/jobs/expire-reservations cron and the Express sweeper
+
+CREATE INDEX IF NOT EXISTS slots_reserved_until_idx
+  ON slots (reserved_until)
+  WHERE status = 'RESERVED';
+
+CREATE OR REPLACE FUNCTION expire_stale_reservations(p_limit int DEFAULT 500)
+RETURNS TABLE (
+  slot_id uuid,
+  turf_id uuid,
+  slot_date date,
+  start_time text,
+  net_number int,
+  reserved_by uuid,
+  reserved_until timestamptz
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_order record;
+BEGIN
+  -- Online payments whose hold lapsed are failed first so their PENDING
+  -- bookings stop pinning the slot
+  FOR v_order IN
+    SELECT po.provider, po.provider_order_id,
+           s.id AS sid, s.turf_id AS tid, s.date AS sdate, s.start_time AS stime,
+           s.net_number AS snet, s.reserved_by AS holder, s.reserved_until AS held_until
+      FROM payment_orders po
+      JOIN slots s ON s.id = po.slot_id
+     WHERE po.status = 'CREATED'
+       AND s.status = 'RESERVED'
+       AND s.reserved_until < now()
+     LIMIT p_limit
+  LOOP
+    PERFORM fail_online_payment(
+      v_order.provider, v_order.provider_order_id, 'EXPIRED', 'Payment window expired'
+    );
+
+    slot_id := v_order.sid;
+    turf_id := v_order.tid;
+    slot_date := v_order.sdate;
+    start_time := v_order.stime;
+    net_number := v_order.snet;
+    reserved_by := v_order.holder;
+    reserved_until := v_order.held_until;
+    RETURN NEXT;
+  END LOOP;
+
+  RETURN QUERY
+  WITH expired AS (
+    SELECT s.id, s.reserved_by AS holder, s.reserved_until AS held_until
+      FROM slots s
+     WHERE s.status = 'RESERVED'
+       AND s.reserved_until < now()
+       AND NOT EXISTS (
+         SELECT 1 FROM bookings b
+          WHERE b.slot_id = s.id AND b.booking_status = 'CONFIRMED'
+       )
+     ORDER BY s.reserved_until
+     LIMIT p_limit
+     FOR UPDATE SKIP LOCKED
+  )
+  UPDATE slots s
+     SET status = 'AVAILABLE',
+         reserved_until = NULL,
+         reserved_by = NULL,
+         updated_at = now()
+    FROM expired e
+   WHERE s.id = e.id
+  RETURNING s.id, s.turf_id, s.date, s.start_time, s.net_number, e.holder, e.held_until;
+END;
+$$;
+
+-- Run by the sweeper jobs with the service role only
+REVOKE EXECUTE ON FUNCTION expire_stale_reservations(int) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION expire_stale_reservations(int) TO service_role;
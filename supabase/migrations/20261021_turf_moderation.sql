@@ -0,0 +1,181 @@
+-- Migration: Admin moderation for turfs and owners with an audit trail
+-- is_approved drives the public RLS policy, so it is only ever derived here:
+-- a turf is public when it is APPROVED and its owner is ACTIVE.
+
+CREATE TABLE IF NOT EXISTS moderation_audit_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id uuid,
+  target_type text NOT NULL,
+  target_id uuid NOT NULL,
+  action text NOT NULL,
+  reason text,
+  before_state jsonb,
+  after_state jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS moderation_audit_target_idx
+  ON moderation_audit_log (target_type, target_id, created_at DESC);
+
+ALTER TABLE moderation_audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS turfs_verification_idx
+  ON turfs (verification_status, created_at);
+
+CREATE OR REPLACE FUNCTION moderate_turf(
+  p_turf_id uuid,
+  p_action text,
+  p_actor_id uuid,
+  p_reason text DEFAULT NULL
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  turf_record turfs%rowtype;
+  v_owner_active boolean;
+  v_before jsonb;
+  v_after jsonb;
+  v_status text;
+  v_rejection text;
+BEGIN
+  SELECT * INTO turf_record FROM turfs WHERE id = p_turf_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Turf not found';
+  END IF;
+
+  IF p_action IN ('REJECT', 'SUSPEND') AND COALESCE(TRIM(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'Reason is required';
+  END IF;
+
+  SELECT status = 'ACTIVE' INTO v_owner_active FROM owners WHERE id = turf_record.owner_id;
+
+  v_before := jsonb_build_object(
+    'verification_status', turf_record.verification_status,
+    'is_approved', turf_record.is_approved,
+    'rejection_reason', turf_record.rejection_reason
+  );
+
+  v_rejection := turf_record.rejection_reason;
+
+  IF p_action = 'APPROVE' THEN
+    v_status := 'APPROVED';
+    v_rejection := NULL;
+  ELSIF p_action = 'REJECT' THEN
+    v_status := 'REJECTED';
+    v_rejection := p_reason;
+  ELSIF p_action = 'SUSPEND' THEN
+    IF turf_record.verification_status <> 'APPROVED' THEN
+      RAISE EXCEPTION 'Invalid transition: only approved turfs can be suspended';
+    END IF;
+    v_status := 'SUSPENDED';
+  ELSIF p_action = 'REINSTATE' THEN
+    IF turf_record.verification_status <> 'SUSPENDED' THEN
+      RAISE EXCEPTION 'Invalid transition: turf is not suspended';
+    END IF;
+    v_status := 'APPROVED';
+  ELSE
+    RAISE EXCEPTION 'Unknown action %', p_action;
+  END IF;
+
+  UPDATE turfs
+    SET verification_status = v_status,
+        is_approved = (v_status = 'APPROVED' AND COALESCE(v_owner_active, false)),
+        rejection_reason = v_rejection,
+        updated_at = now()
+    WHERE id = p_turf_id
+    RETURNING * INTO turf_record;
+
+  v_after := jsonb_build_object(
+    'verification_status', turf_record.verification_status,
+    'is_approved', turf_record.is_approved,
+    'rejection_reason', turf_record.rejection_reason
+  );
+
+  INSERT INTO moderation_audit_log (
+    actor_id, target_type, target_id, action, reason, before_state, after_state
+  ) VALUES (
+    p_actor_id, 'TURF', p_turf_id, p_action, p_reason, v_before, v_after
+  );
+
+  RETURN jsonb_build_object('id', turf_record.id, 'turf_name', turf_record.turf_name) || v_after;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION moderate_owner(
+  p_owner_id uuid,
+  p_action text,
+  p_actor_id uuid,
+  p_reason text DEFAULT NULL
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  owner_record owners%rowtype;
+  v_before jsonb;
+  v_after jsonb;
+  v_status text;
+  v_turfs int;
+BEGIN
+  SELECT * INTO owner_record FROM owners WHERE id = p_owner_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Owner not found';
+  END IF;
+
+  IF p_action = 'SUSPEND' THEN
+    IF COALESCE(TRIM(p_reason), '') = '' THEN
+      RAISE EXCEPTION 'Reason is required';
+    END IF;
+    IF owner_record.status = 'SUSPENDED' THEN
+      RAISE EXCEPTION 'Invalid transition: owner is already suspended';
+    END IF;
+    v_status := 'SUSPENDED';
+  ELSIF p_action = 'REINSTATE' THEN
+    IF owner_record.status <> 'SUSPENDED' THEN
+      RAISE EXCEPTION 'Invalid transition: owner is not suspended';
+    END IF;
+    v_status := 'ACTIVE';
+  ELSE
+    RAISE EXCEPTION 'Unknown action %', p_action;
+  END IF;
+
+  v_before := jsonb_build_object(
+    'status', owner_record.status,
+    'public_turfs', (SELECT count(*) FROM turfs WHERE owner_id = p_owner_id AND is_approved)
+  );
+
+  UPDATE owners
+    SET status = v_status,
+        updated_at = now()
+    WHERE id = p_owner_id;
+
+  UPDATE turfs
+    SET is_approved = (v_status = 'ACTIVE' AND verification_status = 'APPROVED'),
+        updated_at = now()
+    WHERE owner_id = p_owner_id;
+  GET DIAGNOSTICS v_turfs = ROW_COUNT;
+
+  v_after := jsonb_build_object(
+    'status', v_status,
+    'public_turfs', (SELECT count(*) FROM turfs WHERE owner_id = p_owner_id AND is_approved)
+  );
+
+  INSERT INTO moderation_audit_log (
+    actor_id, target_type, target_id, action, reason, before_state, after_state
+  ) VALUES (
+    p_actor_id, 'OWNER', p_owner_id, p_action, p_reason, v_before, v_after
+  );
+
+  RETURN jsonb_build_object('id', p_owner_id, 'name', owner_record.name, 'turfs_updated', v_turfs) || v_after;
+END;
+$$;
+
+-- Moderation goes through the admin routes; p_actor_id is trusted, so clients
+-- must not call these directly
+REVOKE EXECUTE ON FUNCTION moderate_turf(uuid, text, uuid, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION moderate_turf(uuid, text, uuid, text) TO service_role;
+REVOKE EXECUTE ON FUNCTION moderate_owner(uuid, text, uuid, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION moderate_owner(uuid, text, uuid, text) TO service_role;
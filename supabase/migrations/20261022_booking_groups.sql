@@ -0,0 +1,235 @@
+-- Migration: Booking groups
+-- Books several slots (back-to-back hours or several nets) in one transaction
+
+CREATE TABLE IF NOT EXISTS booking_groups (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id uuid NOT NULL REFERENCES owners(id) ON DELETE CASCADE,
+  turf_id uuid NOT NULL REFERENCES turfs(id) ON DELETE CASCADE,
+  user_id uuid,
+  amount numeric NOT NULL,
+  advance_amount numeric NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'CONFIRMED',
+  cancelled_at timestamptz,
+  cancelled_by text,
+  cancellation_reason text,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz
+);
+
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS group_id uuid REFERENCES booking_groups(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS bookings_group_idx ON bookings (group_id) WHERE group_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS booking_groups_owner_idx ON booking_groups (owner_id, created_at DESC);
+
+ALTER TABLE booking_groups ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "booking_groups_select_own" ON booking_groups;
+CREATE POLICY "booking_groups_select_own" ON booking_groups
+  FOR SELECT USING (auth.uid() = user_id OR auth.uid() = owner_id);
+
+-- Book every slot or none. Conflicts raise with the slot id in DETAIL.
+-- p_user_id is set for player bookings so holds by other users are respected;
+-- those bookings start unpaid whatever p_booking_data says, since only the
+-- payment webhook may record money taken online.
+CREATE OR REPLACE FUNCTION create_booking_group(
+  p_slot_ids uuid[],
+  p_booking_data jsonb,
+  p_user_id uuid DEFAULT NULL
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_turf turfs%rowtype;
+  v_slot slots%rowtype;
+  v_missing uuid;
+  v_group_id uuid;
+  v_booking_id uuid;
+  v_booking_ids uuid[] := ARRAY[]::uuid[];
+  v_total numeric;
+  v_advance numeric;
+  v_share numeric;
+  v_allocated numeric := 0;
+  v_index int := 0;
+  v_count int;
+BEGIN
+  v_count := array_length(p_slot_ids, 1);
+  IF v_count IS NULL THEN
+    RAISE EXCEPTION 'No slots given';
+  END IF;
+
+  SELECT * INTO v_turf FROM turfs WHERE id = (p_booking_data->>'turf_id')::uuid;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Turf not found';
+  END IF;
+
+  SELECT s.id INTO v_missing
+    FROM unnest(p_slot_ids) AS s(id)
+    WHERE NOT EXISTS (SELECT 1 FROM slots WHERE slots.id = s.id)
+    LIMIT 1;
+  IF v_missing IS NOT NULL THEN
+    RAISE EXCEPTION 'Slot not found' USING DETAIL = v_missing::text;
+  END IF;
+
+  -- Lock in id order so concurrent groups cannot deadlock
+  FOR v_slot IN
+    SELECT * FROM slots WHERE id = ANY(p_slot_ids) ORDER BY id FOR UPDATE
+  LOOP
+    IF v_slot.turf_id <> v_turf.id THEN
+      RAISE EXCEPTION 'Slot belongs to another turf' USING DETAIL = v_slot.id::text;
+    END IF;
+    IF v_slot.status = 'RESERVED'
+       AND v_slot.reserved_until IS NOT NULL
+       AND v_slot.reserved_until < now() THEN
+      CONTINUE;
+    END IF;
+    IF v_slot.status NOT IN ('AVAILABLE', 'RESERVED')
+       OR (v_slot.status = 'RESERVED'
+           AND p_user_id IS NOT NULL
+           AND v_slot.reserved_by IS DISTINCT FROM p_user_id) THEN
+      RAISE EXCEPTION 'Slot not available' USING DETAIL = v_slot.id::text;
+    END IF;
+  END LOOP;
+
+  SELECT COALESCE(sum(price), 0) INTO v_total FROM slots WHERE id = ANY(p_slot_ids);
+  IF p_user_id IS NULL THEN
+    v_advance := LEAST(COALESCE((p_booking_data->>'advance_amount')::numeric, 0), v_total);
+  ELSE
+    v_advance := 0;
+  END IF;
+
+  INSERT INTO booking_groups (
+    owner_id, turf_id, user_id, amount, advance_amount, created_by
+  ) VALUES (
+    v_turf.owner_id,
+    v_turf.id,
+    COALESCE(p_user_id, nullif(p_booking_data->>'user_id', '')::uuid),
+    v_total,
+    v_advance,
+    p_booking_data->>'created_by'
+  ) RETURNING id INTO v_group_id;
+
+  FOR v_slot IN
+    SELECT * FROM slots WHERE id = ANY(p_slot_ids)
+    ORDER BY date, start_time, net_number
+  LOOP
+    v_index := v_index + 1;
+    -- Advance is split in proportion to price; the last slot takes the rounding
+    IF v_index = v_count THEN
+      v_share := v_advance - v_allocated;
+    ELSIF v_total > 0 THEN
+      v_share := round(v_advance * v_slot.price / v_total, 2);
+    ELSE
+      v_share := 0;
+    END IF;
+    v_allocated := v_allocated + v_share;
+
+    UPDATE slots
+      SET status = CASE
+            WHEN v_slot.price > 0 AND v_share >= v_slot.price THEN 'BOOKED'
+            ELSE 'RESERVED'
+          END,
+          reserved_until = NULL,
+          reserved_by = NULL,
+          updated_at = now()
+      WHERE id = v_slot.id;
+
+    INSERT INTO bookings (
+      owner_id, turf_id, slot_id, group_id, booking_date, start_time, end_time,
+      turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+      payment_mode, payment_status, amount, advance_amount, transaction_id,
+      booking_status, created_by, created_at
+    ) VALUES (
+      v_turf.owner_id,
+      v_turf.id,
+      v_slot.id,
+      v_group_id,
+      v_slot.date,
+      v_slot.start_time,
+      v_slot.end_time,
+      v_turf.turf_name,
+      v_slot.net_number,
+      COALESCE(p_user_id, nullif(p_booking_data->>'user_id', '')::uuid),
+      p_booking_data->>'customer_name',
+      p_booking_data->>'customer_phone',
+      p_booking_data->>'booking_source',
+      CASE WHEN p_user_id IS NULL THEN p_booking_data->>'payment_mode' ELSE 'OFFLINE' END,
+      CASE WHEN p_user_id IS NULL THEN p_booking_data->>'payment_status' ELSE 'PAY_AT_TURF' END,
+      v_slot.price,
+      v_share,
+      CASE WHEN p_user_id IS NULL THEN p_booking_data->>'transaction_id' END,
+      'CONFIRMED',
+      p_booking_data->>'created_by',
+      now()
+    ) RETURNING id INTO v_booking_id;
+
+    v_booking_ids := v_booking_ids || v_booking_id;
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'group_id', v_group_id,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'amount', v_total,
+    'advance_amount', v_advance
+  );
+END;
+$$;
+
+-- Cancel every confirmed booking in a group and free its slots
+CREATE OR REPLACE FUNCTION cancel_booking_group(
+  p_group_id uuid,
+  p_cancelled_by text,
+  p_cancel_reason text DEFAULT NULL
+) RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_group booking_groups%rowtype;
+  v_count int;
+BEGIN
+  SELECT * INTO v_group FROM booking_groups WHERE id = p_group_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking group not found';
+  END IF;
+
+  WITH cancelled AS (
+    UPDATE bookings
+      SET booking_status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          cancellation_reason = p_cancel_reason,
+          updated_at = now()
+      WHERE group_id = p_group_id AND booking_status = 'CONFIRMED'
+      RETURNING slot_id
+  )
+  UPDATE slots
+    SET status = 'AVAILABLE',
+        reserved_until = NULL,
+        reserved_by = NULL,
+        updated_at = now()
+    WHERE id IN (SELECT slot_id FROM cancelled);
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+
+  UPDATE booking_groups
+    SET status = 'CANCELLED',
+        cancelled_at = now(),
+        cancelled_by = p_cancelled_by,
+        cancellation_reason = p_cancel_reason,
+        updated_at = now()
+    WHERE id = p_group_id;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Booking groups are created and cancelled through the API, which checks the
+-- caller owns the turf or holds every slot
+REVOKE EXECUTE ON FUNCTION create_booking_group(uuid[], jsonb, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_booking_group(uuid[], jsonb, uuid) TO service_role;
+REVOKE EXECUTE ON FUNCTION cancel_booking_group(uuid, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cancel_booking_group(uuid, text, text) TO service_role;
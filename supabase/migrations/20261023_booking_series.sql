@@ -0,0 +1,350 @@
+-- Migration: Recurring booking series
+-- A weekly slot booked for a regular team; each occurrence is a normal booking
+
+CREATE TABLE IF NOT EXISTS booking_series (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id uuid NOT NULL REFERENCES owners(id) ON DELETE CASCADE,
+  turf_id uuid NOT NULL REFERENCES turfs(id) ON DELETE CASCADE,
+  net_number int NOT NULL DEFAULT 1,
+  weekday text NOT NULL,
+  start_time text NOT NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  user_id uuid,
+  customer_name text NOT NULL,
+  customer_phone text NOT NULL,
+  booking_source text NOT NULL DEFAULT 'PHONE',
+  payment_mode text NOT NULL DEFAULT 'OFFLINE',
+  payment_status text NOT NULL DEFAULT 'PAY_AT_TURF',
+  status text NOT NULL DEFAULT 'ACTIVE',
+  cancelled_at timestamptz,
+  cancelled_by text,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz
+);
+
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS series_id uuid REFERENCES booking_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS bookings_series_idx
+  ON bookings (series_id, booking_date) WHERE series_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS booking_series_turf_idx ON booking_series (turf_id, status);
+
+ALTER TABLE booking_series ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "booking_series_select_own" ON booking_series;
+CREATE POLICY "booking_series_select_own" ON booking_series
+  FOR SELECT USING (auth.uid() = owner_id OR auth.uid() = user_id);
+
+-- Books every occurrence of a series on or after p_from_date. Occurrences
+-- that cannot be booked are reported, not raised, so one clash never blocks
+-- the rest of the series.
+CREATE OR REPLACE FUNCTION book_series_occurrences(
+  p_series_id uuid,
+  p_from_date date
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_series booking_series%rowtype;
+  v_turf turfs%rowtype;
+  v_slot slots%rowtype;
+  v_date date;
+  v_booking_id uuid;
+  v_report jsonb := '[]'::jsonb;
+  v_reason text;
+BEGIN
+  SELECT * INTO v_series FROM booking_series WHERE id = p_series_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking series not found';
+  END IF;
+  SELECT * INTO v_turf FROM turfs WHERE id = v_series.turf_id;
+
+  FOR v_date IN
+    SELECT d::date
+      FROM generate_series(GREATEST(v_series.start_date, p_from_date), v_series.end_date, interval '1 day') AS d
+      WHERE extract(isodow FROM d) = array_position(
+        ARRAY['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'], v_series.weekday
+      )
+  LOOP
+    v_reason := NULL;
+    v_booking_id := NULL;
+
+    SELECT * INTO v_slot FROM slots
+      WHERE turf_id = v_series.turf_id
+        AND date = v_date
+        AND start_time = v_series.start_time
+        AND net_number = v_series.net_number
+      FOR UPDATE;
+
+    IF to_char(v_date, 'YYYY-MM-DD') = ANY(v_turf.public_holidays) THEN
+      v_reason := 'HOLIDAY';
+    ELSIF NOT FOUND THEN
+      v_reason := 'NO_SLOT';
+    ELSIF v_slot.status = 'BLOCKED' THEN
+      v_reason := 'BLOCKED';
+    ELSIF v_slot.status = 'BOOKED'
+       OR EXISTS (
+         SELECT 1 FROM bookings
+           WHERE slot_id = v_slot.id AND booking_status = 'CONFIRMED'
+       ) THEN
+      v_reason := 'BOOKED';
+    ELSIF v_slot.status = 'RESERVED'
+       AND (v_slot.reserved_until IS NULL OR v_slot.reserved_until >= now()) THEN
+      v_reason := 'RESERVED';
+    ELSIF v_slot.status NOT IN ('AVAILABLE', 'RESERVED') THEN
+      v_reason := v_slot.status;
+    END IF;
+
+    IF v_reason IS NULL THEN
+      -- Unpaid bookings hold the slot as RESERVED, as create_booking_atomic does
+      UPDATE slots
+        SET status = 'RESERVED',
+            reserved_until = NULL,
+            reserved_by = NULL,
+            updated_at = now()
+        WHERE id = v_slot.id;
+
+      INSERT INTO bookings (
+        owner_id, turf_id, slot_id, series_id, booking_date, start_time, end_time,
+        turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+        payment_mode, payment_status, amount, advance_amount, booking_status,
+        created_by, created_at
+      ) VALUES (
+        v_series.owner_id,
+        v_series.turf_id,
+        v_slot.id,
+        v_series.id,
+        v_date,
+        v_slot.start_time,
+        v_slot.end_time,
+        v_turf.turf_name,
+        v_slot.net_number,
+        v_series.user_id,
+        v_series.customer_name,
+        v_series.customer_phone,
+        v_series.booking_source,
+        v_series.payment_mode,
+        v_series.payment_status,
+        v_slot.price,
+        0,
+        'CONFIRMED',
+        v_series.created_by,
+        now()
+      ) RETURNING id INTO v_booking_id;
+    END IF;
+
+    v_report := v_report || jsonb_build_object(
+      'date', v_date,
+      'status', CASE WHEN v_booking_id IS NULL THEN 'CONFLICT' ELSE 'BOOKED' END,
+      'reason', v_reason,
+      'booking_id', v_booking_id,
+      'slot_id', v_slot.id,
+      'block_reason', CASE WHEN v_reason = 'BLOCKED' THEN v_slot.block_reason END
+    );
+  END LOOP;
+
+  RETURN v_report;
+END;
+$$;
+
+-- Cancels the series' confirmed bookings on or after p_from_date and frees
+-- their slots. Returns the number of cancelled occurrences.
+CREATE OR REPLACE FUNCTION cancel_series_occurrences(
+  p_series_id uuid,
+  p_from_date date,
+  p_cancelled_by text,
+  p_cancel_reason text DEFAULT NULL
+) RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count int;
+BEGIN
+  WITH cancelled AS (
+    UPDATE bookings
+      SET booking_status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          cancellation_reason = p_cancel_reason,
+          updated_at = now()
+      WHERE series_id = p_series_id
+        AND booking_status = 'CONFIRMED'
+        AND booking_date >= p_from_date
+      RETURNING slot_id
+  )
+  UPDATE slots
+    SET status = 'AVAILABLE',
+        reserved_until = NULL,
+        reserved_by = NULL,
+        updated_at = now()
+    WHERE id IN (SELECT slot_id FROM cancelled);
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION create_booking_series(p_series jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_series_id uuid;
+BEGIN
+  INSERT INTO booking_series (
+    owner_id, turf_id, net_number, weekday, start_time, start_date, end_date,
+    user_id, customer_name, customer_phone, booking_source, payment_mode,
+    payment_status, created_by
+  ) VALUES (
+    (SELECT owner_id FROM turfs WHERE id = (p_series->>'turf_id')::uuid),
+    (p_series->>'turf_id')::uuid,
+    COALESCE((p_series->>'net_number')::int, 1),
+    p_series->>'weekday',
+    p_series->>'start_time',
+    (p_series->>'start_date')::date,
+    (p_series->>'end_date')::date,
+    nullif(p_series->>'user_id', '')::uuid,
+    p_series->>'customer_name',
+    p_series->>'customer_phone',
+    COALESCE(p_series->>'booking_source', 'PHONE'),
+    COALESCE(p_series->>'payment_mode', 'OFFLINE'),
+    COALESCE(p_series->>'payment_status', 'PAY_AT_TURF'),
+    p_series->>'created_by'
+  ) RETURNING id INTO v_series_id;
+
+  RETURN jsonb_build_object(
+    'series_id', v_series_id,
+    'occurrences', book_series_occurrences(v_series_id, (p_series->>'start_date')::date)
+  );
+END;
+$$;
+
+-- Applies p_changes from p_from_date onward. Schedule changes (net, weekday,
+-- time, end date) re-book the affected occurrences; customer details are
+-- updated in place so payments already taken stay attached.
+CREATE OR REPLACE FUNCTION update_booking_series(
+  p_series_id uuid,
+  p_from_date date,
+  p_changes jsonb,
+  p_updated_by text
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_series booking_series%rowtype;
+  v_reschedule boolean;
+  v_cancelled int := 0;
+  v_occurrences jsonb := '[]'::jsonb;
+BEGIN
+  SELECT * INTO v_series FROM booking_series WHERE id = p_series_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking series not found';
+  END IF;
+  IF v_series.status <> 'ACTIVE' THEN
+    RAISE EXCEPTION 'Booking series is cancelled';
+  END IF;
+
+  v_reschedule := p_changes ?| ARRAY['net_number', 'weekday', 'start_time', 'end_date'];
+
+  IF v_reschedule THEN
+    v_cancelled := cancel_series_occurrences(
+      p_series_id, p_from_date, p_updated_by, 'Series rescheduled'
+    );
+  END IF;
+
+  UPDATE booking_series
+    SET net_number = COALESCE((p_changes->>'net_number')::int, net_number),
+        weekday = COALESCE(p_changes->>'weekday', weekday),
+        start_time = COALESCE(p_changes->>'start_time', start_time),
+        end_date = COALESCE((p_changes->>'end_date')::date, end_date),
+        customer_name = COALESCE(p_changes->>'customer_name', customer_name),
+        customer_phone = COALESCE(p_changes->>'customer_phone', customer_phone),
+        updated_at = now()
+    WHERE id = p_series_id;
+
+  IF v_reschedule THEN
+    v_occurrences := book_series_occurrences(p_series_id, p_from_date);
+  ELSE
+    UPDATE bookings
+      SET customer_name = COALESCE(p_changes->>'customer_name', customer_name),
+          customer_phone = COALESCE(p_changes->>'customer_phone', customer_phone),
+          updated_by = p_updated_by,
+          updated_at = now()
+      WHERE series_id = p_series_id
+        AND booking_status = 'CONFIRMED'
+        AND booking_date >= p_from_date;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'series_id', p_series_id,
+    'cancelled', v_cancelled,
+    'occurrences', v_occurrences
+  );
+END;
+$$;
+
+-- Cancels the whole series, or only the occurrences from p_from_date onward
+CREATE OR REPLACE FUNCTION cancel_booking_series(
+  p_series_id uuid,
+  p_from_date date,
+  p_cancelled_by text,
+  p_cancel_reason text DEFAULT NULL
+) RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_series booking_series%rowtype;
+  v_count int;
+BEGIN
+  SELECT * INTO v_series FROM booking_series WHERE id = p_series_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking series not found';
+  END IF;
+
+  v_count := cancel_series_occurrences(
+    p_series_id,
+    COALESCE(p_from_date, v_series.start_date),
+    p_cancelled_by,
+    p_cancel_reason
+  );
+
+  IF p_from_date IS NULL OR p_from_date <= v_series.start_date THEN
+    UPDATE booking_series
+      SET status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          updated_at = now()
+      WHERE id = p_series_id;
+  ELSE
+    UPDATE booking_series
+      SET end_date = LEAST(end_date, p_from_date - 1),
+          updated_at = now()
+      WHERE id = p_series_id;
+  END IF;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Series are managed by turf owners through the API only
+REVOKE EXECUTE ON FUNCTION book_series_occurrences(uuid, date) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION book_series_occurrences(uuid, date) TO service_role;
+REVOKE EXECUTE ON FUNCTION cancel_series_occurrences(uuid, date, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cancel_series_occurrences(uuid, date, text, text) TO service_role;
+REVOKE EXECUTE ON FUNCTION create_booking_series(jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_booking_series(jsonb) TO service_role;
+REVOKE EXECUTE ON FUNCTION update_booking_series(uuid, date, jsonb, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_booking_series(uuid, date, jsonb, text) TO service_role;
+REVOKE EXECUTE ON FUNCTION cancel_booking_series(uuid, date, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cancel_booking_series(uuid, date, text, text) TO service_role;
@@ -0,0 +1,57 @@
+-- Migration: Cancellation policy and refunds
+-- Per-turf refund rules; cancel_booking records what is owed back
+
+ALTER TABLE turfs ADD COLUMN IF NOT EXISTS cancellation_policy jsonb;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS refund_amount numeric;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS refund_status text;
+
+-- Replaces the four-argument version. Only the API calls it now: the app
+-- cancels through POST /api/bookings/cancel, which evaluates the turf's policy
+-- and passes the refund in.
+DROP FUNCTION IF EXISTS cancel_booking(uuid, uuid, text, text);
+
+CREATE OR REPLACE FUNCTION cancel_booking(
+  p_booking_id uuid,
+  p_slot_id uuid,
+  p_cancelled_by text,
+  p_cancel_reason text DEFAULT NULL,
+  p_refund_amount numeric DEFAULT NULL,
+  p_refund_status text DEFAULT NULL
+) RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  -- Cancelling twice would free a slot that may have been rebooked since
+  UPDATE bookings
+    SET booking_status = 'CANCELLED',
+        cancelled_at = now(),
+        cancelled_by = p_cancelled_by,
+        cancellation_reason = p_cancel_reason,
+        refund_amount = p_refund_amount,
+        refund_status = p_refund_status,
+        updated_at = now()
+    WHERE id = p_booking_id
+      AND slot_id = p_slot_id
+      AND booking_status = 'CONFIRMED';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking not found or already cancelled';
+  END IF;
+
+  UPDATE slots
+    SET status = 'AVAILABLE',
+        reserved_until = NULL,
+        reserved_by = NULL,
+        updated_at = now()
+    WHERE id = p_slot_id;
+
+  RETURN true;
+END;
+$$;
+
+-- Cancellations go through POST /bookings/cancel, which applies the policy
+REVOKE EXECUTE ON FUNCTION cancel_booking(uuid, uuid, text, text, numeric, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cancel_booking(uuid, uuid, text, text, numeric, text) TO service_role;
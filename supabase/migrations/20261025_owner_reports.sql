@@ -0,0 +1,108 @@
+-- Migration: Owner reports
+-- Aggregates revenue and occupancy per turf and net in the database
+
+CREATE OR REPLACE FUNCTION owner_report(
+  p_owner_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_turf_id uuid DEFAULT NULL
+) RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH owned AS (
+    SELECT id, turf_name FROM turfs
+      WHERE owner_id = p_owner_id
+        AND (p_turf_id IS NULL OR id = p_turf_id)
+  ),
+  slot_stats AS (
+    SELECT s.turf_id,
+           s.net_number,
+           count(*) AS generated_slots,
+           count(*) FILTER (WHERE s.status = 'BLOCKED') AS blocked_slots
+      FROM slots s
+      JOIN owned o ON o.id = s.turf_id
+      WHERE s.date BETWEEN p_start_date AND p_end_date
+      GROUP BY s.turf_id, s.net_number
+  ),
+  booking_rows AS (
+    SELECT b.turf_id,
+           b.net_number,
+           b.booking_status,
+           b.booking_source,
+           b.amount,
+           b.advance_amount,
+           COALESCE(b.refund_amount, 0) AS refund_amount,
+           COALESCE(s.price_type, 'UNKNOWN') AS price_type
+      FROM bookings b
+      JOIN owned o ON o.id = b.turf_id
+      LEFT JOIN slots s ON s.id = b.slot_id
+      WHERE b.booking_date BETWEEN p_start_date AND p_end_date
+  ),
+  booking_stats AS (
+    SELECT turf_id,
+           net_number,
+           count(*) FILTER (WHERE booking_status = 'CONFIRMED') AS confirmed_bookings,
+           COALESCE(sum(amount) FILTER (WHERE booking_status = 'CONFIRMED'), 0) AS gross_amount,
+           COALESCE(sum(advance_amount) FILTER (WHERE booking_status = 'CONFIRMED'), 0) AS advance_collected,
+           count(*) FILTER (WHERE booking_status = 'CANCELLED') AS cancelled_bookings,
+           COALESCE(sum(amount) FILTER (WHERE booking_status = 'CANCELLED'), 0) AS cancelled_amount,
+           COALESCE(sum(refund_amount) FILTER (WHERE booking_status = 'CANCELLED'), 0) AS refund_amount
+      FROM booking_rows
+      GROUP BY turf_id, net_number
+  ),
+  nets AS (
+    SELECT o.id AS turf_id,
+           o.turf_name,
+           x.net_number,
+           COALESCE(x.generated_slots, 0) AS generated_slots,
+           COALESCE(x.blocked_slots, 0) AS blocked_slots,
+           COALESCE(x.confirmed_bookings, 0) AS confirmed_bookings,
+           COALESCE(x.gross_amount, 0) AS gross_amount,
+           COALESCE(x.advance_collected, 0) AS advance_collected,
+           COALESCE(x.cancelled_bookings, 0) AS cancelled_bookings,
+           COALESCE(x.cancelled_amount, 0) AS cancelled_amount,
+           COALESCE(x.refund_amount, 0) AS refund_amount
+      FROM owned o
+      JOIN (
+        slot_stats FULL JOIN booking_stats USING (turf_id, net_number)
+      ) x ON x.turf_id = o.id
+  )
+  SELECT jsonb_build_object(
+    'nets', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(n) ORDER BY n.turf_name, n.net_number), '[]'::jsonb)
+        FROM nets n
+    ),
+    'by_price_type', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(p) ORDER BY p.price_type), '[]'::jsonb)
+        FROM (
+          SELECT price_type,
+                 count(*) AS confirmed_bookings,
+                 sum(amount) AS gross_amount,
+                 sum(advance_amount) AS advance_collected
+            FROM booking_rows
+            WHERE booking_status = 'CONFIRMED'
+            GROUP BY price_type
+        ) p
+    ),
+    'by_booking_source', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(s) ORDER BY s.booking_source), '[]'::jsonb)
+        FROM (
+          SELECT booking_source,
+                 count(*) AS confirmed_bookings,
+                 sum(amount) AS gross_amount,
+                 sum(advance_amount) AS advance_collected
+            FROM booking_rows
+            WHERE booking_status = 'CONFIRMED'
+            GROUP BY booking_source
+        ) s
+    )
+  );
+$$;
+
+-- Reports are read through GET /reports/owner, which checks the caller may
+-- see the owner's figures
+REVOKE EXECUTE ON FUNCTION owner_report(uuid, date, date, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION owner_report(uuid, date, date, uuid) TO service_role;
@@ -0,0 +1,148 @@
+-- Migration: Payment ledger
+-- Every collection or refund against a booking; advance_amount keeps the running total
+
+CREATE TABLE IF NOT EXISTS payments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id uuid NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  amount numeric NOT NULL CHECK (amount <> 0),
+  entry_type text NOT NULL,
+  mode text NOT NULL,
+  reference text,
+  note text,
+  collected_by uuid,
+  collected_by_role text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS payments_booking_idx ON payments (booking_id, created_at);
+
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "payments_select_own" ON payments;
+CREATE POLICY "payments_select_own" ON payments
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM bookings b
+        WHERE b.id = payments.booking_id
+          AND (b.owner_id = auth.uid() OR b.user_id = auth.uid())
+    )
+  );
+
+-- Positive p_amount collects money, negative p_amount refunds it. Anything
+-- collected beyond the booking amount is written back out as an OVERPAYMENT
+-- entry so the running total never exceeds the price.
+CREATE OR REPLACE FUNCTION record_booking_payment(
+  p_booking_id uuid,
+  p_amount numeric,
+  p_mode text,
+  p_reference text,
+  p_note text,
+  p_collected_by uuid,
+  p_collected_by_role text
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking bookings%rowtype;
+  v_payment_id uuid;
+  v_paid numeric;
+  v_overpaid numeric := 0;
+  v_refunded numeric;
+  v_payment_status text;
+  v_slot_status text;
+BEGIN
+  SELECT * INTO v_booking FROM bookings WHERE id = p_booking_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking not found';
+  END IF;
+
+  v_paid := COALESCE(v_booking.advance_amount, 0) + p_amount;
+
+  IF p_amount > 0 AND v_booking.booking_status <> 'CONFIRMED' THEN
+    RAISE EXCEPTION 'Booking is cancelled';
+  END IF;
+  IF v_paid < 0 THEN
+    RAISE EXCEPTION 'Refund exceeds amount paid';
+  END IF;
+
+  INSERT INTO payments (
+    booking_id, amount, entry_type, mode, reference, note, collected_by, collected_by_role
+  ) VALUES (
+    p_booking_id,
+    p_amount,
+    CASE WHEN p_amount > 0 THEN 'PAYMENT' ELSE 'REFUND' END,
+    p_mode,
+    p_reference,
+    p_note,
+    p_collected_by,
+    p_collected_by_role
+  ) RETURNING id INTO v_payment_id;
+
+  IF v_paid > v_booking.amount THEN
+    v_overpaid := v_paid - v_booking.amount;
+    v_paid := v_booking.amount;
+    INSERT INTO payments (
+      booking_id, amount, entry_type, mode, reference, note, collected_by, collected_by_role
+    ) VALUES (
+      p_booking_id,
+      -v_overpaid,
+      'OVERPAYMENT',
+      p_mode,
+      p_reference,
+      'Returned to customer',
+      p_collected_by,
+      p_collected_by_role
+    );
+  END IF;
+
+  v_payment_status := CASE
+    WHEN v_paid >= v_booking.amount THEN 'PAID'
+    WHEN v_booking.payment_status = 'PAID' THEN 'PAY_AT_TURF'
+    ELSE v_booking.payment_status
+  END;
+
+  -- Refunds settle what cancel_booking recorded as owed
+  SELECT COALESCE(-sum(amount), 0) INTO v_refunded
+    FROM payments
+    WHERE booking_id = p_booking_id AND entry_type = 'REFUND';
+
+  UPDATE bookings
+    SET advance_amount = v_paid,
+        payment_status = v_payment_status,
+        refund_status = CASE
+          WHEN refund_status = 'PENDING' AND v_refunded >= COALESCE(refund_amount, 0)
+            THEN 'REFUNDED'
+          ELSE refund_status
+        END,
+        updated_at = now()
+    WHERE id = p_booking_id;
+
+  -- Same rule as create_booking_atomic: only fully paid bookings are BOOKED
+  IF v_booking.booking_status = 'CONFIRMED' THEN
+    UPDATE slots
+      SET status = CASE WHEN v_paid >= v_booking.amount THEN 'BOOKED' ELSE 'RESERVED' END,
+          reserved_until = NULL,
+          reserved_by = NULL,
+          updated_at = now()
+      WHERE id = v_booking.slot_id AND status IN ('RESERVED', 'BOOKED')
+      RETURNING status INTO v_slot_status;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'payment_id', v_payment_id,
+    'booking_id', p_booking_id,
+    'paid_amount', v_paid,
+    'balance', v_booking.amount - v_paid,
+    'overpayment', v_overpaid,
+    'payment_status', v_payment_status,
+    'slot_status', v_slot_status
+  );
+END;
+$$;
+
+-- Payments are recorded through POST /bookings/:id/payments, which checks the
+-- caller manages the turf and validates the entry
+REVOKE EXECUTE ON FUNCTION record_booking_payment(uuid, numeric, text, text, text, uuid, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_booking_payment(uuid, numeric, text, text, text, uuid, text) TO service_role;
@@ -0,0 +1,273 @@
+-- Migration: Notification outbox
+-- Messages are queued by triggers in the same transaction as the booking or
+-- approval that caused them, then delivered by the notification dispatcher
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS preferred_language text NOT NULL DEFAULT 'en';
+ALTER TABLE players ADD COLUMN IF NOT EXISTS notification_channel text NOT NULL DEFAULT 'SMS';
+ALTER TABLE owners ADD COLUMN IF NOT EXISTS preferred_language text NOT NULL DEFAULT 'en';
+ALTER TABLE owners ADD COLUMN IF NOT EXISTS notification_channel text NOT NULL DEFAULT 'EMAIL';
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_type text NOT NULL,
+  channel text NOT NULL,
+  recipient text NOT NULL,
+  language text NOT NULL DEFAULT 'en',
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  dedupe_key text,
+  status text NOT NULL DEFAULT 'PENDING',
+  attempts int NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  locked_until timestamptz,
+  last_error text,
+  provider text,
+  provider_message_id text,
+  sent_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS notification_outbox_dedupe_idx
+  ON notification_outbox (dedupe_key);
+CREATE INDEX IF NOT EXISTS notification_outbox_pending_idx
+  ON notification_outbox (next_attempt_at) WHERE status = 'PENDING';
+
+ALTER TABLE notification_outbox ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION enqueue_notification(
+  p_event_type text,
+  p_channel text,
+  p_recipient text,
+  p_language text,
+  p_payload jsonb,
+  p_dedupe_key text DEFAULT NULL
+) RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_recipient IS NULL OR TRIM(p_recipient) = '' THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO notification_outbox (
+    event_type, channel, recipient, language, payload, dedupe_key
+  ) VALUES (
+    p_event_type,
+    p_channel,
+    p_recipient,
+    COALESCE(p_language, 'en'),
+    COALESCE(p_payload, '{}'::jsonb),
+    p_dedupe_key
+  )
+  ON CONFLICT (dedupe_key) DO NOTHING;
+END;
+$$;
+
+-- Sends to the player's preferred channel, or SMS to the walk-in customer
+CREATE OR REPLACE FUNCTION notify_booking(
+  p_booking bookings,
+  p_event_type text,
+  p_dedupe_key text
+) RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_player players%rowtype;
+  v_channel text := 'SMS';
+  v_language text := 'en';
+  v_recipient text := p_booking.customer_phone;
+BEGIN
+  IF p_booking.user_id IS NOT NULL THEN
+    SELECT * INTO v_player FROM players WHERE id = p_booking.user_id;
+    IF FOUND THEN
+      v_channel := v_player.notification_channel;
+      v_language := v_player.preferred_language;
+      v_recipient := CASE WHEN v_channel = 'EMAIL' THEN v_player.email ELSE v_player.phone END;
+    END IF;
+  END IF;
+
+  PERFORM enqueue_notification(
+    p_event_type,
+    v_channel,
+    v_recipient,
+    v_language,
+    jsonb_build_object(
+      'booking_id', p_booking.id,
+      'group_id', p_booking.group_id,
+      'series_id', p_booking.series_id,
+      'turf_id', p_booking.turf_id,
+      'turf_name', p_booking.turf_name,
+      'booking_date', p_booking.booking_date,
+      'start_time', p_booking.start_time,
+      'end_time', p_booking.end_time,
+      'net_number', p_booking.net_number,
+      'customer_name', p_booking.customer_name,
+      'amount', p_booking.amount,
+      'advance_amount', p_booking.advance_amount,
+      'refund_amount', p_booking.refund_amount,
+      'cancellation_reason', p_booking.cancellation_reason
+    ),
+    p_dedupe_key
+  );
+END;
+$$;
+
+-- Group and series bookings share one message per transaction
+CREATE OR REPLACE FUNCTION booking_notification_key(p_booking bookings, p_event text)
+RETURNS text
+LANGUAGE sql
+AS $$
+  SELECT CASE
+    WHEN p_booking.group_id IS NOT NULL OR p_booking.series_id IS NOT NULL THEN
+      p_event || ':' || COALESCE(p_booking.group_id, p_booking.series_id) || ':' || txid_current()
+    ELSE p_event || ':' || p_booking.id
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION bookings_notify() RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_awaiting_payment boolean :=
+    NEW.payment_mode = 'ONLINE' AND NEW.payment_status IN ('PENDING', 'FAILED');
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    -- Online bookings are announced once the gateway confirms payment
+    IF NEW.booking_status = 'CONFIRMED' AND NOT v_awaiting_payment THEN
+      PERFORM notify_booking(NEW, 'BOOKING_CREATED', booking_notification_key(NEW, 'booking_created'));
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.booking_status = 'CONFIRMED'
+     AND NEW.payment_mode = 'ONLINE'
+     AND OLD.payment_status IS DISTINCT FROM 'PAID'
+     AND NEW.payment_status = 'PAID' THEN
+    PERFORM notify_booking(NEW, 'BOOKING_CREATED', 'booking_created:' || NEW.id);
+  END IF;
+
+  IF OLD.booking_status = 'CONFIRMED'
+     AND NEW.booking_status = 'CANCELLED'
+     AND NOT v_awaiting_payment THEN
+    PERFORM notify_booking(NEW, 'BOOKING_CANCELLED', booking_notification_key(NEW, 'booking_cancelled'));
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_notify_trigger ON bookings;
+CREATE TRIGGER bookings_notify_trigger
+  AFTER INSERT OR UPDATE OF booking_status, payment_status ON bookings
+  FOR EACH ROW EXECUTE FUNCTION bookings_notify();
+
+CREATE OR REPLACE FUNCTION turfs_notify() RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner owners%rowtype;
+BEGIN
+  IF NEW.verification_status = 'APPROVED'
+     AND OLD.verification_status IS DISTINCT FROM 'APPROVED' THEN
+    SELECT * INTO v_owner FROM owners WHERE id = NEW.owner_id;
+    IF FOUND THEN
+      PERFORM enqueue_notification(
+        'TURF_APPROVED',
+        v_owner.notification_channel,
+        CASE WHEN v_owner.notification_channel = 'EMAIL' THEN v_owner.email ELSE v_owner.phone END,
+        v_owner.preferred_language,
+        jsonb_build_object(
+          'turf_id', NEW.id,
+          'turf_name', NEW.turf_name,
+          'owner_name', v_owner.name
+        ),
+        'turf_approved:' || NEW.id || ':' || txid_current()
+      );
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS turfs_notify_trigger ON turfs;
+CREATE TRIGGER turfs_notify_trigger
+  AFTER UPDATE OF verification_status ON turfs
+  FOR EACH ROW EXECUTE FUNCTION turfs_notify();
+
+-- Queues a reminder for confirmed bookings starting within p_lead_minutes.
+-- Slot times are local wall-clock times in p_time_zone.
+CREATE OR REPLACE FUNCTION enqueue_booking_reminders(
+  p_time_zone text,
+  p_lead_minutes int DEFAULT 60
+) RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking bookings%rowtype;
+  v_today date := (now() AT TIME ZONE p_time_zone)::date;
+  v_count int := 0;
+BEGIN
+  FOR v_booking IN
+    SELECT * FROM bookings
+      WHERE booking_status = 'CONFIRMED'
+        AND booking_date BETWEEN v_today AND v_today + 1
+        AND ((booking_date + start_time::time) AT TIME ZONE p_time_zone)
+            BETWEEN now() AND now() + make_interval(mins => p_lead_minutes)
+        AND NOT EXISTS (
+          SELECT 1 FROM notification_outbox
+            WHERE dedupe_key = 'booking_reminder:' || bookings.id
+        )
+  LOOP
+    PERFORM notify_booking(v_booking, 'BOOKING_REMINDER', 'booking_reminder:' || v_booking.id);
+    v_count := v_count + 1;
+  END LOOP;
+  RETURN v_count;
+END;
+$$;
+
+-- Leases due messages to one dispatcher run; a crashed run's lease expires
+CREATE OR REPLACE FUNCTION claim_notifications(
+  p_limit int DEFAULT 50,
+  p_lock_seconds int DEFAULT 120
+) RETURNS SETOF notification_outbox
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE notification_outbox o
+    SET attempts = o.attempts + 1,
+        locked_until = now() + make_interval(secs => p_lock_seconds)
+    WHERE o.id IN (
+      SELECT id FROM notification_outbox
+        WHERE status = 'PENDING'
+          AND next_attempt_at <= now()
+          AND (locked_until IS NULL OR locked_until < now())
+        ORDER BY next_attempt_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING o.*;
+END;
+$$;
+
+-- The outbox is filled by triggers and drained by the notifications job; no
+-- client calls these directly
+REVOKE EXECUTE ON FUNCTION enqueue_notification(text, text, text, text, jsonb, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION enqueue_notification(text, text, text, text, jsonb, text) TO service_role;
+REVOKE EXECUTE ON FUNCTION notify_booking(bookings, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION notify_booking(bookings, text, text) TO service_role;
+REVOKE EXECUTE ON FUNCTION enqueue_booking_reminders(text, int) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION enqueue_booking_reminders(text, int) TO service_role;
+REVOKE EXECUTE ON FUNCTION claim_notifications(int, int) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_notifications(int, int) TO service_role;
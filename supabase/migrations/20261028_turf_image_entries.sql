@@ -0,0 +1,87 @@
+-- Migration: Turf image entries
+-- Appends and removes entries in turfs.images under a row lock so parallel
+-- uploads cannot lose each other's entries or overshoot the image limit
+
+CREATE OR REPLACE FUNCTION append_turf_image(
+  p_turf_id uuid,
+  p_image jsonb,
+  p_max_images int
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_images jsonb;
+BEGIN
+  SELECT COALESCE(images, '[]'::jsonb) INTO v_images
+    FROM turfs WHERE id = p_turf_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Turf not found';
+  END IF;
+
+  IF jsonb_array_length(v_images) >= p_max_images THEN
+    RAISE EXCEPTION 'Image limit reached';
+  END IF;
+
+  -- The first image becomes the cover
+  IF jsonb_array_length(v_images) = 0 THEN
+    p_image := p_image || jsonb_build_object('isPrimary', true);
+  END IF;
+
+  v_images := v_images || jsonb_build_array(p_image);
+
+  UPDATE turfs SET images = v_images, updated_at = now() WHERE id = p_turf_id;
+  RETURN v_images;
+END;
+$$;
+
+-- Removes the entry whose path or url matches; returns the removed entry
+CREATE OR REPLACE FUNCTION remove_turf_image(
+  p_turf_id uuid,
+  p_path text,
+  p_url text
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_images jsonb;
+  v_removed jsonb;
+  v_remaining jsonb;
+BEGIN
+  SELECT COALESCE(images, '[]'::jsonb) INTO v_images
+    FROM turfs WHERE id = p_turf_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Turf not found';
+  END IF;
+
+  SELECT e INTO v_removed
+    FROM jsonb_array_elements(v_images) AS e
+    WHERE e->>'path' = p_path OR e->>'url' = p_url
+    LIMIT 1;
+  IF v_removed IS NULL THEN
+    RAISE EXCEPTION 'Image not found';
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(e), '[]'::jsonb) INTO v_remaining
+    FROM jsonb_array_elements(v_images) AS e
+    WHERE e <> v_removed;
+
+  -- Keep a cover image when the primary one is removed
+  IF (v_removed->>'isPrimary')::boolean IS TRUE AND jsonb_array_length(v_remaining) > 0 THEN
+    v_remaining := jsonb_set(v_remaining, '{0,isPrimary}', 'true'::jsonb);
+  END IF;
+
+  UPDATE turfs SET images = v_remaining, updated_at = now() WHERE id = p_turf_id;
+  RETURN v_removed;
+END;
+$$;
+
+-- Images are added and removed through the turf image routes, which check the
+-- caller manages the turf and upload the files
+REVOKE EXECUTE ON FUNCTION append_turf_image(uuid, jsonb, int) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION append_turf_image(uuid, jsonb, int) TO service_role;
+REVOKE EXECUTE ON FUNCTION remove_turf_image(uuid, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION remove_turf_image(uuid, text, text) TO service_role;
@@ -0,0 +1,66 @@
+-- Migration: Idempotency keys
+-- Stored responses for retried mutating API calls, scoped per caller
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  idempotency_key text NOT NULL,
+  caller_id uuid NOT NULL,
+  route text NOT NULL,
+  request_hash text NOT NULL,
+  status text NOT NULL DEFAULT 'IN_PROGRESS',
+  response_status int,
+  response_body jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idempotency_keys_caller_key_idx
+  ON idempotency_keys (caller_id, idempotency_key);
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx ON idempotency_keys (expires_at);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- Claims a key for a new request, or returns the row already holding it.
+-- `claimed` is true only for the caller that should run the handler.
+CREATE OR REPLACE FUNCTION begin_idempotent_request(
+  p_key text,
+  p_caller_id uuid,
+  p_route text,
+  p_request_hash text,
+  p_ttl_seconds int
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row idempotency_keys%rowtype;
+  v_claimed boolean;
+BEGIN
+  -- Expired keys are cleared a few at a time as new requests arrive
+  DELETE FROM idempotency_keys
+    WHERE id IN (
+      SELECT id FROM idempotency_keys WHERE expires_at < now() LIMIT 100
+    );
+
+  INSERT INTO idempotency_keys (
+    idempotency_key, caller_id, route, request_hash, expires_at
+  ) VALUES (
+    p_key,
+    p_caller_id,
+    p_route,
+    p_request_hash,
+    now() + make_interval(secs => p_ttl_seconds)
+  )
+  ON CONFLICT (caller_id, idempotency_key) DO NOTHING
+  RETURNING * INTO v_row;
+
+  v_claimed := FOUND;
+  IF NOT v_claimed THEN
+    SELECT * INTO v_row FROM idempotency_keys
+      WHERE caller_id = p_caller_id AND idempotency_key = p_key;
+  END IF;
+
+  RETURN to_jsonb(v_row) || jsonb_build_object('claimed', v_claimed);
+END;
+$$;
@@ -0,0 +1,49 @@
+-- Migration: Rate limits
+-- Fixed-window counters shared by the serverless functions
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key text PRIMARY KEY,
+  count int NOT NULL DEFAULT 0,
+  reset_at timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limits_reset_at_idx ON rate_limits (reset_at);
+
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- Counts one hit against `p_key`, starting a new window once the last one ends
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key text, p_window_seconds int)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row rate_limits%rowtype;
+BEGIN
+  DELETE FROM rate_limits
+    WHERE key IN (
+      SELECT key FROM rate_limits WHERE reset_at < now() LIMIT 100
+    );
+
+  INSERT INTO rate_limits (key, count, reset_at)
+  VALUES (p_key, 1, now() + make_interval(secs => p_window_seconds))
+  ON CONFLICT (key) DO UPDATE SET
+    count = CASE
+      WHEN rate_limits.reset_at <= now() THEN 1
+      ELSE rate_limits.count + 1
+    END,
+    reset_at = CASE
+      WHEN rate_limits.reset_at <= now()
+        THEN now() + make_interval(secs => p_window_seconds)
+      ELSE rate_limits.reset_at
+    END
+  RETURNING * INTO v_row;
+
+  RETURN jsonb_build_object('count', v_row.count, 'reset_at', v_row.reset_at);
+END;
+$$;
+
+-- Counted by the API router only
+REVOKE EXECUTE ON FUNCTION rate_limit_hit(text, int) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION rate_limit_hit(text, int) TO service_role;
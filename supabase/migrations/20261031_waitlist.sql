@@ -0,0 +1,260 @@
+-- Migration: Slot waitlist
+-- Players queue for a slot or a time window; freed slots are held for the
+-- first matching player through reserve_slot
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  turf_id uuid NOT NULL REFERENCES turfs(id) ON DELETE CASCADE,
+  player_id uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  slot_id uuid REFERENCES slots(id) ON DELETE CASCADE,
+  date date NOT NULL,
+  start_time text NOT NULL,
+  end_time text NOT NULL,
+  net_number int,
+  hold_minutes int NOT NULL DEFAULT 15,
+  status text NOT NULL DEFAULT 'WAITING',
+  offered_slot_id uuid REFERENCES slots(id) ON DELETE SET NULL,
+  offered_at timestamptz,
+  offer_expires_at timestamptz,
+  booking_id uuid REFERENCES bookings(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS waitlist_entries_queue_idx
+  ON waitlist_entries (turf_id, date, created_at)
+  WHERE status = 'WAITING';
+CREATE INDEX IF NOT EXISTS waitlist_entries_player_idx
+  ON waitlist_entries (player_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS waitlist_entries_offer_idx
+  ON waitlist_entries (offered_slot_id)
+  WHERE status = 'OFFERED';
+
+-- One place in line per player for the same slot or window
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_entries_unique_wait
+  ON waitlist_entries (
+    player_id, turf_id, date, start_time, end_time, COALESCE(net_number, 0)
+  )
+  WHERE status IN ('WAITING', 'OFFERED');
+
+ALTER TABLE waitlist_entries ENABLE ROW LEVEL SECURITY;
+
+-- Holds an AVAILABLE slot for the longest-waiting matching player.
+-- Returns the offered entry id, or NULL when nobody is waiting.
+CREATE OR REPLACE FUNCTION offer_waitlisted_slot(p_slot_id uuid)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_slot slots%rowtype;
+  v_entry waitlist_entries%rowtype;
+  v_player players%rowtype;
+  v_turf_name text;
+BEGIN
+  SELECT * INTO v_slot FROM slots WHERE id = p_slot_id;
+  IF NOT FOUND OR v_slot.status <> 'AVAILABLE' OR v_slot.date < current_date THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_entry FROM waitlist_entries w
+   WHERE w.status = 'WAITING'
+     AND w.turf_id = v_slot.turf_id
+     AND w.date = v_slot.date
+     AND (
+       w.slot_id = v_slot.id
+       OR (
+         w.slot_id IS NULL
+         AND v_slot.start_time >= w.start_time
+         AND v_slot.end_time <= w.end_time
+         AND (w.net_number IS NULL OR w.net_number = v_slot.net_number)
+       )
+     )
+   ORDER BY w.created_at, w.id
+   LIMIT 1
+   FOR UPDATE SKIP LOCKED;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF NOT reserve_slot(v_slot.id, v_entry.player_id, v_entry.hold_minutes) THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE waitlist_entries
+    SET status = 'OFFERED',
+        offered_slot_id = v_slot.id,
+        offered_at = now(),
+        offer_expires_at = now() + make_interval(mins => v_entry.hold_minutes),
+        updated_at = now()
+    WHERE id = v_entry.id;
+
+  SELECT * INTO v_player FROM players WHERE id = v_entry.player_id;
+  SELECT turf_name INTO v_turf_name FROM turfs WHERE id = v_slot.turf_id;
+
+  PERFORM enqueue_notification(
+    'WAITLIST_OFFER',
+    v_player.notification_channel,
+    CASE WHEN v_player.notification_channel = 'EMAIL' THEN v_player.email ELSE v_player.phone END,
+    v_player.preferred_language,
+    jsonb_build_object(
+      'waitlist_entry_id', v_entry.id,
+      'slot_id', v_slot.id,
+      'turf_id', v_slot.turf_id,
+      'turf_name', v_turf_name,
+      'player_name', v_player.name,
+      'date', v_slot.date,
+      'start_time', v_slot.start_time,
+      'end_time', v_slot.end_time,
+      'net_number', v_slot.net_number,
+      'hold_minutes', v_entry.hold_minutes
+    ),
+    'waitlist_offer:' || v_entry.id || ':' || v_slot.id
+  );
+
+  RETURN v_entry.id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION slots_waitlist() RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  -- An offer lapses once its hold is released or taken over by someone else.
+  -- create_booking_atomic clears reserved_by when the offer is booked, so a
+  -- RESERVED slot without a holder is left alone here.
+  IF OLD.status = 'RESERVED'
+     AND OLD.reserved_by IS NOT NULL
+     AND (
+       NEW.status = 'AVAILABLE'
+       OR (NEW.status = 'RESERVED' AND NEW.reserved_by IS DISTINCT FROM OLD.reserved_by
+           AND NEW.reserved_by IS NOT NULL)
+     ) THEN
+    UPDATE waitlist_entries
+      SET status = 'EXPIRED',
+          updated_at = now()
+      WHERE offered_slot_id = NEW.id
+        AND status = 'OFFERED'
+        AND player_id = OLD.reserved_by;
+  END IF;
+
+  IF NEW.status = 'AVAILABLE' AND OLD.status <> 'AVAILABLE' THEN
+    PERFORM offer_waitlisted_slot(NEW.id);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS slots_waitlist ON slots;
+CREATE TRIGGER slots_waitlist
+  AFTER UPDATE OF status ON slots
+  FOR EACH ROW
+  EXECUTE FUNCTION slots_waitlist();
+
+-- Booking the offered slot, or grabbing a waited-for slot directly, closes
+-- the player's entry
+CREATE OR REPLACE FUNCTION bookings_waitlist() RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.user_id IS NULL OR NEW.booking_status <> 'CONFIRMED' THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE waitlist_entries
+    SET status = 'FULFILLED',
+        booking_id = NEW.id,
+        updated_at = now()
+    WHERE player_id = NEW.user_id
+      AND (
+        (status = 'OFFERED' AND offered_slot_id = NEW.slot_id)
+        OR (status = 'WAITING' AND slot_id = NEW.slot_id)
+      );
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_waitlist ON bookings;
+CREATE TRIGGER bookings_waitlist
+  AFTER INSERT ON bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION bookings_waitlist();
+
+-- Leaving the line gives up any hold, which passes it to the next player
+CREATE OR REPLACE FUNCTION leave_waitlist(p_entry_id uuid, p_player_id uuid)
+RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry waitlist_entries%rowtype;
+BEGIN
+  SELECT * INTO v_entry FROM waitlist_entries
+   WHERE id = p_entry_id AND player_id = p_player_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Waitlist entry not found';
+  END IF;
+
+  IF v_entry.status NOT IN ('WAITING', 'OFFERED') THEN
+    RAISE EXCEPTION 'Waitlist entry is already closed';
+  END IF;
+
+  UPDATE waitlist_entries
+    SET status = 'CANCELLED',
+        updated_at = now()
+    WHERE id = p_entry_id;
+
+  IF v_entry.status = 'OFFERED' THEN
+    UPDATE slots
+      SET status = 'AVAILABLE',
+          reserved_until = NULL,
+          reserved_by = NULL,
+          updated_at = now()
+      WHERE id = v_entry.offered_slot_id
+        AND status = 'RESERVED'
+        AND reserved_by = p_player_id;
+  END IF;
+
+  RETURN v_entry.status;
+END;
+$$;
+
+-- Entries for days that have passed can no longer be offered anything
+CREATE OR REPLACE FUNCTION expire_past_waitlist_entries(p_today date)
+RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count int;
+BEGIN
+  UPDATE waitlist_entries
+    SET status = 'EXPIRED',
+        updated_at = now()
+    WHERE status = 'WAITING'
+      AND date < p_today;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- Waitlist offers come from the slot triggers and the waitlist job; players
+-- leave through POST /waitlist/:id/cancel, which checks the entry is theirs
+REVOKE EXECUTE ON FUNCTION offer_waitlisted_slot(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION offer_waitlisted_slot(uuid) TO service_role;
+REVOKE EXECUTE ON FUNCTION leave_waitlist(uuid, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION leave_waitlist(uuid, uuid) TO service_role;
+REVOKE EXECUTE ON FUNCTION expire_past_waitlist_entries(date) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION expire_past_waitlist_entries(date) TO service_role;
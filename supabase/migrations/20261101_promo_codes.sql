@@ -0,0 +1,281 @@
+-- Migration: Promo codes
+-- Owner-scoped discount codes; create_booking_atomic records the redemption
+-- and counts it against the code's caps under a row lock
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id uuid NOT NULL REFERENCES owners(id) ON DELETE CASCADE,
+  code text NOT NULL,
+  description text,
+  discount_type text NOT NULL,
+  discount_value numeric NOT NULL,
+  max_discount numeric,
+  min_amount numeric,
+  valid_from date,
+  valid_until date,
+  turf_ids uuid[],
+  day_types text[],
+  time_slots text[],
+  first_booking_only boolean NOT NULL DEFAULT false,
+  max_redemptions int,
+  per_player_limit int,
+  redemption_count int NOT NULL DEFAULT 0,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz,
+  CONSTRAINT promo_codes_discount_type_check CHECK (discount_type IN ('PERCENT', 'FLAT')),
+  CONSTRAINT promo_codes_discount_value_check CHECK (
+    discount_value > 0 AND (discount_type <> 'PERCENT' OR discount_value <= 100)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS promo_codes_owner_code_idx
+  ON promo_codes (owner_id, code);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_code_id uuid NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  booking_id uuid NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  player_id uuid,
+  discount_amount numeric NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS promo_redemptions_booking_idx
+  ON promo_redemptions (booking_id);
+CREATE INDEX IF NOT EXISTS promo_redemptions_player_idx
+  ON promo_redemptions (promo_code_id, player_id);
+
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS promo_code_id uuid REFERENCES promo_codes(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS promo_code text;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS original_amount numeric;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS discount_amount numeric NOT NULL DEFAULT 0;
+
+-- Same booking rules as before, plus the promo redemption. The code row is
+-- locked so concurrent bookings cannot push it past its caps.
+CREATE OR REPLACE FUNCTION create_booking_atomic(
+  p_slot_id uuid,
+  p_booking_data jsonb
+) RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  slot_record slots%rowtype;
+  booking_id uuid;
+  v_slot_status text;
+  v_advance_amount numeric;
+  v_total_amount numeric;
+  v_promo promo_codes%rowtype;
+  v_promo_id uuid := NULLIF(p_booking_data->>'promo_code_id', '')::uuid;
+  v_user_id uuid := NULLIF(p_booking_data->>'user_id', '')::uuid;
+  v_player_uses int;
+BEGIN
+  SELECT * INTO slot_record FROM slots WHERE id = p_slot_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Slot not found';
+  END IF;
+
+  IF slot_record.status NOT IN ('AVAILABLE', 'RESERVED') THEN
+    RAISE EXCEPTION 'Slot not available';
+  END IF;
+
+  IF v_promo_id IS NOT NULL THEN
+    SELECT * INTO v_promo FROM promo_codes WHERE id = v_promo_id FOR UPDATE;
+    IF NOT FOUND OR NOT v_promo.is_active THEN
+      RAISE EXCEPTION 'Promo code is not active';
+    END IF;
+
+    IF v_promo.max_redemptions IS NOT NULL
+       AND v_promo.redemption_count >= v_promo.max_redemptions THEN
+      RAISE EXCEPTION 'Promo code usage limit reached';
+    END IF;
+
+    IF v_promo.per_player_limit IS NOT NULL AND v_user_id IS NOT NULL THEN
+      SELECT count(*) INTO v_player_uses FROM promo_redemptions
+        WHERE promo_code_id = v_promo.id AND player_id = v_user_id;
+      IF v_player_uses >= v_promo.per_player_limit THEN
+        RAISE EXCEPTION 'Promo code per-player limit reached';
+      END IF;
+    END IF;
+  END IF;
+
+  v_advance_amount := COALESCE((p_booking_data->>'advance_amount')::numeric, 0);
+  v_total_amount := COALESCE((p_booking_data->>'amount')::numeric, 0);
+
+  -- Fully paid bookings are BOOKED; partial or unpaid ones hold the slot as
+  -- RESERVED. A fully discounted booking has nothing left to pay.
+  IF v_advance_amount >= v_total_amount AND (v_total_amount > 0 OR v_promo_id IS NOT NULL) THEN
+    v_slot_status := 'BOOKED';
+  ELSE
+    v_slot_status := 'RESERVED';
+  END IF;
+
+  UPDATE slots
+    SET status = v_slot_status,
+        reserved_until = NULL,
+        reserved_by = NULL,
+        updated_at = now()
+    WHERE id = p_slot_id;
+
+  INSERT INTO bookings (
+    owner_id, turf_id, slot_id, booking_date, start_time, end_time,
+    turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+    payment_mode, payment_status, amount, advance_amount, transaction_id, booking_status,
+    promo_code_id, promo_code, original_amount, discount_amount, created_at
+  ) VALUES (
+    (SELECT owner_id FROM turfs WHERE id = (p_booking_data->>'turf_id')::uuid),
+    (p_booking_data->>'turf_id')::uuid,
+    p_slot_id,
+    (p_booking_data->>'booking_date')::date,
+    p_booking_data->>'start_time',
+    p_booking_data->>'end_time',
+    p_booking_data->>'turf_name',
+    COALESCE((p_booking_data->>'net_number')::int, 1),
+    v_user_id,
+    p_booking_data->>'customer_name',
+    p_booking_data->>'customer_phone',
+    p_booking_data->>'booking_source',
+    p_booking_data->>'payment_mode',
+    p_booking_data->>'payment_status',
+    (p_booking_data->>'amount')::numeric,
+    COALESCE((p_booking_data->>'advance_amount')::numeric, 0),
+    p_booking_data->>'transaction_id',
+    COALESCE(p_booking_data->>'booking_status', 'CONFIRMED'),
+    v_promo_id,
+    CASE WHEN v_promo_id IS NOT NULL THEN v_promo.code END,
+    COALESCE((p_booking_data->>'original_amount')::numeric, (p_booking_data->>'amount')::numeric),
+    COALESCE((p_booking_data->>'discount_amount')::numeric, 0),
+    now()
+  ) RETURNING id INTO booking_id;
+
+  IF v_promo_id IS NOT NULL THEN
+    INSERT INTO promo_redemptions (promo_code_id, booking_id, player_id, discount_amount)
+    VALUES (
+      v_promo.id,
+      booking_id,
+      v_user_id,
+      COALESCE((p_booking_data->>'discount_amount')::numeric, 0)
+    );
+
+    UPDATE promo_codes
+      SET redemption_count = redemption_count + 1,
+          updated_at = now()
+      WHERE id = v_promo.id;
+  END IF;
+
+  RETURN booking_id;
+END;
+$$;
+
+-- Report totals keep the amount actually charged in gross_amount and show
+-- promo discounts alongside it
+CREATE OR REPLACE FUNCTION owner_report(
+  p_owner_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_turf_id uuid DEFAULT NULL
+) RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH owned AS (
+    SELECT id, turf_name FROM turfs
+      WHERE owner_id = p_owner_id
+        AND (p_turf_id IS NULL OR id = p_turf_id)
+  ),
+  slot_stats AS (
+    SELECT s.turf_id,
+           s.net_number,
+           count(*) AS generated_slots,
+           count(*) FILTER (WHERE s.status = 'BLOCKED') AS blocked_slots
+      FROM slots s
+      JOIN owned o ON o.id = s.turf_id
+      WHERE s.date BETWEEN p_start_date AND p_end_date
+      GROUP BY s.turf_id, s.net_number
+  ),
+  booking_rows AS (
+    SELECT b.turf_id,
+           b.net_number,
+           b.booking_status,
+           b.booking_source,
+           b.amount,
+           b.advance_amount,
+           COALESCE(b.refund_amount, 0) AS refund_amount,
+           COALESCE(b.discount_amount, 0) AS discount_amount,
+           COALESCE(s.price_type, 'UNKNOWN') AS price_type
+      FROM bookings b
+      JOIN owned o ON o.id = b.turf_id
+      LEFT JOIN slots s ON s.id = b.slot_id
+      WHERE b.booking_date BETWEEN p_start_date AND p_end_date
+  ),
+  booking_stats AS (
+    SELECT turf_id,
+           net_number,
+           count(*) FILTER (WHERE booking_status = 'CONFIRMED') AS confirmed_bookings,
+           COALESCE(sum(amount) FILTER (WHERE booking_status = 'CONFIRMED'), 0) AS gross_amount,
+           COALESCE(sum(advance_amount) FILTER (WHERE booking_status = 'CONFIRMED'), 0) AS advance_collected,
+           COALESCE(sum(discount_amount) FILTER (WHERE booking_status = 'CONFIRMED'), 0) AS discount_amount,
+           count(*) FILTER (WHERE booking_status = 'CANCELLED') AS cancelled_bookings,
+           COALESCE(sum(amount) FILTER (WHERE booking_status = 'CANCELLED'), 0) AS cancelled_amount,
+           COALESCE(sum(refund_amount) FILTER (WHERE booking_status = 'CANCELLED'), 0) AS refund_amount
+      FROM booking_rows
+      GROUP BY turf_id, net_number
+  ),
+  nets AS (
+    SELECT o.id AS turf_id,
+           o.turf_name,
+           x.net_number,
+           COALESCE(x.generated_slots, 0) AS generated_slots,
+           COALESCE(x.blocked_slots, 0) AS blocked_slots,
+           COALESCE(x.confirmed_bookings, 0) AS confirmed_bookings,
+           COALESCE(x.gross_amount, 0) AS gross_amount,
+           COALESCE(x.advance_collected, 0) AS advance_collected,
+           COALESCE(x.discount_amount, 0) AS discount_amount,
+           COALESCE(x.cancelled_bookings, 0) AS cancelled_bookings,
+           COALESCE(x.cancelled_amount, 0) AS cancelled_amount,
+           COALESCE(x.refund_amount, 0) AS refund_amount
+      FROM owned o
+      JOIN (
+        slot_stats FULL JOIN booking_stats USING (turf_id, net_number)
+      ) x ON x.turf_id = o.id
+  )
+  SELECT jsonb_build_object(
+    'nets', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(n) ORDER BY n.turf_name, n.net_number), '[]'::jsonb)
+        FROM nets n
+    ),
+    'by_price_type', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(p) ORDER BY p.price_type), '[]'::jsonb)
+        FROM (
+          SELECT price_type,
+                 count(*) AS confirmed_bookings,
+                 sum(amount) AS gross_amount,
+                 sum(advance_amount) AS advance_collected,
+                 sum(discount_amount) AS discount_amount
+            FROM booking_rows
+            WHERE booking_status = 'CONFIRMED'
+            GROUP BY price_type
+        ) p
+    ),
+    'by_booking_source', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(s) ORDER BY s.booking_source), '[]'::jsonb)
+        FROM (
+          SELECT booking_source,
+                 count(*) AS confirmed_bookings,
+                 sum(amount) AS gross_amount,
+                 sum(advance_amount) AS advance_collected,
+                 sum(discount_amount) AS discount_amount
+            FROM booking_rows
+            WHERE booking_status = 'CONFIRMED'
+            GROUP BY booking_source
+        ) s
+    )
+  );
+$$;
@@ -0,0 +1,28 @@
+-- Migration: Calendar feeds
+-- Tokenised read-only iCalendar feeds per turf (or net) and per player.
+-- Only a hash of each token is stored; rotating replaces it.
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_hash text NOT NULL UNIQUE,
+  scope text NOT NULL,
+  turf_id uuid REFERENCES turfs(id) ON DELETE CASCADE,
+  net_number int,
+  player_id uuid REFERENCES players(id) ON DELETE CASCADE,
+  created_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_accessed_at timestamptz,
+  CONSTRAINT calendar_feeds_scope_check CHECK (
+    (scope = 'TURF' AND turf_id IS NOT NULL AND player_id IS NULL)
+    OR (scope = 'PLAYER' AND player_id IS NOT NULL AND turf_id IS NULL)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS calendar_feeds_turf_idx
+  ON calendar_feeds (turf_id, COALESCE(net_number, 0))
+  WHERE scope = 'TURF';
+CREATE UNIQUE INDEX IF NOT EXISTS calendar_feeds_player_idx
+  ON calendar_feeds (player_id)
+  WHERE scope = 'PLAYER';
+
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,22 @@
+-- Migration: Realtime for the slot stream
+-- The Express slot stream listens for slot and booking changes through
+-- Supabase Realtime; it falls back to polling if these are not published.
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'slots'
+    ) THEN
+      ALTER PUBLICATION supabase_realtime ADD TABLE slots;
+    END IF;
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'bookings'
+    ) THEN
+      ALTER PUBLICATION supabase_realtime ADD TABLE bookings;
+    END IF;
+  END IF;
+END;
+$$;
@@ -0,0 +1,153 @@
+-- Migration: Player accounts
+-- Favourite turf edits for the player API, and account deletion that keeps
+-- owners' booking history but strips the player's personal details from it
+
+-- Adds a turf to the player's favourites; returns the updated list
+CREATE OR REPLACE FUNCTION add_favorite_turf(
+  p_player_id uuid,
+  p_turf_id uuid,
+  p_max_favorites int
+) RETURNS text[]
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_favorites text[];
+BEGIN
+  SELECT favorite_turfs INTO v_favorites
+    FROM players WHERE id = p_player_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+
+  v_favorites := COALESCE(v_favorites, ARRAY[]::text[]);
+  IF p_turf_id::text = ANY(v_favorites) THEN
+    RETURN v_favorites;
+  END IF;
+
+  IF cardinality(v_favorites) >= p_max_favorites THEN
+    RAISE EXCEPTION 'Favourite limit reached';
+  END IF;
+
+  v_favorites := array_append(v_favorites, p_turf_id::text);
+  UPDATE players
+    SET favorite_turfs = v_favorites,
+        updated_at = now()
+    WHERE id = p_player_id;
+  RETURN v_favorites;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION remove_favorite_turf(
+  p_player_id uuid,
+  p_turf_id uuid
+) RETURNS text[]
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_favorites text[];
+BEGIN
+  UPDATE players
+    SET favorite_turfs = array_remove(COALESCE(favorite_turfs, ARRAY[]::text[]), p_turf_id::text),
+        updated_at = now()
+    WHERE id = p_player_id
+    RETURNING favorite_turfs INTO v_favorites;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+  RETURN v_favorites;
+END;
+$$;
+
+-- Removes a player profile. Bookings, groups and series stay with the turf
+-- owner, anonymised; holds, waitlist places and queued messages are dropped.
+-- Refused while the player still has confirmed bookings from p_today on.
+CREATE OR REPLACE FUNCTION delete_player_account(
+  p_player_id uuid,
+  p_today date
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_player players%rowtype;
+  v_bookings int;
+  v_series int;
+  v_notifications int;
+BEGIN
+  SELECT * INTO v_player FROM players WHERE id = p_player_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE user_id = p_player_id
+       AND booking_status = 'CONFIRMED'
+       AND booking_date >= p_today
+  ) THEN
+    RAISE EXCEPTION 'Player has upcoming bookings';
+  END IF;
+
+  -- Close waitlist places first so released holds are not offered back
+  UPDATE waitlist_entries
+    SET status = 'CANCELLED',
+        updated_at = now()
+    WHERE player_id = p_player_id
+      AND status IN ('WAITING', 'OFFERED');
+
+  UPDATE slots
+    SET status = 'AVAILABLE',
+        reserved_until = NULL,
+        reserved_by = NULL,
+        updated_at = now()
+    WHERE reserved_by = p_player_id
+      AND status = 'RESERVED';
+
+  UPDATE bookings
+    SET user_id = NULL,
+        customer_name = 'Deleted player',
+        customer_phone = 'REDACTED',
+        updated_at = now()
+    WHERE user_id = p_player_id;
+  GET DIAGNOSTICS v_bookings = ROW_COUNT;
+
+  UPDATE booking_series
+    SET user_id = NULL,
+        customer_name = 'Deleted player',
+        customer_phone = 'REDACTED',
+        updated_at = now()
+    WHERE user_id = p_player_id;
+  GET DIAGNOSTICS v_series = ROW_COUNT;
+
+  UPDATE booking_groups SET user_id = NULL WHERE user_id = p_player_id;
+  UPDATE promo_redemptions SET player_id = NULL WHERE player_id = p_player_id;
+
+  DELETE FROM notification_outbox
+    WHERE status = 'PENDING'
+      AND recipient IN (v_player.phone, v_player.email);
+  GET DIAGNOSTICS v_notifications = ROW_COUNT;
+
+  -- Calendar feeds and waitlist entries cascade with the profile
+  DELETE FROM players WHERE id = p_player_id;
+
+  RETURN jsonb_build_object(
+    'anonymised_bookings', v_bookings,
+    'anonymised_series', v_series,
+    'dropped_notifications', v_notifications
+  );
+END;
+$$;
+
+-- Favourites and account deletion go through the /players/me routes, which act
+-- for the signed-in player only
+REVOKE EXECUTE ON FUNCTION add_favorite_turf(uuid, uuid, int) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION add_favorite_turf(uuid, uuid, int) TO service_role;
+REVOKE EXECUTE ON FUNCTION remove_favorite_turf(uuid, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION remove_favorite_turf(uuid, uuid) TO service_role;
+REVOKE EXECUTE ON FUNCTION delete_player_account(uuid, date) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION delete_player_account(uuid, date) TO service_role;
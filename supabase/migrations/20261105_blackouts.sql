@@ -0,0 +1,365 @@
+-- Migration: Blackouts
+-- Blocks every slot of a turf (or some of its nets) across a date range and
+-- optional time window in one transaction, and lifts them again as a unit.
+-- Slots a blackout blocked point back at it through slots.blackout_id.
+
+CREATE TABLE IF NOT EXISTS blackouts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id uuid NOT NULL REFERENCES owners(id) ON DELETE CASCADE,
+  turf_id uuid NOT NULL REFERENCES turfs(id) ON DELETE CASCADE,
+  net_numbers int[],
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  start_time text,
+  end_time text,
+  reason text NOT NULL,
+  status text NOT NULL DEFAULT 'ACTIVE',
+  created_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  lifted_at timestamptz,
+  lifted_by uuid,
+  CONSTRAINT blackouts_dates_check CHECK (end_date >= start_date),
+  CONSTRAINT blackouts_window_check CHECK ((start_time IS NULL) = (end_time IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS blackouts_turf_idx
+  ON blackouts (turf_id, status, start_date);
+
+ALTER TABLE blackouts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "blackouts_select_own" ON blackouts;
+CREATE POLICY "blackouts_select_own" ON blackouts
+  FOR SELECT USING (auth.uid() = owner_id);
+
+ALTER TABLE slots
+  ADD COLUMN IF NOT EXISTS blackout_id uuid REFERENCES blackouts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS slots_blackout_idx ON slots (blackout_id) WHERE blackout_id IS NOT NULL;
+
+-- A slot is covered when it overlaps the window on a listed net. Times are
+-- HH:MM text, and an end of 00:00 means midnight.
+CREATE OR REPLACE FUNCTION blackout_covers(p_blackout blackouts, p_slot slots)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT p_slot.turf_id = p_blackout.turf_id
+     AND p_slot.date BETWEEN p_blackout.start_date AND p_blackout.end_date
+     AND (p_blackout.net_numbers IS NULL OR p_slot.net_number = ANY(p_blackout.net_numbers))
+     AND (
+       p_blackout.start_time IS NULL
+       OR (
+         p_slot.start_time < CASE WHEN p_blackout.end_time = '00:00' THEN '24:00' ELSE p_blackout.end_time END
+         AND CASE WHEN p_slot.end_time = '00:00' THEN '24:00' ELSE p_slot.end_time END > p_blackout.start_time
+       )
+     );
+$$;
+
+-- p_on_conflict decides what happens to confirmed bookings on covered slots:
+--   REPORT  nothing is written if any booking is left unresolved
+--   SKIP    those slots keep their bookings and are reported back
+--   CANCEL  the bookings are cancelled with a full refund of what was paid
+-- p_moves ([{booking_id, slot_id}]) first moves chosen bookings to free
+-- slots of the same turf outside the blackout. Slots already blocked by hand
+-- (or by another blackout) are left as they are.
+CREATE OR REPLACE FUNCTION create_blackout(
+  p_blackout jsonb,
+  p_on_conflict text DEFAULT 'REPORT',
+  p_moves jsonb DEFAULT '[]'::jsonb
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_blackout blackouts%rowtype;
+  v_turf turfs%rowtype;
+  v_slot slots%rowtype;
+  v_target slots%rowtype;
+  v_booking bookings%rowtype;
+  v_move jsonb;
+  v_move_ids uuid[];
+  v_conflicts jsonb := '[]'::jsonb;
+  v_moved jsonb := '[]'::jsonb;
+  v_cancelled jsonb := '[]'::jsonb;
+  v_skipped jsonb := '[]'::jsonb;
+  v_unresolved int := 0;
+  v_blocked int := 0;
+  v_already int := 0;
+  v_refund numeric;
+BEGIN
+  v_blackout.turf_id := (p_blackout->>'turf_id')::uuid;
+  v_blackout.start_date := (p_blackout->>'start_date')::date;
+  v_blackout.end_date := (p_blackout->>'end_date')::date;
+  v_blackout.start_time := nullif(p_blackout->>'start_time', '');
+  v_blackout.end_time := nullif(p_blackout->>'end_time', '');
+  v_blackout.reason := p_blackout->>'reason';
+  v_blackout.created_by := nullif(p_blackout->>'created_by', '')::uuid;
+  IF jsonb_typeof(p_blackout->'net_numbers') = 'array' THEN
+    v_blackout.net_numbers := ARRAY(
+      SELECT jsonb_array_elements_text(p_blackout->'net_numbers')::int
+    );
+  END IF;
+
+  SELECT * INTO v_turf FROM turfs WHERE id = v_blackout.turf_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Turf not found';
+  END IF;
+  v_blackout.owner_id := v_turf.owner_id;
+
+  v_move_ids := ARRAY(
+    SELECT (m->>'booking_id')::uuid FROM jsonb_array_elements(p_moves) AS m
+  );
+
+  -- Lock in id order so overlapping blackouts cannot deadlock
+  FOR v_slot IN
+    SELECT * FROM slots
+     WHERE turf_id = v_blackout.turf_id
+       AND date BETWEEN v_blackout.start_date AND v_blackout.end_date
+     ORDER BY id
+     FOR UPDATE
+  LOOP
+    CONTINUE WHEN NOT blackout_covers(v_blackout, v_slot);
+
+    SELECT * INTO v_booking FROM bookings
+     WHERE slot_id = v_slot.id AND booking_status = 'CONFIRMED';
+    CONTINUE WHEN NOT FOUND;
+
+    v_conflicts := v_conflicts || jsonb_build_object(
+      'booking_id', v_booking.id,
+      'slot_id', v_slot.id,
+      'date', v_booking.booking_date,
+      'start_time', v_booking.start_time,
+      'end_time', v_booking.end_time,
+      'net_number', v_booking.net_number,
+      'user_id', v_booking.user_id,
+      'customer_name', v_booking.customer_name,
+      'customer_phone', v_booking.customer_phone,
+      'amount', v_booking.amount,
+      'advance_amount', v_booking.advance_amount
+    );
+    IF NOT v_booking.id = ANY(v_move_ids) THEN
+      v_unresolved := v_unresolved + 1;
+    END IF;
+  END LOOP;
+
+  IF v_unresolved > 0 AND p_on_conflict = 'REPORT' THEN
+    RETURN jsonb_build_object('blackout', NULL, 'conflicts', v_conflicts);
+  END IF;
+
+  INSERT INTO blackouts (
+    owner_id, turf_id, net_numbers, start_date, end_date, start_time, end_time,
+    reason, created_by
+  ) VALUES (
+    v_blackout.owner_id,
+    v_blackout.turf_id,
+    v_blackout.net_numbers,
+    v_blackout.start_date,
+    v_blackout.end_date,
+    v_blackout.start_time,
+    v_blackout.end_time,
+    v_blackout.reason,
+    v_blackout.created_by
+  ) RETURNING * INTO v_blackout;
+
+  FOR v_move IN SELECT * FROM jsonb_array_elements(p_moves)
+  LOOP
+    SELECT * INTO v_booking FROM bookings
+     WHERE id = (v_move->>'booking_id')::uuid
+       AND turf_id = v_blackout.turf_id
+       AND booking_status = 'CONFIRMED'
+     FOR UPDATE;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Booking not found' USING detail = v_move->>'booking_id';
+    END IF;
+
+    SELECT * INTO v_slot FROM slots WHERE id = v_booking.slot_id;
+    IF NOT blackout_covers(v_blackout, v_slot) THEN
+      RAISE EXCEPTION 'Booking is not affected by this blackout' USING detail = v_booking.id::text;
+    END IF;
+
+    SELECT * INTO v_target FROM slots WHERE id = (v_move->>'slot_id')::uuid FOR UPDATE;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Slot not found' USING detail = v_move->>'slot_id';
+    END IF;
+    IF v_target.turf_id <> v_blackout.turf_id THEN
+      RAISE EXCEPTION 'Slot belongs to another turf' USING detail = v_target.id::text;
+    END IF;
+    IF blackout_covers(v_blackout, v_target) THEN
+      RAISE EXCEPTION 'Slot is inside the blackout' USING detail = v_target.id::text;
+    END IF;
+    IF NOT (
+      v_target.status = 'AVAILABLE'
+      OR (v_target.status = 'RESERVED' AND v_target.reserved_until < now())
+    ) OR EXISTS (
+      SELECT 1 FROM bookings WHERE slot_id = v_target.id AND booking_status = 'CONFIRMED'
+    ) THEN
+      RAISE EXCEPTION 'Slot not available' USING detail = v_target.id::text;
+    END IF;
+
+    -- The booking keeps its price and payments; the new slot takes over the
+    -- old one's paid/unpaid state
+    UPDATE slots
+      SET status = v_slot.status,
+          reserved_until = NULL,
+          reserved_by = NULL,
+          updated_at = now()
+      WHERE id = v_target.id;
+
+    UPDATE bookings
+      SET slot_id = v_target.id,
+          booking_date = v_target.date,
+          start_time = v_target.start_time,
+          end_time = v_target.end_time,
+          net_number = v_target.net_number,
+          updated_by = p_blackout->>'updated_by',
+          updated_at = now()
+      WHERE id = v_booking.id
+      RETURNING * INTO v_booking;
+
+    PERFORM notify_booking(v_booking, 'BOOKING_MOVED', 'booking_moved:' || v_booking.id || ':' || v_target.id);
+
+    v_moved := v_moved || jsonb_build_object(
+      'booking_id', v_booking.id,
+      'from_slot_id', v_slot.id,
+      'slot_id', v_target.id,
+      'date', v_target.date,
+      'start_time', v_target.start_time,
+      'end_time', v_target.end_time,
+      'net_number', v_target.net_number
+    );
+  END LOOP;
+
+  FOR v_slot IN
+    SELECT * FROM slots
+     WHERE turf_id = v_blackout.turf_id
+       AND date BETWEEN v_blackout.start_date AND v_blackout.end_date
+     ORDER BY id
+  LOOP
+    CONTINUE WHEN NOT blackout_covers(v_blackout, v_slot);
+
+    SELECT * INTO v_booking FROM bookings
+     WHERE slot_id = v_slot.id AND booking_status = 'CONFIRMED';
+    IF FOUND THEN
+      IF p_on_conflict <> 'CANCEL' THEN
+        v_skipped := v_skipped || jsonb_build_object('booking_id', v_booking.id, 'slot_id', v_slot.id);
+        CONTINUE;
+      END IF;
+
+      v_refund := coalesce(v_booking.advance_amount, 0);
+      UPDATE bookings
+        SET booking_status = 'CANCELLED',
+            cancelled_at = now(),
+            cancelled_by = p_blackout->>'updated_by',
+            cancellation_reason = 'Blackout: ' || v_blackout.reason,
+            refund_amount = v_refund,
+            refund_status = CASE WHEN v_refund > 0 THEN 'PENDING' ELSE 'NONE' END,
+            updated_at = now()
+        WHERE id = v_booking.id;
+
+      v_cancelled := v_cancelled || jsonb_build_object(
+        'booking_id', v_booking.id,
+        'slot_id', v_slot.id,
+        'refund_amount', v_refund
+      );
+    ELSIF v_slot.status = 'BLOCKED' THEN
+      v_already := v_already + 1;
+      CONTINUE;
+    END IF;
+
+    UPDATE slots
+      SET status = 'BLOCKED',
+          reserved_until = NULL,
+          reserved_by = NULL,
+          blocked_by = v_blackout.created_by,
+          block_reason = v_blackout.reason,
+          blackout_id = v_blackout.id,
+          updated_at = now()
+      WHERE id = v_slot.id;
+    v_blocked := v_blocked + 1;
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'blackout', to_jsonb(v_blackout),
+    'conflicts', v_conflicts,
+    'blocked', v_blocked,
+    'already_blocked', v_already,
+    'moved', v_moved,
+    'cancelled', v_cancelled,
+    'skipped', v_skipped
+  );
+END;
+$$;
+
+-- Unblocks what the blackout blocked. Slots another active blackout also
+-- covers stay blocked and are handed over to it.
+CREATE OR REPLACE FUNCTION lift_blackout(p_blackout_id uuid, p_lifted_by uuid)
+RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_blackout blackouts%rowtype;
+  v_other blackouts%rowtype;
+  v_slot slots%rowtype;
+  v_count int := 0;
+BEGIN
+  SELECT * INTO v_blackout FROM blackouts WHERE id = p_blackout_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Blackout not found';
+  END IF;
+  IF v_blackout.status <> 'ACTIVE' THEN
+    RAISE EXCEPTION 'Blackout is already lifted';
+  END IF;
+
+  UPDATE blackouts
+    SET status = 'LIFTED',
+        lifted_at = now(),
+        lifted_by = p_lifted_by
+    WHERE id = p_blackout_id;
+
+  FOR v_slot IN
+    SELECT * FROM slots WHERE blackout_id = p_blackout_id ORDER BY id FOR UPDATE
+  LOOP
+    -- Unblocked by hand since; only the link goes
+    IF v_slot.status <> 'BLOCKED' THEN
+      UPDATE slots SET blackout_id = NULL WHERE id = v_slot.id;
+      CONTINUE;
+    END IF;
+
+    SELECT * INTO v_other FROM blackouts b
+     WHERE b.status = 'ACTIVE'
+       AND b.turf_id = v_blackout.turf_id
+       AND blackout_covers(b, v_slot)
+     ORDER BY b.created_at
+     LIMIT 1;
+    IF FOUND THEN
+      UPDATE slots
+        SET blackout_id = v_other.id,
+            block_reason = v_other.reason,
+            updated_at = now()
+        WHERE id = v_slot.id;
+      CONTINUE;
+    END IF;
+
+    UPDATE slots
+      SET status = 'AVAILABLE',
+          blocked_by = NULL,
+          block_reason = NULL,
+          blackout_id = NULL,
+          updated_at = now()
+      WHERE id = v_slot.id;
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Blackouts are created and lifted through the turf blackout routes, which check
+-- the caller manages the turf
+REVOKE EXECUTE ON FUNCTION create_blackout(jsonb, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_blackout(jsonb, text, jsonb) TO service_role;
+REVOKE EXECUTE ON FUNCTION lift_blackout(uuid, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION lift_blackout(uuid, uuid) TO service_role;
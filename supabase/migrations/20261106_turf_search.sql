@@ -0,0 +1,186 @@
+-- Migration: Turf search in SQL
+-- GET /turfs/search filters, measures distance and pages here, so a request
+-- reads one page of turfs instead of the whole approved catalogue
+
+CREATE INDEX IF NOT EXISTS turfs_search_city_idx
+  ON turfs (lower(city)) WHERE is_approved AND status = 'OPEN';
+
+-- Text to numeric, NULL for anything that is not a number. Pricing JSON and
+-- locations are written by the app and not checked by the database.
+CREATE OR REPLACE FUNCTION safe_numeric(p_value text)
+RETURNS numeric
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN btrim(p_value) ~ '^[-+]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][-+]?[0-9]+)?$'
+      THEN btrim(p_value)::numeric
+  END;
+$$;
+
+-- Morning, afternoon, evening and night prices of one day-type map. Same
+-- rules as parseDayTypePricing in api/_utils/pricing.js, including the
+-- legacy day/night format.
+CREATE OR REPLACE FUNCTION day_type_prices(p_map jsonb)
+RETURNS numeric[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN jsonb_typeof(p_map) = 'object' AND p_map ? 'day' AND p_map ? 'night' THEN
+      ARRAY[d.price, d.price, n.price, n.price]
+    ELSE ARRAY[
+      COALESCE(safe_numeric(p_map->'morning'->>'price'), 0),
+      COALESCE(safe_numeric(p_map->'afternoon'->>'price'), 0),
+      COALESCE(safe_numeric(p_map->'evening'->>'price'), 0),
+      COALESCE(safe_numeric(p_map->'night'->>'price'), 0)
+    ]
+  END
+  FROM (SELECT CASE WHEN p_map->'day'->>'price' IS NULL THEN 1000
+                    ELSE COALESCE(safe_numeric(p_map->'day'->>'price'), 0) END AS price) d,
+       (SELECT CASE WHEN p_map->'night'->>'price' IS NULL THEN 1200
+                    ELSE COALESCE(safe_numeric(p_map->'night'->>'price'), 0) END AS price) n;
+$$;
+
+-- Every band price across a turf's nets, for one day type or all of them
+-- (listPrices in api/_utils/pricing.js)
+CREATE OR REPLACE FUNCTION turf_band_prices(p_rules jsonb, p_day_type text DEFAULT NULL)
+RETURNS numeric[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  WITH nets AS (
+    SELECT net
+      FROM jsonb_array_elements(
+        CASE WHEN jsonb_typeof(COALESCE(p_rules->'nets', p_rules->'netPricing')) = 'array'
+             THEN COALESCE(p_rules->'nets', p_rules->'netPricing')
+             ELSE '[]'::jsonb END
+      ) AS net
+      WHERE p_rules ? 'nets' OR p_rules ? 'netPricing'
+    UNION ALL
+    -- Legacy single-net format
+    SELECT jsonb_build_object(
+             'weekday', p_rules->'weekday',
+             'weekend', COALESCE(NULLIF(p_rules->'saturday', 'null'::jsonb), p_rules->'weekend'),
+             'holiday', p_rules->'holiday'
+           )
+      WHERE NOT (p_rules ? 'nets' OR p_rules ? 'netPricing')
+  )
+  SELECT COALESCE(array_agg(b.price), ARRAY[]::numeric[])
+    FROM nets
+    CROSS JOIN LATERAL (VALUES
+      ('WEEKDAY', nets.net->'weekday'),
+      ('WEEKEND', nets.net->'weekend'),
+      ('HOLIDAY', nets.net->'holiday')
+    ) AS d(day_type, map)
+    CROSS JOIN LATERAL unnest(day_type_prices(d.map)) AS b(price)
+    WHERE p_day_type IS NULL OR d.day_type = p_day_type;
+$$;
+
+-- One page of approved, open turfs. With p_lat/p_lng the page is ordered by
+-- distance (turfs without a location last), otherwise by name. The cursor is
+-- the previous page's last (sort_key, id); a NULL p_after_key with an id
+-- means that page ended among turfs without a location.
+CREATE OR REPLACE FUNCTION search_turfs(
+  p_city text DEFAULT NULL,
+  p_turf_type text DEFAULT NULL,
+  p_open_day text DEFAULT NULL,
+  p_date date DEFAULT NULL,
+  p_min_price numeric DEFAULT NULL,
+  p_max_price numeric DEFAULT NULL,
+  p_lat double precision DEFAULT NULL,
+  p_lng double precision DEFAULT NULL,
+  p_radius_km numeric DEFAULT NULL,
+  p_after_key text DEFAULT NULL,
+  p_after_id uuid DEFAULT NULL,
+  p_limit int DEFAULT 20
+) RETURNS TABLE (
+  id uuid,
+  turf_name text,
+  turf_type text,
+  city text,
+  address text,
+  location jsonb,
+  number_of_nets int,
+  open_time text,
+  close_time text,
+  slot_duration_minutes int,
+  days_open text[],
+  pricing_rules jsonb,
+  public_holidays text[],
+  images jsonb,
+  distance_km numeric,
+  sort_key text
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  WITH candidates AS (
+    SELECT t.*,
+           safe_numeric(t.location->>'lat')::double precision AS lat,
+           safe_numeric(t.location->>'lng')::double precision AS lng
+      FROM turfs t
+      WHERE t.is_approved
+        AND t.status = 'OPEN'
+        AND (p_city IS NULL OR lower(t.city) = lower(p_city))
+        AND (p_turf_type IS NULL OR t.turf_type = p_turf_type)
+        AND (p_open_day IS NULL OR p_open_day = ANY(t.days_open))
+  ),
+  measured AS (
+    SELECT c.*,
+           CASE WHEN p_lat IS NOT NULL AND p_lng IS NOT NULL
+                     AND c.lat IS NOT NULL AND c.lng IS NOT NULL THEN
+             round((6371 * 2 * asin(least(1, sqrt(
+               sin(radians(c.lat - p_lat) / 2) ^ 2 +
+               cos(radians(p_lat)) * cos(radians(c.lat)) *
+               sin(radians(c.lng - p_lng) / 2) ^ 2
+             ))))::numeric, 2)
+           END AS distance_km
+      FROM candidates c
+  ),
+  matched AS (
+    SELECT m.*
+      FROM measured m
+      WHERE (p_radius_km IS NULL OR m.distance_km <= p_radius_km)
+        AND (
+          (p_min_price IS NULL AND p_max_price IS NULL)
+          OR EXISTS (
+            SELECT 1
+              FROM unnest(turf_band_prices(
+                m.pricing_rules,
+                CASE
+                  WHEN p_date IS NULL THEN NULL
+                  WHEN to_char(p_date, 'YYYY-MM-DD') = ANY(m.public_holidays) THEN 'HOLIDAY'
+                  WHEN extract(isodow FROM p_date) IN (6, 7) THEN 'WEEKEND'
+                  ELSE 'WEEKDAY'
+                END
+              )) AS p(price)
+              WHERE p.price > 0
+                AND (p_min_price IS NULL OR p.price >= p_min_price)
+                AND (p_max_price IS NULL OR p.price <= p_max_price)
+          )
+        )
+  )
+  SELECT m.id, m.turf_name, m.turf_type, m.city, m.address, m.location,
+         m.number_of_nets, m.open_time, m.close_time, m.slot_duration_minutes,
+         m.days_open, m.pricing_rules, m.public_holidays, m.images,
+         m.distance_km,
+         CASE WHEN p_lat IS NOT NULL THEN m.distance_km::text ELSE lower(m.turf_name) END
+    FROM matched m
+    WHERE p_after_id IS NULL
+       OR (p_lat IS NOT NULL AND p_after_key IS NULL
+           AND m.distance_km IS NULL AND m.id > p_after_id)
+       OR (p_lat IS NOT NULL AND p_after_key IS NOT NULL
+           AND (m.distance_km IS NULL
+                OR m.distance_km > safe_numeric(p_after_key)
+                OR (m.distance_km = safe_numeric(p_after_key) AND m.id > p_after_id)))
+       OR (p_lat IS NULL
+           AND (lower(m.turf_name) > p_after_key
+                OR (lower(m.turf_name) = p_after_key AND m.id > p_after_id)))
+    ORDER BY
+      CASE WHEN p_lat IS NOT NULL THEN m.distance_km END NULLS LAST,
+      CASE WHEN p_lat IS NULL THEN lower(m.turf_name) END,
+      m.id
+    LIMIT p_limit;
+$$;
@@ -0,0 +1,159 @@
+-- Migration: Refunds for group and series cancellations
+-- The API evaluates each turf's cancellation policy per booking and hands the
+-- outcome to these RPCs, the same way cancel_booking takes p_refund_amount.
+-- p_refunds maps booking ids to what is owed back:
+--   { "<booking id>": { "refund_amount": 250, "refund_status": "PENDING" } }
+-- Bookings missing from the map are cancelled without a refund record.
+
+DROP FUNCTION IF EXISTS cancel_booking_group(uuid, text, text);
+DROP FUNCTION IF EXISTS cancel_booking_series(uuid, date, text, text);
+DROP FUNCTION IF EXISTS cancel_series_occurrences(uuid, date, text, text);
+
+-- Cancel every confirmed booking in a group and free its slots
+CREATE OR REPLACE FUNCTION cancel_booking_group(
+  p_group_id uuid,
+  p_cancelled_by text,
+  p_cancel_reason text DEFAULT NULL,
+  p_refunds jsonb DEFAULT NULL
+) RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_group booking_groups%rowtype;
+  v_count int;
+BEGIN
+  SELECT * INTO v_group FROM booking_groups WHERE id = p_group_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking group not found';
+  END IF;
+
+  WITH cancelled AS (
+    UPDATE bookings
+      SET booking_status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          cancellation_reason = p_cancel_reason,
+          refund_amount = (p_refunds->(bookings.id::text)->>'refund_amount')::numeric,
+          refund_status = p_refunds->(bookings.id::text)->>'refund_status',
+          updated_at = now()
+      WHERE group_id = p_group_id AND booking_status = 'CONFIRMED'
+      RETURNING slot_id
+  )
+  UPDATE slots
+    SET status = 'AVAILABLE',
+        reserved_until = NULL,
+        reserved_by = NULL,
+        updated_at = now()
+    WHERE id IN (SELECT slot_id FROM cancelled);
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+
+  UPDATE booking_groups
+    SET status = 'CANCELLED',
+        cancelled_at = now(),
+        cancelled_by = p_cancelled_by,
+        cancellation_reason = p_cancel_reason,
+        updated_at = now()
+    WHERE id = p_group_id;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Cancels the series' confirmed bookings on or after p_from_date and frees
+-- their slots. Returns the number of cancelled occurrences.
+CREATE OR REPLACE FUNCTION cancel_series_occurrences(
+  p_series_id uuid,
+  p_from_date date,
+  p_cancelled_by text,
+  p_cancel_reason text DEFAULT NULL,
+  p_refunds jsonb DEFAULT NULL
+) RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count int;
+BEGIN
+  WITH cancelled AS (
+    UPDATE bookings
+      SET booking_status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          cancellation_reason = p_cancel_reason,
+          refund_amount = (p_refunds->(bookings.id::text)->>'refund_amount')::numeric,
+          refund_status = p_refunds->(bookings.id::text)->>'refund_status',
+          updated_at = now()
+      WHERE series_id = p_series_id
+        AND booking_status = 'CONFIRMED'
+        AND booking_date >= p_from_date
+      RETURNING slot_id
+  )
+  UPDATE slots
+    SET status = 'AVAILABLE',
+        reserved_until = NULL,
+        reserved_by = NULL,
+        updated_at = now()
+    WHERE id IN (SELECT slot_id FROM cancelled);
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- Cancels the whole series, or only the occurrences from p_from_date onward
+CREATE OR REPLACE FUNCTION cancel_booking_series(
+  p_series_id uuid,
+  p_from_date date,
+  p_cancelled_by text,
+  p_cancel_reason text DEFAULT NULL,
+  p_refunds jsonb DEFAULT NULL
+) RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_series booking_series%rowtype;
+  v_count int;
+BEGIN
+  SELECT * INTO v_series FROM booking_series WHERE id = p_series_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking series not found';
+  END IF;
+
+  v_count := cancel_series_occurrences(
+    p_series_id,
+    COALESCE(p_from_date, v_series.start_date),
+    p_cancelled_by,
+    p_cancel_reason,
+    p_refunds
+  );
+
+  IF p_from_date IS NULL OR p_from_date <= v_series.start_date THEN
+    UPDATE booking_series
+      SET status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          updated_at = now()
+      WHERE id = p_series_id;
+  ELSE
+    UPDATE booking_series
+      SET end_date = LEAST(end_date, p_from_date - 1),
+          updated_at = now()
+      WHERE id = p_series_id;
+  END IF;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Dropping the old signatures dropped their grants; the API is still the only
+-- caller
+REVOKE EXECUTE ON FUNCTION cancel_booking_group(uuid, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cancel_booking_group(uuid, text, text, jsonb) TO service_role;
+REVOKE EXECUTE ON FUNCTION cancel_series_occurrences(uuid, date, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cancel_series_occurrences(uuid, date, text, text, jsonb) TO service_role;
+REVOKE EXECUTE ON FUNCTION cancel_booking_series(uuid, date, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cancel_booking_series(uuid, date, text, text, jsonb) TO service_role;
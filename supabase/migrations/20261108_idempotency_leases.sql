@@ -0,0 +1,78 @@
+-- Migration: Idempotency key leases
+-- An IN_PROGRESS key is held only until locked_until. If the instance running
+-- the request dies (a crash or a function timeout) the key is not stuck until
+-- it expires; a retry of the same request takes it over once the lease lapses.
+-- lease_id changes on every claim, so a holder that was taken over cannot
+-- complete or release the new holder's row.
+
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS locked_until timestamptz;
+ALTER TABLE idempotency_keys
+  ADD COLUMN IF NOT EXISTS lease_id uuid NOT NULL DEFAULT gen_random_uuid();
+
+DROP FUNCTION IF EXISTS begin_idempotent_request(text, uuid, text, text, int);
+
+-- Claims a key for a new request, takes over a lapsed one, or returns the row
+-- already holding it. `claimed` is true only for the caller that should run
+-- the handler.
+CREATE OR REPLACE FUNCTION begin_idempotent_request(
+  p_key text,
+  p_caller_id uuid,
+  p_route text,
+  p_request_hash text,
+  p_ttl_seconds int,
+  p_lease_seconds int DEFAULT 60
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row idempotency_keys%rowtype;
+  v_claimed boolean;
+BEGIN
+  -- Expired keys are cleared a few at a time as new requests arrive
+  DELETE FROM idempotency_keys
+    WHERE id IN (
+      SELECT id FROM idempotency_keys WHERE expires_at < now() LIMIT 100
+    );
+
+  INSERT INTO idempotency_keys (
+    idempotency_key, caller_id, route, request_hash, expires_at, locked_until
+  ) VALUES (
+    p_key,
+    p_caller_id,
+    p_route,
+    p_request_hash,
+    now() + make_interval(secs => p_ttl_seconds),
+    now() + make_interval(secs => p_lease_seconds)
+  )
+  ON CONFLICT (caller_id, idempotency_key) DO NOTHING
+  RETURNING * INTO v_row;
+
+  v_claimed := FOUND;
+  IF NOT v_claimed THEN
+    -- Rows from before leases existed have no locked_until and count as lapsed
+    UPDATE idempotency_keys
+      SET lease_id = gen_random_uuid(),
+          locked_until = now() + make_interval(secs => p_lease_seconds)
+      WHERE caller_id = p_caller_id
+        AND idempotency_key = p_key
+        AND status = 'IN_PROGRESS'
+        AND request_hash = p_request_hash
+        AND (locked_until IS NULL OR locked_until < now())
+      RETURNING * INTO v_row;
+    v_claimed := FOUND;
+  END IF;
+
+  IF NOT v_claimed THEN
+    SELECT * INTO v_row FROM idempotency_keys
+      WHERE caller_id = p_caller_id AND idempotency_key = p_key;
+  END IF;
+
+  RETURN to_jsonb(v_row) || jsonb_build_object('claimed', v_claimed);
+END;
+$$;
+
+-- Only the API router claims keys
+REVOKE EXECUTE ON FUNCTION begin_idempotent_request(text, uuid, text, text, int, int) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION begin_idempotent_request(text, uuid, text, text, int, int) TO service_role;
@@ -0,0 +1,189 @@
+-- Migration: Promo redemption release
+-- Cancelling a booking gives its promo redemption back: the redemption row is
+-- removed and the code's redemption_count goes down with it, whichever path
+-- cancelled the booking (single, group, series, blackout or account
+-- deletion). create_booking_atomic also re-checks first_booking_only under
+-- its locks instead of trusting the quote.
+
+-- Same as 20261101_promo_codes.sql plus the first-booking check
+CREATE OR REPLACE FUNCTION create_booking_atomic(
+  p_slot_id uuid,
+  p_booking_data jsonb
+) RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  slot_record slots%rowtype;
+  booking_id uuid;
+  v_slot_status text;
+  v_advance_amount numeric;
+  v_total_amount numeric;
+  v_promo promo_codes%rowtype;
+  v_promo_id uuid := NULLIF(p_booking_data->>'promo_code_id', '')::uuid;
+  v_user_id uuid := NULLIF(p_booking_data->>'user_id', '')::uuid;
+  v_player_uses int;
+BEGIN
+  SELECT * INTO slot_record FROM slots WHERE id = p_slot_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Slot not found';
+  END IF;
+
+  IF slot_record.status NOT IN ('AVAILABLE', 'RESERVED') THEN
+    RAISE EXCEPTION 'Slot not available';
+  END IF;
+
+  IF v_promo_id IS NOT NULL THEN
+    SELECT * INTO v_promo FROM promo_codes WHERE id = v_promo_id FOR UPDATE;
+    IF NOT FOUND OR NOT v_promo.is_active THEN
+      RAISE EXCEPTION 'Promo code is not active';
+    END IF;
+
+    IF v_promo.max_redemptions IS NOT NULL
+       AND v_promo.redemption_count >= v_promo.max_redemptions THEN
+      RAISE EXCEPTION 'Promo code usage limit reached';
+    END IF;
+
+    IF v_promo.per_player_limit IS NOT NULL AND v_user_id IS NOT NULL THEN
+      SELECT count(*) INTO v_player_uses FROM promo_redemptions
+        WHERE promo_code_id = v_promo.id AND player_id = v_user_id;
+      IF v_player_uses >= v_promo.per_player_limit THEN
+        RAISE EXCEPTION 'Promo code per-player limit reached';
+      END IF;
+    END IF;
+
+    -- The quote checked this too, but two first bookings could both pass it.
+    -- The player row lock also covers first-booking codes of the same owner
+    -- used side by side.
+    IF v_promo.first_booking_only THEN
+      IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Promo code is only for a first booking';
+      END IF;
+      PERFORM 1 FROM players WHERE id = v_user_id FOR UPDATE;
+      IF EXISTS (
+        SELECT 1 FROM bookings
+          WHERE owner_id = v_promo.owner_id
+            AND user_id = v_user_id
+            AND booking_status = 'CONFIRMED'
+      ) THEN
+        RAISE EXCEPTION 'Promo code is only for a first booking';
+      END IF;
+    END IF;
+  END IF;
+
+  v_advance_amount := COALESCE((p_booking_data->>'advance_amount')::numeric, 0);
+  v_total_amount := COALESCE((p_booking_data->>'amount')::numeric, 0);
+
+  -- Fully paid bookings are BOOKED; partial or unpaid ones hold the slot as
+  -- RESERVED. A fully discounted booking has nothing left to pay.
+  IF v_advance_amount >= v_total_amount AND (v_total_amount > 0 OR v_promo_id IS NOT NULL) THEN
+    v_slot_status := 'BOOKED';
+  ELSE
+    v_slot_status := 'RESERVED';
+  END IF;
+
+  UPDATE slots
+    SET status = v_slot_status,
+        reserved_until = NULL,
+        reserved_by = NULL,
+        updated_at = now()
+    WHERE id = p_slot_id;
+
+  INSERT INTO bookings (
+    owner_id, turf_id, slot_id, booking_date, start_time, end_time,
+    turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+    payment_mode, payment_status, amount, advance_amount, transaction_id, booking_status,
+    promo_code_id, promo_code, original_amount, discount_amount, created_at
+  ) VALUES (
+    (SELECT owner_id FROM turfs WHERE id = (p_booking_data->>'turf_id')::uuid),
+    (p_booking_data->>'turf_id')::uuid,
+    p_slot_id,
+    (p_booking_data->>'booking_date')::date,
+    p_booking_data->>'start_time',
+    p_booking_data->>'end_time',
+    p_booking_data->>'turf_name',
+    COALESCE((p_booking_data->>'net_number')::int, 1),
+    v_user_id,
+    p_booking_data->>'customer_name',
+    p_booking_data->>'customer_phone',
+    p_booking_data->>'booking_source',
+    p_booking_data->>'payment_mode',
+    p_booking_data->>'payment_status',
+    (p_booking_data->>'amount')::numeric,
+    COALESCE((p_booking_data->>'advance_amount')::numeric, 0),
+    p_booking_data->>'transaction_id',
+    COALESCE(p_booking_data->>'booking_status', 'CONFIRMED'),
+    v_promo_id,
+    CASE WHEN v_promo_id IS NOT NULL THEN v_promo.code END,
+    COALESCE((p_booking_data->>'original_amount')::numeric, (p_booking_data->>'amount')::numeric),
+    COALESCE((p_booking_data->>'discount_amount')::numeric, 0),
+    now()
+  ) RETURNING id INTO booking_id;
+
+  IF v_promo_id IS NOT NULL THEN
+    INSERT INTO promo_redemptions (promo_code_id, booking_id, player_id, discount_amount)
+    VALUES (
+      v_promo.id,
+      booking_id,
+      v_user_id,
+      COALESCE((p_booking_data->>'discount_amount')::numeric, 0)
+    );
+
+    UPDATE promo_codes
+      SET redemption_count = redemption_count + 1,
+          updated_at = now()
+      WHERE id = v_promo.id;
+  END IF;
+
+  RETURN booking_id;
+END;
+$$;
+
+-- Deleting a redemption, directly or through a deleted booking, frees its
+-- use of the code
+CREATE OR REPLACE FUNCTION promo_redemptions_release() RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE promo_codes
+    SET redemption_count = GREATEST(redemption_count - 1, 0),
+        updated_at = now()
+    WHERE id = OLD.promo_code_id;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS promo_redemptions_release ON promo_redemptions;
+CREATE TRIGGER promo_redemptions_release
+  AFTER DELETE ON promo_redemptions
+  FOR EACH ROW
+  EXECUTE FUNCTION promo_redemptions_release();
+
+-- A cancelled booking no longer counts against the code's caps
+CREATE OR REPLACE FUNCTION bookings_promo_release() RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF OLD.booking_status <> 'CANCELLED' AND NEW.booking_status = 'CANCELLED' THEN
+    DELETE FROM promo_redemptions WHERE booking_id = NEW.id;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_promo_release ON bookings;
+CREATE TRIGGER bookings_promo_release
+  AFTER UPDATE OF booking_status ON bookings
+  FOR EACH ROW
+  WHEN (NEW.promo_code_id IS NOT NULL)
+  EXECUTE FUNCTION bookings_promo_release();
+
+-- Bookings are created through the booking routes, which check the caller's
+-- hold and quote the promo code
+REVOKE EXECUTE ON FUNCTION create_booking_atomic(uuid, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_booking_atomic(uuid, jsonb) TO service_role;
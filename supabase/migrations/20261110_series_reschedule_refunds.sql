@@ -0,0 +1,76 @@
+-- Migration: Refunds for rescheduled series occurrences
+-- Rescheduling cancels the occurrences from p_from_date onward and books them
+-- again, so advances paid on the old bookings are owed back like on any other
+-- cancellation. The API evaluates the turf's policy and passes p_refunds in
+-- the shape cancel_series_occurrences takes.
+
+DROP FUNCTION IF EXISTS update_booking_series(uuid, date, jsonb, text);
+
+CREATE OR REPLACE FUNCTION update_booking_series(
+  p_series_id uuid,
+  p_from_date date,
+  p_changes jsonb,
+  p_updated_by text,
+  p_refunds jsonb DEFAULT NULL
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_series booking_series%rowtype;
+  v_reschedule boolean;
+  v_cancelled int := 0;
+  v_occurrences jsonb := '[]'::jsonb;
+BEGIN
+  SELECT * INTO v_series FROM booking_series WHERE id = p_series_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking series not found';
+  END IF;
+  IF v_series.status <> 'ACTIVE' THEN
+    RAISE EXCEPTION 'Booking series is cancelled';
+  END IF;
+
+  v_reschedule := p_changes ?| ARRAY['net_number', 'weekday', 'start_time', 'end_date'];
+
+  IF v_reschedule THEN
+    v_cancelled := cancel_series_occurrences(
+      p_series_id, p_from_date, p_updated_by, 'Series rescheduled', p_refunds
+    );
+  END IF;
+
+  UPDATE booking_series
+    SET net_number = COALESCE((p_changes->>'net_number')::int, net_number),
+        weekday = COALESCE(p_changes->>'weekday', weekday),
+        start_time = COALESCE(p_changes->>'start_time', start_time),
+        end_date = COALESCE((p_changes->>'end_date')::date, end_date),
+        customer_name = COALESCE(p_changes->>'customer_name', customer_name),
+        customer_phone = COALESCE(p_changes->>'customer_phone', customer_phone),
+        updated_at = now()
+    WHERE id = p_series_id;
+
+  IF v_reschedule THEN
+    v_occurrences := book_series_occurrences(p_series_id, p_from_date);
+  ELSE
+    UPDATE bookings
+      SET customer_name = COALESCE(p_changes->>'customer_name', customer_name),
+          customer_phone = COALESCE(p_changes->>'customer_phone', customer_phone),
+          updated_by = p_updated_by,
+          updated_at = now()
+      WHERE series_id = p_series_id
+        AND booking_status = 'CONFIRMED'
+        AND booking_date >= p_from_date;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'series_id', p_series_id,
+    'cancelled', v_cancelled,
+    'occurrences', v_occurrences
+  );
+END;
+$$;
+
+-- Dropping the old signature dropped its grants; the API is still the only
+-- caller
+REVOKE EXECUTE ON FUNCTION update_booking_series(uuid, date, jsonb, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_booking_series(uuid, date, jsonb, text, jsonb) TO service_role;
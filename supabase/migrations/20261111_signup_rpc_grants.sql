@@ -0,0 +1,12 @@
+-- Migration: Signup RPCs are API-only
+-- The app checks for existing owners and creates profiles through
+-- /api/auth/owner-exists, /api/auth/create-owner and /api/auth/create-player,
+-- which rate limit callers and tie the profile to the signed-in user. Called
+-- directly, these functions skip both, so only the service role may run them.
+
+REVOKE EXECUTE ON FUNCTION check_owner_exists(text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION check_owner_exists(text, text) TO service_role;
+REVOKE EXECUTE ON FUNCTION create_owner_profile(uuid, text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_owner_profile(uuid, text, text, text) TO service_role;
+REVOKE EXECUTE ON FUNCTION create_player_profile(uuid, text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_player_profile(uuid, text, text, text) TO service_role;
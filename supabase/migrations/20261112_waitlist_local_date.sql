@@ -0,0 +1,85 @@
+-- Migration: Waitlist offers use the turfs' local date
+-- offer_waitlisted_slot skipped past slots by comparing against current_date,
+-- which is the UTC date. Between midnight and 05:30 IST that let a slot from
+-- the previous local day be offered. The signature is unchanged, so the
+-- existing grants still apply.
+
+CREATE OR REPLACE FUNCTION offer_waitlisted_slot(p_slot_id uuid)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_slot slots%rowtype;
+  v_entry waitlist_entries%rowtype;
+  v_player players%rowtype;
+  v_turf_name text;
+  -- Slot dates are local to the turfs (api/_utils/time.js DEFAULT_TIME_ZONE);
+  -- current_date is the database's UTC date, a day behind until 05:30 IST
+  v_today date := (now() AT TIME ZONE 'Asia/Kolkata')::date;
+BEGIN
+  SELECT * INTO v_slot FROM slots WHERE id = p_slot_id;
+  IF NOT FOUND OR v_slot.status <> 'AVAILABLE' OR v_slot.date < v_today THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_entry FROM waitlist_entries w
+   WHERE w.status = 'WAITING'
+     AND w.turf_id = v_slot.turf_id
+     AND w.date = v_slot.date
+     AND (
+       w.slot_id = v_slot.id
+       OR (
+         w.slot_id IS NULL
+         AND v_slot.start_time >= w.start_time
+         AND v_slot.end_time <= w.end_time
+         AND (w.net_number IS NULL OR w.net_number = v_slot.net_number)
+       )
+     )
+   ORDER BY w.created_at, w.id
+   LIMIT 1
+   FOR UPDATE SKIP LOCKED;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF NOT reserve_slot(v_slot.id, v_entry.player_id, v_entry.hold_minutes) THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE waitlist_entries
+    SET status = 'OFFERED',
+        offered_slot_id = v_slot.id,
+        offered_at = now(),
+        offer_expires_at = now() + make_interval(mins => v_entry.hold_minutes),
+        updated_at = now()
+    WHERE id = v_entry.id;
+
+  SELECT * INTO v_player FROM players WHERE id = v_entry.player_id;
+  SELECT turf_name INTO v_turf_name FROM turfs WHERE id = v_slot.turf_id;
+
+  PERFORM enqueue_notification(
+    'WAITLIST_OFFER',
+    v_player.notification_channel,
+    CASE WHEN v_player.notification_channel = 'EMAIL' THEN v_player.email ELSE v_player.phone END,
+    v_player.preferred_language,
+    jsonb_build_object(
+      'waitlist_entry_id', v_entry.id,
+      'slot_id', v_slot.id,
+      'turf_id', v_slot.turf_id,
+      'turf_name', v_turf_name,
+      'player_name', v_player.name,
+      'date', v_slot.date,
+      'start_time', v_slot.start_time,
+      'end_time', v_slot.end_time,
+      'net_number', v_slot.net_number,
+      'hold_minutes', v_entry.hold_minutes
+    ),
+    'waitlist_offer:' || v_entry.id || ':' || v_slot.id
+  );
+
+  RETURN v_entry.id;
+END;
+$$;
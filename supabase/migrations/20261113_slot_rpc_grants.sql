@@ -0,0 +1,12 @@
+-- Migration: Slot hold RPCs are API-only
+-- The app holds, releases and books slots through /api/slots/reserve,
+-- /api/slots/release and /api/slots/book, which check that the caller owns the
+-- hold (or the turf). create_booking_atomic is already API-only; leaving these
+-- callable let anyone release or book another player's hold directly.
+
+REVOKE EXECUTE ON FUNCTION reserve_slot(uuid, uuid, int) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reserve_slot(uuid, uuid, int) TO service_role;
+REVOKE EXECUTE ON FUNCTION release_slot(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION release_slot(uuid) TO service_role;
+REVOKE EXECUTE ON FUNCTION book_slot(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION book_slot(uuid) TO service_role;
@@ -542,3 +542,3876 @@ begin
   return true;
 end;
 $$;
+
+-- =====================================================
+-- ONLINE PAYMENTS
+-- =====================================================
+
+create table if not exists payment_orders (
+  id uuid primary key default gen_random_uuid(),
+  provider text not null,
+  provider_order_id text not null,
+  booking_id uuid not null references bookings(id) on delete cascade,
+  slot_id uuid not null references slots(id) on delete restrict,
+  user_id uuid not null,
+  amount numeric not null,
+  currency text not null default 'INR',
+  status text not null default 'CREATED',
+  transaction_id text,
+  failure_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create unique index if not exists payment_orders_provider_order_idx
+  on payment_orders (provider, provider_order_id);
+create index if not exists payment_orders_slot_idx
+  on payment_orders (slot_id, status);
+
+alter table payment_orders enable row level security;
+
+drop policy if exists "payment_orders_select_own" on payment_orders;
+create policy "payment_orders_select_own" on payment_orders
+  for select using (auth.uid() = user_id);
+
+-- Create a PENDING online booking for a slot the user currently holds
+create or replace function start_online_payment(
+  p_slot_id uuid,
+  p_user_id uuid,
+  p_provider text,
+  p_provider_order_id text,
+  p_booking_data jsonb
+) returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  slot_record slots%rowtype;
+  v_booking_id uuid;
+begin
+  select * into slot_record from slots where id = p_slot_id for update;
+  if not found then
+    raise exception 'Slot not found';
+  end if;
+
+  if slot_record.status <> 'RESERVED'
+     or slot_record.reserved_by is distinct from p_user_id
+     or slot_record.reserved_until < now() then
+    raise exception 'Slot not reserved by user';
+  end if;
+
+  -- Slot stays RESERVED until the gateway confirms payment
+  insert into bookings (
+    owner_id, turf_id, slot_id, booking_date, start_time, end_time,
+    turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+    payment_mode, payment_status, amount, advance_amount, booking_status, created_at
+  ) values (
+    (select owner_id from turfs where id = slot_record.turf_id),
+    slot_record.turf_id,
+    p_slot_id,
+    slot_record.date,
+    slot_record.start_time,
+    slot_record.end_time,
+    (select turf_name from turfs where id = slot_record.turf_id),
+    slot_record.net_number,
+    p_user_id,
+    p_booking_data->>'customer_name',
+    p_booking_data->>'customer_phone',
+    'APP',
+    'ONLINE',
+    'PENDING',
+    slot_record.price,
+    0,
+    'CONFIRMED',
+    now()
+  ) returning id into v_booking_id;
+
+  insert into payment_orders (
+    provider, provider_order_id, booking_id, slot_id, user_id, amount, currency
+  ) values (
+    p_provider,
+    p_provider_order_id,
+    v_booking_id,
+    p_slot_id,
+    p_user_id,
+    slot_record.price,
+    coalesce(p_booking_data->>'currency', 'INR')
+  );
+
+  return v_booking_id;
+end;
+$$;
+
+-- Mark booking PAID and flip the slot to BOOKED. Safe to replay.
+create or replace function confirm_online_payment(
+  p_provider text,
+  p_provider_order_id text,
+  p_transaction_id text,
+  p_amount numeric default null
+) returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order payment_orders%rowtype;
+  v_booking_status text;
+begin
+  select * into v_order from payment_orders
+    where provider = p_provider and provider_order_id = p_provider_order_id
+    for update;
+  if not found then
+    raise exception 'Payment order not found';
+  end if;
+
+  if v_order.status in ('PAID', 'REFUND_PENDING') then
+    return v_order.status;
+  end if;
+
+  if p_amount is not null and p_amount < v_order.amount then
+    raise exception 'Payment amount mismatch';
+  end if;
+
+  perform 1 from slots where id = v_order.slot_id for update;
+
+  select booking_status into v_booking_status
+    from bookings where id = v_order.booking_id for update;
+
+  -- Money arrived after the hold lapsed and the booking was released
+  if v_booking_status is distinct from 'CONFIRMED' then
+    update payment_orders
+      set status = 'REFUND_PENDING',
+          transaction_id = p_transaction_id,
+          failure_reason = 'Booking no longer active',
+          updated_at = now()
+      where id = v_order.id;
+    return 'REFUND_PENDING';
+  end if;
+
+  update bookings
+    set payment_status = 'PAID',
+        advance_amount = amount,
+        transaction_id = p_transaction_id,
+        updated_at = now()
+    where id = v_order.booking_id;
+
+  update slots
+    set status = 'BOOKED',
+        reserved_until = null,
+        reserved_by = null,
+        updated_at = now()
+    where id = v_order.slot_id;
+
+  update payment_orders
+    set status = 'PAID',
+        transaction_id = p_transaction_id,
+        updated_at = now()
+    where id = v_order.id;
+
+  return 'PAID';
+end;
+$$;
+
+-- Record a failed/expired payment, cancel its booking and release the slot
+create or replace function fail_online_payment(
+  p_provider text,
+  p_provider_order_id text,
+  p_status text,
+  p_reason text default null
+) returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order payment_orders%rowtype;
+  slot_record slots%rowtype;
+begin
+  select * into v_order from payment_orders
+    where provider = p_provider and provider_order_id = p_provider_order_id
+    for update;
+  if not found then
+    raise exception 'Payment order not found';
+  end if;
+
+  if v_order.status <> 'CREATED' then
+    return v_order.status;
+  end if;
+
+  update payment_orders
+    set status = p_status,
+        failure_reason = p_reason,
+        updated_at = now()
+    where id = v_order.id;
+
+  update bookings
+    set booking_status = 'CANCELLED',
+        payment_status = 'FAILED',
+        cancelled_at = now(),
+        cancelled_by = 'SYSTEM',
+        cancellation_reason = coalesce(p_reason, 'Payment ' || lower(p_status)),
+        updated_at = now()
+    where id = v_order.booking_id
+      and booking_status = 'CONFIRMED'
+      and payment_status = 'PENDING';
+
+  select * into slot_record from slots where id = v_order.slot_id for update;
+  if slot_record.status = 'RESERVED'
+     and (slot_record.reserved_by is null or slot_record.reserved_by = v_order.user_id) then
+    perform release_slot(v_order.slot_id);
+  end if;
+
+  return p_status;
+end;
+$$;
+
+-- Only the API (service role) may drive payments: the webhook route checks
+-- the provider signature before confirming or failing an order
+revoke execute on function start_online_payment(uuid, uuid, text, text, jsonb) from public, anon, authenticated;
+grant execute on function start_online_payment(uuid, uuid, text, text, jsonb) to service_role;
+revoke execute on function confirm_online_payment(text, text, text, numeric) from public, anon, authenticated;
+grant execute on function confirm_online_payment(text, text, text, numeric) to service_role;
+revoke execute on function fail_online_payment(text, text, text, text) from public, anon, authenticated;
+grant execute on function fail_online_payment(text, text, text, text) to service_role;
+
+-- =====================================================
+-- RESERVATION EXPIRY
+-- =====================================================
+
+create index if not exists slots_reserved_until_idx
+  on slots (reserved_until)
+  where status = 'RESERVED';
+
+create or replace function expire_stale_reservations(p_limit int default 500)
+returns table (
+  slot_id uuid,
+  turf_id uuid,
+  slot_date date,
+  start_time text,
+  net_number int,
+  reserved_by uuid,
+  reserved_until timestamptz
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order record;
+begin
+  -- Online payments whose hold lapsed are failed first so their PENDING
+  -- bookings stop pinning the slot
+  for v_order in
+    select po.provider, po.provider_order_id,
+           s.id as sid, s.turf_id as tid, s.date as sdate, s.start_time as stime,
+           s.net_number as snet, s.reserved_by as holder, s.reserved_until as held_until
+      from payment_orders po
+      join slots s on s.id = po.slot_id
+     where po.status = 'CREATED'
+       and s.status = 'RESERVED'
+       and s.reserved_until < now()
+     limit p_limit
+  loop
+    perform fail_online_payment(
+      v_order.provider, v_order.provider_order_id, 'EXPIRED', 'Payment window expired'
+    );
+
+    slot_id := v_order.sid;
+    turf_id := v_order.tid;
+    slot_date := v_order.sdate;
+    start_time := v_order.stime;
+    net_number := v_order.snet;
+    reserved_by := v_order.holder;
+    reserved_until := v_order.held_until;
+    return next;
+  end loop;
+
+  return query
+  with expired as (
+    select s.id, s.reserved_by as holder, s.reserved_until as held_until
+      from slots s
+     where s.status = 'RESERVED'
+       and s.reserved_until < now()
+       and not exists (
+         select 1 from bookings b
+          where b.slot_id = s.id and b.booking_status = 'CONFIRMED'
+       )
+     order by s.reserved_until
+     limit p_limit
+     for update skip locked
+  )
+  update slots s
+     set status = 'AVAILABLE',
+         reserved_until = null,
+         reserved_by = null,
+         updated_at = now()
+    from expired e
+   where s.id = e.id
+  returning s.id, s.turf_id, s.date, s.start_time, s.net_number, e.holder, e.held_until;
+end;
+$$;
+
+-- Run by the sweeper jobs with the service role only
+revoke execute on function expire_stale_reservations(int) from public, anon, authenticated;
+grant execute on function expire_stale_reservations(int) to service_role;
+
+-- =====================================================
+-- TURF MODERATION
+-- =====================================================
+
+create table if not exists moderation_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid,
+  target_type text not null,
+  target_id uuid not null,
+  action text not null,
+  reason text,
+  before_state jsonb,
+  after_state jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists moderation_audit_target_idx
+  on moderation_audit_log (target_type, target_id, created_at desc);
+
+alter table moderation_audit_log enable row level security;
+
+create index if not exists turfs_verification_idx
+  on turfs (verification_status, created_at);
+
+create or replace function moderate_turf(
+  p_turf_id uuid,
+  p_action text,
+  p_actor_id uuid,
+  p_reason text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  turf_record turfs%rowtype;
+  v_owner_active boolean;
+  v_before jsonb;
+  v_after jsonb;
+  v_status text;
+  v_rejection text;
+begin
+  select * into turf_record from turfs where id = p_turf_id for update;
+  if not found then
+    raise exception 'Turf not found';
+  end if;
+
+  if p_action in ('REJECT', 'SUSPEND') and coalesce(trim(p_reason), '') = '' then
+    raise exception 'Reason is required';
+  end if;
+
+  select status = 'ACTIVE' into v_owner_active from owners where id = turf_record.owner_id;
+
+  v_before := jsonb_build_object(
+    'verification_status', turf_record.verification_status,
+    'is_approved', turf_record.is_approved,
+    'rejection_reason', turf_record.rejection_reason
+  );
+
+  v_rejection := turf_record.rejection_reason;
+
+  if p_action = 'APPROVE' then
+    v_status := 'APPROVED';
+    v_rejection := null;
+  elsif p_action = 'REJECT' then
+    v_status := 'REJECTED';
+    v_rejection := p_reason;
+  elsif p_action = 'SUSPEND' then
+    if turf_record.verification_status <> 'APPROVED' then
+      raise exception 'Invalid transition: only approved turfs can be suspended';
+    end if;
+    v_status := 'SUSPENDED';
+  elsif p_action = 'REINSTATE' then
+    if turf_record.verification_status <> 'SUSPENDED' then
+      raise exception 'Invalid transition: turf is not suspended';
+    end if;
+    v_status := 'APPROVED';
+  else
+    raise exception 'Unknown action %', p_action;
+  end if;
+
+  update turfs
+    set verification_status = v_status,
+        is_approved = (v_status = 'APPROVED' and coalesce(v_owner_active, false)),
+        rejection_reason = v_rejection,
+        updated_at = now()
+    where id = p_turf_id
+    returning * into turf_record;
+
+  v_after := jsonb_build_object(
+    'verification_status', turf_record.verification_status,
+    'is_approved', turf_record.is_approved,
+    'rejection_reason', turf_record.rejection_reason
+  );
+
+  insert into moderation_audit_log (
+    actor_id, target_type, target_id, action, reason, before_state, after_state
+  ) values (
+    p_actor_id, 'TURF', p_turf_id, p_action, p_reason, v_before, v_after
+  );
+
+  return jsonb_build_object('id', turf_record.id, 'turf_name', turf_record.turf_name) || v_after;
+end;
+$$;
+
+create or replace function moderate_owner(
+  p_owner_id uuid,
+  p_action text,
+  p_actor_id uuid,
+  p_reason text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  owner_record owners%rowtype;
+  v_before jsonb;
+  v_after jsonb;
+  v_status text;
+  v_turfs int;
+begin
+  select * into owner_record from owners where id = p_owner_id for update;
+  if not found then
+    raise exception 'Owner not found';
+  end if;
+
+  if p_action = 'SUSPEND' then
+    if coalesce(trim(p_reason), '') = '' then
+      raise exception 'Reason is required';
+    end if;
+    if owner_record.status = 'SUSPENDED' then
+      raise exception 'Invalid transition: owner is already suspended';
+    end if;
+    v_status := 'SUSPENDED';
+  elsif p_action = 'REINSTATE' then
+    if owner_record.status <> 'SUSPENDED' then
+      raise exception 'Invalid transition: owner is not suspended';
+    end if;
+    v_status := 'ACTIVE';
+  else
+    raise exception 'Unknown action %', p_action;
+  end if;
+
+  v_before := jsonb_build_object(
+    'status', owner_record.status,
+    'public_turfs', (select count(*) from turfs where owner_id = p_owner_id and is_approved)
+  );
+
+  update owners
+    set status = v_status,
+        updated_at = now()
+    where id = p_owner_id;
+
+  update turfs
+    set is_approved = (v_status = 'ACTIVE' and verification_status = 'APPROVED'),
+        updated_at = now()
+    where owner_id = p_owner_id;
+  get diagnostics v_turfs = row_count;
+
+  v_after := jsonb_build_object(
+    'status', v_status,
+    'public_turfs', (select count(*) from turfs where owner_id = p_owner_id and is_approved)
+  );
+
+  insert into moderation_audit_log (
+    actor_id, target_type, target_id, action, reason, before_state, after_state
+  ) values (
+    p_actor_id, 'OWNER', p_owner_id, p_action, p_reason, v_before, v_after
+  );
+
+  return jsonb_build_object('id', p_owner_id, 'name', owner_record.name, 'turfs_updated', v_turfs) || v_after;
+end;
+$$;
+
+-- Moderation goes through the admin routes; p_actor_id is trusted, so clients
+-- must not call these directly
+revoke execute on function moderate_turf(uuid, text, uuid, text) from public, anon, authenticated;
+grant execute on function moderate_turf(uuid, text, uuid, text) to service_role;
+revoke execute on function moderate_owner(uuid, text, uuid, text) from public, anon, authenticated;
+grant execute on function moderate_owner(uuid, text, uuid, text) to service_role;
+
+-- =====================================================
+-- BOOKING GROUPS
+-- =====================================================
+
+create table if not exists booking_groups (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references owners(id) on delete cascade,
+  turf_id uuid not null references turfs(id) on delete cascade,
+  user_id uuid,
+  amount numeric not null,
+  advance_amount numeric not null default 0,
+  status text not null default 'CONFIRMED',
+  cancelled_at timestamptz,
+  cancelled_by text,
+  cancellation_reason text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+alter table bookings
+  add column if not exists group_id uuid references booking_groups(id) on delete set null;
+
+create index if not exists bookings_group_idx on bookings (group_id) where group_id is not null;
+create index if not exists booking_groups_owner_idx on booking_groups (owner_id, created_at desc);
+
+alter table booking_groups enable row level security;
+
+drop policy if exists "booking_groups_select_own" on booking_groups;
+create policy "booking_groups_select_own" on booking_groups
+  for select using (auth.uid() = user_id or auth.uid() = owner_id);
+
+-- Book every slot or none. Conflicts raise with the slot id in DETAIL.
+-- p_user_id is set for player bookings so holds by other users are respected;
+-- those bookings start unpaid whatever p_booking_data says, since only the
+-- payment webhook may record money taken online.
+create or replace function create_booking_group(
+  p_slot_ids uuid[],
+  p_booking_data jsonb,
+  p_user_id uuid default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_turf turfs%rowtype;
+  v_slot slots%rowtype;
+  v_missing uuid;
+  v_group_id uuid;
+  v_booking_id uuid;
+  v_booking_ids uuid[] := array[]::uuid[];
+  v_total numeric;
+  v_advance numeric;
+  v_share numeric;
+  v_allocated numeric := 0;
+  v_index int := 0;
+  v_count int;
+begin
+  v_count := array_length(p_slot_ids, 1);
+  if v_count is null then
+    raise exception 'No slots given';
+  end if;
+
+  select * into v_turf from turfs where id = (p_booking_data->>'turf_id')::uuid;
+  if not found then
+    raise exception 'Turf not found';
+  end if;
+
+  select s.id into v_missing
+    from unnest(p_slot_ids) as s(id)
+    where not exists (select 1 from slots where slots.id = s.id)
+    limit 1;
+  if v_missing is not null then
+    raise exception 'Slot not found' using detail = v_missing::text;
+  end if;
+
+  -- Lock in id order so concurrent groups cannot deadlock
+  for v_slot in
+    select * from slots where id = any(p_slot_ids) order by id for update
+  loop
+    if v_slot.turf_id <> v_turf.id then
+      raise exception 'Slot belongs to another turf' using detail = v_slot.id::text;
+    end if;
+    if v_slot.status = 'RESERVED'
+       and v_slot.reserved_until is not null
+       and v_slot.reserved_until < now() then
+      continue;
+    end if;
+    if v_slot.status not in ('AVAILABLE', 'RESERVED')
+       or (v_slot.status = 'RESERVED'
+           and p_user_id is not null
+           and v_slot.reserved_by is distinct from p_user_id) then
+      raise exception 'Slot not available' using detail = v_slot.id::text;
+    end if;
+  end loop;
+
+  select coalesce(sum(price), 0) into v_total from slots where id = any(p_slot_ids);
+  if p_user_id is null then
+    v_advance := least(coalesce((p_booking_data->>'advance_amount')::numeric, 0), v_total);
+  else
+    v_advance := 0;
+  end if;
+
+  insert into booking_groups (
+    owner_id, turf_id, user_id, amount, advance_amount, created_by
+  ) values (
+    v_turf.owner_id,
+    v_turf.id,
+    coalesce(p_user_id, nullif(p_booking_data->>'user_id', '')::uuid),
+    v_total,
+    v_advance,
+    p_booking_data->>'created_by'
+  ) returning id into v_group_id;
+
+  for v_slot in
+    select * from slots where id = any(p_slot_ids)
+    order by date, start_time, net_number
+  loop
+    v_index := v_index + 1;
+    -- Advance is split in proportion to price; the last slot takes the rounding
+    if v_index = v_count then
+      v_share := v_advance - v_allocated;
+    elsif v_total > 0 then
+      v_share := round(v_advance * v_slot.price / v_total, 2);
+    else
+      v_share := 0;
+    end if;
+    v_allocated := v_allocated + v_share;
+
+    update slots
+      set status = case
+            when v_slot.price > 0 and v_share >= v_slot.price then 'BOOKED'
+            else 'RESERVED'
+          end,
+          reserved_until = null,
+          reserved_by = null,
+          updated_at = now()
+      where id = v_slot.id;
+
+    insert into bookings (
+      owner_id, turf_id, slot_id, group_id, booking_date, start_time, end_time,
+      turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+      payment_mode, payment_status, amount, advance_amount, transaction_id,
+      booking_status, created_by, created_at
+    ) values (
+      v_turf.owner_id,
+      v_turf.id,
+      v_slot.id,
+      v_group_id,
+      v_slot.date,
+      v_slot.start_time,
+      v_slot.end_time,
+      v_turf.turf_name,
+      v_slot.net_number,
+      coalesce(p_user_id, nullif(p_booking_data->>'user_id', '')::uuid),
+      p_booking_data->>'customer_name',
+      p_booking_data->>'customer_phone',
+      p_booking_data->>'booking_source',
+      case when p_user_id is null then p_booking_data->>'payment_mode' else 'OFFLINE' end,
+      case when p_user_id is null then p_booking_data->>'payment_status' else 'PAY_AT_TURF' end,
+      v_slot.price,
+      v_share,
+      case when p_user_id is null then p_booking_data->>'transaction_id' end,
+      'CONFIRMED',
+      p_booking_data->>'created_by',
+      now()
+    ) returning id into v_booking_id;
+
+    v_booking_ids := v_booking_ids || v_booking_id;
+  end loop;
+
+  return jsonb_build_object(
+    'group_id', v_group_id,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'amount', v_total,
+    'advance_amount', v_advance
+  );
+end;
+$$;
+
+-- Cancel every confirmed booking in a group and free its slots
+create or replace function cancel_booking_group(
+  p_group_id uuid,
+  p_cancelled_by text,
+  p_cancel_reason text default null
+) returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group booking_groups%rowtype;
+  v_count int;
+begin
+  select * into v_group from booking_groups where id = p_group_id for update;
+  if not found then
+    raise exception 'Booking group not found';
+  end if;
+
+  with cancelled as (
+    update bookings
+      set booking_status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          cancellation_reason = p_cancel_reason,
+          updated_at = now()
+      where group_id = p_group_id and booking_status = 'CONFIRMED'
+      returning slot_id
+  )
+  update slots
+    set status = 'AVAILABLE',
+        reserved_until = null,
+        reserved_by = null,
+        updated_at = now()
+    where id in (select slot_id from cancelled);
+  get diagnostics v_count = row_count;
+
+  update booking_groups
+    set status = 'CANCELLED',
+        cancelled_at = now(),
+        cancelled_by = p_cancelled_by,
+        cancellation_reason = p_cancel_reason,
+        updated_at = now()
+    where id = p_group_id;
+
+  return v_count;
+end;
+$$;
+
+-- Booking groups are created and cancelled through the API, which checks the
+-- caller owns the turf or holds every slot
+revoke execute on function create_booking_group(uuid[], jsonb, uuid) from public, anon, authenticated;
+grant execute on function create_booking_group(uuid[], jsonb, uuid) to service_role;
+revoke execute on function cancel_booking_group(uuid, text, text) from public, anon, authenticated;
+grant execute on function cancel_booking_group(uuid, text, text) to service_role;
+
+-- =====================================================
+-- BOOKING SERIES
+-- =====================================================
+
+create table if not exists booking_series (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references owners(id) on delete cascade,
+  turf_id uuid not null references turfs(id) on delete cascade,
+  net_number int not null default 1,
+  weekday text not null,
+  start_time text not null,
+  start_date date not null,
+  end_date date not null,
+  user_id uuid,
+  customer_name text not null,
+  customer_phone text not null,
+  booking_source text not null default 'PHONE',
+  payment_mode text not null default 'OFFLINE',
+  payment_status text not null default 'PAY_AT_TURF',
+  status text not null default 'ACTIVE',
+  cancelled_at timestamptz,
+  cancelled_by text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+alter table bookings
+  add column if not exists series_id uuid references booking_series(id) on delete set null;
+
+create index if not exists bookings_series_idx
+  on bookings (series_id, booking_date) where series_id is not null;
+create index if not exists booking_series_turf_idx on booking_series (turf_id, status);
+
+alter table booking_series enable row level security;
+
+drop policy if exists "booking_series_select_own" on booking_series;
+create policy "booking_series_select_own" on booking_series
+  for select using (auth.uid() = owner_id or auth.uid() = user_id);
+
+-- Books every occurrence of a series on or after p_from_date. Occurrences
+-- that cannot be booked are reported, not raised, so one clash never blocks
+-- the rest of the series.
+create or replace function book_series_occurrences(
+  p_series_id uuid,
+  p_from_date date
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_series booking_series%rowtype;
+  v_turf turfs%rowtype;
+  v_slot slots%rowtype;
+  v_date date;
+  v_booking_id uuid;
+  v_report jsonb := '[]'::jsonb;
+  v_reason text;
+begin
+  select * into v_series from booking_series where id = p_series_id for update;
+  if not found then
+    raise exception 'Booking series not found';
+  end if;
+  select * into v_turf from turfs where id = v_series.turf_id;
+
+  for v_date in
+    select d::date
+      from generate_series(greatest(v_series.start_date, p_from_date), v_series.end_date, interval '1 day') as d
+      where extract(isodow from d) = array_position(
+        array['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'], v_series.weekday
+      )
+  loop
+    v_reason := null;
+    v_booking_id := null;
+
+    select * into v_slot from slots
+      where turf_id = v_series.turf_id
+        and date = v_date
+        and start_time = v_series.start_time
+        and net_number = v_series.net_number
+      for update;
+
+    if to_char(v_date, 'YYYY-MM-DD') = any(v_turf.public_holidays) then
+      v_reason := 'HOLIDAY';
+    elsif not found then
+      v_reason := 'NO_SLOT';
+    elsif v_slot.status = 'BLOCKED' then
+      v_reason := 'BLOCKED';
+    elsif v_slot.status = 'BOOKED'
+       or exists (
+         select 1 from bookings
+           where slot_id = v_slot.id and booking_status = 'CONFIRMED'
+       ) then
+      v_reason := 'BOOKED';
+    elsif v_slot.status = 'RESERVED'
+       and (v_slot.reserved_until is null or v_slot.reserved_until >= now()) then
+      v_reason := 'RESERVED';
+    elsif v_slot.status not in ('AVAILABLE', 'RESERVED') then
+      v_reason := v_slot.status;
+    end if;
+
+    if v_reason is null then
+      -- Unpaid bookings hold the slot as RESERVED, as create_booking_atomic does
+      update slots
+        set status = 'RESERVED',
+            reserved_until = null,
+            reserved_by = null,
+            updated_at = now()
+        where id = v_slot.id;
+
+      insert into bookings (
+        owner_id, turf_id, slot_id, series_id, booking_date, start_time, end_time,
+        turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+        payment_mode, payment_status, amount, advance_amount, booking_status,
+        created_by, created_at
+      ) values (
+        v_series.owner_id,
+        v_series.turf_id,
+        v_slot.id,
+        v_series.id,
+        v_date,
+        v_slot.start_time,
+        v_slot.end_time,
+        v_turf.turf_name,
+        v_slot.net_number,
+        v_series.user_id,
+        v_series.customer_name,
+        v_series.customer_phone,
+        v_series.booking_source,
+        v_series.payment_mode,
+        v_series.payment_status,
+        v_slot.price,
+        0,
+        'CONFIRMED',
+        v_series.created_by,
+        now()
+      ) returning id into v_booking_id;
+    end if;
+
+    v_report := v_report || jsonb_build_object(
+      'date', v_date,
+      'status', case when v_booking_id is null then 'CONFLICT' else 'BOOKED' end,
+      'reason', v_reason,
+      'booking_id', v_booking_id,
+      'slot_id', v_slot.id,
+      'block_reason', case when v_reason = 'BLOCKED' then v_slot.block_reason end
+    );
+  end loop;
+
+  return v_report;
+end;
+$$;
+
+-- Cancels the series' confirmed bookings on or after p_from_date and frees
+-- their slots. Returns the number of cancelled occurrences.
+create or replace function cancel_series_occurrences(
+  p_series_id uuid,
+  p_from_date date,
+  p_cancelled_by text,
+  p_cancel_reason text default null
+) returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count int;
+begin
+  with cancelled as (
+    update bookings
+      set booking_status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          cancellation_reason = p_cancel_reason,
+          updated_at = now()
+      where series_id = p_series_id
+        and booking_status = 'CONFIRMED'
+        and booking_date >= p_from_date
+      returning slot_id
+  )
+  update slots
+    set status = 'AVAILABLE',
+        reserved_until = null,
+        reserved_by = null,
+        updated_at = now()
+    where id in (select slot_id from cancelled);
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+create or replace function create_booking_series(p_series jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_series_id uuid;
+begin
+  insert into booking_series (
+    owner_id, turf_id, net_number, weekday, start_time, start_date, end_date,
+    user_id, customer_name, customer_phone, booking_source, payment_mode,
+    payment_status, created_by
+  ) values (
+    (select owner_id from turfs where id = (p_series->>'turf_id')::uuid),
+    (p_series->>'turf_id')::uuid,
+    coalesce((p_series->>'net_number')::int, 1),
+    p_series->>'weekday',
+    p_series->>'start_time',
+    (p_series->>'start_date')::date,
+    (p_series->>'end_date')::date,
+    nullif(p_series->>'user_id', '')::uuid,
+    p_series->>'customer_name',
+    p_series->>'customer_phone',
+    coalesce(p_series->>'booking_source', 'PHONE'),
+    coalesce(p_series->>'payment_mode', 'OFFLINE'),
+    coalesce(p_series->>'payment_status', 'PAY_AT_TURF'),
+    p_series->>'created_by'
+  ) returning id into v_series_id;
+
+  return jsonb_build_object(
+    'series_id', v_series_id,
+    'occurrences', book_series_occurrences(v_series_id, (p_series->>'start_date')::date)
+  );
+end;
+$$;
+
+-- Applies p_changes from p_from_date onward. Schedule changes (net, weekday,
+-- time, end date) re-book the affected occurrences; customer details are
+-- updated in place so payments already taken stay attached.
+create or replace function update_booking_series(
+  p_series_id uuid,
+  p_from_date date,
+  p_changes jsonb,
+  p_updated_by text
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_series booking_series%rowtype;
+  v_reschedule boolean;
+  v_cancelled int := 0;
+  v_occurrences jsonb := '[]'::jsonb;
+begin
+  select * into v_series from booking_series where id = p_series_id for update;
+  if not found then
+    raise exception 'Booking series not found';
+  end if;
+  if v_series.status <> 'ACTIVE' then
+    raise exception 'Booking series is cancelled';
+  end if;
+
+  v_reschedule := p_changes ?| array['net_number', 'weekday', 'start_time', 'end_date'];
+
+  if v_reschedule then
+    v_cancelled := cancel_series_occurrences(
+      p_series_id, p_from_date, p_updated_by, 'Series rescheduled'
+    );
+  end if;
+
+  update booking_series
+    set net_number = coalesce((p_changes->>'net_number')::int, net_number),
+        weekday = coalesce(p_changes->>'weekday', weekday),
+        start_time = coalesce(p_changes->>'start_time', start_time),
+        end_date = coalesce((p_changes->>'end_date')::date, end_date),
+        customer_name = coalesce(p_changes->>'customer_name', customer_name),
+        customer_phone = coalesce(p_changes->>'customer_phone', customer_phone),
+        updated_at = now()
+    where id = p_series_id;
+
+  if v_reschedule then
+    v_occurrences := book_series_occurrences(p_series_id, p_from_date);
+  else
+    update bookings
+      set customer_name = coalesce(p_changes->>'customer_name', customer_name),
+          customer_phone = coalesce(p_changes->>'customer_phone', customer_phone),
+          updated_by = p_updated_by,
+          updated_at = now()
+      where series_id = p_series_id
+        and booking_status = 'CONFIRMED'
+        and booking_date >= p_from_date;
+  end if;
+
+  return jsonb_build_object(
+    'series_id', p_series_id,
+    'cancelled', v_cancelled,
+    'occurrences', v_occurrences
+  );
+end;
+$$;
+
+-- Cancels the whole series, or only the occurrences from p_from_date onward
+create or replace function cancel_booking_series(
+  p_series_id uuid,
+  p_from_date date,
+  p_cancelled_by text,
+  p_cancel_reason text default null
+) returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_series booking_series%rowtype;
+  v_count int;
+begin
+  select * into v_series from booking_series where id = p_series_id for update;
+  if not found then
+    raise exception 'Booking series not found';
+  end if;
+
+  v_count := cancel_series_occurrences(
+    p_series_id,
+    coalesce(p_from_date, v_series.start_date),
+    p_cancelled_by,
+    p_cancel_reason
+  );
+
+  if p_from_date is null or p_from_date <= v_series.start_date then
+    update booking_series
+      set status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          updated_at = now()
+      where id = p_series_id;
+  else
+    update booking_series
+      set end_date = least(end_date, p_from_date - 1),
+          updated_at = now()
+      where id = p_series_id;
+  end if;
+
+  return v_count;
+end;
+$$;
+
+-- Series are managed by turf owners through the API only
+revoke execute on function book_series_occurrences(uuid, date) from public, anon, authenticated;
+grant execute on function book_series_occurrences(uuid, date) to service_role;
+revoke execute on function cancel_series_occurrences(uuid, date, text, text) from public, anon, authenticated;
+grant execute on function cancel_series_occurrences(uuid, date, text, text) to service_role;
+revoke execute on function create_booking_series(jsonb) from public, anon, authenticated;
+grant execute on function create_booking_series(jsonb) to service_role;
+revoke execute on function update_booking_series(uuid, date, jsonb, text) from public, anon, authenticated;
+grant execute on function update_booking_series(uuid, date, jsonb, text) to service_role;
+revoke execute on function cancel_booking_series(uuid, date, text, text) from public, anon, authenticated;
+grant execute on function cancel_booking_series(uuid, date, text, text) to service_role;
+
+-- =====================================================
+-- CANCELLATION POLICY
+-- =====================================================
+
+alter table turfs add column if not exists cancellation_policy jsonb;
+
+alter table bookings add column if not exists refund_amount numeric;
+alter table bookings add column if not exists refund_status text;
+
+-- Replaces the four-argument version. Only the API calls it now: the app
+-- cancels through POST /api/bookings/cancel, which evaluates the turf's policy
+-- and passes the refund in.
+drop function if exists cancel_booking(uuid, uuid, text, text);
+
+create or replace function cancel_booking(
+  p_booking_id uuid,
+  p_slot_id uuid,
+  p_cancelled_by text,
+  p_cancel_reason text default null,
+  p_refund_amount numeric default null,
+  p_refund_status text default null
+) returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Cancelling twice would free a slot that may have been rebooked since
+  update bookings
+    set booking_status = 'CANCELLED',
+        cancelled_at = now(),
+        cancelled_by = p_cancelled_by,
+        cancellation_reason = p_cancel_reason,
+        refund_amount = p_refund_amount,
+        refund_status = p_refund_status,
+        updated_at = now()
+    where id = p_booking_id
+      and slot_id = p_slot_id
+      and booking_status = 'CONFIRMED';
+
+  if not found then
+    raise exception 'Booking not found or already cancelled';
+  end if;
+
+  update slots
+    set status = 'AVAILABLE',
+        reserved_until = null,
+        reserved_by = null,
+        updated_at = now()
+    where id = p_slot_id;
+
+  return true;
+end;
+$$;
+
+-- Cancellations go through POST /bookings/cancel, which applies the policy
+revoke execute on function cancel_booking(uuid, uuid, text, text, numeric, text) from public, anon, authenticated;
+grant execute on function cancel_booking(uuid, uuid, text, text, numeric, text) to service_role;
+
+-- =====================================================
+-- OWNER REPORTS
+-- =====================================================
+
+create or replace function owner_report(
+  p_owner_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_turf_id uuid default null
+) returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with owned as (
+    select id, turf_name from turfs
+      where owner_id = p_owner_id
+        and (p_turf_id is null or id = p_turf_id)
+  ),
+  slot_stats as (
+    select s.turf_id,
+           s.net_number,
+           count(*) as generated_slots,
+           count(*) filter (where s.status = 'BLOCKED') as blocked_slots
+      from slots s
+      join owned o on o.id = s.turf_id
+      where s.date between p_start_date and p_end_date
+      group by s.turf_id, s.net_number
+  ),
+  booking_rows as (
+    select b.turf_id,
+           b.net_number,
+           b.booking_status,
+           b.booking_source,
+           b.amount,
+           b.advance_amount,
+           coalesce(b.refund_amount, 0) as refund_amount,
+           coalesce(s.price_type, 'UNKNOWN') as price_type
+      from bookings b
+      join owned o on o.id = b.turf_id
+      left join slots s on s.id = b.slot_id
+      where b.booking_date between p_start_date and p_end_date
+  ),
+  booking_stats as (
+    select turf_id,
+           net_number,
+           count(*) filter (where booking_status = 'CONFIRMED') as confirmed_bookings,
+           coalesce(sum(amount) filter (where booking_status = 'CONFIRMED'), 0) as gross_amount,
+           coalesce(sum(advance_amount) filter (where booking_status = 'CONFIRMED'), 0) as advance_collected,
+           count(*) filter (where booking_status = 'CANCELLED') as cancelled_bookings,
+           coalesce(sum(amount) filter (where booking_status = 'CANCELLED'), 0) as cancelled_amount,
+           coalesce(sum(refund_amount) filter (where booking_status = 'CANCELLED'), 0) as refund_amount
+      from booking_rows
+      group by turf_id, net_number
+  ),
+  nets as (
+    select o.id as turf_id,
+           o.turf_name,
+           x.net_number,
+           coalesce(x.generated_slots, 0) as generated_slots,
+           coalesce(x.blocked_slots, 0) as blocked_slots,
+           coalesce(x.confirmed_bookings, 0) as confirmed_bookings,
+           coalesce(x.gross_amount, 0) as gross_amount,
+           coalesce(x.advance_collected, 0) as advance_collected,
+           coalesce(x.cancelled_bookings, 0) as cancelled_bookings,
+           coalesce(x.cancelled_amount, 0) as cancelled_amount,
+           coalesce(x.refund_amount, 0) as refund_amount
+      from owned o
+      join (
+        slot_stats full join booking_stats using (turf_id, net_number)
+      ) x on x.turf_id = o.id
+  )
+  select jsonb_build_object(
+    'nets', (
+      select coalesce(jsonb_agg(to_jsonb(n) order by n.turf_name, n.net_number), '[]'::jsonb)
+        from nets n
+    ),
+    'by_price_type', (
+      select coalesce(jsonb_agg(to_jsonb(p) order by p.price_type), '[]'::jsonb)
+        from (
+          select price_type,
+                 count(*) as confirmed_bookings,
+                 sum(amount) as gross_amount,
+                 sum(advance_amount) as advance_collected
+            from booking_rows
+            where booking_status = 'CONFIRMED'
+            group by price_type
+        ) p
+    ),
+    'by_booking_source', (
+      select coalesce(jsonb_agg(to_jsonb(s) order by s.booking_source), '[]'::jsonb)
+        from (
+          select booking_source,
+                 count(*) as confirmed_bookings,
+                 sum(amount) as gross_amount,
+                 sum(advance_amount) as advance_collected
+            from booking_rows
+            where booking_status = 'CONFIRMED'
+            group by booking_source
+        ) s
+    )
+  );
+$$;
+
+-- Reports are read through GET /reports/owner, which checks the caller may
+-- see the owner's figures
+revoke execute on function owner_report(uuid, date, date, uuid) from public, anon, authenticated;
+grant execute on function owner_report(uuid, date, date, uuid) to service_role;
+
+-- =====================================================
+-- PAYMENT LEDGER
+-- =====================================================
+
+create table if not exists payments (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid not null references bookings(id) on delete cascade,
+  amount numeric not null check (amount <> 0),
+  entry_type text not null,
+  mode text not null,
+  reference text,
+  note text,
+  collected_by uuid,
+  collected_by_role text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payments_booking_idx on payments (booking_id, created_at);
+
+alter table payments enable row level security;
+
+drop policy if exists "payments_select_own" on payments;
+create policy "payments_select_own" on payments
+  for select using (
+    exists (
+      select 1 from bookings b
+        where b.id = payments.booking_id
+          and (b.owner_id = auth.uid() or b.user_id = auth.uid())
+    )
+  );
+
+-- Positive p_amount collects money, negative p_amount refunds it. Anything
+-- collected beyond the booking amount is written back out as an OVERPAYMENT
+-- entry so the running total never exceeds the price.
+create or replace function record_booking_payment(
+  p_booking_id uuid,
+  p_amount numeric,
+  p_mode text,
+  p_reference text,
+  p_note text,
+  p_collected_by uuid,
+  p_collected_by_role text
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_booking bookings%rowtype;
+  v_payment_id uuid;
+  v_paid numeric;
+  v_overpaid numeric := 0;
+  v_refunded numeric;
+  v_payment_status text;
+  v_slot_status text;
+begin
+  select * into v_booking from bookings where id = p_booking_id for update;
+  if not found then
+    raise exception 'Booking not found';
+  end if;
+
+  v_paid := coalesce(v_booking.advance_amount, 0) + p_amount;
+
+  if p_amount > 0 and v_booking.booking_status <> 'CONFIRMED' then
+    raise exception 'Booking is cancelled';
+  end if;
+  if v_paid < 0 then
+    raise exception 'Refund exceeds amount paid';
+  end if;
+
+  insert into payments (
+    booking_id, amount, entry_type, mode, reference, note, collected_by, collected_by_role
+  ) values (
+    p_booking_id,
+    p_amount,
+    case when p_amount > 0 then 'PAYMENT' else 'REFUND' end,
+    p_mode,
+    p_reference,
+    p_note,
+    p_collected_by,
+    p_collected_by_role
+  ) returning id into v_payment_id;
+
+  if v_paid > v_booking.amount then
+    v_overpaid := v_paid - v_booking.amount;
+    v_paid := v_booking.amount;
+    insert into payments (
+      booking_id, amount, entry_type, mode, reference, note, collected_by, collected_by_role
+    ) values (
+      p_booking_id,
+      -v_overpaid,
+      'OVERPAYMENT',
+      p_mode,
+      p_reference,
+      'Returned to customer',
+      p_collected_by,
+      p_collected_by_role
+    );
+  end if;
+
+  v_payment_status := case
+    when v_paid >= v_booking.amount then 'PAID'
+    when v_booking.payment_status = 'PAID' then 'PAY_AT_TURF'
+    else v_booking.payment_status
+  end;
+
+  -- Refunds settle what cancel_booking recorded as owed
+  select coalesce(-sum(amount), 0) into v_refunded
+    from payments
+    where booking_id = p_booking_id and entry_type = 'REFUND';
+
+  update bookings
+    set advance_amount = v_paid,
+        payment_status = v_payment_status,
+        refund_status = case
+          when refund_status = 'PENDING' and v_refunded >= coalesce(refund_amount, 0)
+            then 'REFUNDED'
+          else refund_status
+        end,
+        updated_at = now()
+    where id = p_booking_id;
+
+  -- Same rule as create_booking_atomic: only fully paid bookings are BOOKED
+  if v_booking.booking_status = 'CONFIRMED' then
+    update slots
+      set status = case when v_paid >= v_booking.amount then 'BOOKED' else 'RESERVED' end,
+          reserved_until = null,
+          reserved_by = null,
+          updated_at = now()
+      where id = v_booking.slot_id and status in ('RESERVED', 'BOOKED')
+      returning status into v_slot_status;
+  end if;
+
+  return jsonb_build_object(
+    'payment_id', v_payment_id,
+    'booking_id', p_booking_id,
+    'paid_amount', v_paid,
+    'balance', v_booking.amount - v_paid,
+    'overpayment', v_overpaid,
+    'payment_status', v_payment_status,
+    'slot_status', v_slot_status
+  );
+end;
+$$;
+
+-- Payments are recorded through POST /bookings/:id/payments, which checks the
+-- caller manages the turf and validates the entry
+revoke execute on function record_booking_payment(uuid, numeric, text, text, text, uuid, text) from public, anon, authenticated;
+grant execute on function record_booking_payment(uuid, numeric, text, text, text, uuid, text) to service_role;
+
+-- =====================================================
+-- NOTIFICATION OUTBOX
+-- =====================================================
+
+alter table players add column if not exists preferred_language text not null default 'en';
+alter table players add column if not exists notification_channel text not null default 'SMS';
+alter table owners add column if not exists preferred_language text not null default 'en';
+alter table owners add column if not exists notification_channel text not null default 'EMAIL';
+
+create table if not exists notification_outbox (
+  id uuid primary key default gen_random_uuid(),
+  event_type text not null,
+  channel text not null,
+  recipient text not null,
+  language text not null default 'en',
+  payload jsonb not null default '{}'::jsonb,
+  dedupe_key text,
+  status text not null default 'PENDING',
+  attempts int not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  locked_until timestamptz,
+  last_error text,
+  provider text,
+  provider_message_id text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists notification_outbox_dedupe_idx
+  on notification_outbox (dedupe_key);
+create index if not exists notification_outbox_pending_idx
+  on notification_outbox (next_attempt_at) where status = 'PENDING';
+
+alter table notification_outbox enable row level security;
+
+create or replace function enqueue_notification(
+  p_event_type text,
+  p_channel text,
+  p_recipient text,
+  p_language text,
+  p_payload jsonb,
+  p_dedupe_key text default null
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_recipient is null or trim(p_recipient) = '' then
+    return;
+  end if;
+
+  insert into notification_outbox (
+    event_type, channel, recipient, language, payload, dedupe_key
+  ) values (
+    p_event_type,
+    p_channel,
+    p_recipient,
+    coalesce(p_language, 'en'),
+    coalesce(p_payload, '{}'::jsonb),
+    p_dedupe_key
+  )
+  on conflict (dedupe_key) do nothing;
+end;
+$$;
+
+-- Sends to the player's preferred channel, or SMS to the walk-in customer
+create or replace function notify_booking(
+  p_booking bookings,
+  p_event_type text,
+  p_dedupe_key text
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_player players%rowtype;
+  v_channel text := 'SMS';
+  v_language text := 'en';
+  v_recipient text := p_booking.customer_phone;
+begin
+  if p_booking.user_id is not null then
+    select * into v_player from players where id = p_booking.user_id;
+    if found then
+      v_channel := v_player.notification_channel;
+      v_language := v_player.preferred_language;
+      v_recipient := case when v_channel = 'EMAIL' then v_player.email else v_player.phone end;
+    end if;
+  end if;
+
+  perform enqueue_notification(
+    p_event_type,
+    v_channel,
+    v_recipient,
+    v_language,
+    jsonb_build_object(
+      'booking_id', p_booking.id,
+      'group_id', p_booking.group_id,
+      'series_id', p_booking.series_id,
+      'turf_id', p_booking.turf_id,
+      'turf_name', p_booking.turf_name,
+      'booking_date', p_booking.booking_date,
+      'start_time', p_booking.start_time,
+      'end_time', p_booking.end_time,
+      'net_number', p_booking.net_number,
+      'customer_name', p_booking.customer_name,
+      'amount', p_booking.amount,
+      'advance_amount', p_booking.advance_amount,
+      'refund_amount', p_booking.refund_amount,
+      'cancellation_reason', p_booking.cancellation_reason
+    ),
+    p_dedupe_key
+  );
+end;
+$$;
+
+-- Group and series bookings share one message per transaction
+create or replace function booking_notification_key(p_booking bookings, p_event text)
+returns text
+language sql
+as $$
+  select case
+    when p_booking.group_id is not null or p_booking.series_id is not null then
+      p_event || ':' || coalesce(p_booking.group_id, p_booking.series_id) || ':' || txid_current()
+    else p_event || ':' || p_booking.id
+  end;
+$$;
+
+create or replace function bookings_notify() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_awaiting_payment boolean :=
+    new.payment_mode = 'ONLINE' and new.payment_status in ('PENDING', 'FAILED');
+begin
+  if tg_op = 'INSERT' then
+    -- Online bookings are announced once the gateway confirms payment
+    if new.booking_status = 'CONFIRMED' and not v_awaiting_payment then
+      perform notify_booking(new, 'BOOKING_CREATED', booking_notification_key(new, 'booking_created'));
+    end if;
+    return new;
+  end if;
+
+  if new.booking_status = 'CONFIRMED'
+     and new.payment_mode = 'ONLINE'
+     and old.payment_status is distinct from 'PAID'
+     and new.payment_status = 'PAID' then
+    perform notify_booking(new, 'BOOKING_CREATED', 'booking_created:' || new.id);
+  end if;
+
+  if old.booking_status = 'CONFIRMED'
+     and new.booking_status = 'CANCELLED'
+     and not v_awaiting_payment then
+    perform notify_booking(new, 'BOOKING_CANCELLED', booking_notification_key(new, 'booking_cancelled'));
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_notify_trigger on bookings;
+create trigger bookings_notify_trigger
+  after insert or update of booking_status, payment_status on bookings
+  for each row execute function bookings_notify();
+
+create or replace function turfs_notify() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_owner owners%rowtype;
+begin
+  if new.verification_status = 'APPROVED'
+     and old.verification_status is distinct from 'APPROVED' then
+    select * into v_owner from owners where id = new.owner_id;
+    if found then
+      perform enqueue_notification(
+        'TURF_APPROVED',
+        v_owner.notification_channel,
+        case when v_owner.notification_channel = 'EMAIL' then v_owner.email else v_owner.phone end,
+        v_owner.preferred_language,
+        jsonb_build_object(
+          'turf_id', new.id,
+          'turf_name', new.turf_name,
+          'owner_name', v_owner.name
+        ),
+        'turf_approved:' || new.id || ':' || txid_current()
+      );
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists turfs_notify_trigger on turfs;
+create trigger turfs_notify_trigger
+  after update of verification_status on turfs
+  for each row execute function turfs_notify();
+
+-- Queues a reminder for confirmed bookings starting within p_lead_minutes.
+-- Slot times are local wall-clock times in p_time_zone.
+create or replace function enqueue_booking_reminders(
+  p_time_zone text,
+  p_lead_minutes int default 60
+) returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_booking bookings%rowtype;
+  v_today date := (now() at time zone p_time_zone)::date;
+  v_count int := 0;
+begin
+  for v_booking in
+    select * from bookings
+      where booking_status = 'CONFIRMED'
+        and booking_date between v_today and v_today + 1
+        and ((booking_date + start_time::time) at time zone p_time_zone)
+            between now() and now() + make_interval(mins => p_lead_minutes)
+        and not exists (
+          select 1 from notification_outbox
+            where dedupe_key = 'booking_reminder:' || bookings.id
+        )
+  loop
+    perform notify_booking(v_booking, 'BOOKING_REMINDER', 'booking_reminder:' || v_booking.id);
+    v_count := v_count + 1;
+  end loop;
+  return v_count;
+end;
+$$;
+
+-- Leases due messages to one dispatcher run; a crashed run's lease expires
+create or replace function claim_notifications(
+  p_limit int default 50,
+  p_lock_seconds int default 120
+) returns setof notification_outbox
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return query
+  update notification_outbox o
+    set attempts = o.attempts + 1,
+        locked_until = now() + make_interval(secs => p_lock_seconds)
+    where o.id in (
+      select id from notification_outbox
+        where status = 'PENDING'
+          and next_attempt_at <= now()
+          and (locked_until is null or locked_until < now())
+        order by next_attempt_at
+        limit p_limit
+        for update skip locked
+    )
+    returning o.*;
+end;
+$$;
+
+-- The outbox is filled by triggers and drained by the notifications job; no
+-- client calls these directly
+revoke execute on function enqueue_notification(text, text, text, text, jsonb, text) from public, anon, authenticated;
+grant execute on function enqueue_notification(text, text, text, text, jsonb, text) to service_role;
+revoke execute on function notify_booking(bookings, text, text) from public, anon, authenticated;
+grant execute on function notify_booking(bookings, text, text) to service_role;
+revoke execute on function enqueue_booking_reminders(text, int) from public, anon, authenticated;
+grant execute on function enqueue_booking_reminders(text, int) to service_role;
+revoke execute on function claim_notifications(int, int) from public, anon, authenticated;
+grant execute on function claim_notifications(int, int) to service_role;
+
+-- =====================================================
+-- TURF IMAGE ENTRIES
+-- =====================================================
+
+create or replace function append_turf_image(
+  p_turf_id uuid,
+  p_image jsonb,
+  p_max_images int
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_images jsonb;
+begin
+  select coalesce(images, '[]'::jsonb) into v_images
+    from turfs where id = p_turf_id for update;
+  if not found then
+    raise exception 'Turf not found';
+  end if;
+
+  if jsonb_array_length(v_images) >= p_max_images then
+    raise exception 'Image limit reached';
+  end if;
+
+  -- The first image becomes the cover
+  if jsonb_array_length(v_images) = 0 then
+    p_image := p_image || jsonb_build_object('isPrimary', true);
+  end if;
+
+  v_images := v_images || jsonb_build_array(p_image);
+
+  update turfs set images = v_images, updated_at = now() where id = p_turf_id;
+  return v_images;
+end;
+$$;
+
+-- Removes the entry whose path or url matches; returns the removed entry
+create or replace function remove_turf_image(
+  p_turf_id uuid,
+  p_path text,
+  p_url text
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_images jsonb;
+  v_removed jsonb;
+  v_remaining jsonb;
+begin
+  select coalesce(images, '[]'::jsonb) into v_images
+    from turfs where id = p_turf_id for update;
+  if not found then
+    raise exception 'Turf not found';
+  end if;
+
+  select e into v_removed
+    from jsonb_array_elements(v_images) as e
+    where e->>'path' = p_path or e->>'url' = p_url
+    limit 1;
+  if v_removed is null then
+    raise exception 'Image not found';
+  end if;
+
+  select coalesce(jsonb_agg(e), '[]'::jsonb) into v_remaining
+    from jsonb_array_elements(v_images) as e
+    where e <> v_removed;
+
+  -- Keep a cover image when the primary one is removed
+  if (v_removed->>'isPrimary')::boolean is true and jsonb_array_length(v_remaining) > 0 then
+    v_remaining := jsonb_set(v_remaining, '{0,isPrimary}', 'true'::jsonb);
+  end if;
+
+  update turfs set images = v_remaining, updated_at = now() where id = p_turf_id;
+  return v_removed;
+end;
+$$;
+
+-- Images are added and removed through the turf image routes, which check the
+-- caller manages the turf and upload the files
+revoke execute on function append_turf_image(uuid, jsonb, int) from public, anon, authenticated;
+grant execute on function append_turf_image(uuid, jsonb, int) to service_role;
+revoke execute on function remove_turf_image(uuid, text, text) from public, anon, authenticated;
+grant execute on function remove_turf_image(uuid, text, text) to service_role;
+
+-- =====================================================
+-- IDEMPOTENCY KEYS
+-- =====================================================
+
+create table if not exists idempotency_keys (
+  id uuid primary key default gen_random_uuid(),
+  idempotency_key text not null,
+  caller_id uuid not null,
+  route text not null,
+  request_hash text not null,
+  status text not null default 'IN_PROGRESS',
+  response_status int,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create unique index if not exists idempotency_keys_caller_key_idx
+  on idempotency_keys (caller_id, idempotency_key);
+create index if not exists idempotency_keys_expires_idx on idempotency_keys (expires_at);
+
+alter table idempotency_keys enable row level security;
+
+-- Claims a key for a new request, or returns the row already holding it.
+-- `claimed` is true only for the caller that should run the handler.
+create or replace function begin_idempotent_request(
+  p_key text,
+  p_caller_id uuid,
+  p_route text,
+  p_request_hash text,
+  p_ttl_seconds int
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row idempotency_keys%rowtype;
+  v_claimed boolean;
+begin
+  -- Expired keys are cleared a few at a time as new requests arrive
+  delete from idempotency_keys
+    where id in (
+      select id from idempotency_keys where expires_at < now() limit 100
+    );
+
+  insert into idempotency_keys (
+    idempotency_key, caller_id, route, request_hash, expires_at
+  ) values (
+    p_key,
+    p_caller_id,
+    p_route,
+    p_request_hash,
+    now() + make_interval(secs => p_ttl_seconds)
+  )
+  on conflict (caller_id, idempotency_key) do nothing
+  returning * into v_row;
+
+  v_claimed := found;
+  if not v_claimed then
+    select * into v_row from idempotency_keys
+      where caller_id = p_caller_id and idempotency_key = p_key;
+  end if;
+
+  return to_jsonb(v_row) || jsonb_build_object('claimed', v_claimed);
+end;
+$$;
+
+-- =====================================================
+-- RATE LIMITS
+-- =====================================================
+
+create table if not exists rate_limits (
+  key text primary key,
+  count int not null default 0,
+  reset_at timestamptz not null
+);
+
+create index if not exists rate_limits_reset_at_idx on rate_limits (reset_at);
+
+alter table rate_limits enable row level security;
+
+-- Counts one hit against `p_key`, starting a new window once the last one ends
+create or replace function rate_limit_hit(p_key text, p_window_seconds int)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row rate_limits%rowtype;
+begin
+  delete from rate_limits
+    where key in (
+      select key from rate_limits where reset_at < now() limit 100
+    );
+
+  insert into rate_limits (key, count, reset_at)
+  values (p_key, 1, now() + make_interval(secs => p_window_seconds))
+  on conflict (key) do update set
+    count = case
+      when rate_limits.reset_at <= now() then 1
+      else rate_limits.count + 1
+    end,
+    reset_at = case
+      when rate_limits.reset_at <= now()
+        then now() + make_interval(secs => p_window_seconds)
+      else rate_limits.reset_at
+    end
+  returning * into v_row;
+
+  return jsonb_build_object('count', v_row.count, 'reset_at', v_row.reset_at);
+end;
+$$;
+
+-- Counted by the API router only
+revoke execute on function rate_limit_hit(text, int) from public, anon, authenticated;
+grant execute on function rate_limit_hit(text, int) to service_role;
+
+-- =====================================================
+-- WAITLIST
+-- =====================================================
+
+create table if not exists waitlist_entries (
+  id uuid primary key default gen_random_uuid(),
+  turf_id uuid not null references turfs(id) on delete cascade,
+  player_id uuid not null references players(id) on delete cascade,
+  slot_id uuid references slots(id) on delete cascade,
+  date date not null,
+  start_time text not null,
+  end_time text not null,
+  net_number int,
+  hold_minutes int not null default 15,
+  status text not null default 'WAITING',
+  offered_slot_id uuid references slots(id) on delete set null,
+  offered_at timestamptz,
+  offer_expires_at timestamptz,
+  booking_id uuid references bookings(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists waitlist_entries_queue_idx
+  on waitlist_entries (turf_id, date, created_at)
+  where status = 'WAITING';
+create index if not exists waitlist_entries_player_idx
+  on waitlist_entries (player_id, created_at desc);
+create index if not exists waitlist_entries_offer_idx
+  on waitlist_entries (offered_slot_id)
+  where status = 'OFFERED';
+
+-- One place in line per player for the same slot or window
+create unique index if not exists waitlist_entries_unique_wait
+  on waitlist_entries (
+    player_id, turf_id, date, start_time, end_time, coalesce(net_number, 0)
+  )
+  where status in ('WAITING', 'OFFERED');
+
+alter table waitlist_entries enable row level security;
+
+-- Holds an AVAILABLE slot for the longest-waiting matching player.
+-- Returns the offered entry id, or NULL when nobody is waiting.
+create or replace function offer_waitlisted_slot(p_slot_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_slot slots%rowtype;
+  v_entry waitlist_entries%rowtype;
+  v_player players%rowtype;
+  v_turf_name text;
+begin
+  select * into v_slot from slots where id = p_slot_id;
+  if not found or v_slot.status <> 'AVAILABLE' or v_slot.date < current_date then
+    return null;
+  end if;
+
+  select * into v_entry from waitlist_entries w
+   where w.status = 'WAITING'
+     and w.turf_id = v_slot.turf_id
+     and w.date = v_slot.date
+     and (
+       w.slot_id = v_slot.id
+       or (
+         w.slot_id is null
+         and v_slot.start_time >= w.start_time
+         and v_slot.end_time <= w.end_time
+         and (w.net_number is null or w.net_number = v_slot.net_number)
+       )
+     )
+   order by w.created_at, w.id
+   limit 1
+   for update skip locked;
+
+  if not found then
+    return null;
+  end if;
+
+  if not reserve_slot(v_slot.id, v_entry.player_id, v_entry.hold_minutes) then
+    return null;
+  end if;
+
+  update waitlist_entries
+    set status = 'OFFERED',
+        offered_slot_id = v_slot.id,
+        offered_at = now(),
+        offer_expires_at = now() + make_interval(mins => v_entry.hold_minutes),
+        updated_at = now()
+    where id = v_entry.id;
+
+  select * into v_player from players where id = v_entry.player_id;
+  select turf_name into v_turf_name from turfs where id = v_slot.turf_id;
+
+  perform enqueue_notification(
+    'WAITLIST_OFFER',
+    v_player.notification_channel,
+    case when v_player.notification_channel = 'EMAIL' then v_player.email else v_player.phone end,
+    v_player.preferred_language,
+    jsonb_build_object(
+      'waitlist_entry_id', v_entry.id,
+      'slot_id', v_slot.id,
+      'turf_id', v_slot.turf_id,
+      'turf_name', v_turf_name,
+      'player_name', v_player.name,
+      'date', v_slot.date,
+      'start_time', v_slot.start_time,
+      'end_time', v_slot.end_time,
+      'net_number', v_slot.net_number,
+      'hold_minutes', v_entry.hold_minutes
+    ),
+    'waitlist_offer:' || v_entry.id || ':' || v_slot.id
+  );
+
+  return v_entry.id;
+end;
+$$;
+
+create or replace function slots_waitlist() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- An offer lapses once its hold is released or taken over by someone else.
+  -- create_booking_atomic clears reserved_by when the offer is booked, so a
+  -- RESERVED slot without a holder is left alone here.
+  if old.status = 'RESERVED'
+     and old.reserved_by is not null
+     and (
+       new.status = 'AVAILABLE'
+       or (new.status = 'RESERVED' and new.reserved_by is distinct from old.reserved_by
+           and new.reserved_by is not null)
+     ) then
+    update waitlist_entries
+      set status = 'EXPIRED',
+          updated_at = now()
+      where offered_slot_id = new.id
+        and status = 'OFFERED'
+        and player_id = old.reserved_by;
+  end if;
+
+  if new.status = 'AVAILABLE' and old.status <> 'AVAILABLE' then
+    perform offer_waitlisted_slot(new.id);
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists slots_waitlist on slots;
+create trigger slots_waitlist
+  after update of status on slots
+  for each row
+  execute function slots_waitlist();
+
+-- Booking the offered slot, or grabbing a waited-for slot directly, closes
+-- the player's entry
+create or replace function bookings_waitlist() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.user_id is null or new.booking_status <> 'CONFIRMED' then
+    return null;
+  end if;
+
+  update waitlist_entries
+    set status = 'FULFILLED',
+        booking_id = new.id,
+        updated_at = now()
+    where player_id = new.user_id
+      and (
+        (status = 'OFFERED' and offered_slot_id = new.slot_id)
+        or (status = 'WAITING' and slot_id = new.slot_id)
+      );
+
+  return null;
+end;
+$$;
+
+drop trigger if exists bookings_waitlist on bookings;
+create trigger bookings_waitlist
+  after insert on bookings
+  for each row
+  execute function bookings_waitlist();
+
+-- Leaving the line gives up any hold, which passes it to the next player
+create or replace function leave_waitlist(p_entry_id uuid, p_player_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_entry waitlist_entries%rowtype;
+begin
+  select * into v_entry from waitlist_entries
+   where id = p_entry_id and player_id = p_player_id
+   for update;
+
+  if not found then
+    raise exception 'Waitlist entry not found';
+  end if;
+
+  if v_entry.status not in ('WAITING', 'OFFERED') then
+    raise exception 'Waitlist entry is already closed';
+  end if;
+
+  update waitlist_entries
+    set status = 'CANCELLED',
+        updated_at = now()
+    where id = p_entry_id;
+
+  if v_entry.status = 'OFFERED' then
+    update slots
+      set status = 'AVAILABLE',
+          reserved_until = null,
+          reserved_by = null,
+          updated_at = now()
+      where id = v_entry.offered_slot_id
+        and status = 'RESERVED'
+        and reserved_by = p_player_id;
+  end if;
+
+  return v_entry.status;
+end;
+$$;
+
+-- Entries for days that have passed can no longer be offered anything
+create or replace function expire_past_waitlist_entries(p_today date)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count int;
+begin
+  update waitlist_entries
+    set status = 'EXPIRED',
+        updated_at = now()
+    where status = 'WAITING'
+      and date < p_today;
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+-- Waitlist offers come from the slot triggers and the waitlist job; players
+-- leave through POST /waitlist/:id/cancel, which checks the entry is theirs
+revoke execute on function offer_waitlisted_slot(uuid) from public, anon, authenticated;
+grant execute on function offer_waitlisted_slot(uuid) to service_role;
+revoke execute on function leave_waitlist(uuid, uuid) from public, anon, authenticated;
+grant execute on function leave_waitlist(uuid, uuid) to service_role;
+revoke execute on function expire_past_waitlist_entries(date) from public, anon, authenticated;
+grant execute on function expire_past_waitlist_entries(date) to service_role;
+
+-- =====================================================
+-- PROMO CODES
+-- =====================================================
+
+create table if not exists promo_codes (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references owners(id) on delete cascade,
+  code text not null,
+  description text,
+  discount_type text not null,
+  discount_value numeric not null,
+  max_discount numeric,
+  min_amount numeric,
+  valid_from date,
+  valid_until date,
+  turf_ids uuid[],
+  day_types text[],
+  time_slots text[],
+  first_booking_only boolean not null default false,
+  max_redemptions int,
+  per_player_limit int,
+  redemption_count int not null default 0,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  constraint promo_codes_discount_type_check check (discount_type in ('PERCENT', 'FLAT')),
+  constraint promo_codes_discount_value_check check (
+    discount_value > 0 and (discount_type <> 'PERCENT' or discount_value <= 100)
+  )
+);
+
+create unique index if not exists promo_codes_owner_code_idx
+  on promo_codes (owner_id, code);
+
+create table if not exists promo_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  promo_code_id uuid not null references promo_codes(id) on delete cascade,
+  booking_id uuid not null references bookings(id) on delete cascade,
+  player_id uuid,
+  discount_amount numeric not null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists promo_redemptions_booking_idx
+  on promo_redemptions (booking_id);
+create index if not exists promo_redemptions_player_idx
+  on promo_redemptions (promo_code_id, player_id);
+
+alter table promo_codes enable row level security;
+alter table promo_redemptions enable row level security;
+
+alter table bookings add column if not exists promo_code_id uuid references promo_codes(id) on delete set null;
+alter table bookings add column if not exists promo_code text;
+alter table bookings add column if not exists original_amount numeric;
+alter table bookings add column if not exists discount_amount numeric not null default 0;
+
+-- Same booking rules as before, plus the promo redemption. The code row is
+-- locked so concurrent bookings cannot push it past its caps.
+create or replace function create_booking_atomic(
+  p_slot_id uuid,
+  p_booking_data jsonb
+) returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  slot_record slots%rowtype;
+  booking_id uuid;
+  v_slot_status text;
+  v_advance_amount numeric;
+  v_total_amount numeric;
+  v_promo promo_codes%rowtype;
+  v_promo_id uuid := nullif(p_booking_data->>'promo_code_id', '')::uuid;
+  v_user_id uuid := nullif(p_booking_data->>'user_id', '')::uuid;
+  v_player_uses int;
+begin
+  select * into slot_record from slots where id = p_slot_id for update;
+  if not found then
+    raise exception 'Slot not found';
+  end if;
+
+  if slot_record.status not in ('AVAILABLE', 'RESERVED') then
+    raise exception 'Slot not available';
+  end if;
+
+  if v_promo_id is not null then
+    select * into v_promo from promo_codes where id = v_promo_id for update;
+    if not found or not v_promo.is_active then
+      raise exception 'Promo code is not active';
+    end if;
+
+    if v_promo.max_redemptions is not null
+       and v_promo.redemption_count >= v_promo.max_redemptions then
+      raise exception 'Promo code usage limit reached';
+    end if;
+
+    if v_promo.per_player_limit is not null and v_user_id is not null then
+      select count(*) into v_player_uses from promo_redemptions
+        where promo_code_id = v_promo.id and player_id = v_user_id;
+      if v_player_uses >= v_promo.per_player_limit then
+        raise exception 'Promo code per-player limit reached';
+      end if;
+    end if;
+  end if;
+
+  v_advance_amount := coalesce((p_booking_data->>'advance_amount')::numeric, 0);
+  v_total_amount := coalesce((p_booking_data->>'amount')::numeric, 0);
+
+  -- Fully paid bookings are BOOKED; partial or unpaid ones hold the slot as
+  -- RESERVED. A fully discounted booking has nothing left to pay.
+  if v_advance_amount >= v_total_amount and (v_total_amount > 0 or v_promo_id is not null) then
+    v_slot_status := 'BOOKED';
+  else
+    v_slot_status := 'RESERVED';
+  end if;
+
+  update slots
+    set status = v_slot_status,
+        reserved_until = null,
+        reserved_by = null,
+        updated_at = now()
+    where id = p_slot_id;
+
+  insert into bookings (
+    owner_id, turf_id, slot_id, booking_date, start_time, end_time,
+    turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+    payment_mode, payment_status, amount, advance_amount, transaction_id, booking_status,
+    promo_code_id, promo_code, original_amount, discount_amount, created_at
+  ) values (
+    (select owner_id from turfs where id = (p_booking_data->>'turf_id')::uuid),
+    (p_booking_data->>'turf_id')::uuid,
+    p_slot_id,
+    (p_booking_data->>'booking_date')::date,
+    p_booking_data->>'start_time',
+    p_booking_data->>'end_time',
+    p_booking_data->>'turf_name',
+    coalesce((p_booking_data->>'net_number')::int, 1),
+    v_user_id,
+    p_booking_data->>'customer_name',
+    p_booking_data->>'customer_phone',
+    p_booking_data->>'booking_source',
+    p_booking_data->>'payment_mode',
+    p_booking_data->>'payment_status',
+    (p_booking_data->>'amount')::numeric,
+    coalesce((p_booking_data->>'advance_amount')::numeric, 0),
+    p_booking_data->>'transaction_id',
+    coalesce(p_booking_data->>'booking_status', 'CONFIRMED'),
+    v_promo_id,
+    case when v_promo_id is not null then v_promo.code end,
+    coalesce((p_booking_data->>'original_amount')::numeric, (p_booking_data->>'amount')::numeric),
+    coalesce((p_booking_data->>'discount_amount')::numeric, 0),
+    now()
+  ) returning id into booking_id;
+
+  if v_promo_id is not null then
+    insert into promo_redemptions (promo_code_id, booking_id, player_id, discount_amount)
+    values (
+      v_promo.id,
+      booking_id,
+      v_user_id,
+      coalesce((p_booking_data->>'discount_amount')::numeric, 0)
+    );
+
+    update promo_codes
+      set redemption_count = redemption_count + 1,
+          updated_at = now()
+      where id = v_promo.id;
+  end if;
+
+  return booking_id;
+end;
+$$;
+
+-- Report totals keep the amount actually charged in gross_amount and show
+-- promo discounts alongside it
+create or replace function owner_report(
+  p_owner_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_turf_id uuid default null
+) returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with owned as (
+    select id, turf_name from turfs
+      where owner_id = p_owner_id
+        and (p_turf_id is null or id = p_turf_id)
+  ),
+  slot_stats as (
+    select s.turf_id,
+           s.net_number,
+           count(*) as generated_slots,
+           count(*) filter (where s.status = 'BLOCKED') as blocked_slots
+      from slots s
+      join owned o on o.id = s.turf_id
+      where s.date between p_start_date and p_end_date
+      group by s.turf_id, s.net_number
+  ),
+  booking_rows as (
+    select b.turf_id,
+           b.net_number,
+           b.booking_status,
+           b.booking_source,
+           b.amount,
+           b.advance_amount,
+           coalesce(b.refund_amount, 0) as refund_amount,
+           coalesce(b.discount_amount, 0) as discount_amount,
+           coalesce(s.price_type, 'UNKNOWN') as price_type
+      from bookings b
+      join owned o on o.id = b.turf_id
+      left join slots s on s.id = b.slot_id
+      where b.booking_date between p_start_date and p_end_date
+  ),
+  booking_stats as (
+    select turf_id,
+           net_number,
+           count(*) filter (where booking_status = 'CONFIRMED') as confirmed_bookings,
+           coalesce(sum(amount) filter (where booking_status = 'CONFIRMED'), 0) as gross_amount,
+           coalesce(sum(advance_amount) filter (where booking_status = 'CONFIRMED'), 0) as advance_collected,
+           coalesce(sum(discount_amount) filter (where booking_status = 'CONFIRMED'), 0) as discount_amount,
+           count(*) filter (where booking_status = 'CANCELLED') as cancelled_bookings,
+           coalesce(sum(amount) filter (where booking_status = 'CANCELLED'), 0) as cancelled_amount,
+           coalesce(sum(refund_amount) filter (where booking_status = 'CANCELLED'), 0) as refund_amount
+      from booking_rows
+      group by turf_id, net_number
+  ),
+  nets as (
+    select o.id as turf_id,
+           o.turf_name,
+           x.net_number,
+           coalesce(x.generated_slots, 0) as generated_slots,
+           coalesce(x.blocked_slots, 0) as blocked_slots,
+           coalesce(x.confirmed_bookings, 0) as confirmed_bookings,
+           coalesce(x.gross_amount, 0) as gross_amount,
+           coalesce(x.advance_collected, 0) as advance_collected,
+           coalesce(x.discount_amount, 0) as discount_amount,
+           coalesce(x.cancelled_bookings, 0) as cancelled_bookings,
+           coalesce(x.cancelled_amount, 0) as cancelled_amount,
+           coalesce(x.refund_amount, 0) as refund_amount
+      from owned o
+      join (
+        slot_stats full join booking_stats using (turf_id, net_number)
+      ) x on x.turf_id = o.id
+  )
+  select jsonb_build_object(
+    'nets', (
+      select coalesce(jsonb_agg(to_jsonb(n) order by n.turf_name, n.net_number), '[]'::jsonb)
+        from nets n
+    ),
+    'by_price_type', (
+      select coalesce(jsonb_agg(to_jsonb(p) order by p.price_type), '[]'::jsonb)
+        from (
+          select price_type,
+                 count(*) as confirmed_bookings,
+                 sum(amount) as gross_amount,
+                 sum(advance_amount) as advance_collected,
+                 sum(discount_amount) as discount_amount
+            from booking_rows
+            where booking_status = 'CONFIRMED'
+            group by price_type
+        ) p
+    ),
+    'by_booking_source', (
+      select coalesce(jsonb_agg(to_jsonb(s) order by s.booking_source), '[]'::jsonb)
+        from (
+          select booking_source,
+                 count(*) as confirmed_bookings,
+                 sum(amount) as gross_amount,
+                 sum(advance_amount) as advance_collected,
+                 sum(discount_amount) as discount_amount
+            from booking_rows
+            where booking_status = 'CONFIRMED'
+            group by booking_source
+        ) s
+    )
+  );
+$$;
+
+-- =====================================================
+-- CALENDAR FEEDS
+-- =====================================================
+
+create table if not exists calendar_feeds (
+  id uuid primary key default gen_random_uuid(),
+  token_hash text not null unique,
+  scope text not null,
+  turf_id uuid references turfs(id) on delete cascade,
+  net_number int,
+  player_id uuid references players(id) on delete cascade,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  last_accessed_at timestamptz,
+  constraint calendar_feeds_scope_check check (
+    (scope = 'TURF' and turf_id is not null and player_id is null)
+    or (scope = 'PLAYER' and player_id is not null and turf_id is null)
+  )
+);
+
+create unique index if not exists calendar_feeds_turf_idx
+  on calendar_feeds (turf_id, coalesce(net_number, 0))
+  where scope = 'TURF';
+create unique index if not exists calendar_feeds_player_idx
+  on calendar_feeds (player_id)
+  where scope = 'PLAYER';
+
+alter table calendar_feeds enable row level security;
+
+-- =====================================================
+-- SLOT STREAM REALTIME
+-- =====================================================
+
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    if not exists (
+      select 1 from pg_publication_tables
+       where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'slots'
+    ) then
+      alter publication supabase_realtime add table slots;
+    end if;
+    if not exists (
+      select 1 from pg_publication_tables
+       where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'bookings'
+    ) then
+      alter publication supabase_realtime add table bookings;
+    end if;
+  end if;
+end;
+$$;
+
+-- =====================================================
+-- PLAYER ACCOUNTS
+-- =====================================================
+
+create or replace function add_favorite_turf(
+  p_player_id uuid,
+  p_turf_id uuid,
+  p_max_favorites int
+) returns text[]
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_favorites text[];
+begin
+  select favorite_turfs into v_favorites
+    from players where id = p_player_id for update;
+  if not found then
+    raise exception 'Player not found';
+  end if;
+
+  v_favorites := coalesce(v_favorites, array[]::text[]);
+  if p_turf_id::text = any(v_favorites) then
+    return v_favorites;
+  end if;
+
+  if cardinality(v_favorites) >= p_max_favorites then
+    raise exception 'Favourite limit reached';
+  end if;
+
+  v_favorites := array_append(v_favorites, p_turf_id::text);
+  update players
+    set favorite_turfs = v_favorites,
+        updated_at = now()
+    where id = p_player_id;
+  return v_favorites;
+end;
+$$;
+
+create or replace function remove_favorite_turf(
+  p_player_id uuid,
+  p_turf_id uuid
+) returns text[]
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_favorites text[];
+begin
+  update players
+    set favorite_turfs = array_remove(coalesce(favorite_turfs, array[]::text[]), p_turf_id::text),
+        updated_at = now()
+    where id = p_player_id
+    returning favorite_turfs into v_favorites;
+  if not found then
+    raise exception 'Player not found';
+  end if;
+  return v_favorites;
+end;
+$$;
+
+-- Removes a player profile. Bookings, groups and series stay with the turf
+-- owner, anonymised; holds, waitlist places and queued messages are dropped.
+-- Refused while the player still has confirmed bookings from p_today on.
+create or replace function delete_player_account(
+  p_player_id uuid,
+  p_today date
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_player players%rowtype;
+  v_bookings int;
+  v_series int;
+  v_notifications int;
+begin
+  select * into v_player from players where id = p_player_id for update;
+  if not found then
+    raise exception 'Player not found';
+  end if;
+
+  if exists (
+    select 1 from bookings
+     where user_id = p_player_id
+       and booking_status = 'CONFIRMED'
+       and booking_date >= p_today
+  ) then
+    raise exception 'Player has upcoming bookings';
+  end if;
+
+  -- Close waitlist places first so released holds are not offered back
+  update waitlist_entries
+    set status = 'CANCELLED',
+        updated_at = now()
+    where player_id = p_player_id
+      and status in ('WAITING', 'OFFERED');
+
+  update slots
+    set status = 'AVAILABLE',
+        reserved_until = null,
+        reserved_by = null,
+        updated_at = now()
+    where reserved_by = p_player_id
+      and status = 'RESERVED';
+
+  update bookings
+    set user_id = null,
+        customer_name = 'Deleted player',
+        customer_phone = 'REDACTED',
+        updated_at = now()
+    where user_id = p_player_id;
+  get diagnostics v_bookings = row_count;
+
+  update booking_series
+    set user_id = null,
+        customer_name = 'Deleted player',
+        customer_phone = 'REDACTED',
+        updated_at = now()
+    where user_id = p_player_id;
+  get diagnostics v_series = row_count;
+
+  update booking_groups set user_id = null where user_id = p_player_id;
+  update promo_redemptions set player_id = null where player_id = p_player_id;
+
+  delete from notification_outbox
+    where status = 'PENDING'
+      and recipient in (v_player.phone, v_player.email);
+  get diagnostics v_notifications = row_count;
+
+  -- Calendar feeds and waitlist entries cascade with the profile
+  delete from players where id = p_player_id;
+
+  return jsonb_build_object(
+    'anonymised_bookings', v_bookings,
+    'anonymised_series', v_series,
+    'dropped_notifications', v_notifications
+  );
+end;
+$$;
+
+-- Favourites and account deletion go through the /players/me routes, which act
+-- for the signed-in player only
+revoke execute on function add_favorite_turf(uuid, uuid, int) from public, anon, authenticated;
+grant execute on function add_favorite_turf(uuid, uuid, int) to service_role;
+revoke execute on function remove_favorite_turf(uuid, uuid) from public, anon, authenticated;
+grant execute on function remove_favorite_turf(uuid, uuid) to service_role;
+revoke execute on function delete_player_account(uuid, date) from public, anon, authenticated;
+grant execute on function delete_player_account(uuid, date) to service_role;
+
+-- =====================================================
+-- BLACKOUTS
+-- =====================================================
+
+create table if not exists blackouts (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references owners(id) on delete cascade,
+  turf_id uuid not null references turfs(id) on delete cascade,
+  net_numbers int[],
+  start_date date not null,
+  end_date date not null,
+  start_time text,
+  end_time text,
+  reason text not null,
+  status text not null default 'ACTIVE',
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  lifted_at timestamptz,
+  lifted_by uuid,
+  constraint blackouts_dates_check check (end_date >= start_date),
+  constraint blackouts_window_check check ((start_time is null) = (end_time is null))
+);
+
+create index if not exists blackouts_turf_idx
+  on blackouts (turf_id, status, start_date);
+
+alter table blackouts enable row level security;
+
+drop policy if exists "blackouts_select_own" on blackouts;
+create policy "blackouts_select_own" on blackouts
+  for select using (auth.uid() = owner_id);
+
+alter table slots
+  add column if not exists blackout_id uuid references blackouts(id) on delete set null;
+
+create index if not exists slots_blackout_idx on slots (blackout_id) where blackout_id is not null;
+
+-- A slot is covered when it overlaps the window on a listed net. Times are
+-- HH:MM text, and an end of 00:00 means midnight.
+create or replace function blackout_covers(p_blackout blackouts, p_slot slots)
+returns boolean
+language sql
+immutable
+as $$
+  select p_slot.turf_id = p_blackout.turf_id
+     and p_slot.date between p_blackout.start_date and p_blackout.end_date
+     and (p_blackout.net_numbers is null or p_slot.net_number = any(p_blackout.net_numbers))
+     and (
+       p_blackout.start_time is null
+       or (
+         p_slot.start_time < case when p_blackout.end_time = '00:00' then '24:00' else p_blackout.end_time end
+         and case when p_slot.end_time = '00:00' then '24:00' else p_slot.end_time end > p_blackout.start_time
+       )
+     );
+$$;
+
+-- p_on_conflict decides what happens to confirmed bookings on covered slots:
+--   REPORT  nothing is written if any booking is left unresolved
+--   SKIP    those slots keep their bookings and are reported back
+--   CANCEL  the bookings are cancelled with a full refund of what was paid
+-- p_moves ([{booking_id, slot_id}]) first moves chosen bookings to free
+-- slots of the same turf outside the blackout. Slots already blocked by hand
+-- (or by another blackout) are left as they are.
+create or replace function create_blackout(
+  p_blackout jsonb,
+  p_on_conflict text default 'REPORT',
+  p_moves jsonb default '[]'::jsonb
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_blackout blackouts%rowtype;
+  v_turf turfs%rowtype;
+  v_slot slots%rowtype;
+  v_target slots%rowtype;
+  v_booking bookings%rowtype;
+  v_move jsonb;
+  v_move_ids uuid[];
+  v_conflicts jsonb := '[]'::jsonb;
+  v_moved jsonb := '[]'::jsonb;
+  v_cancelled jsonb := '[]'::jsonb;
+  v_skipped jsonb := '[]'::jsonb;
+  v_unresolved int := 0;
+  v_blocked int := 0;
+  v_already int := 0;
+  v_refund numeric;
+begin
+  v_blackout.turf_id := (p_blackout->>'turf_id')::uuid;
+  v_blackout.start_date := (p_blackout->>'start_date')::date;
+  v_blackout.end_date := (p_blackout->>'end_date')::date;
+  v_blackout.start_time := nullif(p_blackout->>'start_time', '');
+  v_blackout.end_time := nullif(p_blackout->>'end_time', '');
+  v_blackout.reason := p_blackout->>'reason';
+  v_blackout.created_by := nullif(p_blackout->>'created_by', '')::uuid;
+  if jsonb_typeof(p_blackout->'net_numbers') = 'array' then
+    v_blackout.net_numbers := array(
+      select jsonb_array_elements_text(p_blackout->'net_numbers')::int
+    );
+  end if;
+
+  select * into v_turf from turfs where id = v_blackout.turf_id;
+  if not found then
+    raise exception 'Turf not found';
+  end if;
+  v_blackout.owner_id := v_turf.owner_id;
+
+  v_move_ids := array(
+    select (m->>'booking_id')::uuid from jsonb_array_elements(p_moves) as m
+  );
+
+  -- Lock in id order so overlapping blackouts cannot deadlock
+  for v_slot in
+    select * from slots
+     where turf_id = v_blackout.turf_id
+       and date between v_blackout.start_date and v_blackout.end_date
+     order by id
+     for update
+  loop
+    continue when not blackout_covers(v_blackout, v_slot);
+
+    select * into v_booking from bookings
+     where slot_id = v_slot.id and booking_status = 'CONFIRMED';
+    continue when not found;
+
+    v_conflicts := v_conflicts || jsonb_build_object(
+      'booking_id', v_booking.id,
+      'slot_id', v_slot.id,
+      'date', v_booking.booking_date,
+      'start_time', v_booking.start_time,
+      'end_time', v_booking.end_time,
+      'net_number', v_booking.net_number,
+      'user_id', v_booking.user_id,
+      'customer_name', v_booking.customer_name,
+      'customer_phone', v_booking.customer_phone,
+      'amount', v_booking.amount,
+      'advance_amount', v_booking.advance_amount
+    );
+    if not v_booking.id = any(v_move_ids) then
+      v_unresolved := v_unresolved + 1;
+    end if;
+  end loop;
+
+  if v_unresolved > 0 and p_on_conflict = 'REPORT' then
+    return jsonb_build_object('blackout', null, 'conflicts', v_conflicts);
+  end if;
+
+  insert into blackouts (
+    owner_id, turf_id, net_numbers, start_date, end_date, start_time, end_time,
+    reason, created_by
+  ) values (
+    v_blackout.owner_id,
+    v_blackout.turf_id,
+    v_blackout.net_numbers,
+    v_blackout.start_date,
+    v_blackout.end_date,
+    v_blackout.start_time,
+    v_blackout.end_time,
+    v_blackout.reason,
+    v_blackout.created_by
+  ) returning * into v_blackout;
+
+  for v_move in select * from jsonb_array_elements(p_moves)
+  loop
+    select * into v_booking from bookings
+     where id = (v_move->>'booking_id')::uuid
+       and turf_id = v_blackout.turf_id
+       and booking_status = 'CONFIRMED'
+     for update;
+    if not found then
+      raise exception 'Booking not found' using detail = v_move->>'booking_id';
+    end if;
+
+    select * into v_slot from slots where id = v_booking.slot_id;
+    if not blackout_covers(v_blackout, v_slot) then
+      raise exception 'Booking is not affected by this blackout' using detail = v_booking.id::text;
+    end if;
+
+    select * into v_target from slots where id = (v_move->>'slot_id')::uuid for update;
+    if not found then
+      raise exception 'Slot not found' using detail = v_move->>'slot_id';
+    end if;
+    if v_target.turf_id <> v_blackout.turf_id then
+      raise exception 'Slot belongs to another turf' using detail = v_target.id::text;
+    end if;
+    if blackout_covers(v_blackout, v_target) then
+      raise exception 'Slot is inside the blackout' using detail = v_target.id::text;
+    end if;
+    if not (
+      v_target.status = 'AVAILABLE'
+      or (v_target.status = 'RESERVED' and v_target.reserved_until < now())
+    ) or exists (
+      select 1 from bookings where slot_id = v_target.id and booking_status = 'CONFIRMED'
+    ) then
+      raise exception 'Slot not available' using detail = v_target.id::text;
+    end if;
+
+    -- The booking keeps its price and payments; the new slot takes over the
+    -- old one's paid/unpaid state
+    update slots
+      set status = v_slot.status,
+          reserved_until = null,
+          reserved_by = null,
+          updated_at = now()
+      where id = v_target.id;
+
+    update bookings
+      set slot_id = v_target.id,
+          booking_date = v_target.date,
+          start_time = v_target.start_time,
+          end_time = v_target.end_time,
+          net_number = v_target.net_number,
+          updated_by = p_blackout->>'updated_by',
+          updated_at = now()
+      where id = v_booking.id
+      returning * into v_booking;
+
+    perform notify_booking(v_booking, 'BOOKING_MOVED', 'booking_moved:' || v_booking.id || ':' || v_target.id);
+
+    v_moved := v_moved || jsonb_build_object(
+      'booking_id', v_booking.id,
+      'from_slot_id', v_slot.id,
+      'slot_id', v_target.id,
+      'date', v_target.date,
+      'start_time', v_target.start_time,
+      'end_time', v_target.end_time,
+      'net_number', v_target.net_number
+    );
+  end loop;
+
+  for v_slot in
+    select * from slots
+     where turf_id = v_blackout.turf_id
+       and date between v_blackout.start_date and v_blackout.end_date
+     order by id
+  loop
+    continue when not blackout_covers(v_blackout, v_slot);
+
+    select * into v_booking from bookings
+     where slot_id = v_slot.id and booking_status = 'CONFIRMED';
+    if found then
+      if p_on_conflict <> 'CANCEL' then
+        v_skipped := v_skipped || jsonb_build_object('booking_id', v_booking.id, 'slot_id', v_slot.id);
+        continue;
+      end if;
+
+      v_refund := coalesce(v_booking.advance_amount, 0);
+      update bookings
+        set booking_status = 'CANCELLED',
+            cancelled_at = now(),
+            cancelled_by = p_blackout->>'updated_by',
+            cancellation_reason = 'Blackout: ' || v_blackout.reason,
+            refund_amount = v_refund,
+            refund_status = case when v_refund > 0 then 'PENDING' else 'NONE' end,
+            updated_at = now()
+        where id = v_booking.id;
+
+      v_cancelled := v_cancelled || jsonb_build_object(
+        'booking_id', v_booking.id,
+        'slot_id', v_slot.id,
+        'refund_amount', v_refund
+      );
+    elsif v_slot.status = 'BLOCKED' then
+      v_already := v_already + 1;
+      continue;
+    end if;
+
+    update slots
+      set status = 'BLOCKED',
+          reserved_until = null,
+          reserved_by = null,
+          blocked_by = v_blackout.created_by,
+          block_reason = v_blackout.reason,
+          blackout_id = v_blackout.id,
+          updated_at = now()
+      where id = v_slot.id;
+    v_blocked := v_blocked + 1;
+  end loop;
+
+  return jsonb_build_object(
+    'blackout', to_jsonb(v_blackout),
+    'conflicts', v_conflicts,
+    'blocked', v_blocked,
+    'already_blocked', v_already,
+    'moved', v_moved,
+    'cancelled', v_cancelled,
+    'skipped', v_skipped
+  );
+end;
+$$;
+
+-- Unblocks what the blackout blocked. Slots another active blackout also
+-- covers stay blocked and are handed over to it.
+create or replace function lift_blackout(p_blackout_id uuid, p_lifted_by uuid)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_blackout blackouts%rowtype;
+  v_other blackouts%rowtype;
+  v_slot slots%rowtype;
+  v_count int := 0;
+begin
+  select * into v_blackout from blackouts where id = p_blackout_id for update;
+  if not found then
+    raise exception 'Blackout not found';
+  end if;
+  if v_blackout.status <> 'ACTIVE' then
+    raise exception 'Blackout is already lifted';
+  end if;
+
+  update blackouts
+    set status = 'LIFTED',
+        lifted_at = now(),
+        lifted_by = p_lifted_by
+    where id = p_blackout_id;
+
+  for v_slot in
+    select * from slots where blackout_id = p_blackout_id order by id for update
+  loop
+    -- Unblocked by hand since; only the link goes
+    if v_slot.status <> 'BLOCKED' then
+      update slots set blackout_id = null where id = v_slot.id;
+      continue;
+    end if;
+
+    select * into v_other from blackouts b
+     where b.status = 'ACTIVE'
+       and b.turf_id = v_blackout.turf_id
+       and blackout_covers(b, v_slot)
+     order by b.created_at
+     limit 1;
+    if found then
+      update slots
+        set blackout_id = v_other.id,
+            block_reason = v_other.reason,
+            updated_at = now()
+        where id = v_slot.id;
+      continue;
+    end if;
+
+    update slots
+      set status = 'AVAILABLE',
+          blocked_by = null,
+          block_reason = null,
+          blackout_id = null,
+          updated_at = now()
+      where id = v_slot.id;
+    v_count := v_count + 1;
+  end loop;
+
+  return v_count;
+end;
+$$;
+
+-- Blackouts are created and lifted through the turf blackout routes, which check
+-- the caller manages the turf
+revoke execute on function create_blackout(jsonb, text, jsonb) from public, anon, authenticated;
+grant execute on function create_blackout(jsonb, text, jsonb) to service_role;
+revoke execute on function lift_blackout(uuid, uuid) from public, anon, authenticated;
+grant execute on function lift_blackout(uuid, uuid) to service_role;
+
+-- =====================================================
+-- TURF SEARCH
+-- =====================================================
+
+create index if not exists turfs_search_city_idx
+  on turfs (lower(city)) where is_approved and status = 'OPEN';
+
+-- Text to numeric, NULL for anything that is not a number. Pricing JSON and
+-- locations are written by the app and not checked by the database.
+create or replace function safe_numeric(p_value text)
+returns numeric
+language sql
+immutable
+as $$
+  select case
+    when btrim(p_value) ~ '^[-+]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][-+]?[0-9]+)?$'
+      then btrim(p_value)::numeric
+  end;
+$$;
+
+-- Morning, afternoon, evening and night prices of one day-type map. Same
+-- rules as parseDayTypePricing in api/_utils/pricing.js, including the
+-- legacy day/night format.
+create or replace function day_type_prices(p_map jsonb)
+returns numeric[]
+language sql
+immutable
+as $$
+  select case
+    when jsonb_typeof(p_map) = 'object' and p_map ? 'day' and p_map ? 'night' then
+      array[d.price, d.price, n.price, n.price]
+    else array[
+      coalesce(safe_numeric(p_map->'morning'->>'price'), 0),
+      coalesce(safe_numeric(p_map->'afternoon'->>'price'), 0),
+      coalesce(safe_numeric(p_map->'evening'->>'price'), 0),
+      coalesce(safe_numeric(p_map->'night'->>'price'), 0)
+    ]
+  end
+  from (select case when p_map->'day'->>'price' is null then 1000
+                    else coalesce(safe_numeric(p_map->'day'->>'price'), 0) end as price) d,
+       (select case when p_map->'night'->>'price' is null then 1200
+                    else coalesce(safe_numeric(p_map->'night'->>'price'), 0) end as price) n;
+$$;
+
+-- Every band price across a turf's nets, for one day type or all of them
+-- (listPrices in api/_utils/pricing.js)
+create or replace function turf_band_prices(p_rules jsonb, p_day_type text default null)
+returns numeric[]
+language sql
+immutable
+as $$
+  with nets as (
+    select net
+      from jsonb_array_elements(
+        case when jsonb_typeof(coalesce(p_rules->'nets', p_rules->'netPricing')) = 'array'
+             then coalesce(p_rules->'nets', p_rules->'netPricing')
+             else '[]'::jsonb end
+      ) as net
+      where p_rules ? 'nets' or p_rules ? 'netPricing'
+    union all
+    -- Legacy single-net format
+    select jsonb_build_object(
+             'weekday', p_rules->'weekday',
+             'weekend', coalesce(nullif(p_rules->'saturday', 'null'::jsonb), p_rules->'weekend'),
+             'holiday', p_rules->'holiday'
+           )
+      where not (p_rules ? 'nets' or p_rules ? 'netPricing')
+  )
+  select coalesce(array_agg(b.price), array[]::numeric[])
+    from nets
+    cross join lateral (values
+      ('WEEKDAY', nets.net->'weekday'),
+      ('WEEKEND', nets.net->'weekend'),
+      ('HOLIDAY', nets.net->'holiday')
+    ) as d(day_type, map)
+    cross join lateral unnest(day_type_prices(d.map)) as b(price)
+    where p_day_type is null or d.day_type = p_day_type;
+$$;
+
+-- One page of approved, open turfs. With p_lat/p_lng the page is ordered by
+-- distance (turfs without a location last), otherwise by name. The cursor is
+-- the previous page's last (sort_key, id); a NULL p_after_key with an id
+-- means that page ended among turfs without a location.
+create or replace function search_turfs(
+  p_city text default null,
+  p_turf_type text default null,
+  p_open_day text default null,
+  p_date date default null,
+  p_min_price numeric default null,
+  p_max_price numeric default null,
+  p_lat double precision default null,
+  p_lng double precision default null,
+  p_radius_km numeric default null,
+  p_after_key text default null,
+  p_after_id uuid default null,
+  p_limit int default 20
+) returns table (
+  id uuid,
+  turf_name text,
+  turf_type text,
+  city text,
+  address text,
+  location jsonb,
+  number_of_nets int,
+  open_time text,
+  close_time text,
+  slot_duration_minutes int,
+  days_open text[],
+  pricing_rules jsonb,
+  public_holidays text[],
+  images jsonb,
+  distance_km numeric,
+  sort_key text
+)
+language sql
+stable
+set search_path = public
+as $$
+  with candidates as (
+    select t.*,
+           safe_numeric(t.location->>'lat')::double precision as lat,
+           safe_numeric(t.location->>'lng')::double precision as lng
+      from turfs t
+      where t.is_approved
+        and t.status = 'OPEN'
+        and (p_city is null or lower(t.city) = lower(p_city))
+        and (p_turf_type is null or t.turf_type = p_turf_type)
+        and (p_open_day is null or p_open_day = any(t.days_open))
+  ),
+  measured as (
+    select c.*,
+           case when p_lat is not null and p_lng is not null
+                     and c.lat is not null and c.lng is not null then
+             round((6371 * 2 * asin(least(1, sqrt(
+               sin(radians(c.lat - p_lat) / 2) ^ 2 +
+               cos(radians(p_lat)) * cos(radians(c.lat)) *
+               sin(radians(c.lng - p_lng) / 2) ^ 2
+             ))))::numeric, 2)
+           end as distance_km
+      from candidates c
+  ),
+  matched as (
+    select m.*
+      from measured m
+      where (p_radius_km is null or m.distance_km <= p_radius_km)
+        and (
+          (p_min_price is null and p_max_price is null)
+          or exists (
+            select 1
+              from unnest(turf_band_prices(
+                m.pricing_rules,
+                case
+                  when p_date is null then null
+                  when to_char(p_date, 'YYYY-MM-DD') = any(m.public_holidays) then 'HOLIDAY'
+                  when extract(isodow from p_date) in (6, 7) then 'WEEKEND'
+                  else 'WEEKDAY'
+                end
+              )) as p(price)
+              where p.price > 0
+                and (p_min_price is null or p.price >= p_min_price)
+                and (p_max_price is null or p.price <= p_max_price)
+          )
+        )
+  )
+  select m.id, m.turf_name, m.turf_type, m.city, m.address, m.location,
+         m.number_of_nets, m.open_time, m.close_time, m.slot_duration_minutes,
+         m.days_open, m.pricing_rules, m.public_holidays, m.images,
+         m.distance_km,
+         case when p_lat is not null then m.distance_km::text else lower(m.turf_name) end
+    from matched m
+    where p_after_id is null
+       or (p_lat is not null and p_after_key is null
+           and m.distance_km is null and m.id > p_after_id)
+       or (p_lat is not null and p_after_key is not null
+           and (m.distance_km is null
+                or m.distance_km > safe_numeric(p_after_key)
+                or (m.distance_km = safe_numeric(p_after_key) and m.id > p_after_id)))
+       or (p_lat is null
+           and (lower(m.turf_name) > p_after_key
+                or (lower(m.turf_name) = p_after_key and m.id > p_after_id)))
+    order by
+      case when p_lat is not null then m.distance_km end nulls last,
+      case when p_lat is null then lower(m.turf_name) end,
+      m.id
+    limit p_limit;
+$$;
+
+-- =====================================================
+-- GROUP AND SERIES REFUNDS
+-- =====================================================
+
+drop function if exists cancel_booking_group(uuid, text, text);
+drop function if exists cancel_booking_series(uuid, date, text, text);
+drop function if exists cancel_series_occurrences(uuid, date, text, text);
+
+-- Cancel every confirmed booking in a group and free its slots
+create or replace function cancel_booking_group(
+  p_group_id uuid,
+  p_cancelled_by text,
+  p_cancel_reason text default null,
+  p_refunds jsonb default null
+) returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group booking_groups%rowtype;
+  v_count int;
+begin
+  select * into v_group from booking_groups where id = p_group_id for update;
+  if not found then
+    raise exception 'Booking group not found';
+  end if;
+
+  with cancelled as (
+    update bookings
+      set booking_status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          cancellation_reason = p_cancel_reason,
+          refund_amount = (p_refunds->(bookings.id::text)->>'refund_amount')::numeric,
+          refund_status = p_refunds->(bookings.id::text)->>'refund_status',
+          updated_at = now()
+      where group_id = p_group_id and booking_status = 'CONFIRMED'
+      returning slot_id
+  )
+  update slots
+    set status = 'AVAILABLE',
+        reserved_until = null,
+        reserved_by = null,
+        updated_at = now()
+    where id in (select slot_id from cancelled);
+  get diagnostics v_count = row_count;
+
+  update booking_groups
+    set status = 'CANCELLED',
+        cancelled_at = now(),
+        cancelled_by = p_cancelled_by,
+        cancellation_reason = p_cancel_reason,
+        updated_at = now()
+    where id = p_group_id;
+
+  return v_count;
+end;
+$$;
+
+-- Cancels the series' confirmed bookings on or after p_from_date and frees
+-- their slots. Returns the number of cancelled occurrences.
+create or replace function cancel_series_occurrences(
+  p_series_id uuid,
+  p_from_date date,
+  p_cancelled_by text,
+  p_cancel_reason text default null,
+  p_refunds jsonb default null
+) returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count int;
+begin
+  with cancelled as (
+    update bookings
+      set booking_status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          cancellation_reason = p_cancel_reason,
+          refund_amount = (p_refunds->(bookings.id::text)->>'refund_amount')::numeric,
+          refund_status = p_refunds->(bookings.id::text)->>'refund_status',
+          updated_at = now()
+      where series_id = p_series_id
+        and booking_status = 'CONFIRMED'
+        and booking_date >= p_from_date
+      returning slot_id
+  )
+  update slots
+    set status = 'AVAILABLE',
+        reserved_until = null,
+        reserved_by = null,
+        updated_at = now()
+    where id in (select slot_id from cancelled);
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+-- Cancels the whole series, or only the occurrences from p_from_date onward
+create or replace function cancel_booking_series(
+  p_series_id uuid,
+  p_from_date date,
+  p_cancelled_by text,
+  p_cancel_reason text default null,
+  p_refunds jsonb default null
+) returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_series booking_series%rowtype;
+  v_count int;
+begin
+  select * into v_series from booking_series where id = p_series_id for update;
+  if not found then
+    raise exception 'Booking series not found';
+  end if;
+
+  v_count := cancel_series_occurrences(
+    p_series_id,
+    coalesce(p_from_date, v_series.start_date),
+    p_cancelled_by,
+    p_cancel_reason,
+    p_refunds
+  );
+
+  if p_from_date is null or p_from_date <= v_series.start_date then
+    update booking_series
+      set status = 'CANCELLED',
+          cancelled_at = now(),
+          cancelled_by = p_cancelled_by,
+          updated_at = now()
+      where id = p_series_id;
+  else
+    update booking_series
+      set end_date = least(end_date, p_from_date - 1),
+          updated_at = now()
+      where id = p_series_id;
+  end if;
+
+  return v_count;
+end;
+$$;
+
+-- Dropping the old signatures dropped their grants; the API is still the only
+-- caller
+revoke execute on function cancel_booking_group(uuid, text, text, jsonb) from public, anon, authenticated;
+grant execute on function cancel_booking_group(uuid, text, text, jsonb) to service_role;
+revoke execute on function cancel_series_occurrences(uuid, date, text, text, jsonb) from public, anon, authenticated;
+grant execute on function cancel_series_occurrences(uuid, date, text, text, jsonb) to service_role;
+revoke execute on function cancel_booking_series(uuid, date, text, text, jsonb) from public, anon, authenticated;
+grant execute on function cancel_booking_series(uuid, date, text, text, jsonb) to service_role;
+
+-- =====================================================
+-- IDEMPOTENCY LEASES
+-- =====================================================
+
+alter table idempotency_keys add column if not exists locked_until timestamptz;
+alter table idempotency_keys
+  add column if not exists lease_id uuid not null default gen_random_uuid();
+
+drop function if exists begin_idempotent_request(text, uuid, text, text, int);
+
+-- Claims a key for a new request, takes over a lapsed one, or returns the row
+-- already holding it. `claimed` is true only for the caller that should run
+-- the handler.
+create or replace function begin_idempotent_request(
+  p_key text,
+  p_caller_id uuid,
+  p_route text,
+  p_request_hash text,
+  p_ttl_seconds int,
+  p_lease_seconds int default 60
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row idempotency_keys%rowtype;
+  v_claimed boolean;
+begin
+  -- Expired keys are cleared a few at a time as new requests arrive
+  delete from idempotency_keys
+    where id in (
+      select id from idempotency_keys where expires_at < now() limit 100
+    );
+
+  insert into idempotency_keys (
+    idempotency_key, caller_id, route, request_hash, expires_at, locked_until
+  ) values (
+    p_key,
+    p_caller_id,
+    p_route,
+    p_request_hash,
+    now() + make_interval(secs => p_ttl_seconds),
+    now() + make_interval(secs => p_lease_seconds)
+  )
+  on conflict (caller_id, idempotency_key) do nothing
+  returning * into v_row;
+
+  v_claimed := found;
+  if not v_claimed then
+    -- Rows from before leases existed have no locked_until and count as lapsed
+    update idempotency_keys
+      set lease_id = gen_random_uuid(),
+          locked_until = now() + make_interval(secs => p_lease_seconds)
+      where caller_id = p_caller_id
+        and idempotency_key = p_key
+        and status = 'IN_PROGRESS'
+        and request_hash = p_request_hash
+        and (locked_until is null or locked_until < now())
+      returning * into v_row;
+    v_claimed := found;
+  end if;
+
+  if not v_claimed then
+    select * into v_row from idempotency_keys
+      where caller_id = p_caller_id and idempotency_key = p_key;
+  end if;
+
+  return to_jsonb(v_row) || jsonb_build_object('claimed', v_claimed);
+end;
+$$;
+
+-- Only the API router claims keys
+revoke execute on function begin_idempotent_request(text, uuid, text, text, int, int) from public, anon, authenticated;
+grant execute on function begin_idempotent_request(text, uuid, text, text, int, int) to service_role;
+
+-- =====================================================
+-- PROMO REDEMPTION RELEASE
+-- =====================================================
+
+create or replace function create_booking_atomic(
+  p_slot_id uuid,
+  p_booking_data jsonb
+) returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  slot_record slots%rowtype;
+  booking_id uuid;
+  v_slot_status text;
+  v_advance_amount numeric;
+  v_total_amount numeric;
+  v_promo promo_codes%rowtype;
+  v_promo_id uuid := nullif(p_booking_data->>'promo_code_id', '')::uuid;
+  v_user_id uuid := nullif(p_booking_data->>'user_id', '')::uuid;
+  v_player_uses int;
+begin
+  select * into slot_record from slots where id = p_slot_id for update;
+  if not found then
+    raise exception 'Slot not found';
+  end if;
+
+  if slot_record.status not in ('AVAILABLE', 'RESERVED') then
+    raise exception 'Slot not available';
+  end if;
+
+  if v_promo_id is not null then
+    select * into v_promo from promo_codes where id = v_promo_id for update;
+    if not found or not v_promo.is_active then
+      raise exception 'Promo code is not active';
+    end if;
+
+    if v_promo.max_redemptions is not null
+       and v_promo.redemption_count >= v_promo.max_redemptions then
+      raise exception 'Promo code usage limit reached';
+    end if;
+
+    if v_promo.per_player_limit is not null and v_user_id is not null then
+      select count(*) into v_player_uses from promo_redemptions
+        where promo_code_id = v_promo.id and player_id = v_user_id;
+      if v_player_uses >= v_promo.per_player_limit then
+        raise exception 'Promo code per-player limit reached';
+      end if;
+    end if;
+
+    -- The quote checked this too, but two first bookings could both pass it.
+    -- The player row lock also covers first-booking codes of the same owner
+    -- used side by side.
+    if v_promo.first_booking_only then
+      if v_user_id is null then
+        raise exception 'Promo code is only for a first booking';
+      end if;
+      perform 1 from players where id = v_user_id for update;
+      if exists (
+        select 1 from bookings
+          where owner_id = v_promo.owner_id
+            and user_id = v_user_id
+            and booking_status = 'CONFIRMED'
+      ) then
+        raise exception 'Promo code is only for a first booking';
+      end if;
+    end if;
+  end if;
+
+  v_advance_amount := coalesce((p_booking_data->>'advance_amount')::numeric, 0);
+  v_total_amount := coalesce((p_booking_data->>'amount')::numeric, 0);
+
+  -- Fully paid bookings are BOOKED; partial or unpaid ones hold the slot as
+  -- RESERVED. A fully discounted booking has nothing left to pay.
+  if v_advance_amount >= v_total_amount and (v_total_amount > 0 or v_promo_id is not null) then
+    v_slot_status := 'BOOKED';
+  else
+    v_slot_status := 'RESERVED';
+  end if;
+
+  update slots
+    set status = v_slot_status,
+        reserved_until = null,
+        reserved_by = null,
+        updated_at = now()
+    where id = p_slot_id;
+
+  insert into bookings (
+    owner_id, turf_id, slot_id, booking_date, start_time, end_time,
+    turf_name, net_number, user_id, customer_name, customer_phone, booking_source,
+    payment_mode, payment_status, amount, advance_amount, transaction_id, booking_status,
+    promo_code_id, promo_code, original_amount, discount_amount, created_at
+  ) values (
+    (select owner_id from turfs where id = (p_booking_data->>'turf_id')::uuid),
+    (p_booking_data->>'turf_id')::uuid,
+    p_slot_id,
+    (p_booking_data->>'booking_date')::date,
+    p_booking_data->>'start_time',
+    p_booking_data->>'end_time',
+    p_booking_data->>'turf_name',
+    coalesce((p_booking_data->>'net_number')::int, 1),
+    v_user_id,
+    p_booking_data->>'customer_name',
+    p_booking_data->>'customer_phone',
+    p_booking_data->>'booking_source',
+    p_booking_data->>'payment_mode',
+    p_booking_data->>'payment_status',
+    (p_booking_data->>'amount')::numeric,
+    coalesce((p_booking_data->>'advance_amount')::numeric, 0),
+    p_booking_data->>'transaction_id',
+    coalesce(p_booking_data->>'booking_status', 'CONFIRMED'),
+    v_promo_id,
+    case when v_promo_id is not null then v_promo.code end,
+    coalesce((p_booking_data->>'original_amount')::numeric, (p_booking_data->>'amount')::numeric),
+    coalesce((p_booking_data->>'discount_amount')::numeric, 0),
+    now()
+  ) returning id into booking_id;
+
+  if v_promo_id is not null then
+    insert into promo_redemptions (promo_code_id, booking_id, player_id, discount_amount)
+    values (
+      v_promo.id,
+      booking_id,
+      v_user_id,
+      coalesce((p_booking_data->>'discount_amount')::numeric, 0)
+    );
+
+    update promo_codes
+      set redemption_count = redemption_count + 1,
+          updated_at = now()
+      where id = v_promo.id;
+  end if;
+
+  return booking_id;
+end;
+$$;
+
+-- Deleting a redemption, directly or through a deleted booking, frees its
+-- use of the code
+create or replace function promo_redemptions_release() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update promo_codes
+    set redemption_count = greatest(redemption_count - 1, 0),
+        updated_at = now()
+    where id = old.promo_code_id;
+  return null;
+end;
+$$;
+
+drop trigger if exists promo_redemptions_release on promo_redemptions;
+create trigger promo_redemptions_release
+  after delete on promo_redemptions
+  for each row
+  execute function promo_redemptions_release();
+
+-- A cancelled booking no longer counts against the code's caps
+create or replace function bookings_promo_release() returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.booking_status <> 'CANCELLED' and new.booking_status = 'CANCELLED' then
+    delete from promo_redemptions where booking_id = new.id;
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists bookings_promo_release on bookings;
+create trigger bookings_promo_release
+  after update of booking_status on bookings
+  for each row
+  when (new.promo_code_id is not null)
+  execute function bookings_promo_release();
+
+-- Bookings are created through the booking routes, which check the caller's
+-- hold and quote the promo code
+revoke execute on function create_booking_atomic(uuid, jsonb) from public, anon, authenticated;
+grant execute on function create_booking_atomic(uuid, jsonb) to service_role;
+
+-- =====================================================
+-- SERIES RESCHEDULE REFUNDS
+-- =====================================================
+
+drop function if exists update_booking_series(uuid, date, jsonb, text);
+
+create or replace function update_booking_series(
+  p_series_id uuid,
+  p_from_date date,
+  p_changes jsonb,
+  p_updated_by text,
+  p_refunds jsonb default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_series booking_series%rowtype;
+  v_reschedule boolean;
+  v_cancelled int := 0;
+  v_occurrences jsonb := '[]'::jsonb;
+begin
+  select * into v_series from booking_series where id = p_series_id for update;
+  if not found then
+    raise exception 'Booking series not found';
+  end if;
+  if v_series.status <> 'ACTIVE' then
+    raise exception 'Booking series is cancelled';
+  end if;
+
+  v_reschedule := p_changes ?| array['net_number', 'weekday', 'start_time', 'end_date'];
+
+  if v_reschedule then
+    v_cancelled := cancel_series_occurrences(
+      p_series_id, p_from_date, p_updated_by, 'Series rescheduled', p_refunds
+    );
+  end if;
+
+  update booking_series
+    set net_number = coalesce((p_changes->>'net_number')::int, net_number),
+        weekday = coalesce(p_changes->>'weekday', weekday),
+        start_time = coalesce(p_changes->>'start_time', start_time),
+        end_date = coalesce((p_changes->>'end_date')::date, end_date),
+        customer_name = coalesce(p_changes->>'customer_name', customer_name),
+        customer_phone = coalesce(p_changes->>'customer_phone', customer_phone),
+        updated_at = now()
+    where id = p_series_id;
+
+  if v_reschedule then
+    v_occurrences := book_series_occurrences(p_series_id, p_from_date);
+  else
+    update bookings
+      set customer_name = coalesce(p_changes->>'customer_name', customer_name),
+          customer_phone = coalesce(p_changes->>'customer_phone', customer_phone),
+          updated_by = p_updated_by,
+          updated_at = now()
+      where series_id = p_series_id
+        and booking_status = 'CONFIRMED'
+        and booking_date >= p_from_date;
+  end if;
+
+  return jsonb_build_object(
+    'series_id', p_series_id,
+    'cancelled', v_cancelled,
+    'occurrences', v_occurrences
+  );
+end;
+$$;
+
+-- Dropping the old signature dropped its grants; the API is still the only
+-- caller
+revoke execute on function update_booking_series(uuid, date, jsonb, text, jsonb) from public, anon, authenticated;
+grant execute on function update_booking_series(uuid, date, jsonb, text, jsonb) to service_role;
+
+-- =====================================================
+-- SIGNUP RPC GRANTS
+-- =====================================================
+
+-- Owner checks and profiles go through the /api/auth routes, which rate limit
+-- callers and tie the profile to the signed-in user
+revoke execute on function check_owner_exists(text, text) from public, anon, authenticated;
+grant execute on function check_owner_exists(text, text) to service_role;
+revoke execute on function create_owner_profile(uuid, text, text, text) from public, anon, authenticated;
+grant execute on function create_owner_profile(uuid, text, text, text) to service_role;
+revoke execute on function create_player_profile(uuid, text, text, text) from public, anon, authenticated;
+grant execute on function create_player_profile(uuid, text, text, text) to service_role;
+
+-- =====================================================
+-- WAITLIST LOCAL DATE
+-- =====================================================
+
+create or replace function offer_waitlisted_slot(p_slot_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_slot slots%rowtype;
+  v_entry waitlist_entries%rowtype;
+  v_player players%rowtype;
+  v_turf_name text;
+  -- Slot dates are local to the turfs (api/_utils/time.js DEFAULT_TIME_ZONE);
+  -- current_date is the database's UTC date, a day behind until 05:30 IST
+  v_today date := (now() at time zone 'Asia/Kolkata')::date;
+begin
+  select * into v_slot from slots where id = p_slot_id;
+  if not found or v_slot.status <> 'AVAILABLE' or v_slot.date < v_today then
+    return null;
+  end if;
+
+  select * into v_entry from waitlist_entries w
+   where w.status = 'WAITING'
+     and w.turf_id = v_slot.turf_id
+     and w.date = v_slot.date
+     and (
+       w.slot_id = v_slot.id
+       or (
+         w.slot_id is null
+         and v_slot.start_time >= w.start_time
+         and v_slot.end_time <= w.end_time
+         and (w.net_number is null or w.net_number = v_slot.net_number)
+       )
+     )
+   order by w.created_at, w.id
+   limit 1
+   for update skip locked;
+
+  if not found then
+    return null;
+  end if;
+
+  if not reserve_slot(v_slot.id, v_entry.player_id, v_entry.hold_minutes) then
+    return null;
+  end if;
+
+  update waitlist_entries
+    set status = 'OFFERED',
+        offered_slot_id = v_slot.id,
+        offered_at = now(),
+        offer_expires_at = now() + make_interval(mins => v_entry.hold_minutes),
+        updated_at = now()
+    where id = v_entry.id;
+
+  select * into v_player from players where id = v_entry.player_id;
+  select turf_name into v_turf_name from turfs where id = v_slot.turf_id;
+
+  perform enqueue_notification(
+    'WAITLIST_OFFER',
+    v_player.notification_channel,
+    case when v_player.notification_channel = 'EMAIL' then v_player.email else v_player.phone end,
+    v_player.preferred_language,
+    jsonb_build_object(
+      'waitlist_entry_id', v_entry.id,
+      'slot_id', v_slot.id,
+      'turf_id', v_slot.turf_id,
+      'turf_name', v_turf_name,
+      'player_name', v_player.name,
+      'date', v_slot.date,
+      'start_time', v_slot.start_time,
+      'end_time', v_slot.end_time,
+      'net_number', v_slot.net_number,
+      'hold_minutes', v_entry.hold_minutes
+    ),
+    'waitlist_offer:' || v_entry.id || ':' || v_slot.id
+  );
+
+  return v_entry.id;
+end;
+$$;
+
+-- =====================================================
+-- SLOT RPC GRANTS
+-- =====================================================
+
+-- Slot holds go through the /api/slots routes, which check the caller owns
+-- the hold or the turf
+revoke execute on function reserve_slot(uuid, uuid, int) from public, anon, authenticated;
+grant execute on function reserve_slot(uuid, uuid, int) to service_role;
+revoke execute on function release_slot(uuid) from public, anon, authenticated;
+grant execute on function release_slot(uuid) to service_role;
+revoke execute on function book_slot(uuid) from public, anon, authenticated;
+grant execute on function book_slot(uuid) to service_role;
+
+-- =====================================================
+-- TARGETED RESERVATION EXPIRY
+-- =====================================================
+
+drop function if exists expire_stale_reservations(int);
+
+create or replace function expire_stale_reservations(
+  p_limit int default 500,
+  p_slot_ids uuid[] default null
+)
+returns table (
+  slot_id uuid,
+  turf_id uuid,
+  slot_date date,
+  start_time text,
+  net_number int,
+  reserved_by uuid,
+  reserved_until timestamptz
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order record;
+begin
+  -- Online payments whose hold lapsed are failed first so their PENDING
+  -- bookings stop pinning the slot
+  for v_order in
+    select po.provider, po.provider_order_id,
+           s.id as sid, s.turf_id as tid, s.date as sdate, s.start_time as stime,
+           s.net_number as snet, s.reserved_by as holder, s.reserved_until as held_until
+      from payment_orders po
+      join slots s on s.id = po.slot_id
+     where po.status = 'CREATED'
+       and s.status = 'RESERVED'
+       and s.reserved_until < now()
+       and (p_slot_ids is null or s.id = any(p_slot_ids))
+     limit p_limit
+  loop
+    perform fail_online_payment(
+      v_order.provider, v_order.provider_order_id, 'EXPIRED', 'Payment window expired'
+    );
+
+    slot_id := v_order.sid;
+    turf_id := v_order.tid;
+    slot_date := v_order.sdate;
+    start_time := v_order.stime;
+    net_number := v_order.snet;
+    reserved_by := v_order.holder;
+    reserved_until := v_order.held_until;
+    return next;
+  end loop;
+
+  return query
+  with expired as (
+    select s.id, s.reserved_by as holder, s.reserved_until as held_until
+      from slots s
+     where s.status = 'RESERVED'
+       and s.reserved_until < now()
+       and (p_slot_ids is null or s.id = any(p_slot_ids))
+       and not exists (
+         select 1 from bookings b
+          where b.slot_id = s.id and b.booking_status = 'CONFIRMED'
+       )
+     order by s.reserved_until
+     limit p_limit
+     for update skip locked
+  )
+  update slots s
+     set status = 'AVAILABLE',
+         reserved_until = null,
+         reserved_by = null,
+         updated_at = now()
+    from expired e
+   where s.id = e.id
+  returning s.id, s.turf_id, s.date, s.start_time, s.net_number, e.holder, e.held_until;
+end;
+$$;
+
+-- Dropping the old signature dropped its grants; still run with the service
+-- role only
+revoke execute on function expire_stale_reservations(int, uuid[]) from public, anon, authenticated;
+grant execute on function expire_stale_reservations(int, uuid[]) to service_role;